@@ -1,6 +1,7 @@
 // src/api/controllers/auth.controller.js
 const { createOAuth2Client } = require("../../utils/googleOAuth2Client"); // Utilitas untuk OAuth2 client Google
 const authService = require("../services/auth.service"); // Service untuk logika bisnis autentikasi
+const auditService = require("../services/audit.service");
 const { BadRequestError, UnauthorizedError } = require("../../utils/errors"); // Custom error classes
 // const config = require("../../config/environment"); // Tidak terpakai di sini, bisa dihapus jika tidak untuk cookie
 
@@ -218,6 +219,14 @@ const handleGoogleOAuthCallback = async (req, res, next) => {
       code,
       judiGuardUserId
     );
+    // Rute callback tidak melewati isAuthenticated, jadi dicatat langsung di sini
+    await auditService.recordAudit({
+      userId: judiGuardUserId,
+      action: "youtube.connect",
+      result: "SUCCESS",
+      details: { youtubeChannelId: result.user?.youtubeChannelId },
+      req,
+    });
 
     // Redirect ke frontend dengan status sukses
     res.redirect(
@@ -232,6 +241,15 @@ const handleGoogleOAuthCallback = async (req, res, next) => {
       error.message,
       error.stack
     );
+    if (req.query.state) {
+      await auditService.recordAudit({
+        userId: req.query.state,
+        action: "youtube.connect",
+        result: "FAILED",
+        error: error.message,
+        req,
+      });
+    }
     // Redirect ke frontend dengan pesan error
     res.redirect(
       `${frontendProfileUrl}?youtube_linked=false&error=${encodeURIComponent(
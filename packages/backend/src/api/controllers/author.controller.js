@@ -0,0 +1,80 @@
+// src/api/controllers/author.controller.js
+const authorService = require("../services/author.service");
+
+/**
+ * Mengambil daftar penulis dengan komentar judi terbanyak (pelanggar berulang).
+ */
+const getTopOffenders = async (req, res, next) => {
+  try {
+    const offenders = await authorService.getTopOffenders(
+      req.user._id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Daftar pelanggar teratas berhasil diambil.",
+      count: offenders.length,
+      data: offenders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil komentar seorang penulis dari seluruh analisis pengguna.
+ */
+const getAuthorComments = async (req, res, next) => {
+  try {
+    const comments = await authorService.getAuthorComments(
+      req.user._id,
+      req.params.authorChannelId,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Komentar penulis berhasil diambil.",
+      count: comments.length,
+      data: comments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menyembunyikan seluruh komentar seorang penulis dan memblokirnya dari channel.
+ */
+const hideAndBanAuthor = async (req, res, next) => {
+  try {
+    const result = await authorService.hideAndBanAuthor(
+      req.user._id,
+      req.params.authorChannelId,
+      req.body
+    );
+    res.locals.audit = {
+      details: {
+        hiddenCount: result.hiddenCount,
+        isChannelBanned: result.isChannelBanned,
+      },
+    };
+
+    res.status(200).json({
+      status: "success",
+      message: result.isChannelBanned
+        ? `${result.hiddenCount} komentar disembunyikan dan penulis diblokir dari channel.`
+        : `${result.hiddenCount} komentar disembunyikan.`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTopOffenders,
+  getAuthorComments,
+  hideAndBanAuthor,
+};
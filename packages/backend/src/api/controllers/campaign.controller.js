@@ -0,0 +1,102 @@
+// src/api/controllers/campaign.controller.js
+const campaignService = require("../services/campaign.service");
+
+/**
+ * Membangun ulang kampanye spam dari seluruh komentar yang sudah dianalisis.
+ */
+const rebuildCampaigns = async (req, res, next) => {
+  try {
+    const result = await campaignService.rebuildCampaigns(
+      req.user._id,
+      req.body
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: `${result.campaignCount} kampanye spam ditemukan dari ${result.commentsScanned} komentar.`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil daftar kampanye spam milik pengguna.
+ */
+const getCampaigns = async (req, res, next) => {
+  try {
+    const campaigns = await campaignService.getCampaigns(
+      req.user._id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Daftar kampanye spam berhasil diambil.",
+      count: campaigns.length,
+      data: campaigns,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil komentar anggota sebuah kampanye spam.
+ */
+const getCampaignComments = async (req, res, next) => {
+  try {
+    const comments = await campaignService.getCampaignComments(
+      req.user._id,
+      req.params.campaignId,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Komentar kampanye berhasil diambil.",
+      count: comments.length,
+      data: comments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menerapkan status moderasi ke seluruh anggota kampanye spam.
+ */
+const moderateCampaign = async (req, res, next) => {
+  try {
+    const result = await campaignService.moderateCampaign(
+      req.user._id,
+      req.params.campaignId,
+      req.body
+    );
+    res.locals.audit = {
+      details: {
+        moderatedCount: result.moderatedCount,
+        bannedAuthorCount: result.bannedAuthorCount,
+      },
+    };
+
+    res.status(200).json({
+      status: "success",
+      message:
+        result.moderationStatus === "rejected"
+          ? `${result.moderatedCount} komentar kampanye disembunyikan.`
+          : `${result.moderatedCount} komentar kampanye ditahan untuk ditinjau.`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  rebuildCampaigns,
+  getCampaigns,
+  getCampaignComments,
+  moderateCampaign,
+};
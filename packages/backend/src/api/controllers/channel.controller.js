@@ -0,0 +1,72 @@
+// src/api/controllers/channel.controller.js
+const channelService = require("../services/channel.service");
+
+/**
+ * Memulai scan seluruh video di channel YouTube pengguna yang terhubung.
+ */
+const startChannelScan = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    // Setiap video masuk antrean sebagai VideoAnalysis PENDING dan diproses worker background
+    const summary = await channelService.startChannelScan(userId, req.body);
+
+    res.status(202).json({
+      status: "success",
+      message: `${summary.totals.videosQueued} video dari channel Anda masuk antrean analisis.`,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil ringkasan scan channel: progres dan jumlah komentar judi per video.
+ */
+const getChannelScanSummary = async (req, res, next) => {
+  try {
+    const { channelScanId } = req.params;
+    const userId = req.user._id;
+
+    const summary = await channelService.getChannelScanSummary(
+      channelScanId,
+      userId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Ringkasan scan channel berhasil diambil.",
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil laporan tujuan promosi (domain, nomor, handle) terbanyak di komentar channel.
+ */
+const getPromotedDestinations = async (req, res, next) => {
+  try {
+    const report = await channelService.getPromotedDestinations(
+      req.user._id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Laporan tujuan promosi berhasil diambil.",
+      count: report.destinations.length,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startChannelScan,
+  getChannelScanSummary,
+  getPromotedDestinations,
+};
@@ -0,0 +1,114 @@
+// src/api/controllers/export.controller.js
+const { once } = require("events");
+const exportService = require("../services/export.service");
+const { toCsvRow } = require("../../utils/csv");
+const { createXlsxStream } = require("../../utils/xlsxStream");
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * Menulis record export ke response dalam format yang diminta. Record dibaca dari
+ * async iterator dan ditulis satu per satu dengan menghormati backpressure.
+ * @param {import("express").Response} res
+ * @param {"csv"|"json"|"xlsx"} format
+ * @param {AsyncIterable<object>} records
+ */
+const writeExport = async (res, format, records) => {
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, "drain");
+  };
+  const toValues = (record) =>
+    exportService.EXPORT_HEADERS.map((header) => record[header]);
+
+  if (format === "xlsx") {
+    const xlsx = createXlsxStream(res, {
+      header: exportService.EXPORT_HEADERS,
+      sheetName: "Komentar",
+    });
+    for await (const record of records) await xlsx.addRow(toValues(record));
+    await xlsx.finish();
+  } else if (format === "json") {
+    let separator = "";
+    await write("[");
+    for await (const record of records) {
+      await write(`${separator}\n${JSON.stringify(record)}`);
+      separator = ",";
+    }
+    await write("\n]\n");
+  } else {
+    await write(toCsvRow(exportService.EXPORT_HEADERS));
+    for await (const record of records) await write(toCsvRow(toValues(record)));
+  }
+  res.end();
+};
+
+/**
+ * Mengirim export sebagai file unduhan. Header dikirim setelah cakupan analisis
+ * tervalidasi, sehingga 404/400 tetap bisa dibalas sebagai JSON biasa.
+ */
+const sendExport = async (req, res, next, scope, filenameBase) => {
+  const { format } = req.query;
+  try {
+    const analyses = await exportService.findExportAnalyses(
+      req.user._id,
+      scope
+    );
+
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filenameBase}.${format}"`
+    );
+    await writeExport(
+      res,
+      format,
+      exportService.iterateExportRecords(analyses)
+    );
+  } catch (error) {
+    // Jika sebagian file sudah terkirim, status error tidak bisa dikirim lagi
+    if (res.headersSent) {
+      console.error("[Export] Export hasil analisis terhenti:", error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Mengunduh komentar hasil satu analisis (CSV, JSON, atau XLSX).
+ */
+const exportAnalysis = (req, res, next) =>
+  sendExport(
+    req,
+    res,
+    next,
+    { analysisId: req.params.analysisId },
+    `judi-guard-analisis-${req.params.analysisId}`
+  );
+
+/**
+ * Mengunduh komentar dari semua analisis yang dibuat dalam rentang tanggal `from`-`to`.
+ */
+const exportAnalysesByDateRange = (req, res, next) => {
+  const { from, to } = req.query;
+  const dateStamp = (date) => date.toISOString().slice(0, 10);
+  const range = [from && dateStamp(from), to && dateStamp(to)]
+    .filter(Boolean)
+    .join("_");
+  return sendExport(
+    req,
+    res,
+    next,
+    { from, to },
+    `judi-guard-analisis-${range || "semua"}`
+  );
+};
+
+module.exports = {
+  exportAnalysis,
+  exportAnalysesByDateRange,
+};
@@ -0,0 +1,69 @@
+// src/api/controllers/moderation.controller.js
+const moderationService = require("../services/moderation.service");
+
+// Pesan sukses per aksi moderasi
+const ACTION_MESSAGES = {
+  heldForReview: "ditahan untuk ditinjau",
+  rejected: "disembunyikan",
+  published: "dipulihkan",
+  delete: "dihapus permanen",
+};
+
+/**
+ * Menerapkan aksi moderasi (tahan, sembunyikan, pulihkan, hapus) ke satu komentar.
+ */
+const moderateComment = async (req, res, next) => {
+  try {
+    const { action, banAuthor } = req.body;
+    const comment = await moderationService.moderateComment(
+      req.user._id,
+      req.params.analyzedCommentId,
+      action,
+      { banAuthor }
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: `Komentar berhasil ${ACTION_MESSAGES[action]}.`,
+      data: comment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menerapkan satu aksi moderasi ke banyak komentar sekaligus.
+ */
+const moderateComments = async (req, res, next) => {
+  try {
+    const { analyzedCommentIds, action, banAuthor } = req.body;
+    const result = await moderationService.moderateComments(
+      req.user._id,
+      analyzedCommentIds,
+      action,
+      { banAuthor }
+    );
+    res.locals.audit = {
+      result: result.failed > 0 ? "PARTIAL" : "SUCCESS",
+      details: {
+        succeeded: result.succeeded,
+        failed: result.failed,
+        skipped: result.skipped,
+      },
+    };
+
+    res.status(200).json({
+      status: "success",
+      message: `${result.succeeded} komentar ${ACTION_MESSAGES[action]}, ${result.failed} gagal, ${result.skipped} dilewati.`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  moderateComment,
+  moderateComments,
+};
@@ -0,0 +1,102 @@
+// src/api/controllers/monitor.controller.js
+const monitorService = require("../services/monitor.service");
+
+/**
+ * Mengambil daftar video yang dipantau pengguna.
+ */
+const listMonitoredVideos = async (req, res, next) => {
+  try {
+    const monitors = await monitorService.listMonitoredVideos(req.user._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Daftar video yang dipantau berhasil diambil.",
+      count: monitors.length,
+      data: monitors,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menandai video untuk dipantau dengan interval re-scan tertentu.
+ */
+const watchVideo = async (req, res, next) => {
+  try {
+    const monitor = await monitorService.watchVideo(req.user._id, req.body);
+
+    res.status(201).json({
+      status: "success",
+      message: "Video berhasil ditambahkan ke daftar pantauan.",
+      data: monitor,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Memperbarui interval atau menjeda/melanjutkan pemantauan video.
+ */
+const updateMonitoredVideo = async (req, res, next) => {
+  try {
+    const monitor = await monitorService.updateMonitoredVideo(
+      req.params.monitorId,
+      req.user._id,
+      req.body
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Pengaturan pemantauan video berhasil diperbarui.",
+      data: monitor,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Berhenti memantau sebuah video.
+ */
+const unwatchVideo = async (req, res, next) => {
+  try {
+    await monitorService.unwatchVideo(req.params.monitorId, req.user._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Video berhasil dihapus dari daftar pantauan.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil riwayat re-scan dari sebuah video yang dipantau.
+ */
+const getMonitorHistory = async (req, res, next) => {
+  try {
+    const result = await monitorService.getMonitorHistory(
+      req.params.monitorId,
+      req.user._id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Riwayat re-scan video berhasil diambil.",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listMonitoredVideos,
+  watchVideo,
+  updateMonitoredVideo,
+  unwatchVideo,
+  getMonitorHistory,
+};
@@ -0,0 +1,124 @@
+// src/api/controllers/review.controller.js
+const { once } = require("events");
+const reviewService = require("../services/review.service");
+const { toCsvRow } = require("../../utils/csv");
+
+/**
+ * Mengambil antrean komentar yang perlu (atau sudah) ditinjau manusia.
+ */
+const getReviewQueue = async (req, res, next) => {
+  try {
+    const { comments, pendingCount } = await reviewService.getReviewQueue(
+      req.user._id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Antrean tinjauan berhasil diambil.",
+      count: comments.length,
+      pendingCount,
+      data: comments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menyimpan verdict manusia (konfirmasi atau koreksi) untuk satu komentar.
+ */
+const submitReviewVerdict = async (req, res, next) => {
+  try {
+    const comment = await reviewService.submitReviewVerdict(
+      req.params.analyzedCommentId,
+      req.user._id,
+      req.body.classification
+    );
+    res.locals.audit = {
+      details: {
+        aiClassification: comment.aiRawClassification || comment.classification,
+        isOverturned: comment.isOverturned,
+      },
+    };
+
+    res.status(200).json({
+      status: "success",
+      message: comment.isOverturned
+        ? "Verdict AI berhasil dikoreksi."
+        : "Verdict AI berhasil dikonfirmasi.",
+      data: comment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menghapus verdict manusia dari satu komentar.
+ */
+const clearReviewVerdict = async (req, res, next) => {
+  try {
+    const comment = await reviewService.clearReviewVerdict(
+      req.params.analyzedCommentId,
+      req.user._id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Verdict tinjauan berhasil dihapus.",
+      data: comment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengunduh komentar yang sudah ditinjau sebagai dataset latih `{text, label}`
+ * (JSONL atau CSV). Baris ditulis bertahap ke response agar export besar tetap ringan.
+ */
+const exportTrainingDataset = async (req, res, next) => {
+  const { format, ...filters } = req.query;
+  const dateStamp = new Date().toISOString().slice(0, 10);
+
+  try {
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/x-ndjson; charset=utf-8"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="judi-guard-dataset-${dateStamp}.${format}"`
+    );
+    if (format === "csv") res.write(toCsvRow(["text", "label"]));
+
+    for await (const row of reviewService.iterateTrainingDataset(
+      req.user._id,
+      filters
+    )) {
+      const line =
+        format === "csv"
+          ? toCsvRow([row.text, row.label])
+          : `${JSON.stringify(row)}\n`;
+      if (!res.write(line)) await once(res, "drain");
+    }
+    res.end();
+  } catch (error) {
+    // Jika sebagian file sudah terkirim, status error tidak bisa dikirim lagi
+    if (res.headersSent) {
+      console.error("[Review] Export dataset terhenti:", error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  submitReviewVerdict,
+  clearReviewVerdict,
+  exportTrainingDataset,
+};
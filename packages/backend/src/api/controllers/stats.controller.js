@@ -0,0 +1,26 @@
+// src/api/controllers/stats.controller.js
+const statsService = require("../services/stats.service");
+
+/**
+ * Mengambil statistik tren komentar judi vs bersih per hari/minggu.
+ */
+const getTimeSeriesStats = async (req, res, next) => {
+  try {
+    const stats = await statsService.getTimeSeriesStats(
+      req.user._id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Statistik tren berhasil diambil.",
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTimeSeriesStats,
+};
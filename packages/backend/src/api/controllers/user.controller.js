@@ -2,6 +2,11 @@
 
 const User = require("../models/User.model");
 const { NotFoundError, BadRequestError } = require("../../utils/errors");
+const {
+  resolveModerationSettings,
+} = require("../../utils/classificationPolicy");
+const quotaService = require("../services/quota.service");
+const auditService = require("../services/audit.service");
 
 /**
  * Mengambil data profil dari pengguna yang sedang login.
@@ -78,6 +83,7 @@ const updateMe = async (req, res, next) => {
       "youtubeAccessToken",
       "youtubeRefreshToken",
       "youtubeTokenExpiresAt",
+      "moderationSettings", // Diubah lewat PATCH /me/moderation-settings
     ];
 
     // Cek apakah ada upaya mengubah field terlarang
@@ -144,6 +150,104 @@ const updateMe = async (req, res, next) => {
   }
 };
 
+/**
+ * Mengambil ambang keyakinan moderasi milik pengguna (nilai bawaan jika belum diatur).
+ */
+const getModerationSettings = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("moderationSettings");
+    if (!user) {
+      throw new NotFoundError("User tidak ditemukan.");
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Pengaturan moderasi berhasil diambil.",
+      data: {
+        moderationSettings: resolveModerationSettings(user.moderationSettings),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Memperbarui ambang aksi otomatis dan/atau ambang tinjauan.
+ * Body sudah divalidasi `updateModerationSettingsSchema`; di sini nilai baru digabung
+ * dengan nilai lama agar urutan `reviewThreshold <= autoActionThreshold` tetap terjaga.
+ */
+const updateModerationSettings = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("moderationSettings");
+    if (!user) {
+      throw new NotFoundError("User tidak ditemukan untuk diupdate.");
+    }
+
+    const moderationSettings = {
+      ...resolveModerationSettings(user.moderationSettings),
+      ...req.body,
+    };
+    if (
+      moderationSettings.reviewThreshold >
+      moderationSettings.autoActionThreshold
+    ) {
+      throw new BadRequestError(
+        '"reviewThreshold" tidak boleh lebih besar dari "autoActionThreshold".'
+      );
+    }
+
+    user.moderationSettings = moderationSettings;
+    await user.save();
+
+    res.status(200).json({
+      status: "success",
+      message: "Pengaturan moderasi berhasil diperbarui.",
+      data: { moderationSettings },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil pemakaian kuota YouTube Data API pengguna: rincian per operasi hari ini,
+ * sisa anggaran harian, dan total per hari untuk `days` hari terakhir.
+ */
+const getQuotaUsage = async (req, res, next) => {
+  try {
+    const quotaUsage = await quotaService.getQuotaUsageSummary(req.user._id, {
+      days: req.query.days,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Pemakaian kuota YouTube berhasil diambil.",
+      data: quotaUsage,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil audit log pengguna (aksi moderasi, verdict, analisis, koneksi YouTube,
+ * dan perubahan akun) dengan filter dan paginasi kursor `before`.
+ */
+const getAuditLog = async (req, res, next) => {
+  try {
+    const auditLog = await auditService.getAuditLogs(req.user._id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Audit log berhasil diambil.",
+      data: auditLog,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Menangani penghapusan akun oleh pengguna itu sendiri (soft delete).
  * Mengubah status 'active' menjadi false.
@@ -180,4 +284,8 @@ module.exports = {
   getMe,
   updateMe,
   deleteMe,
+  getModerationSettings,
+  updateModerationSettings,
+  getQuotaUsage,
+  getAuditLog,
 };
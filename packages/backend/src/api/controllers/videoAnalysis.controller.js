@@ -1,5 +1,9 @@
 // src/api/controllers/videoAnalysis.controller.js
 const videoAnalysisService = require("../services/videoAnalysis.service");
+const deletionJobService = require("../services/deletionJob.service");
+const importService = require("../services/import.service");
+const reclassificationService = require("../services/reclassification.service");
+const analysisCleanupService = require("../services/analysisCleanup.service");
 const { BadRequestError, NotFoundError } = require("../../utils/errors"); // Pastikan NotFoundError diimpor jika belum
 const VideoAnalysis = require("../models/VideoAnalysis.model");
 const AnalyzedComment = require("../models/AnalyzedComment.model");
@@ -18,25 +22,19 @@ const submitVideoForAnalysis = async (req, res, next) => {
       throw new BadRequestError('Parameter "videoUrl" diperlukan.');
     }
 
-    // console.log(
-    //   `[Controller] Menerima permintaan analisis video: ${videoUrl} dari user: ${userId}`
-    // );
-
-    // PENTING: Seperti yang didiskusikan, service startVideoAnalysis saat ini
-    // akan berjalan hingga semua komentar dianalisis sebelum mengembalikan respons.
-    // Ini bisa lama dan menyebabkan timeout HTTP untuk video dengan banyak komentar.
-    // Untuk produksi, ini idealnya diubah menjadi proses background.
+    // Service hanya memasukkan analisis ke antrean (status PENDING).
+    // Proses fetch dan klasifikasi dikerjakan worker background; frontend
+    // memantau progresnya lewat GET /analysis/videos/:analysisId.
     const analysisResult = await videoAnalysisService.startVideoAnalysis(
       userId,
       videoUrl
     );
 
-    // Jika sampai sini tanpa error, analisis (setidaknya tahap awal/keseluruhan) selesai.
-    res.status(200).json({
-      // Bisa juga 201 Created jika menganggap 'analysis' adalah resource baru
+    res.status(202).json({
       status: "success",
-      message: "Analisis video telah dimulai dan selesai diproses.", // Sesuaikan pesan jika prosesnya background
-      data: analysisResult, // Mengembalikan detail VideoAnalysis
+      message:
+        "Analisis video telah diterima dan sedang diproses di latar belakang.",
+      data: analysisResult, // Mengembalikan detail VideoAnalysis (status PENDING)
     });
   } catch (error) {
     console.error("[Controller] Error saat submitVideoForAnalysis:", error);
@@ -44,6 +42,134 @@ const submitVideoForAnalysis = async (req, res, next) => {
   }
 };
 
+/**
+ * Menerima file komentar (CSV/JSON) sebagai body mentah dan memulai analisis offline-nya.
+ */
+const importCommentsForAnalysis = async (req, res, next) => {
+  try {
+    if (typeof req.body !== "string" || req.body.trim() === "") {
+      throw new BadRequestError(
+        "Isi file komentar kosong. Kirim file CSV/JSON sebagai body request."
+      );
+    }
+
+    const analysisResult = await importService.startImportAnalysis(
+      req.user._id,
+      req.body,
+      req.query
+    );
+    res.locals.audit = {
+      target: { type: "VideoAnalysis", id: String(analysisResult._id) },
+      details: { totalCommentsFetched: analysisResult.totalCommentsFetched },
+    };
+
+    res.status(202).json({
+      status: "success",
+      message:
+        "File komentar telah diterima dan sedang dianalisis di latar belakang.",
+      data: analysisResult,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil status dan progres sebuah VideoAnalysis (untuk polling frontend).
+ */
+const getVideoAnalysisStatus = async (req, res, next) => {
+  try {
+    const { analysisId } = req.params;
+    const userId = req.user._id;
+
+    const analysis = await videoAnalysisService.getVideoAnalysisStatus(
+      analysisId,
+      userId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Status analisis video berhasil diambil.",
+      data: analysis,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil riwayat analisis milik pengguna per halaman (kursor `before`).
+ */
+const listVideoAnalyses = async (req, res, next) => {
+  try {
+    const result = await videoAnalysisService.listVideoAnalyses(
+      req.user._id,
+      req.query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Riwayat analisis berhasil diambil.",
+      count: result.analyses.length,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menghapus sebuah analisis beserta komentar tersimpannya; `?keepStats=true` menyimpan
+ * statistik agregat anonimnya.
+ */
+const deleteVideoAnalysis = async (req, res, next) => {
+  try {
+    const result = await analysisCleanupService.deleteVideoAnalysis(
+      req.user._id,
+      req.params.analysisId,
+      req.query
+    );
+    res.locals.audit = {
+      details: { deletedComments: result.deletedComments },
+    };
+
+    res.status(200).json({
+      status: "success",
+      message: `Analisis dan ${result.deletedComments} komentarnya berhasil dihapus.`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Menghapus semua analisis pengguna yang lebih lama dari `olderThanDays` hari.
+ */
+const clearAnalysisHistory = async (req, res, next) => {
+  try {
+    const result = await analysisCleanupService.clearAnalysisHistory(
+      req.user._id,
+      req.query
+    );
+    res.locals.audit = {
+      details: {
+        deletedAnalyses: result.deletedAnalyses,
+        deletedComments: result.deletedComments,
+        skippedAnalyses: result.skippedAnalyses,
+      },
+    };
+
+    res.status(200).json({
+      status: "success",
+      message: `${result.deletedAnalyses} analisis lama berhasil dihapus.`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Mengambil hasil komentar yang sudah dianalisis untuk sebuah VideoAnalysis.
  */
@@ -60,16 +186,17 @@ const getAnalyzedCommentsForVideo = async (req, res, next) => {
       throw new BadRequestError('Parameter "analysisId" diperlukan.');
     }
 
-    const comments = await videoAnalysisService.getAnalysisResults(
+    const results = await videoAnalysisService.getAnalysisResults(
       analysisId,
-      userId
+      userId,
+      req.query
     );
 
     res.status(200).json({
       status: "success",
       message: "Data komentar hasil analisis berhasil diambil.",
-      count: comments.length,
-      data: comments,
+      count: results.comments.length,
+      data: results, // { comments, nextCursor, facets }
     });
   } catch (error) {
     next(error);
@@ -85,28 +212,130 @@ const batchDeleteJudiCommentsController = async (req, res, next) => {
       throw new BadRequestError("Parameter analysisId diperlukan.");
     }
 
-    const result = await videoAnalysisService.requestBatchDeleteJudiComments(
-      userId,
-      analysisId
-    );
+    if (req.query.dryRun) {
+      const preview = await deletionJobService.previewBatchDeletion(
+        userId,
+        analysisId,
+        req.body
+      );
+      return res.status(200).json({
+        status: "success",
+        message: `Dry-run: ${preview.totalTargeted} komentar akan diproses, ${preview.skipped.length} dilewati.`,
+        data: preview,
+      });
+    }
 
-    res.status(204).json({
-      success: true,
-      message:
-        result.message ||
-        "Proses penghapusan massal komentar 'judi' telah diproses.",
-      data: {
-        totalTargeted: result.totalTargeted,
-        successfullyDeleted: result.successfullyDeleted,
-        failedToDelete: result.failedToDelete,
-        failures: result.failures,
-      },
+    // Penghapusan dijalankan bertahap oleh worker; frontend memantau progresnya
+    // lewat GET /analysis/videos/:analysisId/deletion-job
+    const { job, isNew } =
+      await videoAnalysisService.requestBatchDeleteJudiComments(
+        userId,
+        analysisId,
+        req.body
+      );
+
+    res.status(202).json({
+      status: "success",
+      message: isNew
+        ? `Penghapusan ${job.totalTargeted} komentar 'judi' telah diantrekan.`
+        : "Penghapusan massal untuk analisis ini sedang berjalan.",
+      data: job,
     });
   } catch (error) {
     next(error); // Teruskan error ke global error handler
   }
 };
 
+/**
+ * Mengambil status dan progres job penghapusan massal terbaru sebuah analisis.
+ */
+const getDeletionJobController = async (req, res, next) => {
+  try {
+    const job = await deletionJobService.getLatestDeletionJob(
+      req.user._id,
+      req.params.analysisId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Status job penghapusan berhasil diambil.",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Melanjutkan job penghapusan massal yang terjeda karena kuota atau gagal.
+ */
+const resumeDeletionJobController = async (req, res, next) => {
+  try {
+    const job = await deletionJobService.resumeDeletionJob(
+      req.user._id,
+      req.params.analysisId,
+      req.body
+    );
+
+    res.status(202).json({
+      status: "success",
+      message: "Penghapusan massal dilanjutkan dari komentar yang tersisa.",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengantrekan klasifikasi ulang komentar tersimpan (satu analisis atau rentang tanggal)
+ * dengan model AI terbaru, tanpa mengambil ulang komentar dari YouTube.
+ */
+const reclassifyCommentsController = async (req, res, next) => {
+  try {
+    const { job, isNew } =
+      await reclassificationService.createReclassificationJob(
+        req.user._id,
+        req.body
+      );
+    res.locals.audit = {
+      target: { type: "ReclassificationJob", id: String(job._id) },
+      details: { totalTargeted: job.totalTargeted, isNew },
+    };
+
+    res.status(202).json({
+      status: "success",
+      message: isNew
+        ? `Klasifikasi ulang ${job.totalTargeted} komentar telah diantrekan.`
+        : "Klasifikasi ulang lain masih berjalan. Tunggu hingga selesai sebelum memulai yang baru.",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mengambil progres job klasifikasi ulang beserta jumlah verdict yang berubah per
+ * versi model.
+ */
+const getReclassificationJobController = async (req, res, next) => {
+  try {
+    const job = await reclassificationService.getReclassificationJob(
+      req.user._id,
+      req.params.jobId
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Status job klasifikasi ulang berhasil diambil.",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // const deleteAnalyzedCommentController = async (req, res) => {
 //   try {
 //     const { analyzedCommentId } = req.params;
@@ -242,7 +471,16 @@ const deleteAnalyzedCommentController = async (req, res, next) => {
 
 module.exports = {
   submitVideoForAnalysis,
+  importCommentsForAnalysis,
+  getVideoAnalysisStatus,
+  listVideoAnalyses,
+  deleteVideoAnalysis,
+  clearAnalysisHistory,
   getAnalyzedCommentsForVideo,
   batchDeleteJudiCommentsController,
+  getDeletionJobController,
+  resumeDeletionJobController,
+  reclassifyCommentsController,
+  getReclassificationJobController,
   deleteAnalyzedCommentController,
 };
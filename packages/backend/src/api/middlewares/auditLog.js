@@ -0,0 +1,57 @@
+// src/api/middlewares/auditLog.js
+const auditService = require("../services/audit.service");
+
+/**
+ * Middleware untuk mencatat aksi sebuah rute ke audit log setelah respons terkirim.
+ * Hasil diambil dari status code (>= 400 berarti FAILED, pesan error ikut disimpan).
+ * Controller dapat melengkapi catatan lewat `res.locals.audit`
+ * (`{ result, details, relatedIds, target }`).
+ * Pasang setelah `isAuthenticated` dan `validateRequest` agar `req.user` dan input
+ * yang sudah divalidasi tersedia.
+ * @param {string} action - Salah satu `AuditLog.AUDIT_ACTIONS`.
+ * @param {object} [options]
+ * @param {string} [options.targetType] - Nama entitas target, misal "AnalyzedComment".
+ * @param {Function} [options.getTargetId] - `(req) => id` target aksi.
+ * @param {Function} [options.getDetails] - `(req) => object` parameter aksi yang aman disimpan.
+ * @param {Function} [options.getRelatedIds] - `(req) => string[]` komentar terdampak.
+ * @param {Function} [options.skip] - `(req) => boolean`, misal untuk dry-run.
+ */
+const auditLog = (
+  action,
+  { targetType, getTargetId, getDetails, getRelatedIds, skip } = {}
+) => {
+  return (req, res, next) => {
+    if (skip?.(req)) return next();
+
+    // Tangkap body JSON agar pesan error dari errorHandler ikut tercatat
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on("finish", () => {
+      const failed = res.statusCode >= 400;
+      const audit = res.locals.audit || {};
+      auditService.recordAudit({
+        userId: req.user._id,
+        actor: req.user,
+        action,
+        result: failed ? "FAILED" : audit.result || "SUCCESS",
+        target: audit.target || {
+          type: targetType,
+          id: getTargetId?.(req),
+        },
+        relatedIds: audit.relatedIds || getRelatedIds?.(req),
+        details: { ...getDetails?.(req), ...audit.details },
+        error: failed ? responseBody?.message : undefined,
+        req,
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = auditLog;
@@ -16,7 +16,17 @@ const validateRequest = (schema, property = "body") => {
     }
 
     // Ganti req[property] dengan data yang sudah divalidasi (dan mungkin di-strip)
-    req[property] = value;
+    if (property === "query") {
+      // Di Express 5 `req.query` hanya getter, jadi harus didefinisikan ulang
+      Object.defineProperty(req, "query", {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    } else {
+      req[property] = value;
+    }
     next();
   };
 };
@@ -0,0 +1,64 @@
+// src/models/AnalysisStatsArchive.model.js
+const mongoose = require("mongoose");
+const { MODERATION_STATES } = require("../../utils/commentQuery");
+
+const countField = { type: Number, default: 0 };
+
+// Statistik agregat anonim dari VideoAnalysis yang sudah dihapus pengguna (opsi
+// `keepStats`). Tidak menyimpan teks, ID, maupun penulis komentar; hanya jumlah per
+// klasifikasi efektif, status moderasi, dan hari publikasi komentar.
+const analysisStatsArchiveSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // ID VideoAnalysis asal (dokumennya sudah dihapus)
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+    },
+    source: { type: String },
+    youtubeVideoId: { type: String },
+    youtubeChannelId: { type: String },
+    videoTitle: { type: String },
+    analysisRequestedAt: { type: Date },
+    totalComments: countField,
+    totalReplies: countField,
+    classificationCounts: {
+      JUDI: countField,
+      NON_JUDI: countField,
+      NEEDS_REVIEW: countField,
+      ERROR_ANALYSIS: countField,
+    },
+    moderationCounts: Object.fromEntries(
+      MODERATION_STATES.map((state) => [state, countField])
+    ),
+    // Jumlah komentar per hari publikasi (UTC), untuk statistik tren
+    daily: {
+      type: [
+        {
+          _id: false,
+          date: Date,
+          JUDI: countField,
+          NON_JUDI: countField,
+          NEEDS_REVIEW: countField,
+        },
+      ],
+      default: [],
+    },
+    deletedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+analysisStatsArchiveSchema.index({ userId: 1, analysisRequestedAt: -1 });
+
+const AnalysisStatsArchive = mongoose.model(
+  "AnalysisStatsArchive",
+  analysisStatsArchiveSchema
+);
+
+module.exports = AnalysisStatsArchive;
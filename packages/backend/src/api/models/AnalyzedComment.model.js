@@ -37,6 +37,33 @@ const analyzedCommentSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Teks setelah normalisasi penyamaran Unicode (utils/textNormalizer.js) yang dikirim
+    // ke classifier; hanya diisi jika berbeda dari commentTextOriginal
+    commentTextNormalized: { type: String },
+    textTransformations: {
+      type: [
+        {
+          _id: false,
+          type: { type: String }, // Misal: UNICODE_STYLED, HOMOGLYPHS, LEETSPEAK
+          count: { type: Number },
+        },
+      ],
+      default: undefined,
+    },
+    // Tujuan promosi yang diekstrak dari commentTextOriginal (utils/promotionExtractor.js);
+    // hanya diisi jika komentar memuat link, nomor telepon, atau handle
+    promotions: {
+      type: new mongoose.Schema(
+        {
+          links: [String],
+          domains: [String],
+          phoneNumbers: [String], // Format +62...
+          handles: [String], // Format "platform:@nama", misal "telegram:@admin"
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
     commentAuthorDisplayName: { type: String },
     commentAuthorChannelId: { type: String },
     commentAuthorProfileImageUrl: { type: String },
@@ -53,6 +80,7 @@ const analyzedCommentSchema = new mongoose.Schema(
       enum: [
         "JUDI",
         "NON_JUDI",
+        "NEEDS_REVIEW", // Keyakinan model di antara reviewThreshold dan autoActionThreshold
         "PENDING_ANALYSIS",
         "ERROR_ANALYSIS",
         "UNKNOWN",
@@ -60,18 +88,82 @@ const analyzedCommentSchema = new mongoose.Schema(
       default: "PENDING_ANALYSIS",
     },
     aiConfidenceScore: { type: Number },
+    // Label asli dari model sebelum kebijakan ambang keyakinan pengguna diterapkan
+    aiRawClassification: { type: String, enum: ["JUDI", "NON_JUDI"] },
     aiModelVersion: { type: String },
+    // Verdict AI sebelumnya, disimpan setiap kali komentar diklasifikasi ulang dengan
+    // model yang lebih baru (lihat reclassification.service.js); terlama dulu
+    classificationHistory: {
+      type: [
+        {
+          _id: false,
+          classification: String,
+          aiRawClassification: String,
+          aiConfidenceScore: Number,
+          aiModelVersion: String,
+          ruleScore: Number,
+          matchedRuleIds: { type: [String], default: undefined },
+          judiScore: Number,
+          classifiedAt: Date,
+        },
+      ],
+      default: undefined,
+    },
+    reclassifiedAt: { type: Date },
+    // Skor dan ID aturan dari rules engine (config/gamblingRules.js) yang cocok
+    ruleScore: { type: Number },
+    matchedRuleIds: { type: [String], default: undefined },
+    // Probabilitas judi gabungan model + aturan yang dibandingkan dengan ambang pengguna
+    judiScore: { type: Number },
+    // Verdict moderator manusia; jika ada, menggantikan `classification` dari AI
+    // untuk ringkasan dan penghapusan, tanpa menimpa verdict AI aslinya.
+    humanClassification: { type: String, enum: ["JUDI", "NON_JUDI"] },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    // Status moderasi terakhir yang berhasil dikirim lewat comments.setModerationStatus
+    youtubeModerationStatus: {
+      type: String,
+      enum: ["heldForReview", "published", "rejected"],
+    },
+    moderatedAt: { type: Date },
+    // true selama komentar tersembunyi dari publik (status 'heldForReview' atau 'rejected')
+    isModeratedOnYoutube: { type: Boolean, default: false },
+    // Aksi moderasi terakhir yang diminta pengguna beserta hasilnya, termasuk yang gagal
+    moderationAction: {
+      type: String,
+      enum: ["heldForReview", "rejected", "published", "delete"],
+    },
+    moderationResult: { type: String, enum: ["SUCCESS", "FAILED"] },
+    moderationError: { type: String },
+    moderationAttemptedAt: { type: Date },
     isDeletedOnYoutube: { type: Boolean, default: false },
     deletionAttemptedAt: { type: Date },
     deletionError: { type: String },
+    // Kampanye spam (kelompok komentar hampir identik) tempat komentar ini tergabung
+    campaignId: { type: mongoose.Schema.Types.ObjectId, ref: "SpamCampaign" },
   },
   { timestamps: true }
 );
 
 // Index untuk query yang lebih efisien
-analyzedCommentSchema.index({ videoAnalysisId: 1 });
-analyzedCommentSchema.index({ userId: 1, youtubeVideoId: 1 }); // Mungkin tidak perlu userId di sini jika sudah ada di videoAnalysisId
+analyzedCommentSchema.index({ analysisId: 1 });
+analyzedCommentSchema.index({
+  userId: 1,
+  youtubeVideoId: 1,
+  commentPublishedAt: 1,
+}); // Ringkasan scan channel & export per video, urut waktu
 analyzedCommentSchema.index({ classification: 1 });
+analyzedCommentSchema.index({ userId: 1, classification: 1, reviewedAt: -1 }); // Antrean tinjauan
+analyzedCommentSchema.index({ userId: 1, commentAuthorChannelId: 1 }); // Reputasi penulis
+analyzedCommentSchema.index(
+  { analysisId: 1, "promotions.domains": 1 },
+  { sparse: true }
+); // Laporan tujuan promosi
+analyzedCommentSchema.index({ campaignId: 1 }, { sparse: true }); // Anggota kampanye spam
+analyzedCommentSchema.index({ analysisId: 1, commentPublishedAt: 1 }); // Hasil & export per analisis, urut waktu
+analyzedCommentSchema.index({ analysisId: 1, aiConfidenceScore: 1 }); // Hasil per analisis, urut keyakinan
+analyzedCommentSchema.index({ analysisId: 1, likeCount: 1 }); // Hasil per analisis, urut jumlah suka
+analyzedCommentSchema.index({ userId: 1, commentPublishedAt: 1 }); // Statistik tren per periode
 // Index untuk youtubeCommentId sudah ada karena unique: true
 
 const AnalyzedComment = mongoose.model(
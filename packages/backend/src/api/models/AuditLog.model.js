@@ -0,0 +1,115 @@
+// src/models/AuditLog.model.js
+const mongoose = require("mongoose");
+const { ForbiddenError } = require("../../utils/errors");
+
+// Daftar aksi yang dicatat ke audit log
+const AUDIT_ACTIONS = [
+  "comment.moderate", // Tahan/sembunyikan/pulihkan/hapus satu komentar
+  "comment.bulkModerate", // Satu aksi moderasi untuk banyak komentar
+  "comment.delete", // Hapus satu komentar dari halaman hasil analisis
+  "comment.batchDelete", // Membuat job penghapusan massal komentar judi
+  "deletionJob.resume", // Melanjutkan job penghapusan yang terjeda
+  "deletionJob.batch", // Satu batch yang dieksekusi worker job penghapusan
+  "campaign.moderate",
+  "author.ban",
+  "review.verdict", // Mengonfirmasi/membalik verdict AI
+  "review.clearVerdict",
+  "analysis.start",
+  "analysis.import",
+  "analysis.reclassify", // Klasifikasi ulang komentar tersimpan dengan model AI terbaru
+  "analysis.delete", // Hapus analisis beserta komentar tersimpannya
+  "analysis.clearHistory", // Hapus analisis yang lebih lama dari N hari
+  "channelScan.start",
+  "monitor.watch",
+  "monitor.update",
+  "monitor.unwatch",
+  "youtube.connect",
+  "youtube.disconnect",
+  "account.update",
+  "account.changePassword",
+  "account.delete",
+  "account.moderationSettings",
+];
+
+const AUDIT_RESULTS = ["SUCCESS", "PARTIAL", "FAILED"];
+
+// Catatan audit append-only: siapa melakukan apa, ke target mana, dengan hasil apa.
+// Dokumen hanya boleh dibuat; ubah dan hapus ditolak oleh hook di bawah.
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Pemilik data/akun tempat aksi terjadi (dipakai untuk memfilter log per pengguna)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Pelaku aksi. Snapshot username/email disimpan agar log tetap terbaca meski
+    // profil pengguna berubah. "system" untuk aksi worker atas nama pengguna.
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "system"],
+        default: "user",
+      },
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      username: { type: String },
+      email: { type: String },
+    },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    target: {
+      // Nama model/entitas target, misal "AnalyzedComment" atau "User"
+      type: { type: String },
+      id: { type: String },
+    },
+    // ID AnalyzedComment yang terdampak aksi massal, agar bisa dicari per komentar
+    relatedIds: { type: [String], default: undefined },
+    result: { type: String, enum: AUDIT_RESULTS, required: true },
+    // Ringkasan parameter dan hasil aksi (tanpa data sensitif seperti password/token)
+    details: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    request: {
+      ip: { type: String },
+      userAgent: { type: String },
+      method: { type: String },
+      path: { type: String },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ userId: 1, _id: -1 });
+auditLogSchema.index({ userId: 1, "target.id": 1 });
+auditLogSchema.index({ userId: 1, relatedIds: 1 });
+
+// Tolak semua operasi yang mengubah atau menghapus catatan yang sudah ada
+const rejectMutation = function (next) {
+  next(new ForbiddenError("Audit log bersifat append-only."));
+};
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectMutation
+);
+auditLogSchema.pre(
+  ["updateOne", "deleteOne"],
+  { document: true, query: false },
+  rejectMutation
+);
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.AUDIT_RESULTS = AUDIT_RESULTS;
@@ -0,0 +1,33 @@
+// src/models/BannedAuthor.model.js
+const mongoose = require("mongoose");
+
+// Penulis komentar yang sudah disembunyikan seluruh komentarnya dan/atau diblokir
+// dari channel YouTube pengguna lewat `comments.setModerationStatus`.
+const bannedAuthorSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    authorChannelId: {
+      // ID channel YouTube penulis komentar
+      type: String,
+      required: true,
+    },
+    authorDisplayName: { type: String },
+    authorProfileImageUrl: { type: String },
+    isChannelBanned: { type: Boolean, default: false },
+    bannedAt: { type: Date },
+    // Jumlah total komentar yang sudah disembunyikan (status 'rejected') dari penulis ini
+    hiddenCommentCount: { type: Number, default: 0 },
+    lastActionAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+bannedAuthorSchema.index({ userId: 1, authorChannelId: 1 }, { unique: true });
+
+const BannedAuthor = mongoose.model("BannedAuthor", bannedAuthorSchema);
+
+module.exports = BannedAuthor;
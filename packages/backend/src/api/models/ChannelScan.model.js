@@ -0,0 +1,45 @@
+// src/models/ChannelScan.model.js
+const mongoose = require("mongoose");
+
+// Satu permintaan "scan channel": mengantrekan VideoAnalysis untuk setiap video
+// di playlist uploads channel pengguna. Status scan dihitung dari status analisis anaknya.
+const channelScanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    youtubeChannelId: {
+      type: String,
+      required: true,
+    },
+    channelTitle: {
+      type: String,
+    },
+    uploadsPlaylistId: {
+      type: String,
+    },
+    // Filter yang dipakai saat scan dibuat
+    filters: {
+      publishedAfter: { type: Date },
+      publishedBefore: { type: Date },
+      maxVideos: { type: Number },
+    },
+    totalVideosQueued: {
+      type: Number,
+      default: 0,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+channelScanSchema.index({ userId: 1, requestedAt: -1 });
+
+const ChannelScan = mongoose.model("ChannelScan", channelScanSchema);
+
+module.exports = ChannelScan;
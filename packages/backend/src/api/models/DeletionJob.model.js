@@ -0,0 +1,70 @@
+// src/models/DeletionJob.model.js
+const mongoose = require("mongoose");
+
+// Job penghapusan massal komentar judi untuk satu VideoAnalysis. Diproses berurutan oleh
+// `deletionJob.worker.js` dengan pembatasan laju, sehingga progres tetap tersimpan jika
+// server restart dan job dapat dilanjutkan setelah kuota YouTube habis.
+const deletionJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VideoAnalysis",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "QUEUED",
+        "RUNNING",
+        "PAUSED_QUOTA", // Anggaran kuota job atau kuota harian YouTube habis; bisa dilanjutkan
+        "COMPLETED",
+        "FAILED",
+      ],
+      default: "QUEUED",
+    },
+    // Ambang aksi otomatis saat job dibuat, agar target tidak berubah di tengah job
+    autoActionThreshold: { type: Number, required: true },
+    // Komentar yang dikecualikan pengguna dari pratinjau dry-run
+    excludedCommentIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+    },
+    // Anggaran unit kuota YouTube Data API untuk satu kali jalan (reset saat dilanjutkan)
+    quotaBudget: { type: Number, required: true },
+    quotaUsed: { type: Number, default: 0 },
+    totalTargeted: { type: Number, default: 0 },
+    deletedCount: { type: Number, default: 0 }, // Komentar milik channel pengguna, dihapus permanen
+    hiddenCount: { type: Number, default: 0 }, // Komentar orang lain, disembunyikan ('rejected')
+    failedCount: { type: Number, default: 0 },
+    // Komentar terakhir yang sudah diproses pada putaran ini (urut _id)
+    cursorCommentId: { type: mongoose.Schema.Types.ObjectId },
+    // Kegagalan terakhir (dibatasi) untuk ditampilkan ke pengguna
+    failures: {
+      type: [
+        {
+          _id: false,
+          youtubeCommentId: String,
+          error: String,
+        },
+      ],
+      default: [],
+    },
+    lastError: { type: String },
+    startedAt: { type: Date },
+    pausedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+deletionJobSchema.index({ status: 1, createdAt: 1 }); // Untuk worker mengambil antrean QUEUED tertua
+deletionJobSchema.index({ analysisId: 1, createdAt: -1 });
+
+const DeletionJob = mongoose.model("DeletionJob", deletionJobSchema);
+
+module.exports = DeletionJob;
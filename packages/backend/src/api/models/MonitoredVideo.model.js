@@ -0,0 +1,47 @@
+// src/models/MonitoredVideo.model.js
+const mongoose = require("mongoose");
+
+// Video yang dipantau pengguna. Worker monitor membuat VideoAnalysis inkremental
+// secara berkala sehingga komentar baru ikut dianalisis tanpa mengambil ulang seluruh thread.
+const monitoredVideoSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    youtubeVideoId: {
+      type: String,
+      required: true,
+    },
+    videoTitle: {
+      type: String,
+    },
+    intervalMinutes: {
+      type: Number,
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Penanda posisi re-scan: thread dengan komentar tingkat atas sampai tanggal ini sudah
+    // dianalisis. Balasan baru pada thread tersebut tidak diambil lagi oleh re-scan.
+    lastSeenCommentPublishedAt: { type: Date },
+    lastCheckedAt: { type: Date },
+    nextCheckAt: { type: Date },
+    lastAnalysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VideoAnalysis",
+    },
+    lastError: { type: String },
+  },
+  { timestamps: true }
+);
+
+monitoredVideoSchema.index({ userId: 1, youtubeVideoId: 1 }, { unique: true });
+monitoredVideoSchema.index({ isActive: 1, nextCheckAt: 1 }); // Untuk worker mengambil video yang jatuh tempo
+
+const MonitoredVideo = mongoose.model("MonitoredVideo", monitoredVideoSchema);
+
+module.exports = MonitoredVideo;
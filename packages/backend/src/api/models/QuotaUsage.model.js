@@ -0,0 +1,28 @@
+// src/models/QuotaUsage.model.js
+const mongoose = require("mongoose");
+
+// Buku besar pemakaian kuota YouTube Data API: satu dokumen per pengguna, per hari kuota
+// (zona waktu Pasifik, mengikuti reset kuota YouTube), per operasi API.
+const quotaUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Tanggal hari kuota dalam format YYYY-MM-DD
+    day: { type: String, required: true },
+    // Nama operasi API, misal "commentThreads.list" atau "comments.delete"
+    operation: { type: String, required: true },
+    calls: { type: Number, default: 0 },
+    units: { type: Number, default: 0 },
+    lastCalledAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+quotaUsageSchema.index({ userId: 1, day: 1, operation: 1 }, { unique: true });
+
+const QuotaUsage = mongoose.model("QuotaUsage", quotaUsageSchema);
+
+module.exports = QuotaUsage;
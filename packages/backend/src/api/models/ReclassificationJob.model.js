@@ -0,0 +1,65 @@
+// src/models/ReclassificationJob.model.js
+const mongoose = require("mongoose");
+
+// Job klasifikasi ulang komentar yang sudah tersimpan dengan model AI terbaru, untuk satu
+// VideoAnalysis atau semua komentar pengguna dalam rentang tanggal. Diproses per batch oleh
+// `reclassification.worker.js`; komentar tidak diambil ulang dari YouTube.
+const reclassificationJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Cakupan job: satu analisis, atau komentar yang disimpan dalam rentang from..to
+    scope: {
+      analysisId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "VideoAnalysis",
+      },
+      from: { type: Date },
+      to: { type: Date },
+    },
+    status: {
+      type: String,
+      enum: ["QUEUED", "RUNNING", "COMPLETED", "FAILED"],
+      default: "QUEUED",
+    },
+    totalTargeted: { type: Number, default: 0 },
+    processedCount: { type: Number, default: 0 },
+    // Komentar yang klasifikasinya berbeda dari verdict AI sebelumnya
+    changedCount: { type: Number, default: 0 },
+    // Komentar yang gagal diklasifikasi model baru; verdict lamanya dipertahankan
+    failedCount: { type: Number, default: 0 },
+    // Jumlah komentar per perpindahan versi model dan klasifikasi (termasuk yang tidak berubah)
+    transitions: {
+      type: [
+        {
+          _id: false,
+          fromModelVersion: String,
+          toModelVersion: String,
+          fromClassification: String,
+          toClassification: String,
+          count: Number,
+        },
+      ],
+      default: [],
+    },
+    // Komentar terakhir yang sudah diproses (urut _id), agar job bisa dilanjutkan
+    cursorCommentId: { type: mongoose.Schema.Types.ObjectId },
+    lastError: { type: String },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+reclassificationJobSchema.index({ status: 1, createdAt: 1 }); // Untuk worker mengambil antrean QUEUED tertua
+reclassificationJobSchema.index({ userId: 1, createdAt: -1 });
+
+const ReclassificationJob = mongoose.model(
+  "ReclassificationJob",
+  reclassificationJobSchema
+);
+
+module.exports = ReclassificationJob;
@@ -0,0 +1,38 @@
+// src/models/SpamCampaign.model.js
+const mongoose = require("mongoose");
+
+// Kelompok komentar hampir identik (kampanye spam) lintas video milik pengguna.
+// Dibangun ulang seluruhnya oleh campaign.service; anggota ditandai lewat
+// `AnalyzedComment.campaignId`.
+const spamCampaignSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    size: { type: Number, required: true },
+    // Contoh teks anggota paling awal, untuk ditampilkan di daftar kampanye
+    sampleText: { type: String },
+    firstSeenAt: { type: Date },
+    lastSeenAt: { type: Date },
+    videoIds: { type: [String], default: [] },
+    videoCount: { type: Number, default: 0 },
+    authorChannelIds: { type: [String], default: [] },
+    authorCount: { type: Number, default: 0 },
+    judiCount: { type: Number, default: 0 },
+    // Aksi moderasi terakhir yang diterapkan ke seluruh anggota kampanye
+    moderationStatus: {
+      type: String,
+      enum: ["heldForReview", "rejected"],
+    },
+    lastModeratedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+spamCampaignSchema.index({ userId: 1, size: -1 });
+
+const SpamCampaign = mongoose.model("SpamCampaign", spamCampaignSchema);
+
+module.exports = SpamCampaign;
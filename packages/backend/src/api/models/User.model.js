@@ -52,6 +52,14 @@ const userSchema = new mongoose.Schema(
     youtubeTokenExpiresAt: { type: Date, select: false },
     youtubeChannelId: { type: String },
     youtubeChannelName: { type: String },
+    moderationSettings: {
+      // Probabilitas judi minimal agar komentar otomatis berstatus JUDI (dan boleh dihapus massal)
+      autoActionThreshold: { type: Number, min: 0.5, max: 1, default: 0.9 },
+      // Probabilitas judi minimal agar komentar masuk antrean NEEDS_REVIEW
+      reviewThreshold: { type: Number, min: 0.5, max: 1, default: 0.6 },
+      // Domain tambahan (selain config/domainBlocklist.js) yang memaksa verdict JUDI
+      blockedDomains: { type: [String], default: undefined },
+    },
   },
   {
     timestamps: true, // Otomatis membuat createdAt dan updatedAt
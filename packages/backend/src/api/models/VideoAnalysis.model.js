@@ -1,6 +1,20 @@
 // src/models/VideoAnalysis.model.js
 const mongoose = require("mongoose");
 
+// Status analisis, termasuk status yang terkait dengan proses penghapusan
+const ANALYSIS_STATUSES = [
+  "PENDING",
+  "PROCESSING",
+  "COMPLETED",
+  "FAILED",
+  "DELETING_CLASSIFIED_COMMENTS", // Status saat proses hapus berjalan
+  "COMPLETED_ALL_DELETIONS_SUCCESSFULLY", // Status jika semua berhasil dihapus
+  "COMPLETED_DELETION_WITH_PARTIAL_ERRORS", // Status jika ada yang gagal dihapus
+  "FAILED_ALL_DELETIONS", // Status jika semua gagal dihapus
+  // Anda juga bisa menggunakan status yang lebih umum seperti "COMPLETED_JUDI_DELETION"
+];
+const ANALYSIS_SOURCES = ["youtube", "import"];
+
 const videoAnalysisSchema = new mongoose.Schema(
   {
     userId: {
@@ -12,29 +26,58 @@ const videoAnalysisSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Asal komentar: diambil dari YouTube Data API, atau diimpor dari file CSV/JSON
+    // (misal export Google Takeout) untuk channel yang tidak terhubung lewat OAuth
+    source: {
+      type: String,
+      enum: ANALYSIS_SOURCES,
+      default: "youtube",
+    },
     videoTitle: {
       type: String,
     },
+    videoPublishedAt: {
+      type: Date,
+    },
+    // Waktu mulai siaran langsung, jika video adalah (bekas) live stream
+    liveStreamStartedAt: { type: Date },
+    // Channel pemilik video, untuk laporan per channel
+    youtubeChannelId: {
+      type: String,
+    },
+    // Terisi jika analisis ini adalah re-scan terjadwal dari video yang dipantau
+    monitoredVideoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MonitoredVideo",
+      index: true,
+    },
+    // Re-scan inkremental: hanya komentar yang lebih baru dari tanggal ini yang diambil
+    sinceCommentPublishedAt: { type: Date },
+    // Tanggal komentar tingkat atas terbaru yang terlihat pada analisis ini; untuk re-scan
+    // inkremental, penanda re-scan berikutnya
+    latestCommentPublishedAt: { type: Date },
+    // Re-scan inkremental terpotong batas komentar per re-scan; sisanya diambil re-scan berikutnya
+    hasMoreNewComments: { type: Boolean },
+    // Terisi jika analisis ini dibuat oleh scan seluruh channel
+    channelScanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChannelScan",
+      index: true,
+    },
     status: {
       type: String,
-      // PERBAIKAN: Tambahkan semua status baru yang terkait dengan proses penghapusan
-      enum: [
-        "PENDING",
-        "PROCESSING",
-        "COMPLETED",
-        "FAILED",
-        "DELETING_CLASSIFIED_COMMENTS", // Status saat proses hapus berjalan
-        "COMPLETED_ALL_DELETIONS_SUCCESSFULLY", // Status jika semua berhasil dihapus
-        "COMPLETED_DELETION_WITH_PARTIAL_ERRORS", // Status jika ada yang gagal dihapus
-        "FAILED_ALL_DELETIONS", // Status jika semua gagal dihapus
-        // Anda juga bisa menggunakan status yang lebih umum seperti "COMPLETED_JUDI_DELETION"
-      ],
+      enum: ANALYSIS_STATUSES,
       default: "PENDING",
     },
     totalCommentsFetched: {
       type: Number,
       default: 0,
     },
+    totalRepliesFetched: {
+      // Jumlah balasan (replies) yang ikut diambil, sudah termasuk dalam totalCommentsFetched
+      type: Number,
+      default: 0,
+    },
     totalCommentsAnalyzed: {
       type: Number,
       default: 0,
@@ -42,6 +85,12 @@ const videoAnalysisSchema = new mongoose.Schema(
     errorMessage: {
       type: String,
     },
+    // Progres pemrosesan di background worker, dibaca oleh endpoint status untuk polling frontend
+    progress: {
+      pagesFetched: { type: Number, default: 0 },
+      commentsFetched: { type: Number, default: 0 },
+      commentsClassified: { type: Number, default: 0 },
+    },
     // Menambahkan field untuk melacak status batch delete (opsional tapi informatif)
     lastBatchDeletionAttemptAt: { type: Date },
     lastBatchDeletionSuccessCount: { type: Number },
@@ -59,8 +108,13 @@ const videoAnalysisSchema = new mongoose.Schema(
 
 // Index tetap sama
 videoAnalysisSchema.index({ userId: 1, youtubeVideoId: 1 });
+videoAnalysisSchema.index({ userId: 1, youtubeChannelId: 1 });
 videoAnalysisSchema.index({ status: 1 });
+videoAnalysisSchema.index({ status: 1, requestedAt: 1 }); // Untuk worker mengambil antrean PENDING tertua
+videoAnalysisSchema.index({ userId: 1, _id: -1 }); // Untuk riwayat analisis, terbaru dulu
 
 const VideoAnalysis = mongoose.model("VideoAnalysis", videoAnalysisSchema);
 
 module.exports = VideoAnalysis;
+module.exports.ANALYSIS_STATUSES = ANALYSIS_STATUSES;
+module.exports.ANALYSIS_SOURCES = ANALYSIS_SOURCES;
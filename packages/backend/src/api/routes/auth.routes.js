@@ -12,6 +12,7 @@ const {
   changePasswordSchema,
 } = require("../validators/auth.validator");
 const isAuthenticated = require("../middlewares/isAuthenticated");
+const auditLog = require("../middlewares/auditLog");
 
 const router = express.Router();
 
@@ -52,6 +53,9 @@ router.get("/youtube/callback", authController.handleGoogleOAuthCallback);
 router.post(
   "/youtube/disconnect",
   isAuthenticated,
+  auditLog("youtube.disconnect", {
+    getDetails: (req) => ({ youtubeChannelId: req.user.youtubeChannelId }),
+  }),
   authController.handleDisconnectYouTube
 );
 
@@ -75,6 +79,10 @@ router.put(
   // atau validateRequest(changePasswordSchema) jika middleware Anda cerdas.
   // Saya akan mengikuti pola yang paling mirip dengan '/reset-password/:token' untuk konsistensi jika skema sudah mencakup targetnya.
   validateRequest(changePasswordSchema), // 3. Validasi input
+  auditLog("account.changePassword", {
+    targetType: "User",
+    getTargetId: (req) => req.user._id,
+  }),
   authController.handleChangePassword // 4. Panggil handler controller baru
 );
 
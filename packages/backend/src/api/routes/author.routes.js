@@ -0,0 +1,47 @@
+// src/api/routes/author.routes.js
+const express = require("express");
+const authorController = require("../controllers/author.controller");
+const isAuthenticated = require("../middlewares/isAuthenticated");
+const validateRequest = require("../middlewares/validateRequest");
+const auditLog = require("../middlewares/auditLog");
+const {
+  topOffendersQuerySchema,
+  authorCommentsQuerySchema,
+  banAuthorSchema,
+  authorChannelIdParamSchema,
+} = require("../validators/author.validator");
+
+const router = express.Router();
+
+// Rute untuk daftar penulis dengan komentar judi terbanyak di seluruh analisis
+router.get(
+  "/offenders",
+  isAuthenticated,
+  validateRequest(topOffendersQuerySchema, "query"),
+  authorController.getTopOffenders
+);
+
+// Rute untuk melihat komentar seorang penulis
+router.get(
+  "/:authorChannelId/comments",
+  isAuthenticated,
+  validateRequest(authorChannelIdParamSchema, "params"),
+  validateRequest(authorCommentsQuerySchema, "query"),
+  authorController.getAuthorComments
+);
+
+// Rute untuk menyembunyikan semua komentar penulis sekaligus memblokirnya dari channel
+router.post(
+  "/:authorChannelId/ban",
+  isAuthenticated,
+  validateRequest(authorChannelIdParamSchema, "params"),
+  validateRequest(banAuthorSchema, "body"),
+  auditLog("author.ban", {
+    targetType: "Author",
+    getTargetId: (req) => req.params.authorChannelId,
+    getDetails: (req) => req.body,
+  }),
+  authorController.hideAndBanAuthor
+);
+
+module.exports = router;
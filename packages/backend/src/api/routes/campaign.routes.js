@@ -0,0 +1,56 @@
+// src/api/routes/campaign.routes.js
+const express = require("express");
+const campaignController = require("../controllers/campaign.controller");
+const isAuthenticated = require("../middlewares/isAuthenticated");
+const validateRequest = require("../middlewares/validateRequest");
+const auditLog = require("../middlewares/auditLog");
+const {
+  rebuildCampaignsSchema,
+  campaignsQuerySchema,
+  campaignCommentsQuerySchema,
+  moderateCampaignSchema,
+  campaignIdParamSchema,
+} = require("../validators/campaign.validator");
+
+const router = express.Router();
+
+// Rute untuk mengelompokkan ulang komentar hampir identik menjadi kampanye spam
+router.post(
+  "/rebuild",
+  isAuthenticated,
+  validateRequest(rebuildCampaignsSchema, "body"),
+  campaignController.rebuildCampaigns
+);
+
+// Rute untuk daftar kampanye spam, terbesar dulu
+router.get(
+  "/",
+  isAuthenticated,
+  validateRequest(campaignsQuerySchema, "query"),
+  campaignController.getCampaigns
+);
+
+// Rute untuk melihat komentar anggota sebuah kampanye
+router.get(
+  "/:campaignId/comments",
+  isAuthenticated,
+  validateRequest(campaignIdParamSchema, "params"),
+  validateRequest(campaignCommentsQuerySchema, "query"),
+  campaignController.getCampaignComments
+);
+
+// Rute untuk menyembunyikan/menahan seluruh komentar anggota kampanye sekaligus
+router.post(
+  "/:campaignId/moderate",
+  isAuthenticated,
+  validateRequest(campaignIdParamSchema, "params"),
+  validateRequest(moderateCampaignSchema, "body"),
+  auditLog("campaign.moderate", {
+    targetType: "SpamCampaign",
+    getTargetId: (req) => req.params.campaignId,
+    getDetails: (req) => req.body,
+  }),
+  campaignController.moderateCampaign
+);
+
+module.exports = router;
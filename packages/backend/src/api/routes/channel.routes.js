@@ -1 +1,41 @@
 // Manajemen channel YouTube oleh pengguna
+// src/api/routes/channel.routes.js
+const express = require("express");
+const channelController = require("../controllers/channel.controller");
+const isAuthenticated = require("../middlewares/isAuthenticated");
+const validateRequest = require("../middlewares/validateRequest");
+const auditLog = require("../middlewares/auditLog");
+const {
+  startChannelScanSchema,
+  channelScanIdParamSchema,
+  promotedDestinationsQuerySchema,
+} = require("../validators/channel.validator");
+
+const router = express.Router();
+
+// Rute untuk memulai scan seluruh video di channel YouTube yang terhubung
+router.post(
+  "/scans",
+  isAuthenticated,
+  validateRequest(startChannelScanSchema, "body"),
+  auditLog("channelScan.start", { getDetails: (req) => req.body }),
+  channelController.startChannelScan
+);
+
+// Rute untuk memantau progres dan ringkasan komentar judi per video dari sebuah scan
+router.get(
+  "/scans/:channelScanId",
+  isAuthenticated,
+  validateRequest(channelScanIdParamSchema, "params"),
+  channelController.getChannelScanSummary
+);
+
+// Rute untuk laporan domain, nomor, dan handle yang paling sering dipromosikan di channel
+router.get(
+  "/promoted-destinations",
+  isAuthenticated,
+  validateRequest(promotedDestinationsQuerySchema, "query"),
+  channelController.getPromotedDestinations
+);
+
+module.exports = router;
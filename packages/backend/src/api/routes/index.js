@@ -5,6 +5,13 @@ const userRoutes = require("./user.routes");
 const videoAnalysisRoutes = require("./videoAnalysis.routes");
 const textPredictRoutes = require("./textPredict.routes");
 const studioRoutes = require("./studio.routes");
+const channelRoutes = require("./channel.routes");
+const monitorRoutes = require("./monitor.routes");
+const reviewRoutes = require("./review.routes");
+const authorRoutes = require("./author.routes");
+const campaignRoutes = require("./campaign.routes");
+const moderationRoutes = require("./moderation.routes");
+const statsRoutes = require("./stats.routes");
 
 const router = express.Router();
 
@@ -18,6 +25,13 @@ router.get("/health", (req, res) => {
 router.use("/auth", authRoutes);
 router.use("/users", userRoutes);
 router.use("/analysis", videoAnalysisRoutes);
+router.use("/channels", channelRoutes);
+router.use("/monitors", monitorRoutes);
+router.use("/reviews", reviewRoutes);
+router.use("/authors", authorRoutes);
+router.use("/campaigns", campaignRoutes);
+router.use("/moderation", moderationRoutes);
+router.use("/stats", statsRoutes);
 router.use("/studio", studioRoutes);
 router.use("/text", textPredictRoutes);
 
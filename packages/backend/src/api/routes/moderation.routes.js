@@ -0,0 +1,47 @@
+// src/api/routes/moderation.routes.js
+const express = require("express");
+const moderationController = require("../controllers/moderation.controller");
+const isAuthenticated = require("../middlewares/isAuthenticated");
+const validateRequest = require("../middlewares/validateRequest");
+const auditLog = require("../middlewares/auditLog");
+const {
+  moderateCommentSchema,
+  moderateCommentsSchema,
+  analyzedCommentIdParamSchema,
+} = require("../validators/moderation.validator");
+
+const router = express.Router();
+
+// Rute untuk menerapkan satu aksi moderasi ke banyak komentar sekaligus
+router.post(
+  "/comments",
+  isAuthenticated,
+  validateRequest(moderateCommentsSchema, "body"),
+  auditLog("comment.bulkModerate", {
+    getDetails: (req) => ({
+      action: req.body.action,
+      banAuthor: req.body.banAuthor,
+    }),
+    getRelatedIds: (req) => req.body.analyzedCommentIds,
+  }),
+  moderationController.moderateComments
+);
+
+// Rute untuk menahan, menyembunyikan, memulihkan, atau menghapus satu komentar
+router.post(
+  "/comments/:analyzedCommentId",
+  isAuthenticated,
+  validateRequest(analyzedCommentIdParamSchema, "params"),
+  validateRequest(moderateCommentSchema, "body"),
+  auditLog("comment.moderate", {
+    targetType: "AnalyzedComment",
+    getTargetId: (req) => req.params.analyzedCommentId,
+    getDetails: (req) => ({
+      action: req.body.action,
+      banAuthor: req.body.banAuthor,
+    }),
+  }),
+  moderationController.moderateComment
+);
+
+module.exports = router;
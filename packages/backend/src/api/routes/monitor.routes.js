@@ -0,0 +1,59 @@
+// src/api/routes/monitor.routes.js
+const express = require("express");
+const monitorController = require("../controllers/monitor.controller");
+const isAuthenticated = require("../middlewares/isAuthenticated");
+const validateRequest = require("../middlewares/validateRequest");
+const auditLog = require("../middlewares/auditLog");
+const {
+  watchVideoSchema,
+  updateMonitorSchema,
+  monitorIdParamSchema,
+} = require("../validators/monitor.validator");
+
+const router = express.Router();
+
+// Rute untuk daftar video yang dipantau dan menambah video baru ke pantauan
+router.get("/", isAuthenticated, monitorController.listMonitoredVideos);
+router.post(
+  "/",
+  isAuthenticated,
+  validateRequest(watchVideoSchema, "body"),
+  auditLog("monitor.watch", { getDetails: (req) => req.body }),
+  monitorController.watchVideo
+);
+
+// Rute untuk mengubah interval atau menjeda pemantauan
+router.patch(
+  "/:monitorId",
+  isAuthenticated,
+  validateRequest(monitorIdParamSchema, "params"),
+  validateRequest(updateMonitorSchema, "body"),
+  auditLog("monitor.update", {
+    targetType: "MonitoredVideo",
+    getTargetId: (req) => req.params.monitorId,
+    getDetails: (req) => req.body,
+  }),
+  monitorController.updateMonitoredVideo
+);
+
+// Rute untuk berhenti memantau video
+router.delete(
+  "/:monitorId",
+  isAuthenticated,
+  validateRequest(monitorIdParamSchema, "params"),
+  auditLog("monitor.unwatch", {
+    targetType: "MonitoredVideo",
+    getTargetId: (req) => req.params.monitorId,
+  }),
+  monitorController.unwatchVideo
+);
+
+// Rute untuk riwayat re-scan (VideoAnalysis inkremental) dari video yang dipantau
+router.get(
+  "/:monitorId/history",
+  isAuthenticated,
+  validateRequest(monitorIdParamSchema, "params"),
+  monitorController.getMonitorHistory
+);
+
+module.exports = router;
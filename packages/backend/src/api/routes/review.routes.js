@@ -0,0 +1,58 @@
+// src/api/routes/review.routes.js
+const express = require("express");
+const reviewController = require("../controllers/review.controller");
+const isAuthenticated = require("../middlewares/isAuthenticated");
+const validateRequest = require("../middlewares/validateRequest");
+const auditLog = require("../middlewares/auditLog");
+const {
+  reviewQueueQuerySchema,
+  reviewVerdictSchema,
+  exportDatasetQuerySchema,
+  analyzedCommentIdParamSchema,
+} = require("../validators/review.validator");
+
+const router = express.Router();
+
+// Rute untuk antrean tinjauan (pending = NEEDS_REVIEW yang belum ditinjau)
+router.get(
+  "/",
+  isAuthenticated,
+  validateRequest(reviewQueueQuerySchema, "query"),
+  reviewController.getReviewQueue
+);
+
+// Rute untuk mengunduh komentar yang sudah ditinjau sebagai dataset latih (JSONL/CSV)
+router.get(
+  "/export",
+  isAuthenticated,
+  validateRequest(exportDatasetQuerySchema, "query"),
+  reviewController.exportTrainingDataset
+);
+
+// Rute untuk mengonfirmasi atau membalik verdict AI sebuah komentar
+router.put(
+  "/:analyzedCommentId",
+  isAuthenticated,
+  validateRequest(analyzedCommentIdParamSchema, "params"),
+  validateRequest(reviewVerdictSchema, "body"),
+  auditLog("review.verdict", {
+    targetType: "AnalyzedComment",
+    getTargetId: (req) => req.params.analyzedCommentId,
+    getDetails: (req) => ({ classification: req.body.classification }),
+  }),
+  reviewController.submitReviewVerdict
+);
+
+// Rute untuk menghapus verdict manusia (kembali ke verdict AI)
+router.delete(
+  "/:analyzedCommentId",
+  isAuthenticated,
+  validateRequest(analyzedCommentIdParamSchema, "params"),
+  auditLog("review.clearVerdict", {
+    targetType: "AnalyzedComment",
+    getTargetId: (req) => req.params.analyzedCommentId,
+  }),
+  reviewController.clearReviewVerdict
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// src/api/routes/stats.routes.js
+const express = require("express");
+const statsController = require("../controllers/stats.controller");
+const isAuthenticated = require("../middlewares/isAuthenticated");
+const validateRequest = require("../middlewares/validateRequest");
+const { timeSeriesQuerySchema } = require("../validators/stats.validator");
+
+const router = express.Router();
+
+// Rute untuk tren komentar judi vs bersih per hari/minggu, per video, dan per channel
+router.get(
+  "/timeseries",
+  isAuthenticated,
+  validateRequest(timeSeriesQuerySchema, "query"),
+  statsController.getTimeSeriesStats
+);
+
+module.exports = router;
@@ -2,6 +2,13 @@
 const express = require("express");
 const isAuthenticated = require("../middlewares/isAuthenticated");
 const userController = require("../controllers/user.controller");
+const validateRequest = require("../middlewares/validateRequest");
+const auditLog = require("../middlewares/auditLog");
+const {
+  updateModerationSettingsSchema,
+  quotaUsageQuerySchema,
+  auditLogQuerySchema,
+} = require("../validators/user.validator");
 
 const router = express.Router();
 
@@ -9,9 +16,61 @@ const router = express.Router();
 router.get("/me", isAuthenticated, userController.getMe);
 
 // Rute untuk memperbarui data user saat ini (PATCH)
-router.patch("/updateMe", isAuthenticated, userController.updateMe);
+router.patch(
+  "/updateMe",
+  isAuthenticated,
+  // Hanya nama field yang dicatat, bukan nilainya
+  auditLog("account.update", {
+    targetType: "User",
+    getTargetId: (req) => req.user._id,
+    getDetails: (req) => ({ fields: Object.keys(req.body || {}) }),
+  }),
+  userController.updateMe
+);
 
 // Rute untuk menghapus akun user saat ini (DELETE)
-router.delete("/deleteMe", isAuthenticated, userController.deleteMe);
+router.delete(
+  "/deleteMe",
+  isAuthenticated,
+  auditLog("account.delete", {
+    targetType: "User",
+    getTargetId: (req) => req.user._id,
+  }),
+  userController.deleteMe
+);
+
+// Rute untuk ambang keyakinan moderasi (aksi otomatis & pita NEEDS_REVIEW)
+router.get(
+  "/me/moderation-settings",
+  isAuthenticated,
+  userController.getModerationSettings
+);
+router.patch(
+  "/me/moderation-settings",
+  isAuthenticated,
+  validateRequest(updateModerationSettingsSchema, "body"),
+  auditLog("account.moderationSettings", {
+    targetType: "User",
+    getTargetId: (req) => req.user._id,
+    getDetails: (req) => req.body,
+  }),
+  userController.updateModerationSettings
+);
+
+// Rute untuk pemakaian kuota YouTube Data API hari ini dan beberapa hari terakhir
+router.get(
+  "/me/quota-usage",
+  isAuthenticated,
+  validateRequest(quotaUsageQuerySchema, "query"),
+  userController.getQuotaUsage
+);
+
+// Rute untuk riwayat audit aksi moderasi dan perubahan akun, terbaru dulu
+router.get(
+  "/me/audit-log",
+  isAuthenticated,
+  validateRequest(auditLogQuerySchema, "query"),
+  userController.getAuditLog
+);
 
 module.exports = router;
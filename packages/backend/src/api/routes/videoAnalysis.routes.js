@@ -1,12 +1,27 @@
 // src/api/routes/videoAnalysis.routes.js
 const express = require("express");
 const videoAnalysisController = require("../controllers/videoAnalysis.controller");
+const exportController = require("../controllers/export.controller");
 const isAuthenticated = require("../middlewares/isAuthenticated"); // Middleware autentikasi
 const validateRequest = require("../middlewares/validateRequest"); // Jika Anda membuat skema validasi untuk body
+const auditLog = require("../middlewares/auditLog");
+const config = require("../../config/environment");
 const {
   submitVideoSchema,
+  importQuerySchema,
+  analysisListQuerySchema,
+  deleteAnalysisQuerySchema,
+  clearAnalysisHistoryQuerySchema,
   analysisIdParamSchema,
   commentAppIdParamSchema,
+  deletionJobSchema,
+  batchDeletionSchema,
+  batchDeletionQuerySchema,
+  commentListQuerySchema,
+  exportQuerySchema,
+  exportRangeQuerySchema,
+  reclassifySchema,
+  reclassificationJobIdParamSchema,
 } = require("../validators/video.validator");
 
 const router = express.Router();
@@ -17,15 +32,74 @@ router.post(
   "/videos",
   isAuthenticated,
   validateRequest(submitVideoSchema, "body"), // Validasi body request
+  auditLog("analysis.start", { getDetails: (req) => req.body }),
   videoAnalysisController.submitVideoForAnalysis
 );
 
-// Rute untuk mendapatkan hasil komentar yang sudah dianalisis
+// Rute untuk mengimpor file komentar (CSV/JSON, misal export Google Takeout) dan
+// menganalisisnya tanpa koneksi YouTube. Isi file dikirim sebagai body mentah
+// (text/csv, text/plain, atau application/octet-stream), bukan JSON/multipart,
+// dan dibaca dengan batas ukuran sendiri karena parser JSON global dibatasi 16kb.
+router.post(
+  "/imports",
+  isAuthenticated,
+  express.text({
+    type: ["text/*", "application/octet-stream"],
+    limit: config.importAnalysis.maxFileSize,
+  }),
+  validateRequest(importQuerySchema, "query"),
+  auditLog("analysis.import", { getDetails: (req) => req.query }),
+  videoAnalysisController.importCommentsForAnalysis
+);
+
+// Rute untuk riwayat analisis pengguna, terbaru dulu (?status&source&q&before&limit)
+router.get(
+  "/videos",
+  isAuthenticated,
+  validateRequest(analysisListQuerySchema, "query"),
+  videoAnalysisController.listVideoAnalyses
+);
+
+// Rute untuk menghapus semua analisis yang lebih lama dari N hari beserta komentarnya
+// (?olderThanDays&keepStats). Analisis yang masih diproses dilewati.
+router.delete(
+  "/videos",
+  isAuthenticated,
+  validateRequest(clearAnalysisHistoryQuerySchema, "query"),
+  auditLog("analysis.clearHistory", { getDetails: (req) => req.query }),
+  videoAnalysisController.clearAnalysisHistory
+);
+
+// Rute untuk memantau status dan progres analisis yang berjalan di background
+router.get(
+  "/videos/:analysisId",
+  isAuthenticated,
+  validateRequest(analysisIdParamSchema, "params"),
+  videoAnalysisController.getVideoAnalysisStatus
+);
+
+// Rute untuk menghapus satu analisis beserta komentar tersimpannya.
+// Dengan `?keepStats=true` statistik agregat anonimnya tetap disimpan.
+router.delete(
+  "/videos/:analysisId",
+  isAuthenticated,
+  validateRequest(analysisIdParamSchema, "params"),
+  validateRequest(deleteAnalysisQuerySchema, "query"),
+  auditLog("analysis.delete", {
+    targetType: "VideoAnalysis",
+    getTargetId: (req) => req.params.analysisId,
+    getDetails: (req) => req.query,
+  }),
+  videoAnalysisController.deleteVideoAnalysis
+);
+
+// Rute untuk mendapatkan hasil komentar yang sudah dianalisis per halaman (kursor),
+// dengan urutan, filter, dan jumlah per facet (klasifikasi, status moderasi)
 router.get(
   "/videos/:analysisId/comments", // :analysisId adalah parameter URL
   isAuthenticated,
-  // Opsional: Validasi parameter analysisId jika Anda punya skema validatornya
-  // validateRequest(analysisIdParamSchema, "params"),
+  validateRequest(analysisIdParamSchema, "params"),
+  validateRequest(commentListQuerySchema, "query"),
   videoAnalysisController.getAnalyzedCommentsForVideo
 );
 
@@ -34,6 +108,10 @@ router.get(
 router.delete(
   "/comments/:analyzedCommentId",
   isAuthenticated,
+  auditLog("comment.delete", {
+    targetType: "AnalyzedComment",
+    getTargetId: (req) => req.params.analyzedCommentId,
+  }),
   async (req, res, next) => {
     try {
       await videoAnalysisController.deleteAnalyzedCommentController(
@@ -48,12 +126,82 @@ router.delete(
 );
 
 // Menargetkan videoAnalysisId untuk menghapus semua komentar "judi" terkait.
+// Penghapusan diantrekan sebagai job background yang dibatasi anggaran kuota.
+// Dengan `?dryRun=true` hanya mengembalikan pratinjau target, aksi, dan perkiraan kuota.
 router.delete(
   "/videos/:analysisId/judi-comments", // :analysisId adalah parameter URL
   isAuthenticated,
-  // Opsional: Validasi parameter analysisId
-  // validateRequest(analysisIdParamSchema, "params"),
+  validateRequest(analysisIdParamSchema, "params"),
+  validateRequest(batchDeletionQuerySchema, "query"),
+  validateRequest(batchDeletionSchema, "body"),
+  auditLog("comment.batchDelete", {
+    targetType: "VideoAnalysis",
+    getTargetId: (req) => req.params.analysisId,
+    getDetails: (req) => ({
+      quotaBudget: req.body.quotaBudget,
+      excludedCount: req.body.excludeCommentIds?.length || 0,
+    }),
+    skip: (req) => req.query.dryRun,
+  }),
   videoAnalysisController.batchDeleteJudiCommentsController // Controller baru untuk batch delete
 );
 
+// Rute untuk memantau progres job penghapusan massal terbaru
+router.get(
+  "/videos/:analysisId/deletion-job",
+  isAuthenticated,
+  validateRequest(analysisIdParamSchema, "params"),
+  videoAnalysisController.getDeletionJobController
+);
+
+// Rute untuk melanjutkan job penghapusan yang terjeda karena kuota habis
+router.post(
+  "/videos/:analysisId/deletion-job/resume",
+  isAuthenticated,
+  validateRequest(analysisIdParamSchema, "params"),
+  validateRequest(deletionJobSchema, "body"),
+  auditLog("deletionJob.resume", {
+    targetType: "VideoAnalysis",
+    getTargetId: (req) => req.params.analysisId,
+    getDetails: (req) => req.body,
+  }),
+  videoAnalysisController.resumeDeletionJobController
+);
+
+// Rute untuk mengklasifikasi ulang komentar tersimpan dengan model AI terbaru, untuk
+// satu analisis (`analysisId`) atau rentang tanggal komentar disimpan (`from`/`to`).
+// Verdict lama disimpan di `classificationHistory` komentar.
+router.post(
+  "/reclassify",
+  isAuthenticated,
+  validateRequest(reclassifySchema, "body"),
+  auditLog("analysis.reclassify", { getDetails: (req) => req.body }),
+  videoAnalysisController.reclassifyCommentsController
+);
+
+// Rute untuk memantau progres job klasifikasi ulang dan ringkasan perubahan verdict
+router.get(
+  "/reclassify/:jobId",
+  isAuthenticated,
+  validateRequest(reclassificationJobIdParamSchema, "params"),
+  videoAnalysisController.getReclassificationJobController
+);
+
+// Rute untuk mengunduh komentar hasil satu analisis (?format=csv|json|xlsx)
+router.get(
+  "/videos/:analysisId/export",
+  isAuthenticated,
+  validateRequest(analysisIdParamSchema, "params"),
+  validateRequest(exportQuerySchema, "query"),
+  exportController.exportAnalysis
+);
+
+// Rute untuk mengunduh komentar dari semua analisis dalam rentang tanggal (?from&to)
+router.get(
+  "/export",
+  isAuthenticated,
+  validateRequest(exportRangeQuerySchema, "query"),
+  exportController.exportAnalysesByDateRange
+);
+
 module.exports = router;
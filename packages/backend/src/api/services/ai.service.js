@@ -1,7 +1,28 @@
 const mlApiClient = require("../../core/mlApiClient"); // Impor klien axios kita
+const config = require("../../config/environment");
+const { chunkArray, mapWithConcurrency } = require("../../utils/asyncPool");
 
+// Versi model bawaan jika ML API tidak menyertakan `modelVersion` di responsnya.
+// Versi dari respons disimpan di AnalyzedComment, sehingga model baru yang dirilis
+// tim ML langsung tercatat dan bisa dibandingkan lewat klasifikasi ulang.
 const AI_MODEL_VERSION = "distilbert-flask-v1";
 
+// Jika ML API belum punya endpoint batch (404/405), jalur batch dilewati selama periode ini
+// sebelum dicoba lagi, agar setiap chunk tidak membuang satu request yang pasti gagal.
+const BATCH_ENDPOINT_RETRY_AFTER_MS = 10 * 60 * 1000;
+let batchEndpointUnavailableUntil = 0;
+
+/**
+ * Menyusun hasil klasifikasi gagal untuk satu teks.
+ * @param {string} errorMessage - Alasan kegagalan.
+ */
+const buildErrorResult = (errorMessage) => ({
+  classification: "ERROR_ANALYSIS",
+  confidenceScore: 0,
+  modelVersion: AI_MODEL_VERSION,
+  errorMessage,
+});
+
 /**
  * Menganalisis teks dengan memanggil ML API eksternal yang dibuat dengan Flask.
  * @param {string} text Teks yang akan dianalisis.
@@ -15,18 +36,98 @@ const analyzeTextWithAI = async (text) => {
     return {
       classification: response.data.classification,
       confidenceScore: response.data.confidenceScore,
-      modelVersion: AI_MODEL_VERSION,
+      modelVersion: response.data.modelVersion || AI_MODEL_VERSION,
     };
   } catch (error) {
     console.error(`Gagal memanggil ML API (Flask): ${error.message}`);
-    return {
-      classification: "ERROR_ANALYSIS",
-      confidenceScore: 0,
-      modelVersion: AI_MODEL_VERSION,
-    };
+    return buildErrorResult(error.message);
+  }
+};
+
+/**
+ * Mengklasifikasikan satu chunk teks lewat endpoint batch `/api/predict/batch`.
+ * @param {Array<string>} texts - Teks dalam satu chunk.
+ * @returns {Promise<Array<object>>} Hasil per teks, urutan sama dengan input.
+ * @throws {Error} Jika request batch gagal atau format responsnya tidak sesuai.
+ */
+const classifyChunkWithBatchEndpoint = async (texts) => {
+  const response = await mlApiClient.post("/api/predict/batch", { texts });
+  const results = response.data?.results;
+
+  if (!Array.isArray(results) || results.length !== texts.length) {
+    throw new Error(
+      "Respons endpoint batch ML API tidak sesuai dengan jumlah teks yang dikirim."
+    );
   }
+
+  return results.map((item) =>
+    item?.error || !item?.classification
+      ? buildErrorResult(item?.error || "Hasil klasifikasi kosong.")
+      : {
+          classification: item.classification,
+          confidenceScore: item.confidenceScore,
+          modelVersion:
+            item.modelVersion || response.data.modelVersion || AI_MODEL_VERSION,
+        }
+  );
+};
+
+/**
+ * Mengklasifikasikan banyak teks sekaligus tanpa membanjiri ML API.
+ * Teks dikirim per chunk (`config.mlApi.batchSize`) secara berurutan ke endpoint batch.
+ * Jika endpoint batch gagal atau tidak tersedia, chunk tersebut diproses dengan
+ * `analyzeTextWithAI` satu per satu dengan paralelisme terbatas (`config.mlApi.concurrency`).
+ * Kegagalan satu teks tidak menggagalkan yang lain: teks itu mendapat hasil `ERROR_ANALYSIS`
+ * beserta `errorMessage`.
+ * @param {Array<string>} texts - Teks yang akan dianalisis.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Dipanggil setelah setiap chunk dengan jumlah teks yang sudah diklasifikasi.
+ * @returns {Promise<Array<object>>} Hasil analisis, urutan sama dengan `texts`.
+ */
+const analyzeTextsWithAI = async (texts, { onProgress } = {}) => {
+  const results = [];
+
+  for (const chunk of chunkArray(texts, config.mlApi.batchSize)) {
+    let chunkResults = null;
+
+    if (Date.now() >= batchEndpointUnavailableUntil) {
+      try {
+        chunkResults = await classifyChunkWithBatchEndpoint(chunk);
+      } catch (error) {
+        const status = error.response?.status;
+        if (status === 404 || status === 405) {
+          batchEndpointUnavailableUntil =
+            Date.now() + BATCH_ENDPOINT_RETRY_AFTER_MS;
+          console.warn(
+            "[AIService] Endpoint batch ML API tidak tersedia, beralih ke klasifikasi per teks."
+          );
+        } else {
+          console.error(
+            `[AIService] Klasifikasi batch gagal (${chunk.length} teks), mencoba per teks: ${error.message}`
+          );
+        }
+      }
+    }
+
+    if (!chunkResults) {
+      chunkResults = await mapWithConcurrency(
+        chunk,
+        config.mlApi.concurrency,
+        analyzeTextWithAI
+      );
+    }
+
+    results.push(...chunkResults);
+    if (typeof onProgress === "function") {
+      await onProgress(results.length);
+    }
+  }
+
+  return results;
 };
 
 module.exports = {
+  AI_MODEL_VERSION,
   analyzeTextWithAI,
+  analyzeTextsWithAI,
 };
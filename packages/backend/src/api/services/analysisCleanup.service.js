@@ -0,0 +1,293 @@
+// src/api/services/analysisCleanup.service.js
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const AnalysisStatsArchive = require("../models/AnalysisStatsArchive.model");
+const DeletionJob = require("../models/DeletionJob.model");
+const ReclassificationJob = require("../models/ReclassificationJob.model");
+const MonitoredVideo = require("../models/MonitoredVideo.model");
+const SpamCampaign = require("../models/SpamCampaign.model");
+const { NotFoundError, BadRequestError } = require("../../utils/errors");
+const {
+  EFFECTIVE_CLASSIFICATION_EXPR,
+} = require("../../utils/classificationPolicy");
+const {
+  MODERATION_STATES,
+  MODERATION_STATE_EXPR,
+} = require("../../utils/commentQuery");
+
+// Analisis yang masih diproses worker tidak boleh dihapus
+const ACTIVE_ANALYSIS_STATUSES = ["PENDING", "PROCESSING"];
+// Status job latar belakang (penghapusan massal, klasifikasi ulang) yang masih berjalan
+const ACTIVE_JOB_STATUSES = ["QUEUED", "RUNNING"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCounts = (groups, keys) =>
+  groups.reduce(
+    (counts, { _id, count }) =>
+      keys.includes(_id) ? { ...counts, [_id]: count } : counts,
+    Object.fromEntries(keys.map((key) => [key, 0]))
+  );
+
+/**
+ * Menghitung statistik agregat anonim sebuah analisis dari komentarnya.
+ * @param {object} analysis - VideoAnalysis (lean).
+ * @returns {Promise<object>} Field dokumen `AnalysisStatsArchive`.
+ */
+const buildAnalysisStatsArchive = async (analysis) => {
+  const [result] = await AnalyzedComment.aggregate([
+    { $match: { analysisId: analysis._id } },
+    {
+      $facet: {
+        classification: [
+          {
+            $group: { _id: EFFECTIVE_CLASSIFICATION_EXPR, count: { $sum: 1 } },
+          },
+        ],
+        moderation: [
+          { $group: { _id: MODERATION_STATE_EXPR, count: { $sum: 1 } } },
+        ],
+        daily: [
+          { $match: { commentPublishedAt: { $type: "date" } } },
+          {
+            $group: {
+              _id: {
+                date: {
+                  $dateToString: {
+                    format: "%Y-%m-%d",
+                    date: "$commentPublishedAt",
+                  },
+                },
+                classification: EFFECTIVE_CLASSIFICATION_EXPR,
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        replies: [
+          { $match: { parentYoutubeCommentId: { $exists: true, $ne: null } } },
+          { $count: "count" },
+        ],
+      },
+    },
+  ]);
+
+  const classificationCounts = toCounts(result.classification, [
+    "JUDI",
+    "NON_JUDI",
+    "NEEDS_REVIEW",
+    "ERROR_ANALYSIS",
+  ]);
+
+  const daily = new Map();
+  result.daily.forEach(({ _id, count }) => {
+    const entry = daily.get(_id.date) || {
+      date: new Date(`${_id.date}T00:00:00.000Z`),
+      JUDI: 0,
+      NON_JUDI: 0,
+      NEEDS_REVIEW: 0,
+    };
+    if (_id.classification in entry) entry[_id.classification] += count;
+    daily.set(_id.date, entry);
+  });
+
+  return {
+    userId: analysis.userId,
+    analysisId: analysis._id,
+    source: analysis.source,
+    youtubeVideoId: analysis.youtubeVideoId,
+    youtubeChannelId: analysis.youtubeChannelId,
+    videoTitle: analysis.videoTitle,
+    analysisRequestedAt: analysis.requestedAt || analysis.createdAt,
+    totalComments: result.classification.reduce((sum, g) => sum + g.count, 0),
+    totalReplies: result.replies[0]?.count || 0,
+    classificationCounts,
+    moderationCounts: toCounts(result.moderation, MODERATION_STATES),
+    daily: [...daily.values()].sort((a, b) => a.date - b.date),
+  };
+};
+
+/**
+ * Mencari analisis yang masih dipakai job latar belakang (penghapusan massal atau
+ * klasifikasi ulang) yang belum selesai.
+ * @param {Array<mongoose.Types.ObjectId>} analysisIds
+ * @returns {Promise<Set<string>>} ID analisis yang sibuk.
+ */
+const findBusyAnalysisIds = async (analysisIds) => {
+  const [deletionIds, reclassificationIds] = await Promise.all([
+    DeletionJob.distinct("analysisId", {
+      analysisId: { $in: analysisIds },
+      status: { $in: ACTIVE_JOB_STATUSES },
+    }),
+    ReclassificationJob.distinct("scope.analysisId", {
+      "scope.analysisId": { $in: analysisIds },
+      status: { $in: ACTIVE_JOB_STATUSES },
+    }),
+  ]);
+  return new Set([...deletionIds, ...reclassificationIds].map(String));
+};
+
+/**
+ * Menghapus kampanye spam yang semua anggotanya ikut terhapus, agar contoh teks
+ * komentarnya tidak tertinggal. Kampanye lain diperbarui pada pembangunan ulang berikutnya.
+ * @param {Array<mongoose.Types.ObjectId>} campaignIds - Kampanye komentar yang dihapus.
+ */
+const removeEmptyCampaigns = async (campaignIds) => {
+  if (campaignIds.length === 0) return;
+  const remaining = new Set(
+    (
+      await AnalyzedComment.distinct("campaignId", {
+        campaignId: { $in: campaignIds },
+      })
+    ).map(String)
+  );
+  const emptyIds = campaignIds.filter((id) => !remaining.has(String(id)));
+  if (emptyIds.length > 0) {
+    await SpamCampaign.deleteMany({ _id: { $in: emptyIds } });
+  }
+};
+
+/**
+ * Menghapus satu analisis beserta komentar dan data turunannya. Dokumen VideoAnalysis
+ * dihapus paling akhir, sehingga jika proses terputus analisis tetap terlihat di
+ * riwayat dan dapat dihapus ulang.
+ * @param {object} analysis - VideoAnalysis (lean).
+ * @param {object} options
+ * @param {boolean} options.keepStats - Simpan statistik anonim sebelum komentar dihapus.
+ * @returns {Promise<number>} Jumlah komentar yang dihapus.
+ */
+const removeAnalysis = async (analysis, { keepStats }) => {
+  if (keepStats) {
+    // Jangan timpa arsip dari percobaan sebelumnya yang komentarnya mungkin sudah terhapus
+    await AnalysisStatsArchive.updateOne(
+      { analysisId: analysis._id },
+      { $setOnInsert: await buildAnalysisStatsArchive(analysis) },
+      { upsert: true }
+    );
+  }
+
+  const campaignIds = await AnalyzedComment.distinct("campaignId", {
+    analysisId: analysis._id,
+    campaignId: { $exists: true },
+  });
+  const { deletedCount } = await AnalyzedComment.deleteMany({
+    analysisId: analysis._id,
+  });
+
+  await Promise.all([
+    DeletionJob.deleteMany({ analysisId: analysis._id }),
+    ReclassificationJob.deleteMany({ "scope.analysisId": analysis._id }),
+    MonitoredVideo.updateMany(
+      { lastAnalysisId: analysis._id },
+      { $unset: { lastAnalysisId: 1 } }
+    ),
+    removeEmptyCampaigns(campaignIds),
+  ]);
+  await VideoAnalysis.deleteOne({ _id: analysis._id });
+
+  return deletedCount;
+};
+
+/**
+ * Menghapus sebuah analisis milik pengguna beserta semua komentar tersimpannya
+ * (teks, nama, dan avatar penulis), job penghapusan massal, dan job klasifikasi ulangnya.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} analysisId - ID VideoAnalysis.
+ * @param {object} [options]
+ * @param {boolean} [options.keepStats=false] - Simpan statistik agregat anonim analisis ini.
+ * @returns {Promise<{analysisId: string, deletedComments: number, statsArchived: boolean}>}
+ * @throws {NotFoundError} Jika analisis tidak ditemukan atau bukan milik pengguna.
+ * @throws {BadRequestError} Jika analisis atau job terkaitnya masih berjalan.
+ */
+const deleteVideoAnalysis = async (
+  userId,
+  analysisId,
+  { keepStats = false } = {}
+) => {
+  const analysis = await VideoAnalysis.findOne({
+    _id: analysisId,
+    userId,
+  }).lean();
+  if (!analysis) {
+    throw new NotFoundError(
+      "Data analisis video tidak ditemukan atau Anda tidak memiliki akses."
+    );
+  }
+  if (ACTIVE_ANALYSIS_STATUSES.includes(analysis.status)) {
+    throw new BadRequestError(
+      "Analisis masih diproses. Hapus analisis setelah prosesnya selesai."
+    );
+  }
+  const busyIds = await findBusyAnalysisIds([analysis._id]);
+  if (busyIds.size > 0) {
+    throw new BadRequestError(
+      "Penghapusan massal atau klasifikasi ulang untuk analisis ini masih berjalan. Tunggu hingga selesai."
+    );
+  }
+
+  const deletedComments = await removeAnalysis(analysis, { keepStats });
+
+  console.log(
+    `[VideoAnalysis-${analysis._id}] Dihapus beserta ${deletedComments} komentar${
+      keepStats ? " (statistik anonim disimpan)" : ""
+    }. User ID: ${userId}`
+  );
+
+  return {
+    analysisId: String(analysis._id),
+    deletedComments,
+    statsArchived: keepStats,
+  };
+};
+
+/**
+ * Menghapus semua analisis pengguna yang dibuat lebih dari `olderThanDays` hari lalu.
+ * Analisis yang masih diproses atau dipakai job latar belakang dilewati.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} options
+ * @param {number} options.olderThanDays
+ * @param {boolean} [options.keepStats=false] - Simpan statistik agregat anonim tiap analisis.
+ * @returns {Promise<{deletedAnalyses: number, deletedComments: number, skippedAnalyses: number, cutoff: Date}>}
+ */
+const clearAnalysisHistory = async (
+  userId,
+  { olderThanDays, keepStats = false }
+) => {
+  const cutoff = new Date(Date.now() - olderThanDays * DAY_MS);
+  const analyses = await VideoAnalysis.find({
+    userId,
+    createdAt: { $lt: cutoff },
+  })
+    .select("-progress -__v")
+    .lean();
+
+  const busyIds = await findBusyAnalysisIds(analyses.map((a) => a._id));
+  const deletable = analyses.filter(
+    (analysis) =>
+      !ACTIVE_ANALYSIS_STATUSES.includes(analysis.status) &&
+      !busyIds.has(String(analysis._id))
+  );
+
+  let deletedComments = 0;
+  for (const analysis of deletable) {
+    deletedComments += await removeAnalysis(analysis, { keepStats });
+  }
+
+  console.log(
+    `[AnalysisCleanup] ${deletable.length} analisis lebih lama dari ${olderThanDays} hari dihapus (${deletedComments} komentar, ${
+      analyses.length - deletable.length
+    } dilewati). User ID: ${userId}`
+  );
+
+  return {
+    deletedAnalyses: deletable.length,
+    deletedComments,
+    skippedAnalyses: analyses.length - deletable.length,
+    cutoff,
+  };
+};
+
+module.exports = {
+  buildAnalysisStatsArchive,
+  deleteVideoAnalysis,
+  clearAnalysisHistory,
+};
@@ -0,0 +1,121 @@
+// src/api/services/audit.service.js
+const AuditLog = require("../models/AuditLog.model");
+
+/**
+ * Mengambil metadata request yang disimpan bersama catatan audit.
+ * @param {import("express").Request} [req]
+ * @returns {object|undefined}
+ */
+const buildRequestMeta = (req) =>
+  req && {
+    ip: req.ip,
+    userAgent: req.get?.("user-agent"),
+    method: req.method,
+    path: req.originalUrl?.split("?")[0],
+  };
+
+/**
+ * Menambahkan satu catatan ke audit log. Kegagalan mencatat hanya di-log agar tidak
+ * menggagalkan aksi yang diaudit.
+ * @param {object} entry
+ * @param {string} entry.userId - ID User pemilik data/akun tempat aksi terjadi.
+ * @param {string} entry.action - Salah satu `AuditLog.AUDIT_ACTIONS`.
+ * @param {"SUCCESS"|"PARTIAL"|"FAILED"} entry.result
+ * @param {object} [entry.actor] - Pengguna pelaku (default: pemilik). Abaikan jika `actorType` "system".
+ * @param {"user"|"system"} [entry.actorType="user"]
+ * @param {{type: string, id: string}} [entry.target]
+ * @param {string[]} [entry.relatedIds] - ID AnalyzedComment yang terdampak.
+ * @param {object} [entry.details]
+ * @param {string} [entry.error]
+ * @param {import("express").Request} [entry.req] - Sumber metadata request.
+ * @returns {Promise<void>}
+ */
+const recordAudit = async ({
+  userId,
+  action,
+  result,
+  actor,
+  actorType = "user",
+  target,
+  relatedIds,
+  details,
+  error,
+  req,
+}) => {
+  try {
+    await AuditLog.create({
+      userId,
+      actor: {
+        type: actorType,
+        userId: actor?._id || userId,
+        username: actor?.username,
+        email: actor?.email,
+      },
+      action,
+      target: target?.id ? { type: target.type, id: String(target.id) } : {},
+      relatedIds: relatedIds?.map(String),
+      result,
+      details,
+      error,
+      request: buildRequestMeta(req),
+    });
+  } catch (auditError) {
+    console.error(
+      `[Audit] Gagal mencatat aksi ${action} untuk user ${userId}:`,
+      auditError.message
+    );
+  }
+};
+
+/**
+ * Mengambil audit log milik pengguna, terbaru dulu, dengan paginasi berbasis kursor.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} [filters]
+ * @param {string} [filters.action]
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.targetId] - Cocok dengan target langsung maupun `relatedIds`.
+ * @param {string} [filters.result]
+ * @param {Date} [filters.from]
+ * @param {Date} [filters.to]
+ * @param {string} [filters.before] - `_id` catatan terakhir halaman sebelumnya.
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<{entries: object[], nextCursor: string|null}>}
+ */
+const getAuditLogs = async (
+  userId,
+  { action, targetType, targetId, result, from, to, before, limit = 20 } = {}
+) => {
+  const filter = { userId };
+  if (action) filter.action = action;
+  if (targetType) filter["target.type"] = targetType;
+  if (targetId) {
+    filter.$or = [{ "target.id": targetId }, { relatedIds: targetId }];
+  }
+  if (result) filter.result = result;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  if (before) filter._id = { $lt: before };
+
+  // Ambil satu lebih banyak untuk mengetahui apakah masih ada halaman berikutnya
+  const entries = await AuditLog.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .select("-relatedIds -__v")
+    .lean();
+
+  const hasMore = entries.length > limit;
+  if (hasMore) entries.pop();
+  return {
+    entries,
+    nextCursor: hasMore ? String(entries[entries.length - 1]._id) : null,
+  };
+};
+
+module.exports = {
+  buildRequestMeta,
+  recordAudit,
+  getAuditLogs,
+};
@@ -13,6 +13,7 @@ const crypto = require("crypto"); // Modul bawaan Node.js untuk generate string
 const config = require("../../config/environment");
 const { OAuth2Client } = require("google-auth-library"); // Penting untuk verifikasi ID Token
 const { PasswordReset } = require("../models/PasswordReset.model");
+const quotaService = require("./quota.service");
 
 const generateOtp = () => {
   return crypto.randomInt(100000, 999999).toString();
@@ -369,7 +370,10 @@ const handleYoutubeOAuthCallback = async (authCode, judiGuardUserId) => {
     // Opsional: Dapatkan info channel pengguna setelah mendapatkan token
     // Ini untuk menyimpan youtubeChannelId dan youtubeChannelName
     oAuth2Client.setCredentials(tokens);
-    const youtube = google.youtube({ version: "v3", auth: oAuth2Client });
+    const youtube = quotaService.trackYouTubeClient(
+      google.youtube({ version: "v3", auth: oAuth2Client }),
+      judiGuardUserId
+    );
     try {
       const channelInfoResponse = await youtube.channels.list({
         mine: true, // Mendapatkan channel milik pengguna yang terautentikasi
@@ -0,0 +1,206 @@
+// src/api/services/author.service.js
+const mongoose = require("mongoose");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const BannedAuthor = require("../models/BannedAuthor.model");
+const moderationService = require("./moderation.service");
+const { NotFoundError } = require("../../utils/errors");
+const {
+  EFFECTIVE_CLASSIFICATION_EXPR,
+} = require("../../utils/classificationPolicy");
+
+/**
+ * Mengambil daftar penulis dengan komentar judi terbanyak di seluruh analisis pengguna.
+ * Komentar dihitung judi berdasarkan klasifikasi efektif (verdict manusia jika ada).
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} options
+ * @param {number} options.limit - Jumlah maksimal penulis yang dikembalikan.
+ * @param {number} options.minJudiComments - Minimal komentar judi agar penulis masuk daftar.
+ * @returns {Promise<Array<object>>} Penulis terurut dari komentar judi terbanyak.
+ */
+const getTopOffenders = async (userId, { limit, minJudiComments }) => {
+  const offenders = await AnalyzedComment.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        commentAuthorChannelId: { $nin: [null, ""] },
+      },
+    },
+    { $sort: { commentPublishedAt: 1 } },
+    {
+      $group: {
+        _id: "$commentAuthorChannelId",
+        // Nama & foto terbaru, karena penulis bisa mengganti profilnya
+        authorDisplayName: { $last: "$commentAuthorDisplayName" },
+        authorProfileImageUrl: { $last: "$commentAuthorProfileImageUrl" },
+        totalComments: { $sum: 1 },
+        judiComments: {
+          $sum: {
+            $cond: [{ $eq: [EFFECTIVE_CLASSIFICATION_EXPR, "JUDI"] }, 1, 0],
+          },
+        },
+        needsReviewComments: {
+          $sum: {
+            $cond: [
+              { $eq: [EFFECTIVE_CLASSIFICATION_EXPR, "NEEDS_REVIEW"] },
+              1,
+              0,
+            ],
+          },
+        },
+        hiddenComments: {
+          $sum: {
+            $cond: [{ $eq: ["$youtubeModerationStatus", "rejected"] }, 1, 0],
+          },
+        },
+        videoIds: { $addToSet: "$youtubeVideoId" },
+        firstSeenAt: { $min: "$commentPublishedAt" },
+        lastSeenAt: { $max: "$commentPublishedAt" },
+      },
+    },
+    { $match: { judiComments: { $gte: minJudiComments } } },
+    { $sort: { judiComments: -1, lastSeenAt: -1 } },
+    { $limit: limit },
+  ]);
+
+  const bans = await BannedAuthor.find({
+    userId,
+    authorChannelId: { $in: offenders.map((o) => o._id) },
+  })
+    .select("authorChannelId isChannelBanned bannedAt")
+    .lean();
+  const banByAuthorId = new Map(bans.map((b) => [b.authorChannelId, b]));
+
+  return offenders.map(({ _id, videoIds, ...stats }) => {
+    const ban = banByAuthorId.get(_id);
+    return {
+      authorChannelId: _id,
+      ...stats,
+      videoCount: videoIds.length,
+      judiRatio: stats.judiComments / stats.totalComments,
+      isChannelBanned: ban?.isChannelBanned || false,
+      bannedAt: ban?.bannedAt || null,
+    };
+  });
+};
+
+/**
+ * Mengambil komentar seorang penulis dari seluruh analisis pengguna, terbaru dulu.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} authorChannelId - ID channel YouTube penulis.
+ * @param {object} options
+ * @param {number} options.limit - Jumlah maksimal komentar.
+ * @returns {Promise<Array<object>>}
+ */
+const getAuthorComments = async (userId, authorChannelId, { limit }) => {
+  return AnalyzedComment.find({
+    userId,
+    commentAuthorChannelId: authorChannelId,
+  })
+    .select(
+      "analysisId youtubeVideoId youtubeCommentId commentTextDisplay commentPublishedAt classification humanClassification judiScore youtubeModerationStatus isDeletedOnYoutube"
+    )
+    .sort({ commentPublishedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Menyembunyikan seluruh komentar seorang penulis (status 'rejected') dan, jika diminta,
+ * memblokirnya dari channel dalam satu langkah. Komentar ditandai per potongan
+ * sehingga progres tetap tersimpan walaupun potongan berikutnya gagal (misal kuota habis).
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} authorChannelId - ID channel YouTube penulis.
+ * @param {object} [options]
+ * @param {boolean} [options.banAuthor=true] - Blokir penulis dari channel.
+ * @returns {Promise<{authorChannelId: string, hiddenCount: number, isChannelBanned: boolean}>}
+ * @throws {NotFoundError} Jika pengguna tidak punya komentar dari penulis tersebut.
+ */
+const hideAndBanAuthor = async (
+  userId,
+  authorChannelId,
+  { banAuthor = true } = {}
+) => {
+  const comments = await AnalyzedComment.find({
+    userId,
+    commentAuthorChannelId: authorChannelId,
+    isDeletedOnYoutube: { $ne: true },
+  })
+    .select(
+      "youtubeCommentId youtubeModerationStatus commentAuthorDisplayName commentAuthorProfileImageUrl commentPublishedAt"
+    )
+    .sort({ commentPublishedAt: -1 })
+    .lean();
+
+  if (comments.length === 0) {
+    throw new NotFoundError(
+      "Tidak ada komentar dari penulis ini pada analisis Anda."
+    );
+  }
+
+  const existingBan = await BannedAuthor.findOne({ userId, authorChannelId });
+  const alreadyBanned = existingBan?.isChannelBanned || false;
+
+  const idsToHide = comments
+    .filter((c) => c.youtubeModerationStatus !== "rejected")
+    .map((c) => c.youtubeCommentId);
+  // Pemblokiran butuh minimal satu ID komentar; jika semua sudah tersembunyi,
+  // kirim ulang komentar terbaru dengan banAuthor agar penulis tetap diblokir
+  const idsToSend =
+    idsToHide.length === 0 && banAuthor && !alreadyBanned
+      ? [comments[0].youtubeCommentId]
+      : idsToHide;
+
+  let hiddenCount = 0;
+  let bannedNow = false;
+  try {
+    await moderationService.applyModerationStatus(
+      userId,
+      idsToSend,
+      "rejected",
+      {
+        banAuthor,
+        onChunk: ({ modifiedCount }) => {
+          hiddenCount += modifiedCount;
+          if (banAuthor) bannedNow = true;
+        },
+      }
+    );
+  } finally {
+    // Catat aksi yang sudah berhasil, termasuk saat potongan berikutnya gagal
+    const latest = comments[0];
+    const now = new Date();
+    const update = {
+      $set: {
+        authorDisplayName: latest.commentAuthorDisplayName,
+        authorProfileImageUrl: latest.commentAuthorProfileImageUrl,
+        lastActionAt: now,
+      },
+      $inc: { hiddenCommentCount: hiddenCount },
+    };
+    if (bannedNow && !alreadyBanned) {
+      update.$set.isChannelBanned = true;
+      update.$set.bannedAt = now;
+    }
+    if (hiddenCount > 0 || bannedNow) {
+      await BannedAuthor.updateOne({ userId, authorChannelId }, update, {
+        upsert: true,
+      });
+    }
+  }
+
+  console.log(
+    `[Author] ${hiddenCount} komentar dari ${authorChannelId} disembunyikan${bannedNow ? ", penulis diblokir" : ""}. User ID: ${userId}`
+  );
+
+  return {
+    authorChannelId,
+    hiddenCount,
+    isChannelBanned: alreadyBanned || bannedNow,
+  };
+};
+
+module.exports = {
+  getTopOffenders,
+  getAuthorComments,
+  hideAndBanAuthor,
+};
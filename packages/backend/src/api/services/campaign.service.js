@@ -0,0 +1,277 @@
+// src/api/services/campaign.service.js
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const SpamCampaign = require("../models/SpamCampaign.model");
+const BannedAuthor = require("../models/BannedAuthor.model");
+const moderationService = require("./moderation.service");
+const { clusterTexts } = require("../../core/campaignClustering");
+const { BadRequestError, NotFoundError } = require("../../utils/errors");
+const {
+  getEffectiveClassification,
+} = require("../../utils/classificationPolicy");
+
+// Batas komentar terbaru yang dipindai per pembangunan ulang kampanye,
+// agar memori & waktu proses tetap terkendali untuk channel besar
+const MAX_COMMENTS_SCANNED = 20000;
+
+// Verdict efektif (verdict manusia jika ada) yang ikut dikelompokkan. Komentar NON_JUDI
+// tidak dikelompokkan agar komentar penggemar yang seragam ("mantap bang, lanjutkan")
+// tidak menjadi kampanye yang bisa disembunyikan sekaligus.
+const CLUSTERED_CLASSIFICATIONS = ["JUDI", "NEEDS_REVIEW"];
+
+/**
+ * Membangun ulang kampanye spam pengguna: komentar JUDI/NEEDS_REVIEW hampir identik di
+ * seluruh analisis dikelompokkan dengan MinHash, kampanye lama diganti seluruhnya.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} [options]
+ * @param {Date} [options.since] - Hanya komentar yang dipublikasikan sejak tanggal ini.
+ * @param {number} [options.similarityThreshold] - Kemiripan minimal (0..1) antar anggota.
+ * @param {number} [options.minClusterSize] - Jumlah komentar minimal per kampanye.
+ * @returns {Promise<{campaignCount: number, clusteredCommentCount: number, commentsScanned: number}>}
+ */
+const rebuildCampaigns = async (
+  userId,
+  { since, similarityThreshold, minClusterSize } = {}
+) => {
+  const filter = {
+    userId,
+    $or: [
+      { humanClassification: { $in: CLUSTERED_CLASSIFICATIONS } },
+      {
+        humanClassification: null,
+        classification: { $in: CLUSTERED_CLASSIFICATIONS },
+      },
+    ],
+  };
+  if (since) filter.commentPublishedAt = { $gte: since };
+
+  const comments = await AnalyzedComment.find(filter)
+    .select(
+      "youtubeVideoId commentAuthorChannelId commentTextOriginal commentTextNormalized commentTextDisplay commentPublishedAt classification humanClassification"
+    )
+    .sort({ commentPublishedAt: -1 })
+    .limit(MAX_COMMENTS_SCANNED)
+    .lean();
+
+  const commentById = new Map(comments.map((c) => [String(c._id), c]));
+  const clusters = clusterTexts(
+    comments.map((c) => ({
+      id: String(c._id),
+      text: c.commentTextNormalized || c.commentTextOriginal,
+    })),
+    { similarityThreshold, minClusterSize }
+  );
+
+  await SpamCampaign.deleteMany({ userId });
+  await AnalyzedComment.updateMany(
+    { userId, campaignId: { $exists: true } },
+    { $unset: { campaignId: 1 } }
+  );
+
+  if (clusters.length > 0) {
+    const campaigns = await SpamCampaign.insertMany(
+      clusters.map((memberIds) => {
+        const members = memberIds
+          .map((id) => commentById.get(id))
+          .sort((a, b) => a.commentPublishedAt - b.commentPublishedAt);
+        const videoIds = [...new Set(members.map((m) => m.youtubeVideoId))];
+        const authorChannelIds = [
+          ...new Set(
+            members.map((m) => m.commentAuthorChannelId).filter(Boolean)
+          ),
+        ];
+        return {
+          userId,
+          size: members.length,
+          sampleText: members[0].commentTextDisplay,
+          firstSeenAt: members[0].commentPublishedAt,
+          lastSeenAt: members[members.length - 1].commentPublishedAt,
+          videoIds,
+          videoCount: videoIds.length,
+          authorChannelIds,
+          authorCount: authorChannelIds.length,
+          judiCount: members.filter(
+            (m) => getEffectiveClassification(m) === "JUDI"
+          ).length,
+        };
+      })
+    );
+
+    await AnalyzedComment.bulkWrite(
+      campaigns.map((campaign, i) => ({
+        updateMany: {
+          filter: { _id: { $in: clusters[i] } },
+          update: { $set: { campaignId: campaign._id } },
+        },
+      }))
+    );
+  }
+
+  const clusteredCommentCount = clusters.reduce((sum, c) => sum + c.length, 0);
+  console.log(
+    `[Campaign] ${clusters.length} kampanye (${clusteredCommentCount} komentar) dari ${comments.length} komentar. User ID: ${userId}`
+  );
+
+  return {
+    campaignCount: clusters.length,
+    clusteredCommentCount,
+    commentsScanned: comments.length,
+  };
+};
+
+/**
+ * Mengambil daftar kampanye spam pengguna, terbesar dulu.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} options
+ * @param {number} options.limit - Jumlah maksimal kampanye.
+ * @param {number} options.minSize - Ukuran minimal kampanye.
+ * @returns {Promise<Array<object>>}
+ */
+const getCampaigns = async (userId, { limit, minSize }) => {
+  return SpamCampaign.find({ userId, size: { $gte: minSize } })
+    .select("-authorChannelIds")
+    .sort({ size: -1, lastSeenAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Mengambil kampanye milik pengguna.
+ * @throws {NotFoundError} Jika kampanye tidak ditemukan atau bukan milik pengguna.
+ */
+const findOwnedCampaign = async (userId, campaignId) => {
+  const campaign = await SpamCampaign.findOne({ _id: campaignId, userId });
+  if (!campaign) {
+    throw new NotFoundError("Kampanye spam tidak ditemukan.");
+  }
+  return campaign;
+};
+
+/**
+ * Mengambil komentar anggota sebuah kampanye, terbaru dulu.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} campaignId - ID SpamCampaign.
+ * @param {object} options
+ * @param {number} options.limit - Jumlah maksimal komentar.
+ * @returns {Promise<Array<object>>}
+ */
+const getCampaignComments = async (userId, campaignId, { limit }) => {
+  await findOwnedCampaign(userId, campaignId);
+  return AnalyzedComment.find({ userId, campaignId })
+    .select(
+      "analysisId youtubeVideoId youtubeCommentId commentAuthorDisplayName commentAuthorChannelId commentTextDisplay commentPublishedAt classification humanClassification judiScore youtubeModerationStatus isDeletedOnYoutube"
+    )
+    .sort({ commentPublishedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Menerapkan status moderasi ke seluruh anggota kampanye sekaligus. Jika penulis ikut
+ * diblokir, tiap penulis dicatat di BannedAuthor seperti aksi blokir per penulis.
+ * Anggota yang sudah ditinjau manusia sebagai NON_JUDI dilewati.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} campaignId - ID SpamCampaign.
+ * @param {object} options
+ * @param {"heldForReview"|"rejected"} options.moderationStatus
+ * @param {boolean} [options.banAuthor=false] - Blokir semua penulis (hanya untuk 'rejected').
+ * @returns {Promise<{campaignId: string, moderationStatus: string, moderatedCount: number, bannedAuthorCount: number}>}
+ * @throws {BadRequestError} Jika tidak ada anggota kampanye yang berverdict JUDI.
+ */
+const moderateCampaign = async (
+  userId,
+  campaignId,
+  { moderationStatus, banAuthor = false }
+) => {
+  const campaign = await findOwnedCampaign(userId, campaignId);
+  if (campaign.judiCount === 0) {
+    throw new BadRequestError(
+      "Kampanye ini belum memiliki komentar judi. Tinjau komentarnya satu per satu terlebih dahulu."
+    );
+  }
+
+  const members = await AnalyzedComment.find({
+    userId,
+    campaignId: campaign._id,
+    humanClassification: { $ne: "NON_JUDI" },
+    isDeletedOnYoutube: { $ne: true },
+    youtubeModerationStatus: { $ne: moderationStatus },
+  })
+    .select(
+      "youtubeCommentId commentAuthorChannelId commentAuthorDisplayName commentAuthorProfileImageUrl"
+    )
+    .lean();
+  const memberByCommentId = new Map(
+    members.map((m) => [m.youtubeCommentId, m])
+  );
+
+  // Komentar per penulis dari potongan yang berhasil, untuk dicatat di BannedAuthor
+  const hiddenByAuthor = new Map();
+  let moderatedCount = 0;
+  try {
+    ({ moderatedCount } = await moderationService.applyModerationStatus(
+      userId,
+      members.map((m) => m.youtubeCommentId),
+      moderationStatus,
+      {
+        banAuthor,
+        onChunk: ({ youtubeCommentIds }) => {
+          for (const id of youtubeCommentIds) {
+            const member = memberByCommentId.get(id);
+            if (!member.commentAuthorChannelId) continue;
+            const entry = hiddenByAuthor.get(member.commentAuthorChannelId);
+            if (entry) entry.count++;
+            else
+              hiddenByAuthor.set(member.commentAuthorChannelId, {
+                member,
+                count: 1,
+              });
+          }
+        },
+      }
+    ));
+  } finally {
+    if (moderationStatus === "rejected" && hiddenByAuthor.size > 0) {
+      const now = new Date();
+      await BannedAuthor.bulkWrite(
+        [...hiddenByAuthor].map(([authorChannelId, { member, count }]) => ({
+          updateOne: {
+            filter: { userId, authorChannelId },
+            update: {
+              $set: {
+                authorDisplayName: member.commentAuthorDisplayName,
+                authorProfileImageUrl: member.commentAuthorProfileImageUrl,
+                lastActionAt: now,
+                ...(banAuthor && { isChannelBanned: true }),
+              },
+              ...(banAuthor && { $min: { bannedAt: now } }),
+              $inc: { hiddenCommentCount: count },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+  }
+
+  campaign.moderationStatus = moderationStatus;
+  campaign.lastModeratedAt = new Date();
+  await campaign.save();
+
+  console.log(
+    `[Campaign] ${moderatedCount} komentar kampanye ${campaignId} diubah ke '${moderationStatus}'. User ID: ${userId}`
+  );
+
+  return {
+    campaignId: String(campaign._id),
+    moderationStatus,
+    moderatedCount,
+    bannedAuthorCount: banAuthor ? hiddenByAuthor.size : 0,
+  };
+};
+
+module.exports = {
+  rebuildCampaigns,
+  getCampaigns,
+  getCampaignComments,
+  moderateCampaign,
+};
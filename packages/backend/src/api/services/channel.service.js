@@ -1 +1,316 @@
 // Logika untuk menambah, mengambil data channel
+// src/api/services/channel.service.js
+const User = require("../models/User.model");
+const ChannelScan = require("../models/ChannelScan.model");
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const youtubeService = require("./youtube.service");
+const quotaService = require("./quota.service");
+const config = require("../../config/environment");
+const { BadRequestError, NotFoundError } = require("../../utils/errors");
+const {
+  EFFECTIVE_CLASSIFICATION_EXPR,
+} = require("../../utils/classificationPolicy");
+const {
+  matchesDomainList,
+  resolveBlockedDomains,
+} = require("../../utils/promotionExtractor");
+const { SHORT_LINK_DOMAINS } = require("../../config/domainBlocklist");
+
+// Status VideoAnalysis yang berarti analisis masih di antrean atau sedang berjalan
+const IN_PROGRESS_STATUSES = ["PENDING", "PROCESSING"];
+
+/**
+ * Memulai scan seluruh channel YouTube milik pengguna.
+ * Video diambil dari playlist uploads channel (`youtubeChannelId` yang tersimpan saat
+ * menghubungkan akun YouTube), lalu setiap video dimasukkan ke antrean sebagai
+ * VideoAnalysis PENDING yang akan diproses oleh worker background.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} filters
+ * @param {Date} [filters.publishedAfter] - Hanya video yang diunggah pada/sesudah tanggal ini.
+ * @param {Date} [filters.publishedBefore] - Hanya video yang diunggah pada/sebelum tanggal ini.
+ * @param {number} filters.maxVideos - Batas jumlah video yang dianalisis.
+ * @returns {Promise<object>} Ringkasan scan (lihat `getChannelScanSummary`).
+ * @throws {BadRequestError} Jika akun YouTube belum terhubung.
+ */
+const startChannelScan = async (
+  userId,
+  { publishedAfter, publishedBefore, maxVideos }
+) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError("Pengguna tidak ditemukan.");
+  }
+  if (!user.youtubeChannelId) {
+    throw new BadRequestError(
+      "Akun YouTube belum terhubung. Hubungkan channel Anda terlebih dahulu."
+    );
+  }
+
+  const youtubeClient =
+    await youtubeService.getAuthenticatedYouTubeClient(userId);
+  const { uploadsPlaylistId, channelTitle } =
+    await youtubeService.getChannelUploadsPlaylistId(user.youtubeChannelId, {
+      youtubeClient,
+    });
+  const videos = await youtubeService.fetchChannelUploads(
+    uploadsPlaylistId,
+    { youtubeClient },
+    { publishedAfter, publishedBefore, maxVideos }
+  );
+
+  await quotaService.assertQuotaAvailable(
+    userId,
+    videos.length *
+      quotaService.estimateAnalysisCost(config.MAX_TOP_LEVEL_COMMENTS),
+    `menganalisis ${videos.length} video channel`
+  );
+
+  const channelScan = await ChannelScan.create({
+    userId,
+    youtubeChannelId: user.youtubeChannelId,
+    channelTitle: channelTitle || user.youtubeChannelName,
+    uploadsPlaylistId,
+    filters: { publishedAfter, publishedBefore, maxVideos },
+    totalVideosQueued: videos.length,
+  });
+
+  if (videos.length > 0) {
+    const requestedAt = Date.now();
+    await VideoAnalysis.insertMany(
+      videos.map((video) => ({
+        userId,
+        youtubeVideoId: video.youtubeVideoId,
+        videoTitle: video.videoTitle,
+        videoPublishedAt: video.videoPublishedAt,
+        channelScanId: channelScan._id,
+        status: "PENDING",
+        requestedAt,
+      }))
+    );
+  }
+
+  console.log(
+    `[ChannelScan-${channelScan._id}] ${videos.length} video dari channel ${user.youtubeChannelId} masuk antrean analisis. User ID: ${userId}`
+  );
+
+  return getChannelScanSummary(channelScan._id, userId);
+};
+
+/**
+ * Menyusun ringkasan sebuah scan channel: status setiap video dan jumlah komentar judi
+ * per video, diurutkan dari video yang paling banyak diserang komentar judi.
+ * Komentar dihitung per video milik pengguna, bukan per analisis: analisis ulang hanya
+ * menyimpan komentar yang belum pernah dianalisis, sehingga komentar video yang sudah
+ * pernah di-scan tetap tercatat pada analisis sebelumnya.
+ * @param {string} channelScanId - ID dari ChannelScan.
+ * @param {string} userId - ID User Judi Guard yang memiliki scan tersebut.
+ * @returns {Promise<object>} Objek `{ scan, status, totals, videos }`.
+ * @throws {NotFoundError} Jika scan tidak ditemukan atau bukan milik pengguna.
+ */
+const getChannelScanSummary = async (channelScanId, userId) => {
+  const channelScan = await ChannelScan.findOne({
+    _id: channelScanId,
+    userId,
+  }).lean();
+
+  if (!channelScan) {
+    throw new NotFoundError(
+      "Data scan channel tidak ditemukan atau Anda tidak memiliki akses."
+    );
+  }
+
+  const analyses = await VideoAnalysis.find({ channelScanId })
+    .select(
+      "youtubeVideoId videoTitle videoPublishedAt status progress errorMessage completedAt"
+    )
+    .lean();
+
+  const commentCounts = await AnalyzedComment.aggregate([
+    {
+      $match: {
+        userId: channelScan.userId,
+        youtubeVideoId: { $in: analyses.map((a) => a.youtubeVideoId) },
+      },
+    },
+    {
+      $group: {
+        _id: "$youtubeVideoId",
+        totalComments: { $sum: 1 },
+        judiComments: {
+          $sum: {
+            $cond: [{ $eq: [EFFECTIVE_CLASSIFICATION_EXPR, "JUDI"] }, 1, 0],
+          },
+        },
+      },
+    },
+  ]);
+  const countsByVideoId = new Map(commentCounts.map((c) => [c._id, c]));
+
+  const videos = analyses
+    .map((analysis) => {
+      const counts = countsByVideoId.get(analysis.youtubeVideoId);
+      const totalComments = counts?.totalComments || 0;
+      const judiComments = counts?.judiComments || 0;
+      return {
+        analysisId: analysis._id,
+        youtubeVideoId: analysis.youtubeVideoId,
+        videoTitle: analysis.videoTitle,
+        videoPublishedAt: analysis.videoPublishedAt,
+        status: analysis.status,
+        errorMessage: analysis.errorMessage,
+        totalComments,
+        judiComments,
+        judiRatio: totalComments > 0 ? judiComments / totalComments : 0,
+      };
+    })
+    .sort(
+      (a, b) => b.judiComments - a.judiComments || b.judiRatio - a.judiRatio
+    );
+
+  const totals = videos.reduce(
+    (acc, video) => {
+      if (video.status === "FAILED") acc.videosFailed++;
+      else if (!IN_PROGRESS_STATUSES.includes(video.status))
+        acc.videosCompleted++;
+      acc.totalComments += video.totalComments;
+      acc.judiComments += video.judiComments;
+      return acc;
+    },
+    {
+      videosQueued: videos.length,
+      videosCompleted: 0,
+      videosFailed: 0,
+      totalComments: 0,
+      judiComments: 0,
+    }
+  );
+
+  const status = videos.some((v) => IN_PROGRESS_STATUSES.includes(v.status))
+    ? "PROCESSING"
+    : "COMPLETED";
+
+  return { scan: channelScan, status, totals, videos };
+};
+
+// Field `AnalyzedComment.promotions` untuk setiap tipe tujuan promosi
+const DESTINATION_FIELDS = {
+  DOMAIN: "domains",
+  PHONE: "phoneNumbers",
+  HANDLE: "handles",
+};
+
+/**
+ * Menyusun laporan tujuan promosi (domain, nomor telepon, handle) yang paling sering
+ * muncul di komentar video sebuah channel, untuk dilaporkan ke platform terkait.
+ * Video dianggap milik channel jika `VideoAnalysis.youtubeChannelId` cocok atau
+ * berasal dari scan channel tersebut.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} options
+ * @param {string} [options.youtubeChannelId] - Bawaan: channel YouTube yang terhubung.
+ * @param {"DOMAIN"|"PHONE"|"HANDLE"} [options.type] - Batasi ke satu tipe tujuan.
+ * @param {number} options.limit - Jumlah maksimal tujuan yang dikembalikan.
+ * @returns {Promise<{youtubeChannelId: string, videosAnalyzed: number, destinations: Array<object>}>}
+ * @throws {BadRequestError} Jika channel tidak diberikan dan akun YouTube belum terhubung.
+ */
+const getPromotedDestinations = async (
+  userId,
+  { youtubeChannelId, type, limit }
+) => {
+  const user = await User.findById(userId).select(
+    "youtubeChannelId moderationSettings"
+  );
+  if (!user) {
+    throw new NotFoundError("Pengguna tidak ditemukan.");
+  }
+  const channelId = youtubeChannelId || user.youtubeChannelId;
+  if (!channelId) {
+    throw new BadRequestError(
+      "Akun YouTube belum terhubung. Pilih channel atau hubungkan channel Anda terlebih dahulu."
+    );
+  }
+
+  const channelScanIds = await ChannelScan.find({
+    userId,
+    youtubeChannelId: channelId,
+  }).distinct("_id");
+  const analysisIds = await VideoAnalysis.find({
+    userId,
+    $or: [
+      { youtubeChannelId: channelId },
+      { channelScanId: { $in: channelScanIds } },
+    ],
+  }).distinct("_id");
+
+  const types = type ? [type] : Object.keys(DESTINATION_FIELDS);
+  const destinations = await AnalyzedComment.aggregate([
+    {
+      $match: {
+        analysisId: { $in: analysisIds },
+        promotions: { $exists: true },
+      },
+    },
+    {
+      $project: {
+        youtubeVideoId: 1,
+        commentAuthorChannelId: 1,
+        commentPublishedAt: 1,
+        isJudi: { $eq: [EFFECTIVE_CLASSIFICATION_EXPR, "JUDI"] },
+        destinations: {
+          $concatArrays: types.map((destinationType) => ({
+            $map: {
+              input: {
+                $ifNull: [
+                  `$promotions.${DESTINATION_FIELDS[destinationType]}`,
+                  [],
+                ],
+              },
+              as: "value",
+              in: { type: destinationType, value: "$$value" },
+            },
+          })),
+        },
+      },
+    },
+    { $unwind: "$destinations" },
+    {
+      $group: {
+        _id: "$destinations",
+        commentCount: { $sum: 1 },
+        judiCommentCount: { $sum: { $cond: ["$isJudi", 1, 0] } },
+        videoIds: { $addToSet: "$youtubeVideoId" },
+        authorIds: { $addToSet: "$commentAuthorChannelId" },
+        firstSeenAt: { $min: "$commentPublishedAt" },
+        lastSeenAt: { $max: "$commentPublishedAt" },
+      },
+    },
+    { $sort: { judiCommentCount: -1, commentCount: -1 } },
+    { $limit: limit },
+  ]);
+
+  const blockedDomains = resolveBlockedDomains(user.moderationSettings);
+  return {
+    youtubeChannelId: channelId,
+    videosAnalyzed: analysisIds.length,
+    destinations: destinations.map(
+      ({ _id, videoIds, authorIds, ...stats }) => ({
+        type: _id.type,
+        value: _id.value,
+        ...stats,
+        videoCount: videoIds.length,
+        authorCount: authorIds.length,
+        isBlocked:
+          _id.type === "DOMAIN" && matchesDomainList(_id.value, blockedDomains),
+        isShortLink:
+          _id.type === "DOMAIN" &&
+          matchesDomainList(_id.value, SHORT_LINK_DOMAINS),
+      })
+    ),
+  };
+};
+
+module.exports = {
+  startChannelScan,
+  getChannelScanSummary,
+  getPromotedDestinations,
+};
@@ -0,0 +1,632 @@
+// src/api/services/deletionJob.service.js
+const DeletionJob = require("../models/DeletionJob.model");
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const User = require("../models/User.model");
+const youtubeService = require("./youtube.service");
+const moderationService = require("./moderation.service");
+const quotaService = require("./quota.service");
+const auditService = require("./audit.service");
+const config = require("../../config/environment");
+const { sleep } = require("../../utils/retry");
+const {
+  NotFoundError,
+  BadRequestError,
+  QuotaExceededError,
+} = require("../../utils/errors");
+const {
+  resolveModerationSettings,
+} = require("../../utils/classificationPolicy");
+
+const { DELETE_COMMENT_QUOTA_COST, MODERATION_IDS_PER_REQUEST, QUOTA_COSTS } =
+  quotaService;
+
+// Jumlah kegagalan terakhir yang disimpan di dokumen job
+const MAX_STORED_FAILURES = 100;
+
+// Alasan komentar berlabel judi tidak ikut penghapusan massal (dipakai di dry-run)
+const SKIP_REASONS = {
+  ALREADY_DELETED: "Sudah dihapus dari YouTube.",
+  ALREADY_HIDDEN: "Sudah disembunyikan (rejected) di YouTube.",
+  REVIEWED_NOT_JUDI: "Ditinjau manual sebagai bukan judi.",
+  NEEDS_REVIEW: "Masih perlu ditinjau manual.",
+  BELOW_THRESHOLD: "Skor judi di bawah ambang aksi otomatis.",
+  EXCLUDED: "Dikecualikan oleh pengguna.",
+};
+
+/**
+ * Filter komentar judi yang menjadi target penghapusan massal sebuah analisis.
+ * Komentar yang sudah ditinjau mengikuti verdict manusia. Sisanya hanya yang
+ * keyakinannya di atas ambang aksi otomatis; komentar NEEDS_REVIEW atau JUDI
+ * berskor rendah dibiarkan untuk ditinjau manual.
+ * @param {string} analysisId - ID VideoAnalysis.
+ * @param {number} autoActionThreshold
+ * @param {string[]} [excludedCommentIds=[]] - ID AnalyzedComment yang dikecualikan pengguna.
+ * @returns {object} Filter Mongoose untuk AnalyzedComment.
+ */
+const buildBatchDeletionFilter = (
+  analysisId,
+  autoActionThreshold,
+  excludedCommentIds = []
+) => ({
+  analysisId, // Termasuk balasan yang tersimpan di analisis ini
+  ...(excludedCommentIds.length > 0 && {
+    _id: { $nin: excludedCommentIds },
+  }),
+  $or: [
+    { humanClassification: "JUDI" },
+    {
+      humanClassification: null,
+      classification: "JUDI",
+      judiScore: { $gte: autoActionThreshold },
+    },
+    // Komentar lama sebelum ada judiScore: skor model = probabilitas judi
+    {
+      humanClassification: null,
+      classification: "JUDI",
+      judiScore: null,
+      aiConfidenceScore: { $gte: autoActionThreshold },
+    },
+  ],
+  isDeletedOnYoutube: { $ne: true }, // Hanya yang belum ditandai terhapus
+  youtubeModerationStatus: { $ne: "rejected" }, // Dan belum disembunyikan
+});
+
+/**
+ * Menentukan aksi untuk satu komentar target: komentar milik channel pengguna dihapus
+ * permanen, komentar orang lain disembunyikan ('rejected') karena YouTube tidak
+ * mengizinkan pemilik video menghapus komentar orang lain.
+ * @param {object} comment - AnalyzedComment dengan `commentAuthorChannelId`.
+ * @param {string} [ownerChannelId] - `youtubeChannelId` pengguna.
+ * @returns {"delete"|"rejected"}
+ */
+const resolveBatchAction = (comment, ownerChannelId) =>
+  ownerChannelId && comment.commentAuthorChannelId === ownerChannelId
+    ? "delete"
+    : "rejected";
+
+/**
+ * Menentukan alasan komentar berlabel judi tidak masuk target penghapusan massal.
+ * @param {object} comment - AnalyzedComment.
+ * @param {Set<string>} excludedIds - ID komentar yang dikecualikan pengguna.
+ * @returns {keyof SKIP_REASONS}
+ */
+const resolveSkipReason = (comment, excludedIds) => {
+  if (comment.isDeletedOnYoutube) return "ALREADY_DELETED";
+  if (comment.youtubeModerationStatus === "rejected") return "ALREADY_HIDDEN";
+  if (comment.humanClassification === "NON_JUDI") return "REVIEWED_NOT_JUDI";
+  if (excludedIds.has(comment._id.toString())) return "EXCLUDED";
+  if (comment.classification === "NEEDS_REVIEW") return "NEEDS_REVIEW";
+  return "BELOW_THRESHOLD";
+};
+
+/**
+ * Perkiraan unit kuota untuk menjalankan aksi pada sejumlah komentar target.
+ * @param {{delete: number, rejected: number}} actionCounts
+ * @returns {number}
+ */
+const estimateBatchQuotaCost = (actionCounts) =>
+  actionCounts.delete * DELETE_COMMENT_QUOTA_COST +
+  quotaService.estimateModerationCost(actionCounts.rejected);
+
+/**
+ * Mengambil VideoAnalysis milik pengguna.
+ * @throws {NotFoundError}
+ */
+const findOwnedAnalysis = async (userId, analysisId) => {
+  const videoAnalysis = await VideoAnalysis.findOne({
+    _id: analysisId,
+    userId,
+  });
+  if (!videoAnalysis) {
+    throw new NotFoundError(
+      "Data analisis video tidak ditemukan atau Anda tidak memiliki akses."
+    );
+  }
+  return videoAnalysis;
+};
+
+/**
+ * Mengambil `youtubeChannelId` dan ambang aksi otomatis pengguna.
+ * @param {string} userId - ID User Judi Guard.
+ * @returns {Promise<{ownerChannelId: string|undefined, autoActionThreshold: number}>}
+ */
+const getOwnerSettings = async (userId) => {
+  const owner = await User.findById(userId).select(
+    "youtubeChannelId moderationSettings"
+  );
+  const { autoActionThreshold } = resolveModerationSettings(
+    owner?.moderationSettings
+  );
+  return { ownerChannelId: owner?.youtubeChannelId, autoActionThreshold };
+};
+
+/**
+ * Dry-run penghapusan massal: daftar komentar yang akan disentuh beserta aksinya,
+ * perkiraan biaya kuota, dan komentar berlabel judi yang dilewati beserta alasannya.
+ * Tidak ada panggilan ke YouTube dan tidak ada data yang diubah.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} analysisId - ID VideoAnalysis.
+ * @param {object} [options]
+ * @param {string[]} [options.excludeCommentIds=[]] - ID AnalyzedComment yang dikecualikan.
+ * @returns {Promise<object>}
+ */
+const previewBatchDeletion = async (
+  userId,
+  analysisId,
+  { excludeCommentIds = [] } = {}
+) => {
+  const videoAnalysis = await findOwnedAnalysis(userId, analysisId);
+  const { ownerChannelId, autoActionThreshold } =
+    await getOwnerSettings(userId);
+
+  const fields =
+    "youtubeCommentId parentYoutubeCommentId commentTextDisplay commentAuthorDisplayName commentAuthorChannelId classification humanClassification judiScore aiConfidenceScore isDeletedOnYoutube youtubeModerationStatus";
+  const targetComments = await AnalyzedComment.find(
+    buildBatchDeletionFilter(
+      videoAnalysis._id,
+      autoActionThreshold,
+      excludeCommentIds
+    )
+  )
+    .sort({ _id: 1 })
+    .select(fields)
+    .lean();
+  // Semua komentar yang berlabel judi oleh AI atau moderator, untuk menjelaskan yang dilewati
+  const judiComments = await AnalyzedComment.find({
+    analysisId: videoAnalysis._id,
+    $or: [
+      { classification: { $in: ["JUDI", "NEEDS_REVIEW"] } },
+      { humanClassification: "JUDI" },
+    ],
+  })
+    .sort({ _id: 1 })
+    .select(fields)
+    .lean();
+
+  const actionCounts = { delete: 0, rejected: 0 };
+  const targets = targetComments.map(
+    ({ isDeletedOnYoutube, youtubeModerationStatus, ...comment }) => {
+      const action = resolveBatchAction(comment, ownerChannelId);
+      actionCounts[action]++;
+      return { ...comment, action };
+    }
+  );
+
+  const targetIds = new Set(targets.map((c) => c._id.toString()));
+  const excludedIds = new Set(excludeCommentIds.map(String));
+  const skipped = judiComments
+    .filter((c) => !targetIds.has(c._id.toString()))
+    .map((comment) => {
+      const reason = resolveSkipReason(comment, excludedIds);
+      return {
+        _id: comment._id,
+        youtubeCommentId: comment.youtubeCommentId,
+        commentTextDisplay: comment.commentTextDisplay,
+        commentAuthorDisplayName: comment.commentAuthorDisplayName,
+        judiScore: comment.judiScore ?? comment.aiConfidenceScore,
+        reason,
+        reasonText: SKIP_REASONS[reason],
+      };
+    });
+
+  const estimatedQuotaCost = estimateBatchQuotaCost(actionCounts);
+  const quota = await quotaService.getRemainingQuota(userId);
+
+  return {
+    dryRun: true,
+    analysisId: videoAnalysis._id,
+    autoActionThreshold,
+    totalTargeted: targets.length,
+    actionCounts,
+    estimatedQuotaCost,
+    // Dipakai frontend untuk menghitung ulang perkiraan setelah komentar dikecualikan
+    quotaCosts: {
+      deletePerComment: DELETE_COMMENT_QUOTA_COST,
+      moderationPerRequest: QUOTA_COSTS["comments.setModerationStatus"],
+      commentsPerModerationRequest: MODERATION_IDS_PER_REQUEST,
+    },
+    quota: {
+      ...quota,
+      isWithinBudget: estimatedQuotaCost <= quota.remainingUnits,
+    },
+    targets,
+    skipped,
+  };
+};
+
+/**
+ * Mengantrekan job penghapusan massal komentar judi sebuah analisis.
+ * Jika sudah ada job yang sedang antre/berjalan untuk analisis yang sama, job itu
+ * dikembalikan alih-alih membuat job baru.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} analysisId - ID VideoAnalysis.
+ * @param {object} [options]
+ * @param {number} [options.quotaBudget] - Anggaran unit kuota untuk job ini.
+ * @param {string[]} [options.excludeCommentIds=[]] - ID AnalyzedComment yang dikecualikan
+ *   pengguna dari pratinjau dry-run.
+ * @returns {Promise<{job: object, isNew: boolean}>}
+ */
+const createBatchDeletionJob = async (
+  userId,
+  analysisId,
+  { quotaBudget, excludeCommentIds = [] } = {}
+) => {
+  const videoAnalysis = await findOwnedAnalysis(userId, analysisId);
+  // Komentar hasil impor file tidak punya padanan di YouTube yang bisa dihapus
+  if (videoAnalysis.source === "import") {
+    throw new BadRequestError(
+      "Analisis hasil impor file tidak terhubung ke YouTube, komentarnya tidak dapat dihapus."
+    );
+  }
+
+  const activeJob = await DeletionJob.findOne({
+    analysisId: videoAnalysis._id,
+    status: { $in: ["QUEUED", "RUNNING"] },
+  }).lean();
+  if (activeJob) return { job: activeJob, isNew: false };
+
+  const { autoActionThreshold } = await getOwnerSettings(userId);
+  const totalTargeted = await AnalyzedComment.countDocuments(
+    buildBatchDeletionFilter(
+      videoAnalysis._id,
+      autoActionThreshold,
+      excludeCommentIds
+    )
+  );
+
+  const job = await DeletionJob.create({
+    userId,
+    analysisId: videoAnalysis._id,
+    autoActionThreshold,
+    excludedCommentIds: excludeCommentIds,
+    quotaBudget: quotaBudget || config.deletionJob.defaultQuotaBudget,
+    totalTargeted,
+    status: totalTargeted === 0 ? "COMPLETED" : "QUEUED",
+    completedAt: totalTargeted === 0 ? new Date() : undefined,
+  });
+
+  console.log(
+    `[DeletionJob-${job._id}] Diantrekan untuk analisis ${analysisId}: ${totalTargeted} komentar, anggaran ${job.quotaBudget} unit. User ID: ${userId}`
+  );
+
+  return { job: job.toObject(), isNew: true };
+};
+
+/**
+ * Mengambil job penghapusan terbaru sebuah analisis.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} analysisId - ID VideoAnalysis.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} Jika analisis belum pernah punya job penghapusan.
+ */
+const getLatestDeletionJob = async (userId, analysisId) => {
+  const job = await DeletionJob.findOne({ analysisId, userId })
+    .sort({ createdAt: -1 })
+    .lean();
+  if (!job) {
+    throw new NotFoundError(
+      "Belum ada job penghapusan massal untuk analisis ini."
+    );
+  }
+  return job;
+};
+
+/**
+ * Melanjutkan job penghapusan terbaru yang terjeda (kuota habis) atau gagal.
+ * Job mulai lagi dari komentar target yang belum `isDeletedOnYoutube` (atau belum
+ * disembunyikan), termasuk komentar yang gagal pada putaran sebelumnya, dengan
+ * anggaran kuota baru. Komentar yang dikecualikan saat job dibuat tetap dikecualikan.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} analysisId - ID VideoAnalysis.
+ * @param {object} [options]
+ * @param {number} [options.quotaBudget] - Anggaran unit kuota untuk putaran ini.
+ * @returns {Promise<object>} Job yang sudah diantrekan ulang.
+ * @throws {BadRequestError} Jika job sedang berjalan atau sudah selesai.
+ */
+const resumeDeletionJob = async (userId, analysisId, { quotaBudget } = {}) => {
+  const latestJob = await getLatestDeletionJob(userId, analysisId);
+  if (!["PAUSED_QUOTA", "FAILED"].includes(latestJob.status)) {
+    throw new BadRequestError(
+      `Job penghapusan berstatus ${latestJob.status} dan tidak dapat dilanjutkan.`
+    );
+  }
+
+  const remaining = await AnalyzedComment.countDocuments(
+    buildBatchDeletionFilter(
+      latestJob.analysisId,
+      latestJob.autoActionThreshold,
+      latestJob.excludedCommentIds
+    )
+  );
+
+  const job = await DeletionJob.findOneAndUpdate(
+    { _id: latestJob._id, status: latestJob.status },
+    {
+      $set: {
+        status: "QUEUED",
+        quotaBudget: quotaBudget || config.deletionJob.defaultQuotaBudget,
+        quotaUsed: 0,
+        totalTargeted:
+          latestJob.deletedCount + latestJob.hiddenCount + remaining,
+        failedCount: 0,
+        failures: [],
+        lastError: null,
+      },
+      $unset: { cursorCommentId: 1, pausedAt: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!job) {
+    throw new BadRequestError("Job penghapusan sedang diproses.");
+  }
+
+  console.log(
+    `[DeletionJob-${job._id}] Dilanjutkan: ${remaining} komentar tersisa. User ID: ${userId}`
+  );
+  return job;
+};
+
+/**
+ * Menandai status akhir penghapusan di VideoAnalysis, sama seperti batch delete sebelumnya.
+ * Komentar yang disembunyikan dihitung sebagai berhasil.
+ * @param {object} job - Dokumen DeletionJob terbaru.
+ */
+const syncAnalysisDeletionStatus = async (job) => {
+  const succeededCount = job.deletedCount + job.hiddenCount;
+  let status;
+  if (job.status === "COMPLETED") {
+    if (job.failedCount > 0 && succeededCount > 0) {
+      status = "COMPLETED_DELETION_WITH_PARTIAL_ERRORS";
+    } else if (job.failedCount > 0) {
+      status = "FAILED_ALL_DELETIONS";
+    } else {
+      status = "COMPLETED_ALL_DELETIONS_SUCCESSFULLY";
+    }
+  } else {
+    // Terjeda atau gagal di tengah jalan: progres tetap tersimpan di job
+    status =
+      succeededCount > 0
+        ? "COMPLETED_DELETION_WITH_PARTIAL_ERRORS"
+        : "FAILED_ALL_DELETIONS";
+  }
+
+  await VideoAnalysis.updateOne(
+    { _id: job.analysisId },
+    {
+      $set: {
+        status,
+        lastBatchDeletionSuccessCount: succeededCount,
+        lastBatchDeletionFailureCount: job.failedCount,
+        completedAt: Date.now(),
+      },
+    }
+  );
+};
+
+/**
+ * Mencatat satu batch job ke audit log atas nama pembuat job, agar setiap komentar
+ * yang dihapus/disembunyikan worker tetap bisa ditelusuri ke pengguna yang memulainya.
+ * @param {object} job - Dokumen DeletionJob setelah batch dieksekusi.
+ * @param {Array<object>} selected - Komentar yang dicoba pada batch ini.
+ * @param {{deleted: number, hidden: number, failed: number}} countsBefore - Penghitung job sebelum batch.
+ * @returns {Promise<void>}
+ */
+const recordBatchAudit = (job, selected, countsBefore) => {
+  const deleted = job.deletedCount - countsBefore.deleted;
+  const hidden = job.hiddenCount - countsBefore.hidden;
+  const failed = job.failedCount - countsBefore.failed;
+  // Batch terhenti karena kuota sebelum ada komentar yang diproses
+  if (deleted + hidden + failed === 0) return Promise.resolve();
+  let result = "PARTIAL";
+  if (failed === 0) result = "SUCCESS";
+  else if (deleted + hidden === 0) result = "FAILED";
+
+  return auditService.recordAudit({
+    userId: job.userId,
+    actorType: "system",
+    action: "deletionJob.batch",
+    result,
+    target: { type: "DeletionJob", id: job._id },
+    relatedIds: selected.map((c) => c._id),
+    details: { analysisId: String(job.analysisId), deleted, hidden, failed },
+  });
+};
+
+/**
+ * Mengambil komentar target dari awal batch sebanyak yang muat di sisa anggaran job.
+ * Satu panggilan comments.setModerationStatus cukup untuk semua komentar 'rejected'
+ * dalam satu batch, sedangkan setiap penghapusan dihitung sendiri-sendiri.
+ * @param {Array<object>} batch - Komentar target berurutan `_id` beserta `action`.
+ * @param {number} remainingBudget - Sisa unit kuota job.
+ * @returns {{selected: Array<object>, cost: number}}
+ */
+const takeWithinBudget = (batch, remainingBudget) => {
+  const selected = [];
+  let cost = 0;
+  let hasModeration = false;
+  for (const comment of batch) {
+    let extraCost = DELETE_COMMENT_QUOTA_COST;
+    if (comment.action === "rejected") {
+      extraCost = hasModeration
+        ? 0
+        : QUOTA_COSTS["comments.setModerationStatus"];
+    }
+    if (cost + extraCost > remainingBudget) break;
+    cost += extraCost;
+    hasModeration = hasModeration || comment.action === "rejected";
+    selected.push(comment);
+  }
+  return { selected, cost };
+};
+
+/**
+ * Memproses job penghapusan yang sudah diklaim worker (status RUNNING).
+ * Komentar diambil per batch berurutan `_id`: komentar milik channel pengguna dihapus
+ * satu per satu, komentar orang lain disembunyikan sekaligus dengan satu panggilan
+ * moderasi, dengan jeda minimal antar permintaan. Progres dicatat di job setelah setiap
+ * batch sehingga job dapat dilanjutkan dari posisi terakhir. Job dijeda (PAUSED_QUOTA)
+ * sebelum melewati anggaran kuotanya atau saat kuota harian habis.
+ * @param {string} jobId - ID DeletionJob.
+ * @returns {Promise<void>}
+ */
+const processDeletionJob = async (jobId) => {
+  let job = await DeletionJob.findById(jobId);
+  if (!job) return;
+
+  const logPrefix = `[DeletionJob-${job._id}]`;
+  await VideoAnalysis.updateOne(
+    { _id: job.analysisId },
+    {
+      $set: {
+        status: "DELETING_CLASSIFIED_COMMENTS",
+        lastBatchDeletionAttemptAt: Date.now(),
+      },
+    }
+  );
+
+  const pause = (reason) => {
+    job.status = "PAUSED_QUOTA";
+    job.pausedAt = new Date();
+    job.lastError = reason;
+  };
+
+  try {
+    const { ownerChannelId } = await getOwnerSettings(job.userId);
+    const youtubeClient = await youtubeService.getAuthenticatedYouTubeClient(
+      job.userId
+    );
+    const filter = buildBatchDeletionFilter(
+      job.analysisId,
+      job.autoActionThreshold,
+      job.excludedCommentIds
+    );
+
+    // Pembatasan laju: beri jeda minimal antar permintaan ke YouTube
+    let lastRequestAt = 0;
+    const throttle = async () => {
+      const waitMs =
+        lastRequestAt + config.deletionJob.minRequestIntervalMs - Date.now();
+      if (waitMs > 0) await sleep(waitMs);
+      lastRequestAt = Date.now();
+    };
+    const recordResult = ({ moderatedCount, failures }, countField) => {
+      job[countField] += moderatedCount;
+      job.failedCount += failures.length;
+      job.failures = [...job.failures, ...failures].slice(-MAX_STORED_FAILURES);
+    };
+
+    while (true) {
+      const batch = await AnalyzedComment.find(
+        job.cursorCommentId
+          ? { ...filter, _id: { ...filter._id, $gt: job.cursorCommentId } }
+          : filter
+      )
+        .sort({ _id: 1 })
+        .limit(MODERATION_IDS_PER_REQUEST)
+        .select("youtubeCommentId commentAuthorChannelId")
+        .lean();
+      if (batch.length === 0) {
+        job.status = "COMPLETED";
+        job.completedAt = new Date();
+        break;
+      }
+
+      const { selected } = takeWithinBudget(
+        batch.map((c) => ({
+          ...c,
+          action: resolveBatchAction(c, ownerChannelId),
+        })),
+        job.quotaBudget - job.quotaUsed
+      );
+      if (selected.length === 0) {
+        pause(`Anggaran kuota job (${job.quotaBudget} unit) tercapai.`);
+        break;
+      }
+
+      const countsBefore = {
+        deleted: job.deletedCount,
+        hidden: job.hiddenCount,
+        failed: job.failedCount,
+      };
+      // Biaya dan komentar yang benar-benar sudah dikirim ke YouTube, agar jeda kuota
+      // di tengah batch tidak mengulang atau melupakan pekerjaan yang sudah selesai
+      let spent = 0;
+      const processed = new Set();
+      let quotaError = null;
+      try {
+        const toHide = selected.filter((c) => c.action === "rejected");
+        if (toHide.length > 0) {
+          await throttle();
+          recordResult(
+            await moderationService.applyModerationStatus(
+              job.userId,
+              toHide.map((c) => c.youtubeCommentId),
+              "rejected",
+              { continueOnError: true, youtubeClient }
+            ),
+            "hiddenCount"
+          );
+          spent += QUOTA_COSTS["comments.setModerationStatus"];
+          toHide.forEach((c) => processed.add(c));
+        }
+
+        for (const comment of selected.filter((c) => c.action === "delete")) {
+          await throttle();
+          recordResult(
+            await moderationService.deleteComments(
+              job.userId,
+              [comment.youtubeCommentId],
+              { continueOnError: true, youtubeClient }
+            ),
+            "deletedCount"
+          );
+          spent += DELETE_COMMENT_QUOTA_COST;
+          processed.add(comment);
+        }
+      } catch (error) {
+        // Kuota harian YouTube atau anggaran harian pengguna habis
+        if (!(error instanceof QuotaExceededError)) throw error;
+        quotaError = error;
+      }
+      await recordBatchAudit(job, selected, countsBefore);
+
+      // Kursor hanya maju sampai komentar terakhir yang semua pendahulunya sudah diproses
+      const firstPending = selected.findIndex((c) => !processed.has(c));
+      const processedCount =
+        firstPending === -1 ? selected.length : firstPending;
+      job.quotaUsed += spent;
+      if (processedCount > 0) {
+        job.cursorCommentId = selected[processedCount - 1]._id;
+      }
+      if (quotaError) {
+        pause(quotaError.message);
+        break;
+      }
+
+      job = await job.save();
+    }
+  } catch (error) {
+    console.error(`${logPrefix} Gagal diproses:`, error.message);
+    job.status = "FAILED";
+    job.lastError = error.message;
+  }
+
+  job = await job.save();
+  await syncAnalysisDeletionStatus(job);
+
+  console.log(
+    `${logPrefix} Selesai dengan status ${job.status}. Terhapus: ${job.deletedCount}, disembunyikan: ${job.hiddenCount}, gagal: ${job.failedCount}, kuota terpakai: ${job.quotaUsed}/${job.quotaBudget}.`
+  );
+};
+
+module.exports = {
+  SKIP_REASONS,
+  buildBatchDeletionFilter,
+  resolveBatchAction,
+  previewBatchDeletion,
+  createBatchDeletionJob,
+  getLatestDeletionJob,
+  resumeDeletionJob,
+  processDeletionJob,
+};
@@ -0,0 +1,158 @@
+// src/api/services/export.service.js
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const { NotFoundError } = require("../../utils/errors");
+const {
+  getEffectiveClassification,
+} = require("../../utils/classificationPolicy");
+
+// Kolom export hasil analisis, berurutan. `value` menerima komentar (POJO) dan
+// VideoAnalysis induknya. Teks bebas seperti isi komentar dan nama penulis dinetralkan
+// dari rumus spreadsheet oleh `toCsvRow`/`createXlsxStream`, bukan di sini, agar export
+// JSON tetap berisi teks asli.
+const EXPORT_COLUMNS = [
+  { header: "analysisId", value: (c) => String(c.analysisId) },
+  { header: "youtubeVideoId", value: (c) => c.youtubeVideoId },
+  { header: "videoTitle", value: (c, video) => video?.videoTitle },
+  { header: "youtubeCommentId", value: (c) => c.youtubeCommentId },
+  { header: "parentYoutubeCommentId", value: (c) => c.parentYoutubeCommentId },
+  { header: "authorDisplayName", value: (c) => c.commentAuthorDisplayName },
+  { header: "authorChannelId", value: (c) => c.commentAuthorChannelId },
+  { header: "text", value: (c) => c.commentTextOriginal },
+  { header: "classification", value: (c) => getEffectiveClassification(c) },
+  { header: "aiClassification", value: (c) => c.classification },
+  { header: "aiConfidenceScore", value: (c) => c.aiConfidenceScore },
+  { header: "judiScore", value: (c) => c.judiScore },
+  { header: "humanClassification", value: (c) => c.humanClassification },
+  { header: "aiModelVersion", value: (c) => c.aiModelVersion },
+  { header: "likeCount", value: (c) => c.likeCount },
+  { header: "commentPublishedAt", value: (c) => c.commentPublishedAt },
+  { header: "commentUpdatedAt", value: (c) => c.commentUpdatedAt },
+  {
+    header: "youtubeModerationStatus",
+    value: (c) => c.youtubeModerationStatus,
+  },
+  { header: "moderationAction", value: (c) => c.moderationAction },
+  { header: "moderatedAt", value: (c) => c.moderatedAt },
+  { header: "isDeletedOnYoutube", value: (c) => c.isDeletedOnYoutube },
+  { header: "deletionAttemptedAt", value: (c) => c.deletionAttemptedAt },
+  { header: "deletionError", value: (c) => c.deletionError },
+];
+
+const EXPORT_HEADERS = EXPORT_COLUMNS.map((column) => column.header);
+
+const EXPORT_FIELDS = [
+  "analysisId",
+  "youtubeVideoId",
+  "youtubeCommentId",
+  "parentYoutubeCommentId",
+  "commentAuthorDisplayName",
+  "commentAuthorChannelId",
+  "commentTextOriginal",
+  "classification",
+  "aiConfidenceScore",
+  "judiScore",
+  "humanClassification",
+  "aiModelVersion",
+  "likeCount",
+  "commentPublishedAt",
+  "commentUpdatedAt",
+  "youtubeModerationStatus",
+  "moderationAction",
+  "moderatedAt",
+  "isDeletedOnYoutube",
+  "deletionAttemptedAt",
+  "deletionError",
+].join(" ");
+
+/**
+ * Mengubah satu komentar menjadi record export `{ [header]: nilai }`.
+ * @param {object} comment - AnalyzedComment (POJO).
+ * @param {object} [video] - VideoAnalysis induk (POJO).
+ * @returns {object}
+ */
+const toExportRecord = (comment, video) =>
+  Object.fromEntries(
+    EXPORT_COLUMNS.map(({ header, value }) => [
+      header,
+      value(comment, video) ?? null,
+    ])
+  );
+
+/**
+ * Mengambil VideoAnalysis yang masuk cakupan export: satu analisis tertentu, atau
+ * semua analisis pengguna yang dibuat dalam rentang tanggal.
+ * Export mencakup seluruh komentar video yang dianalisis (lihat `iterateExportRecords`).
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} scope
+ * @param {string} [scope.analysisId]
+ * @param {Date} [scope.from]
+ * @param {Date} [scope.to]
+ * @returns {Promise<Array<object>>} VideoAnalysis (POJO), terlama dulu.
+ * @throws {NotFoundError} Jika `analysisId` tidak ditemukan atau bukan milik pengguna.
+ */
+const findExportAnalyses = async (userId, { analysisId, from, to }) => {
+  if (analysisId) {
+    const videoAnalysis = await VideoAnalysis.findOne({
+      _id: analysisId,
+      userId,
+    })
+      .select("userId youtubeVideoId videoTitle")
+      .lean();
+    if (!videoAnalysis) {
+      throw new NotFoundError(
+        "Data analisis video tidak ditemukan atau Anda tidak memiliki akses."
+      );
+    }
+    return [videoAnalysis];
+  }
+
+  const filter = { userId };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return VideoAnalysis.find(filter)
+    .sort({ createdAt: 1 })
+    .select("userId youtubeVideoId videoTitle")
+    .lean();
+};
+
+/**
+ * Mengalirkan record export komentar satu per satu lewat cursor MongoDB, per video
+ * lalu urut waktu publikasi, agar export besar tidak dimuat sekaligus ke memori.
+ * Komentar diambil per video milik pengguna, bukan per analisis: analisis ulang hanya
+ * menyimpan komentar baru, sehingga komentar lama tetap tercatat pada analisis
+ * sebelumnya (kolom `analysisId`). Video yang dianalisis lebih dari sekali dalam
+ * cakupan hanya diekspor sekali.
+ * @param {Array<object>} analyses - Hasil `findExportAnalyses`.
+ * @yields {object} Record `{ [header]: nilai }` sesuai `EXPORT_COLUMNS`.
+ */
+async function* iterateExportRecords(analyses) {
+  const exportedVideoIds = new Set();
+  for (const video of analyses) {
+    if (exportedVideoIds.has(video.youtubeVideoId)) continue;
+    exportedVideoIds.add(video.youtubeVideoId);
+
+    const cursor = AnalyzedComment.find({
+      userId: video.userId,
+      youtubeVideoId: video.youtubeVideoId,
+    })
+      .sort({ commentPublishedAt: 1 })
+      .select(EXPORT_FIELDS)
+      .lean()
+      .cursor();
+
+    for await (const comment of cursor) {
+      yield toExportRecord(comment, video);
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_HEADERS,
+  toExportRecord,
+  findExportAnalyses,
+  iterateExportRecords,
+};
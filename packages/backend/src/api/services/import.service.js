@@ -0,0 +1,328 @@
+// src/api/services/import.service.js
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const videoAnalysisService = require("./videoAnalysis.service");
+const { BadRequestError } = require("../../utils/errors");
+const { parseCsv } = require("../../utils/csv");
+const config = require("../../config/environment");
+
+// Nama kolom/properti yang dikenali, dinormalisasi ke huruf kecil tanpa spasi dan tanda baca.
+// Mencakup export komentar Google Takeout ("Comment ID", "Comment Text", ...), export
+// Judi Guard sendiri (lihat export.service.js), dan Comment resource YouTube API.
+const FIELD_ALIASES = {
+  commentid: "commentId",
+  youtubecommentid: "commentId",
+  id: "commentId",
+  parentcommentid: "parentCommentId",
+  parentyoutubecommentid: "parentCommentId",
+  parentid: "parentCommentId",
+  videoid: "videoId",
+  youtubevideoid: "videoId",
+  text: "text",
+  commenttext: "text",
+  textoriginal: "text",
+  commenttextoriginal: "text",
+  authordisplayname: "authorDisplayName",
+  author: "authorDisplayName",
+  commentauthordisplayname: "authorDisplayName",
+  authorchannelid: "authorChannelId",
+  channelid: "authorChannelId",
+  commentauthorchannelid: "authorChannelId",
+  publishedat: "publishedAt",
+  commentpublishedat: "publishedAt",
+  commentcreatetimestamp: "publishedAt",
+  likecount: "likeCount",
+};
+
+const normalizeFieldName = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Google Takeout menyimpan "Comment Text" sebagai rangkaian segmen JSON, misal
+ * `{"text":"Halo "},{"text":"dunia"}`. Segmen digabung kembali menjadi teks biasa;
+ * teks yang bukan format tersebut dikembalikan apa adanya.
+ * @param {string} value
+ * @returns {string}
+ */
+const parseTakeoutText = (value) => {
+  const trimmed = value.trim();
+  if (!trimmed.startsWith("{")) return value;
+  try {
+    const segments = JSON.parse(`[${trimmed}]`);
+    if (!segments.every((segment) => typeof segment?.text === "string")) {
+      return value;
+    }
+    return segments.map((segment) => segment.text).join("");
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Memetakan satu baris/objek file impor ke bentuk komentar impor yang seragam.
+ * Properti yang tidak dikenali diabaikan.
+ * @param {object} record - Baris CSV (header → nilai) atau objek JSON.
+ * @returns {{commentId?: string, parentCommentId?: string, videoId?: string, text: string,
+ *   authorDisplayName?: string, authorChannelId?: string, publishedAt?: string, likeCount: number}}
+ */
+const normalizeImportRecord = (record) => {
+  // Comment resource YouTube API: properti ada di dalam `snippet`
+  const source = record?.snippet
+    ? { ...record.snippet, commentId: record.id }
+    : record || {};
+  const fields = {};
+  for (const [key, value] of Object.entries(source)) {
+    const field = FIELD_ALIASES[normalizeFieldName(key)];
+    if (!field || fields[field] !== undefined) continue;
+    // authorChannelId pada Comment resource berbentuk { value }
+    const raw = value && typeof value === "object" ? value.value : value;
+    if (raw === null || raw === undefined || raw === "") continue;
+    fields[field] = String(raw);
+  }
+
+  const publishedAt = fields.publishedAt && new Date(fields.publishedAt);
+  return {
+    commentId: fields.commentId,
+    parentCommentId: fields.parentCommentId,
+    videoId: fields.videoId,
+    text: fields.text ? parseTakeoutText(fields.text) : "",
+    authorDisplayName: fields.authorDisplayName,
+    authorChannelId: fields.authorChannelId,
+    publishedAt:
+      publishedAt && !Number.isNaN(publishedAt.getTime())
+        ? publishedAt.toISOString()
+        : undefined,
+    likeCount: parseInt(fields.likeCount, 10) || 0,
+  };
+};
+
+/**
+ * Mem-parse isi file impor (CSV dengan baris header, atau JSON berupa array komentar
+ * maupun objek `{ comments: [...] }`) menjadi daftar komentar. Baris tanpa teks dilewati.
+ * @param {string} content - Isi file sebagai teks.
+ * @param {"csv"|"json"} [format] - Jika kosong, ditebak dari karakter pertama isi file.
+ * @returns {Array<object>} Komentar hasil `normalizeImportRecord`.
+ * @throws {BadRequestError} Jika file tidak bisa dibaca, kosong, atau melebihi batas komentar.
+ */
+const parseImportFile = (content, format) => {
+  const trimmed = content.replace(/^\uFEFF/, "").trim();
+  const resolvedFormat = format || (/^[[{]/.test(trimmed) ? "json" : "csv");
+
+  let records;
+  if (resolvedFormat === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      throw new BadRequestError("File JSON tidak valid.");
+    }
+    records = Array.isArray(parsed) ? parsed : parsed?.comments;
+    if (!Array.isArray(records)) {
+      throw new BadRequestError(
+        'File JSON harus berupa array komentar atau objek dengan properti "comments".'
+      );
+    }
+  } else {
+    const [header = [], ...rows] = parseCsv(trimmed);
+    records = rows.map((row) =>
+      Object.fromEntries(header.map((name, i) => [name, row[i]]))
+    );
+  }
+
+  const comments = records
+    .map(normalizeImportRecord)
+    .filter((comment) => comment.text.trim() !== "");
+  if (comments.length === 0) {
+    throw new BadRequestError(
+      "Tidak ada komentar yang bisa dibaca dari file. Pastikan file memiliki kolom teks komentar."
+    );
+  }
+  if (comments.length > config.importAnalysis.maxComments) {
+    throw new BadRequestError(
+      `File berisi ${comments.length} komentar, melebihi batas ${config.importAnalysis.maxComments} komentar per impor.`
+    );
+  }
+  return comments;
+};
+
+/**
+ * Video yang paling sering muncul di file impor, dipakai sebagai `youtubeVideoId` analisis.
+ * @param {Array<object>} comments
+ * @returns {string|undefined}
+ */
+const findDominantVideoId = (comments) => {
+  const counts = new Map();
+  for (const { videoId } of comments) {
+    if (videoId) counts.set(videoId, (counts.get(videoId) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0];
+};
+
+/**
+ * Mengubah komentar impor menjadi bentuk Comment resource YouTube yang dipakai pipeline
+ * klasifikasi. `youtubeCommentId` unik secara global, jadi ID dari file diberi awalan
+ * `import:<analysisId>:` agar file yang sama bisa diimpor berulang kali tanpa bentrok
+ * dengan hasil analisis lain. Komentar ber-ID ganda di dalam file hanya diambil sekali.
+ * @param {Array<object>} comments - Hasil `parseImportFile`.
+ * @param {string} analysisId - ID VideoAnalysis impor.
+ * @returns {Array<{comment: object, parentYoutubeCommentId: string|null, youtubeVideoId?: string}>}
+ */
+const toPipelineComments = (comments, analysisId) => {
+  const toId = (id) => `import:${analysisId}:${id}`;
+  const seenIds = new Set();
+  const items = [];
+
+  comments.forEach((comment, index) => {
+    const id = toId(comment.commentId || `row-${index + 1}`);
+    if (seenIds.has(id)) return;
+    seenIds.add(id);
+
+    items.push({
+      comment: {
+        id,
+        snippet: {
+          textOriginal: comment.text,
+          textDisplay: comment.text,
+          authorDisplayName: comment.authorDisplayName,
+          authorChannelId: comment.authorChannelId
+            ? { value: comment.authorChannelId }
+            : undefined,
+          publishedAt: comment.publishedAt,
+          likeCount: comment.likeCount,
+        },
+      },
+      parentYoutubeCommentId: comment.parentCommentId
+        ? toId(comment.parentCommentId)
+        : null,
+      youtubeVideoId: comment.videoId,
+    });
+  });
+
+  return items;
+};
+
+/**
+ * Memperbarui `processingStartedAt` impor secara berkala selama masih diproses. Impor
+ * berjalan di luar worker antrean, jadi tanpa heartbeat ini impor besar yang masih
+ * berjalan akan dianggap terhenti dan ditandai FAILED oleh `reclaimStaleAnalyses`.
+ * @param {string} analysisId - ID VideoAnalysis impor.
+ * @returns {() => void} Fungsi untuk menghentikan heartbeat.
+ */
+const startImportHeartbeat = (analysisId) => {
+  // Tiga kali dalam satu periode stale agar satu heartbeat yang gagal tidak berakibat fatal
+  const intervalMs = (config.analysisWorker.staleAfterMinutes * 60 * 1000) / 3;
+  const timer = setInterval(() => {
+    VideoAnalysis.updateOne(
+      { _id: analysisId, status: "PROCESSING" },
+      { $set: { processingStartedAt: Date.now() } }
+    ).catch((error) =>
+      console.error(
+        `[VideoAnalysis-${analysisId}] Gagal memperbarui heartbeat impor:`,
+        error.message
+      )
+    );
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/**
+ * Mengklasifikasikan dan menyimpan komentar impor ke VideoAnalysis yang sudah dibuat,
+ * lalu menandainya COMPLETED (atau FAILED jika terjadi error).
+ * @param {object} analysisEntry - Dokumen VideoAnalysis impor berstatus PROCESSING.
+ * @param {Array<object>} comments - Hasil `parseImportFile`.
+ * @returns {Promise<object>} Objek VideoAnalysis (POJO) setelah selesai diproses.
+ */
+const processImportedComments = async (analysisEntry, comments) => {
+  const stopHeartbeat = startImportHeartbeat(analysisEntry._id);
+  try {
+    const items = toPipelineComments(comments, analysisEntry._id);
+    analysisEntry.totalCommentsFetched = items.length;
+    analysisEntry.totalRepliesFetched = items.filter(
+      (item) => item.parentYoutubeCommentId
+    ).length;
+    analysisEntry.progress.commentsFetched = items.length;
+    analysisEntry.latestCommentPublishedAt = items.reduce((latest, item) => {
+      const { publishedAt } = item.comment.snippet;
+      if (!publishedAt) return latest;
+      const date = new Date(publishedAt);
+      return !latest || date > latest ? date : latest;
+    }, null);
+    await analysisEntry.save();
+
+    analysisEntry.totalCommentsAnalyzed =
+      await videoAnalysisService.classifyAndSaveComments(analysisEntry, items);
+
+    analysisEntry.status = "COMPLETED";
+    analysisEntry.completedAt = Date.now();
+    await analysisEntry.save();
+
+    console.log(
+      `[VideoAnalysis-${analysisEntry._id}] Impor selesai. Komentar dianalisis: ${analysisEntry.totalCommentsAnalyzed}/${items.length}.`
+    );
+    return analysisEntry.toObject();
+  } catch (error) {
+    console.error(
+      `[VideoAnalysis-${analysisEntry._id}] Impor komentar gagal:`,
+      error
+    );
+    analysisEntry.status = "FAILED";
+    analysisEntry.errorMessage = error.message;
+    analysisEntry.completedAt = Date.now();
+    await analysisEntry.save();
+    throw error;
+  } finally {
+    stopHeartbeat();
+  }
+};
+
+/**
+ * Membaca file komentar yang diunggah dan memulai analisis offline-nya. File divalidasi
+ * dan di-parse secara sinkron agar kesalahan format langsung terlihat; klasifikasi
+ * berjalan di latar belakang dan progresnya dipantau lewat endpoint status analisis
+ * seperti analisis video biasa. Analisis tidak memakai kuota YouTube.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} content - Isi file (CSV/JSON) sebagai teks.
+ * @param {object} [options]
+ * @param {"csv"|"json"} [options.format] - Format file; ditebak jika kosong.
+ * @param {string} [options.title] - Judul analisis yang ditampilkan di UI.
+ * @param {string} [options.youtubeVideoId] - Video asal komentar; default video terbanyak di file.
+ * @returns {Promise<object>} Objek VideoAnalysis (POJO) berstatus PROCESSING.
+ * @throws {BadRequestError} Jika isi file tidak valid.
+ */
+const startImportAnalysis = async (
+  userId,
+  content,
+  { format, title, youtubeVideoId } = {}
+) => {
+  const comments = parseImportFile(content, format);
+
+  const analysisEntry = await VideoAnalysis.create({
+    userId,
+    source: "import",
+    youtubeVideoId: youtubeVideoId || findDominantVideoId(comments) || "import",
+    videoTitle: title || `Impor ${comments.length} komentar`,
+    status: "PROCESSING",
+    requestedAt: Date.now(),
+    processingStartedAt: Date.now(),
+  });
+
+  console.log(
+    `[VideoAnalysis-${analysisEntry._id}] Impor ${comments.length} komentar dimulai. User ID: ${userId}`
+  );
+
+  // Sengaja tidak di-await; status FAILED sudah disimpan oleh processImportedComments
+  processImportedComments(analysisEntry, comments).catch(() => {});
+
+  return analysisEntry.toObject();
+};
+
+module.exports = {
+  parseTakeoutText,
+  normalizeImportRecord,
+  parseImportFile,
+  toPipelineComments,
+  processImportedComments,
+  startImportAnalysis,
+};
@@ -0,0 +1,329 @@
+// src/api/services/moderation.service.js
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const youtubeService = require("./youtube.service");
+const quotaService = require("./quota.service");
+const config = require("../../config/environment");
+const { chunkArray } = require("../../utils/asyncPool");
+const { withRetry } = require("../../utils/retry");
+const {
+  AppError,
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+  QuotaExceededError,
+} = require("../../utils/errors");
+
+/**
+ * Mengubah status moderasi banyak komentar di YouTube lalu mencatatnya di AnalyzedComment.
+ * Komentar dikirim per potongan 50 ID; setiap potongan yang berhasil langsung disimpan
+ * sehingga progres tidak hilang jika potongan berikutnya gagal (misal kuota habis).
+ * Potongan yang gagal dicatat sebagai `moderationResult: "FAILED"`.
+ * @param {string} userId - ID User Judi Guard pemilik channel.
+ * @param {string[]} youtubeCommentIds - ID komentar YouTube yang dimoderasi.
+ * @param {"heldForReview"|"published"|"rejected"} moderationStatus
+ * @param {object} [options]
+ * @param {boolean} [options.banAuthor=false] - Blokir penulis (hanya untuk 'rejected').
+ * @param {boolean} [options.continueOnError=false] - Lanjutkan ke potongan berikutnya jika
+ *   satu potongan gagal. Kuota habis selalu menghentikan proses.
+ * @param {(chunk: {youtubeCommentIds: string[], modifiedCount: number}) => void} [options.onChunk]
+ *   Dipanggil setelah setiap potongan berhasil.
+ * @param {object} [options.youtubeClient] - Klien yang sudah diautentikasi (lihat `deleteComments`).
+ * @returns {Promise<{moderatedCount: number, failures: Array<{youtubeCommentId: string, error: string}>}>}
+ */
+const applyModerationStatus = async (
+  userId,
+  youtubeCommentIds,
+  moderationStatus,
+  { banAuthor = false, continueOnError = false, onChunk, youtubeClient } = {}
+) => {
+  let moderatedCount = 0;
+  const failures = [];
+  if (youtubeCommentIds.length === 0) return { moderatedCount, failures };
+
+  await quotaService.assertQuotaAvailable(
+    userId,
+    quotaService.estimateModerationCost(youtubeCommentIds.length),
+    "memoderasi komentar"
+  );
+  const client =
+    youtubeClient ||
+    (await youtubeService.getAuthenticatedYouTubeClient(userId));
+
+  for (const chunk of chunkArray(
+    youtubeCommentIds,
+    quotaService.MODERATION_IDS_PER_REQUEST
+  )) {
+    try {
+      await withRetry(
+        () =>
+          youtubeService.setCommentsModerationStatus(chunk, moderationStatus, {
+            youtubeClient: client,
+            banAuthor,
+          }),
+        {
+          retries: config.deletionJob.maxRetries,
+          baseDelayMs: config.deletionJob.retryBaseDelayMs,
+          onRetry: (error, attempt, delayMs) =>
+            console.warn(
+              `[Moderation] Moderasi ${chunk.length} komentar di-throttle YouTube, percobaan ulang ke-${attempt} dalam ${Math.round(delayMs)}ms.`
+            ),
+        }
+      );
+    } catch (error) {
+      await AnalyzedComment.updateMany(
+        { userId, youtubeCommentId: { $in: chunk } },
+        {
+          moderationAction: moderationStatus,
+          moderationResult: "FAILED",
+          moderationError: error.message,
+          moderationAttemptedAt: new Date(),
+        }
+      );
+      if (!continueOnError || error instanceof QuotaExceededError) throw error;
+      chunk.forEach((youtubeCommentId) =>
+        failures.push({ youtubeCommentId, error: error.message })
+      );
+      continue;
+    }
+
+    const now = new Date();
+    const { modifiedCount } = await AnalyzedComment.updateMany(
+      { userId, youtubeCommentId: { $in: chunk } },
+      {
+        youtubeModerationStatus: moderationStatus,
+        isModeratedOnYoutube: moderationStatus !== "published",
+        moderatedAt: now,
+        moderationAction: moderationStatus,
+        moderationResult: "SUCCESS",
+        moderationError: null,
+        moderationAttemptedAt: now,
+      }
+    );
+    moderatedCount += modifiedCount;
+    onChunk?.({ youtubeCommentIds: chunk, modifiedCount });
+  }
+
+  return { moderatedCount, failures };
+};
+
+/**
+ * Menerjemahkan error dari `youtubeService.deleteYoutubeComment` menjadi AppError.
+ * @param {object} error
+ * @returns {AppError}
+ */
+const toDeletionError = (error) => {
+  if (error instanceof AppError) return error;
+  if (
+    error.response?.data?.error?.errors?.[0]?.reason === "quotaExceeded" ||
+    error.message?.toLowerCase().includes("quotaexceeded")
+  ) {
+    return new QuotaExceededError(
+      "Kuota harian YouTube API telah habis. Silakan coba lagi besok."
+    );
+  }
+  if (error.message === "NOT_COMMENT_OWNER_CANNOT_DELETE_PERMANENTLY") {
+    return new ForbiddenError(
+      "YouTube hanya mengizinkan penghapusan permanen untuk komentar milik channel Anda. Gunakan aksi 'rejected' untuk menyembunyikan komentar orang lain."
+    );
+  }
+  if (error.code === 404) {
+    return new NotFoundError("Komentar tidak ditemukan di YouTube.");
+  }
+  return new AppError(
+    `Gagal menghapus komentar: ${error.message}`,
+    typeof error.code === "number" ? error.code : 500
+  );
+};
+
+/**
+ * Menghapus permanen komentar satu per satu (`comments.delete` tidak mendukung batch).
+ * Permintaan yang di-throttle YouTube (429/rate limit) diulang dengan backoff.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string[]} youtubeCommentIds
+ * @param {object} [options]
+ * @param {boolean} [options.continueOnError=false] - Lanjutkan ke komentar berikutnya jika
+ *   satu komentar gagal. Kuota habis selalu menghentikan proses.
+ * @param {object} [options.youtubeClient] - Klien yang sudah diautentikasi, agar pemanggil
+ *   yang menghapus berulang kali tidak membuat klien baru setiap kali.
+ * @returns {Promise<{moderatedCount: number, failures: Array<{youtubeCommentId: string, error: string}>}>}
+ */
+const deleteComments = async (
+  userId,
+  youtubeCommentIds,
+  { continueOnError = false, youtubeClient } = {}
+) => {
+  let moderatedCount = 0;
+  const failures = [];
+  if (youtubeCommentIds.length === 0) return { moderatedCount, failures };
+
+  await quotaService.assertQuotaAvailable(
+    userId,
+    youtubeCommentIds.length * quotaService.DELETE_COMMENT_QUOTA_COST,
+    "menghapus komentar"
+  );
+  const client =
+    youtubeClient ||
+    (await youtubeService.getAuthenticatedYouTubeClient(userId));
+
+  for (const youtubeCommentId of youtubeCommentIds) {
+    try {
+      await withRetry(
+        () =>
+          youtubeService.deleteYoutubeComment(youtubeCommentId, {
+            youtubeClient: client,
+          }),
+        {
+          retries: config.deletionJob.maxRetries,
+          baseDelayMs: config.deletionJob.retryBaseDelayMs,
+          onRetry: (error, attempt, delayMs) =>
+            console.warn(
+              `[Moderation] Hapus ${youtubeCommentId} di-throttle YouTube, percobaan ulang ke-${attempt} dalam ${Math.round(delayMs)}ms.`
+            ),
+        }
+      );
+    } catch (rawError) {
+      const error = toDeletionError(rawError);
+      await AnalyzedComment.updateOne(
+        { userId, youtubeCommentId },
+        {
+          deletionAttemptedAt: new Date(),
+          deletionError: error.message,
+          moderationAction: "delete",
+          moderationResult: "FAILED",
+          moderationError: error.message,
+          moderationAttemptedAt: new Date(),
+        }
+      );
+      if (!continueOnError || error instanceof QuotaExceededError) throw error;
+      failures.push({ youtubeCommentId, error: error.message });
+      continue;
+    }
+
+    const now = new Date();
+    await AnalyzedComment.updateOne(
+      { userId, youtubeCommentId },
+      {
+        isDeletedOnYoutube: true,
+        isModeratedOnYoutube: false,
+        deletionAttemptedAt: now,
+        deletionError: null,
+        moderationAction: "delete",
+        moderationResult: "SUCCESS",
+        moderationError: null,
+        moderationAttemptedAt: now,
+      }
+    );
+    moderatedCount++;
+  }
+
+  return { moderatedCount, failures };
+};
+
+/**
+ * Menerapkan satu aksi moderasi ke banyak AnalyzedComment milik pengguna.
+ * Komentar yang sudah dihapus atau sudah berstatus sama dilewati.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string[]} analyzedCommentIds - ID AnalyzedComment.
+ * @param {"heldForReview"|"rejected"|"published"|"delete"} action
+ * @param {object} [options]
+ * @param {boolean} [options.banAuthor=false] - Blokir penulis (hanya untuk 'rejected').
+ * @param {boolean} [options.continueOnError=true] - Catat kegagalan lalu lanjutkan.
+ * @returns {Promise<{action: string, totalTargeted: number, succeeded: number, failed: number, skipped: number, failures: Array<object>}>}
+ * @throws {NotFoundError} Jika tidak ada satu pun komentar milik pengguna yang cocok.
+ */
+const moderateComments = async (
+  userId,
+  analyzedCommentIds,
+  action,
+  { banAuthor = false, continueOnError = true } = {}
+) => {
+  const comments = await AnalyzedComment.find({
+    _id: { $in: analyzedCommentIds },
+    userId,
+  })
+    .select("youtubeCommentId youtubeModerationStatus isDeletedOnYoutube")
+    .lean();
+
+  if (comments.length === 0) {
+    throw new NotFoundError("Komentar tidak ditemukan di database Anda.");
+  }
+
+  // Komentar yang belum pernah dimoderasi masih berstatus 'published' di YouTube
+  const targets = comments.filter(
+    (c) =>
+      !c.isDeletedOnYoutube &&
+      (action === "delete" ||
+        (c.youtubeModerationStatus || "published") !== action)
+  );
+  const youtubeCommentIds = targets.map((c) => c.youtubeCommentId);
+
+  const { moderatedCount, failures } =
+    action === "delete"
+      ? await deleteComments(userId, youtubeCommentIds, { continueOnError })
+      : await applyModerationStatus(userId, youtubeCommentIds, action, {
+          banAuthor,
+          continueOnError,
+        });
+
+  console.log(
+    `[Moderation] Aksi '${action}': ${moderatedCount} berhasil, ${failures.length} gagal dari ${targets.length} komentar. User ID: ${userId}`
+  );
+
+  return {
+    action,
+    totalTargeted: targets.length,
+    succeeded: moderatedCount,
+    failed: failures.length,
+    skipped: analyzedCommentIds.length - targets.length,
+    failures,
+  };
+};
+
+/**
+ * Menerapkan aksi moderasi ke satu AnalyzedComment. Berbeda dengan aksi massal,
+ * kegagalan dari YouTube langsung dilempar agar status HTTP-nya sesuai.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} analyzedCommentId - ID AnalyzedComment.
+ * @param {"heldForReview"|"rejected"|"published"|"delete"} action
+ * @param {object} [options]
+ * @param {boolean} [options.banAuthor=false]
+ * @returns {Promise<object>} AnalyzedComment setelah dimoderasi.
+ * @throws {NotFoundError} Jika komentar tidak ditemukan atau bukan milik pengguna.
+ * @throws {BadRequestError} Jika komentar sudah dihapus permanen dari YouTube.
+ */
+const moderateComment = async (
+  userId,
+  analyzedCommentId,
+  action,
+  { banAuthor = false } = {}
+) => {
+  const comment = await AnalyzedComment.findOne({
+    _id: analyzedCommentId,
+    userId,
+  }).select("isDeletedOnYoutube");
+  if (!comment) {
+    throw new NotFoundError("Komentar tidak ditemukan di database Anda.");
+  }
+  if (comment.isDeletedOnYoutube) {
+    throw new BadRequestError(
+      "Komentar sudah dihapus permanen dari YouTube dan tidak dapat dimoderasi lagi."
+    );
+  }
+
+  await moderateComments(userId, [analyzedCommentId], action, {
+    banAuthor,
+    continueOnError: false,
+  });
+  return AnalyzedComment.findById(analyzedCommentId)
+    .select(
+      "youtubeCommentId youtubeModerationStatus isModeratedOnYoutube isDeletedOnYoutube moderatedAt moderationAction moderationResult moderationError moderationAttemptedAt"
+    )
+    .lean();
+};
+
+module.exports = {
+  applyModerationStatus,
+  deleteComments,
+  moderateComments,
+  moderateComment,
+};
@@ -0,0 +1,197 @@
+// src/api/services/monitor.service.js
+const MonitoredVideo = require("../models/MonitoredVideo.model");
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const youtubeService = require("./youtube.service");
+const quotaService = require("./quota.service");
+const config = require("../../config/environment");
+const { getYouTubeVideoId } = require("../../utils/youtubeHelper");
+const { BadRequestError, NotFoundError } = require("../../utils/errors");
+
+// Jumlah maksimal riwayat re-scan yang dikembalikan per video
+const HISTORY_LIMIT = 30;
+
+/**
+ * Mencari video yang dipantau milik pengguna.
+ * @throws {NotFoundError} Jika tidak ditemukan atau bukan milik pengguna.
+ */
+const findOwnedMonitor = async (monitorId, userId) => {
+  const monitor = await MonitoredVideo.findOne({ _id: monitorId, userId });
+  if (!monitor) {
+    throw new NotFoundError(
+      "Video yang dipantau tidak ditemukan atau Anda tidak memiliki akses."
+    );
+  }
+  return monitor;
+};
+
+/**
+ * Menandai sebuah video untuk dipantau secara berkala.
+ * Jika video sudah pernah dianalisis, penanda re-scan dimulai dari komentar terbaru
+ * yang sudah tersimpan sehingga re-scan pertama pun hanya mengambil komentar baru.
+ * Jika video sudah dipantau, interval diperbarui dan pemantauan diaktifkan kembali.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} data
+ * @param {string} data.videoUrl - URL atau ID video YouTube.
+ * @param {number} data.intervalMinutes - Jarak antar re-scan dalam menit.
+ * @returns {Promise<object>} Objek MonitoredVideo (POJO).
+ */
+const watchVideo = async (userId, { videoUrl, intervalMinutes }) => {
+  const youtubeVideoId = getYouTubeVideoId(videoUrl);
+  if (!youtubeVideoId) {
+    throw new BadRequestError("URL Video YouTube tidak valid.");
+  }
+
+  const youtubeClient =
+    await youtubeService.getAuthenticatedYouTubeClient(userId);
+  const videoDetails = await youtubeService.getVideoDetails(youtubeVideoId, {
+    youtubeClient,
+  });
+
+  const latestStoredComment = await AnalyzedComment.findOne({
+    userId,
+    youtubeVideoId,
+    parentYoutubeCommentId: null,
+  })
+    .sort({ commentPublishedAt: -1 })
+    .select("commentPublishedAt");
+
+  const existing = await MonitoredVideo.findOne({ userId, youtubeVideoId });
+  const monitor = existing || new MonitoredVideo({ userId, youtubeVideoId });
+  monitor.videoTitle = videoDetails?.snippet?.title || monitor.videoTitle;
+  monitor.intervalMinutes = intervalMinutes;
+  monitor.isActive = true;
+  monitor.nextCheckAt = Date.now(); // Re-scan pertama dijadwalkan segera
+  if (!monitor.lastSeenCommentPublishedAt && latestStoredComment) {
+    monitor.lastSeenCommentPublishedAt = latestStoredComment.commentPublishedAt;
+  }
+  await monitor.save();
+
+  console.log(
+    `[Monitor-${monitor._id}] Video ${youtubeVideoId} dipantau setiap ${intervalMinutes} menit. User ID: ${userId}`
+  );
+
+  return monitor.toObject();
+};
+
+/**
+ * Mengambil semua video yang dipantau pengguna.
+ * @param {string} userId - ID User Judi Guard.
+ * @returns {Promise<Array<object>>} Array MonitoredVideo (POJO), terbaru dulu.
+ */
+const listMonitoredVideos = async (userId) =>
+  MonitoredVideo.find({ userId }).sort({ createdAt: -1 }).lean();
+
+/**
+ * Memperbarui interval atau status aktif sebuah video yang dipantau.
+ * @param {string} monitorId - ID MonitoredVideo.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} updates - `{ intervalMinutes?, isActive? }`.
+ * @returns {Promise<object>} Objek MonitoredVideo (POJO) yang diperbarui.
+ */
+const updateMonitoredVideo = async (monitorId, userId, updates) => {
+  const monitor = await findOwnedMonitor(monitorId, userId);
+
+  if (updates.intervalMinutes !== undefined) {
+    monitor.intervalMinutes = updates.intervalMinutes;
+    monitor.nextCheckAt = new Date(
+      (monitor.lastCheckedAt?.getTime() || Date.now()) +
+        updates.intervalMinutes * 60 * 1000
+    );
+  }
+  if (updates.isActive !== undefined) {
+    monitor.isActive = updates.isActive;
+    if (updates.isActive && !monitor.nextCheckAt) {
+      monitor.nextCheckAt = Date.now();
+    }
+  }
+  await monitor.save();
+
+  return monitor.toObject();
+};
+
+/**
+ * Berhenti memantau sebuah video. Riwayat VideoAnalysis yang sudah dibuat tetap disimpan.
+ * @param {string} monitorId - ID MonitoredVideo.
+ * @param {string} userId - ID User Judi Guard.
+ */
+const unwatchVideo = async (monitorId, userId) => {
+  const monitor = await findOwnedMonitor(monitorId, userId);
+  await monitor.deleteOne();
+};
+
+/**
+ * Mengambil riwayat re-scan (VideoAnalysis) dari sebuah video yang dipantau.
+ * @param {string} monitorId - ID MonitoredVideo.
+ * @param {string} userId - ID User Judi Guard.
+ * @returns {Promise<object>} `{ monitor, history }`, riwayat terbaru dulu.
+ */
+const getMonitorHistory = async (monitorId, userId) => {
+  const monitor = await findOwnedMonitor(monitorId, userId);
+
+  const history = await VideoAnalysis.find({ monitoredVideoId: monitor._id })
+    .sort({ requestedAt: -1 })
+    .limit(HISTORY_LIMIT)
+    .select(
+      "status totalCommentsFetched totalCommentsAnalyzed sinceCommentPublishedAt latestCommentPublishedAt hasMoreNewComments errorMessage requestedAt completedAt"
+    )
+    .lean();
+
+  return { monitor: monitor.toObject(), history };
+};
+
+/**
+ * Menjadwalkan re-scan untuk satu video yang jatuh tempo: membuat VideoAnalysis PENDING
+ * yang hanya mengambil komentar setelah `lastSeenCommentPublishedAt`, lalu memajukan
+ * `nextCheckAt`. Dipanggil oleh worker monitor (`src/workers/videoMonitor.worker.js`).
+ * Video dilewati jika re-scan sebelumnya masih di antrean atau sedang berjalan.
+ * Re-scan hanya mencakup thread baru beserta balasannya; balasan baru pada thread yang
+ * lebih lama dari penanda baru terambil lewat analisis ulang video secara penuh.
+ * @param {object} monitor - Dokumen MonitoredVideo yang sudah diklaim worker.
+ * @returns {Promise<object|null>} VideoAnalysis yang dibuat, atau null jika dilewati.
+ */
+const scheduleIncrementalScan = async (monitor) => {
+  const runningAnalysis = await VideoAnalysis.exists({
+    monitoredVideoId: monitor._id,
+    status: { $in: ["PENDING", "PROCESSING"] },
+  });
+  if (runningAnalysis) {
+    console.log(
+      `[Monitor-${monitor._id}] Re-scan sebelumnya belum selesai, dilewati.`
+    );
+    return null;
+  }
+
+  // Lempar QuotaExceededError agar worker mencatatnya sebagai lastError monitor
+  await quotaService.assertQuotaAvailable(
+    monitor.userId,
+    quotaService.estimateAnalysisCost(config.videoMonitor.maxCommentsPerCheck),
+    "re-scan video yang dipantau"
+  );
+
+  const analysisEntry = await VideoAnalysis.create({
+    userId: monitor.userId,
+    youtubeVideoId: monitor.youtubeVideoId,
+    videoTitle: monitor.videoTitle,
+    monitoredVideoId: monitor._id,
+    sinceCommentPublishedAt: monitor.lastSeenCommentPublishedAt,
+    status: "PENDING",
+    requestedAt: Date.now(),
+  });
+
+  await MonitoredVideo.updateOne(
+    { _id: monitor._id },
+    { $set: { lastAnalysisId: analysisEntry._id } }
+  );
+
+  return analysisEntry;
+};
+
+module.exports = {
+  watchVideo,
+  listMonitoredVideos,
+  updateMonitoredVideo,
+  unwatchVideo,
+  getMonitorHistory,
+  scheduleIncrementalScan,
+};
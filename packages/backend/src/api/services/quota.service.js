@@ -0,0 +1,241 @@
+// src/api/services/quota.service.js
+const mongoose = require("mongoose");
+const QuotaUsage = require("../models/QuotaUsage.model");
+const config = require("../../config/environment");
+const { QuotaExceededError } = require("../../utils/errors");
+
+// Biaya unit kuota YouTube Data API v3 per panggilan untuk operasi yang dipakai aplikasi
+// (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+  "videos.list": 1,
+  "channels.list": 1,
+  "playlistItems.list": 1,
+  "commentThreads.list": 1,
+  "commentThreads.update": 50,
+  "comments.list": 1,
+  "comments.delete": 50,
+  "comments.setModerationStatus": 50,
+};
+
+// Jumlah ID komentar per panggilan comments.setModerationStatus
+const MODERATION_IDS_PER_REQUEST = 50;
+
+/**
+ * Mengembalikan tanggal hari kuota (YYYY-MM-DD) untuk sebuah waktu. Kuota YouTube
+ * di-reset tengah malam waktu Pasifik, bukan UTC.
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+const getQuotaDay = (date = new Date()) =>
+  // Locale en-CA memformat tanggal sebagai YYYY-MM-DD
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: config.youtubeQuota.resetTimeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+/**
+ * Mencatat satu panggilan YouTube Data API ke buku besar kuota pengguna.
+ * Kegagalan mencatat hanya di-log agar tidak menggagalkan operasi YouTube-nya.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} operation - Nama operasi, salah satu kunci `QUOTA_COSTS`.
+ * @returns {Promise<void>}
+ */
+const recordUsage = async (userId, operation) => {
+  const units = QUOTA_COSTS[operation] ?? 1;
+  try {
+    await QuotaUsage.updateOne(
+      { userId, day: getQuotaDay(), operation },
+      { $inc: { calls: 1, units }, $set: { lastCalledAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(
+      `[Quota] Gagal mencatat pemakaian ${operation} untuk user ${userId}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Membungkus method client YouTube yang ada di `QUOTA_COSTS` agar setiap panggilan,
+ * berhasil maupun gagal, tercatat di buku besar kuota pengguna.
+ * @param {google.youtube_v3.Youtube} youtubeClient - Client baru milik pengguna.
+ * @param {string} userId - ID User Judi Guard pemilik client.
+ * @returns {google.youtube_v3.Youtube} Client yang sama, sudah dibungkus.
+ */
+const trackYouTubeClient = (youtubeClient, userId) => {
+  for (const operation of Object.keys(QUOTA_COSTS)) {
+    const [resourceName, methodName] = operation.split(".");
+    const resource = youtubeClient[resourceName];
+    const original = resource?.[methodName];
+    if (typeof original !== "function") continue;
+
+    resource[methodName] = async (...args) => {
+      try {
+        return await original.apply(resource, args);
+      } finally {
+        await recordUsage(userId, operation);
+      }
+    };
+  }
+  return youtubeClient;
+};
+
+/**
+ * Menghitung total unit kuota yang sudah dipakai pengguna pada satu hari kuota.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} [day=getQuotaDay()]
+ * @returns {Promise<number>}
+ */
+const getUsedUnits = async (userId, day = getQuotaDay()) => {
+  const [result] = await QuotaUsage.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), day } },
+    { $group: { _id: null, units: { $sum: "$units" } } },
+  ]);
+  return result?.units || 0;
+};
+
+/**
+ * Mengambil anggaran harian pengguna beserta pemakaian dan sisanya hari ini.
+ * @param {string} userId - ID User Judi Guard.
+ * @returns {Promise<{dailyBudget: number, usedUnits: number, remainingUnits: number}>}
+ */
+const getRemainingQuota = async (userId) => {
+  const dailyBudget = config.youtubeQuota.dailyBudgetPerUser;
+  const usedUnits = await getUsedUnits(userId);
+  return {
+    dailyBudget,
+    usedUnits,
+    remainingUnits: Math.max(dailyBudget - usedUnits, 0),
+  };
+};
+
+/**
+ * Menolak aksi jika perkiraan biayanya akan melewati sisa anggaran kuota harian pengguna.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {number} estimatedUnits - Perkiraan unit kuota yang akan dipakai aksi.
+ * @param {string} actionLabel - Nama aksi untuk pesan error, misal "analisis video".
+ * @returns {Promise<{usedUnits: number, remainingUnits: number}>}
+ * @throws {QuotaExceededError} Jika sisa anggaran tidak cukup.
+ */
+const assertQuotaAvailable = async (userId, estimatedUnits, actionLabel) => {
+  const { dailyBudget, usedUnits, remainingUnits } =
+    await getRemainingQuota(userId);
+
+  if (estimatedUnits > remainingUnits) {
+    throw new QuotaExceededError(
+      `Anggaran kuota YouTube harian Anda tidak cukup untuk ${actionLabel}: perkiraan ${estimatedUnits} unit, sisa ${remainingUnits} dari ${dailyBudget} unit. Anggaran di-reset tengah malam waktu Pasifik.`
+    );
+  }
+  return { usedUnits, remainingUnits };
+};
+
+// Jumlah item maksimal per halaman commentThreads.list dan comments.list
+const COMMENTS_PER_PAGE = 100;
+
+/**
+ * Perkiraan unit kuota satu analisis video: videos.list, halaman commentThreads.list,
+ * dan halaman comments.list balasan per thread (sampai `config.MAX_REPLIES_PER_COMMENT`).
+ * @param {number} maxTopLevelComments - Batas komentar tingkat atas yang diambil.
+ * @returns {number}
+ */
+const estimateAnalysisCost = (maxTopLevelComments) => {
+  const replyPagesPerThread = Math.ceil(
+    Math.max(0, config.MAX_REPLIES_PER_COMMENT) / COMMENTS_PER_PAGE
+  );
+  return (
+    QUOTA_COSTS["videos.list"] +
+    Math.ceil(maxTopLevelComments / COMMENTS_PER_PAGE) *
+      QUOTA_COSTS["commentThreads.list"] +
+    maxTopLevelComments * replyPagesPerThread * QUOTA_COSTS["comments.list"]
+  );
+};
+
+/**
+ * Perkiraan unit kuota untuk mengubah status moderasi sejumlah komentar.
+ * @param {number} commentCount
+ * @returns {number}
+ */
+const estimateModerationCost = (commentCount) =>
+  Math.ceil(commentCount / MODERATION_IDS_PER_REQUEST) *
+  QUOTA_COSTS["comments.setModerationStatus"];
+
+/**
+ * Perkiraan unit kuota untuk menghapus satu komentar: comments.list dan channels.list
+ * untuk verifikasi kepemilikan, ditambah comments.delete.
+ * @type {number}
+ */
+const DELETE_COMMENT_QUOTA_COST =
+  QUOTA_COSTS["comments.list"] +
+  QUOTA_COSTS["channels.list"] +
+  QUOTA_COSTS["comments.delete"];
+
+/**
+ * Ringkasan pemakaian kuota pengguna: hari ini per operasi, dan total per hari
+ * untuk beberapa hari terakhir.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} [options]
+ * @param {number} [options.days=7] - Jumlah hari riwayat, termasuk hari ini.
+ * @returns {Promise<object>}
+ */
+const getQuotaUsageSummary = async (userId, { days = 7 } = {}) => {
+  const today = getQuotaDay();
+  // Mundur per tanggal kalender (bukan per 24 jam) agar aman saat pergantian DST
+  const todayDate = new Date(`${today}T00:00:00Z`);
+  const dayList = Array.from({ length: days }, (_, i) => {
+    const date = new Date(todayDate);
+    date.setUTCDate(date.getUTCDate() - i);
+    return date.toISOString().slice(0, 10);
+  });
+
+  const entries = await QuotaUsage.find({ userId, day: { $in: dayList } })
+    .select("day operation calls units lastCalledAt")
+    .lean();
+
+  const operations = entries
+    .filter((entry) => entry.day === today)
+    .map(({ operation, calls, units, lastCalledAt }) => ({
+      operation,
+      calls,
+      units,
+      lastCalledAt,
+    }))
+    .sort((a, b) => b.units - a.units);
+
+  const history = dayList.map((day) => {
+    const dayEntries = entries.filter((entry) => entry.day === day);
+    return {
+      day,
+      calls: dayEntries.reduce((sum, entry) => sum + entry.calls, 0),
+      units: dayEntries.reduce((sum, entry) => sum + entry.units, 0),
+    };
+  });
+
+  const dailyBudget = config.youtubeQuota.dailyBudgetPerUser;
+  const usedUnits = history[0].units;
+  return {
+    day: today,
+    dailyBudget,
+    usedUnits,
+    remainingUnits: Math.max(dailyBudget - usedUnits, 0),
+    operations,
+    history,
+  };
+};
+
+module.exports = {
+  QUOTA_COSTS,
+  MODERATION_IDS_PER_REQUEST,
+  DELETE_COMMENT_QUOTA_COST,
+  getQuotaDay,
+  recordUsage,
+  trackYouTubeClient,
+  getUsedUnits,
+  getRemainingQuota,
+  assertQuotaAvailable,
+  estimateAnalysisCost,
+  estimateModerationCost,
+  getQuotaUsageSummary,
+};
@@ -0,0 +1,336 @@
+// src/api/services/reclassification.service.js
+const ReclassificationJob = require("../models/ReclassificationJob.model");
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const videoAnalysisService = require("./videoAnalysis.service");
+const config = require("../../config/environment");
+const { NotFoundError, BadRequestError } = require("../../utils/errors");
+
+// Field verdict AI yang disalin ke `classificationHistory` sebelum ditimpa hasil baru
+const VERDICT_FIELDS = [
+  "classification",
+  "aiRawClassification",
+  "aiConfidenceScore",
+  "aiModelVersion",
+  "ruleScore",
+  "matchedRuleIds",
+  "judiScore",
+];
+const RECLASSIFY_FIELDS = `commentTextOriginal reclassifiedAt createdAt ${VERDICT_FIELDS.join(" ")}`;
+
+/**
+ * Filter komentar yang masuk cakupan job klasifikasi ulang.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {{analysisId?: string, from?: Date, to?: Date}} scope
+ * @returns {object} Filter Mongoose untuk AnalyzedComment.
+ */
+const buildReclassificationFilter = (userId, { analysisId, from, to } = {}) => {
+  const filter = { userId };
+  if (analysisId) filter.analysisId = analysisId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return filter;
+};
+
+/**
+ * Menyusun update satu komentar dari hasil klasifikasi ulang: verdict AI lama masuk
+ * `classificationHistory`, lalu field verdict diganti hasil baru. Teks ternormalisasi
+ * dan tujuan promosi ikut diperbarui agar sesuai dengan normalizer/extractor terbaru.
+ * Verdict moderator (`humanClassification`) tidak disentuh.
+ * @param {object} comment - AnalyzedComment (lean) dengan field `RECLASSIFY_FIELDS`.
+ * @param {object} result - Hasil `videoAnalysisService.classifyCommentTexts` untuk komentar ini.
+ * @param {Date} reclassifiedAt
+ * @param {object} [derived] - Hasil `classifyCommentTexts` lain untuk komentar ini.
+ * @param {{text: string, transformations: Array}} [derived.normalization]
+ * @param {object} [derived.promotions]
+ * @returns {object|null} Update MongoDB, atau null jika model gagal mengklasifikasi
+ *   komentar ini (verdict lama dipertahankan).
+ */
+const buildReclassifyUpdate = (
+  comment,
+  result,
+  reclassifiedAt,
+  { normalization, promotions } = {}
+) => {
+  if (result.errorMessage || result.classification === "ERROR_ANALYSIS") {
+    return null;
+  }
+
+  const previous = Object.fromEntries(
+    VERDICT_FIELDS.filter(
+      (field) => comment[field] !== undefined && comment[field] !== null
+    ).map((field) => [field, comment[field]])
+  );
+  previous.classifiedAt = comment.reclassifiedAt || comment.createdAt;
+
+  const next = {
+    classification: result.classification,
+    aiRawClassification: result.rawClassification,
+    aiConfidenceScore: result.confidenceScore,
+    aiModelVersion: result.modelVersion,
+    ruleScore: result.ruleScore,
+    matchedRuleIds: result.matchedRuleIds,
+    judiScore: result.judiScore,
+  };
+  // Sama seperti `buildAnalyzedCommentDocument`: field kosong tidak disimpan
+  if (normalization) {
+    const isNormalized = normalization.transformations.length > 0;
+    next.commentTextNormalized = isNormalized ? normalization.text : undefined;
+    next.textTransformations = isNormalized
+      ? normalization.transformations
+      : undefined;
+  }
+  if (promotions) {
+    next.promotions = Object.values(promotions).some(
+      (values) => values.length > 0
+    )
+      ? promotions
+      : undefined;
+  }
+  const $set = { reclassifiedAt };
+  const $unset = {};
+  Object.entries(next).forEach(([field, value]) => {
+    if (value === undefined) $unset[field] = 1;
+    else $set[field] = value;
+  });
+
+  return {
+    $set,
+    ...(Object.keys($unset).length > 0 && { $unset }),
+    $push: { classificationHistory: previous },
+  };
+};
+
+/**
+ * Menjumlahkan perpindahan klasifikasi baru ke daftar perpindahan job.
+ * @param {Array<object>} transitions - `job.transitions` saat ini.
+ * @param {Array<object>} additions - Perpindahan satu komentar per item (tanpa `count`).
+ * @returns {Array<object>} Daftar perpindahan baru.
+ */
+const mergeTransitions = (transitions, additions) => {
+  const keyOf = (t) =>
+    [
+      t.fromModelVersion,
+      t.toModelVersion,
+      t.fromClassification,
+      t.toClassification,
+    ].join("|");
+  const merged = new Map(
+    transitions.map((t) => [
+      keyOf(t),
+      {
+        fromModelVersion: t.fromModelVersion,
+        toModelVersion: t.toModelVersion,
+        fromClassification: t.fromClassification,
+        toClassification: t.toClassification,
+        count: t.count,
+      },
+    ])
+  );
+  additions.forEach((t) => {
+    const key = keyOf(t);
+    const entry = merged.get(key) || { ...t, count: 0 };
+    entry.count += 1;
+    merged.set(key, entry);
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Ringkasan perubahan verdict per pasangan versi model, dari `job.transitions`.
+ * @param {Array<object>} transitions
+ * @returns {Array<{fromModelVersion: string|null, toModelVersion: string, total: number, changed: number}>}
+ */
+const summarizeTransitions = (transitions) => {
+  const summary = new Map();
+  transitions.forEach((t) => {
+    const key = `${t.fromModelVersion}|${t.toModelVersion}`;
+    const entry = summary.get(key) || {
+      fromModelVersion: t.fromModelVersion ?? null,
+      toModelVersion: t.toModelVersion,
+      total: 0,
+      changed: 0,
+    };
+    entry.total += t.count;
+    if (t.fromClassification !== t.toClassification) entry.changed += t.count;
+    summary.set(key, entry);
+  });
+  return [...summary.values()];
+};
+
+/**
+ * Mengantrekan klasifikasi ulang komentar tersimpan untuk satu analisis atau rentang
+ * tanggal penyimpanan komentar. Satu pengguna hanya boleh punya satu job aktif; jika
+ * sudah ada yang antre/berjalan, job itu dikembalikan alih-alih membuat job baru.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} scope
+ * @param {string} [scope.analysisId]
+ * @param {Date} [scope.from]
+ * @param {Date} [scope.to]
+ * @returns {Promise<{job: object, isNew: boolean}>}
+ * @throws {NotFoundError} Jika `analysisId` tidak ditemukan atau bukan milik pengguna.
+ * @throws {BadRequestError} Jika analisis masih diproses.
+ */
+const createReclassificationJob = async (userId, { analysisId, from, to }) => {
+  if (analysisId) {
+    const videoAnalysis = await VideoAnalysis.findOne({
+      _id: analysisId,
+      userId,
+    }).lean();
+    if (!videoAnalysis) {
+      throw new NotFoundError(
+        "Data analisis video tidak ditemukan atau Anda tidak memiliki akses."
+      );
+    }
+    if (["PENDING", "PROCESSING"].includes(videoAnalysis.status)) {
+      throw new BadRequestError(
+        "Analisis masih diproses. Klasifikasi ulang bisa dilakukan setelah analisis selesai."
+      );
+    }
+  }
+
+  const activeJob = await ReclassificationJob.findOne({
+    userId,
+    status: { $in: ["QUEUED", "RUNNING"] },
+  }).lean();
+  if (activeJob) return { job: activeJob, isNew: false };
+
+  const scope = { analysisId, from, to };
+  const totalTargeted = await AnalyzedComment.countDocuments(
+    buildReclassificationFilter(userId, scope)
+  );
+
+  const job = await ReclassificationJob.create({
+    userId,
+    scope,
+    totalTargeted,
+    status: totalTargeted === 0 ? "COMPLETED" : "QUEUED",
+    completedAt: totalTargeted === 0 ? new Date() : undefined,
+  });
+
+  console.log(
+    `[ReclassificationJob-${job._id}] Diantrekan: ${totalTargeted} komentar. User ID: ${userId}`
+  );
+
+  return { job: job.toObject(), isNew: true };
+};
+
+/**
+ * Mengambil job klasifikasi ulang milik pengguna beserta ringkasan per versi model.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {string} jobId - ID ReclassificationJob.
+ * @returns {Promise<object>} Job (POJO) dengan tambahan `versionSummary`.
+ * @throws {NotFoundError}
+ */
+const getReclassificationJob = async (userId, jobId) => {
+  const job = await ReclassificationJob.findOne({ _id: jobId, userId })
+    .select("-cursorCommentId -__v")
+    .lean();
+  if (!job) {
+    throw new NotFoundError(
+      "Job klasifikasi ulang tidak ditemukan atau Anda tidak memiliki akses."
+    );
+  }
+  return { ...job, versionSummary: summarizeTransitions(job.transitions) };
+};
+
+/**
+ * Memproses job klasifikasi ulang yang sudah diklaim worker (status RUNNING).
+ * Komentar diambil per batch berurutan `_id` dari database, diklasifikasi ulang dengan
+ * pipeline yang sama seperti analisis baru (ambang pengguna saat ini), lalu disimpan
+ * dengan verdict lama di `classificationHistory`. Progres dicatat setelah setiap batch
+ * sehingga job dapat dilanjutkan dari posisi terakhir jika server restart.
+ * @param {string} jobId - ID ReclassificationJob.
+ * @returns {Promise<void>}
+ */
+const processReclassificationJob = async (jobId) => {
+  let job = await ReclassificationJob.findById(jobId);
+  if (!job) return;
+
+  const logPrefix = `[ReclassificationJob-${job._id}]`;
+  try {
+    const filter = buildReclassificationFilter(job.userId, job.scope);
+
+    while (true) {
+      const batch = await AnalyzedComment.find(
+        job.cursorCommentId
+          ? { ...filter, _id: { $gt: job.cursorCommentId } }
+          : filter
+      )
+        .sort({ _id: 1 })
+        .limit(config.reclassification.batchSize)
+        .select(RECLASSIFY_FIELDS)
+        .lean();
+      if (batch.length === 0) {
+        job.status = "COMPLETED";
+        job.completedAt = new Date();
+        break;
+      }
+
+      const { normalizations, promotions, results } =
+        await videoAnalysisService.classifyCommentTexts(
+          job.userId,
+          batch.map((comment) => comment.commentTextOriginal)
+        );
+
+      const reclassifiedAt = new Date();
+      const operations = [];
+      const transitions = [];
+      batch.forEach((comment, i) => {
+        const update = buildReclassifyUpdate(
+          comment,
+          results[i],
+          reclassifiedAt,
+          { normalization: normalizations[i], promotions: promotions[i] }
+        );
+        if (!update) {
+          job.failedCount += 1;
+          return;
+        }
+        operations.push({
+          updateOne: { filter: { _id: comment._id }, update },
+        });
+        transitions.push({
+          fromModelVersion: comment.aiModelVersion ?? null,
+          toModelVersion: results[i].modelVersion,
+          fromClassification: comment.classification,
+          toClassification: results[i].classification,
+        });
+        if (comment.classification !== results[i].classification) {
+          job.changedCount += 1;
+        }
+      });
+      if (operations.length > 0) {
+        await AnalyzedComment.bulkWrite(operations, { ordered: false });
+      }
+
+      job.transitions = mergeTransitions(job.transitions, transitions);
+      job.processedCount += batch.length;
+      job.cursorCommentId = batch[batch.length - 1]._id;
+      job = await job.save();
+    }
+  } catch (error) {
+    console.error(`${logPrefix} Gagal diproses:`, error.message);
+    job.status = "FAILED";
+    job.lastError = error.message;
+  }
+
+  job = await job.save();
+
+  console.log(
+    `${logPrefix} Selesai dengan status ${job.status}. Diproses: ${job.processedCount}/${job.totalTargeted}, berubah: ${job.changedCount}, gagal: ${job.failedCount}.`
+  );
+};
+
+module.exports = {
+  buildReclassificationFilter,
+  buildReclassifyUpdate,
+  mergeTransitions,
+  summarizeTransitions,
+  createReclassificationJob,
+  getReclassificationJob,
+  processReclassificationJob,
+};
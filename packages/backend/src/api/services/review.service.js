@@ -0,0 +1,185 @@
+// src/api/services/review.service.js
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const { NotFoundError } = require("../../utils/errors");
+
+// Pemetaan label sesuai `label_map` model DistilBERT di ml-api (0 = NON_JUDI, 1 = JUDI)
+const TRAINING_LABELS = { NON_JUDI: 0, JUDI: 1 };
+
+// Field yang dikirim ke antrean tinjauan (tanpa data internal penghapusan)
+const REVIEW_FIELDS =
+  "analysisId youtubeVideoId youtubeCommentId parentYoutubeCommentId commentTextDisplay commentAuthorDisplayName commentPublishedAt classification aiRawClassification aiConfidenceScore aiModelVersion judiScore matchedRuleIds humanClassification reviewedBy reviewedAt";
+
+/**
+ * Mencari komentar hasil analisis milik pengguna.
+ * @throws {NotFoundError} Jika tidak ditemukan atau bukan milik pengguna.
+ */
+const findOwnedComment = async (analyzedCommentId, userId) => {
+  const comment = await AnalyzedComment.findOne({
+    _id: analyzedCommentId,
+    userId,
+  });
+  if (!comment) {
+    throw new NotFoundError(
+      "Komentar tidak ditemukan atau Anda tidak memiliki akses."
+    );
+  }
+  return comment;
+};
+
+/**
+ * Mengambil antrean tinjauan manusia.
+ * - `pending`: komentar NEEDS_REVIEW yang belum diberi verdict manusia.
+ * - `reviewed`: semua komentar yang sudah diberi verdict manusia, terbaru dulu.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} options
+ * @param {string} [options.analysisId] - Batasi ke satu VideoAnalysis.
+ * @param {"pending"|"reviewed"} options.status
+ * @param {number} options.limit - Jumlah maksimal komentar yang dikembalikan.
+ * @returns {Promise<{comments: Array<object>, pendingCount: number}>}
+ */
+const getReviewQueue = async (userId, { analysisId, status, limit }) => {
+  const baseFilter = { userId };
+  if (analysisId) baseFilter.analysisId = analysisId;
+
+  const pendingFilter = {
+    ...baseFilter,
+    classification: "NEEDS_REVIEW",
+    humanClassification: null,
+  };
+
+  const query =
+    status === "reviewed"
+      ? AnalyzedComment.find({
+          ...baseFilter,
+          humanClassification: { $ne: null },
+        }).sort({ reviewedAt: -1 })
+      : AnalyzedComment.find(pendingFilter).sort({ commentPublishedAt: -1 });
+
+  const [comments, pendingCount] = await Promise.all([
+    query
+      .select(REVIEW_FIELDS)
+      .limit(limit)
+      .populate("reviewedBy", "username email")
+      .lean(),
+    AnalyzedComment.countDocuments(pendingFilter),
+  ]);
+
+  return { comments, pendingCount };
+};
+
+/**
+ * Menyimpan verdict manusia untuk sebuah komentar (mengonfirmasi atau membalik verdict AI).
+ * Verdict AI (`classification`, `aiRawClassification`) tidak diubah.
+ * @param {string} analyzedCommentId - _id AnalyzedComment.
+ * @param {string} userId - ID User Judi Guard yang meninjau.
+ * @param {"JUDI"|"NON_JUDI"} classification - Verdict manusia.
+ * @returns {Promise<object>} Komentar (POJO) beserta `isOverturned`.
+ */
+const submitReviewVerdict = async (
+  analyzedCommentId,
+  userId,
+  classification
+) => {
+  const comment = await findOwnedComment(analyzedCommentId, userId);
+
+  comment.humanClassification = classification;
+  comment.reviewedBy = userId;
+  comment.reviewedAt = Date.now();
+  await comment.save();
+
+  const aiVerdict = comment.aiRawClassification || comment.classification;
+  const isOverturned = aiVerdict !== classification;
+  console.log(
+    `[Review] Komentar ${comment.youtubeCommentId} ditinjau sebagai ${classification} (AI: ${aiVerdict}). User ID: ${userId}`
+  );
+
+  return { ...comment.toObject(), isOverturned };
+};
+
+/**
+ * Menghapus verdict manusia sehingga komentar kembali mengikuti verdict AI
+ * (dan kembali ke antrean jika berstatus NEEDS_REVIEW).
+ * @param {string} analyzedCommentId - _id AnalyzedComment.
+ * @param {string} userId - ID User Judi Guard.
+ * @returns {Promise<object>} Komentar (POJO) setelah verdict dihapus.
+ */
+const clearReviewVerdict = async (analyzedCommentId, userId) => {
+  const comment = await findOwnedComment(analyzedCommentId, userId);
+
+  comment.humanClassification = undefined;
+  comment.reviewedBy = undefined;
+  comment.reviewedAt = undefined;
+  await comment.save();
+
+  return comment.toObject();
+};
+
+/**
+ * Menormalkan teks untuk de-duplikasi dataset (huruf kecil, spasi dirapikan).
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeForDedupe = (text) =>
+  text.toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * Menghasilkan baris dataset latih `{text, label}` dari komentar yang sudah ditinjau
+ * manusia. Label memakai verdict manusia. Dibaca lewat cursor agar export besar
+ * tidak dimuat sekaligus ke memori.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} filters
+ * @param {Date} [filters.from] - Hanya tinjauan pada/sesudah tanggal ini.
+ * @param {Date} [filters.to] - Hanya tinjauan pada/sebelum tanggal ini.
+ * @param {string} [filters.aiModelVersion] - Hanya komentar yang diklasifikasi model versi ini.
+ * @param {boolean} [filters.disagreementOnly] - Hanya baris yang verdict manusianya berbeda dari AI.
+ * @param {boolean} [filters.dedupe] - Lewati teks yang sama (setelah normalisasi);
+ *   karena urutan tinjauan terbaru dulu, verdict terbaru yang dipakai.
+ * @returns {AsyncGenerator<{text: string, label: number}>}
+ */
+async function* iterateTrainingDataset(
+  userId,
+  { from, to, aiModelVersion, disagreementOnly, dedupe }
+) {
+  const filter = { userId, humanClassification: { $ne: null } };
+  if (from || to) {
+    filter.reviewedAt = {};
+    if (from) filter.reviewedAt.$gte = from;
+    if (to) filter.reviewedAt.$lte = to;
+  }
+  if (aiModelVersion) filter.aiModelVersion = aiModelVersion;
+
+  const cursor = AnalyzedComment.find(filter)
+    .sort({ reviewedAt: -1 })
+    .select(
+      "commentTextOriginal commentTextNormalized classification aiRawClassification humanClassification"
+    )
+    .lean()
+    .cursor();
+
+  const seenTexts = new Set();
+  for await (const comment of cursor) {
+    // Model menerima teks yang sudah dinormalisasi, jadi dataset memakai teks yang sama
+    const text = (
+      comment.commentTextNormalized || comment.commentTextOriginal
+    )?.trim();
+    if (!text) continue;
+
+    const aiVerdict = comment.aiRawClassification || comment.classification;
+    if (disagreementOnly && aiVerdict === comment.humanClassification) continue;
+
+    if (dedupe) {
+      const key = normalizeForDedupe(text);
+      if (seenTexts.has(key)) continue;
+      seenTexts.add(key);
+    }
+
+    yield { text, label: TRAINING_LABELS[comment.humanClassification] };
+  }
+}
+
+module.exports = {
+  getReviewQueue,
+  submitReviewVerdict,
+  clearReviewVerdict,
+  iterateTrainingDataset,
+};
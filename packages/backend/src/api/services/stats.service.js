@@ -0,0 +1,387 @@
+// src/api/services/stats.service.js
+const VideoAnalysis = require("../models/VideoAnalysis.model");
+const AnalyzedComment = require("../models/AnalyzedComment.model");
+const AnalysisStatsArchive = require("../models/AnalysisStatsArchive.model");
+const { BadRequestError } = require("../../utils/errors");
+const {
+  EFFECTIVE_CLASSIFICATION_EXPR,
+} = require("../../utils/classificationPolicy");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rentang bawaan jika `from` tidak diisi, dan rentang maksimal satu permintaan
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 731;
+// Batas video teratas (paling banyak komentar judi) dalam respons
+const MAX_VIDEOS = 50;
+const CLASSIFICATIONS = ["JUDI", "NON_JUDI", "NEEDS_REVIEW"];
+const MODERATION_ACTIONS = ["delete", "rejected", "heldForReview", "published"];
+
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+const zeroCounts = (keys) => Object.fromEntries(keys.map((key) => [key, 0]));
+
+const sumCounts = (entry, keys) =>
+  keys.reduce((sum, key) => sum + entry[key], 0);
+
+/**
+ * Kunci periode sebuah tanggal (YYYY-MM-DD, UTC): hari itu sendiri, atau hari Senin
+ * pada minggu tersebut untuk interval mingguan.
+ * @param {Date} date
+ * @param {"day"|"week"} interval
+ * @returns {string}
+ */
+const toPeriodKey = (date, interval) => {
+  const day = startOfUtcDay(date);
+  if (interval === "week") {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Ekspresi agregasi padanan `toPeriodKey` untuk sebuah field tanggal.
+ * `$dayOfWeek` bernilai 1 untuk Minggu, jadi selisih ke Senin = (hari + 5) mod 7.
+ */
+const periodExpr = (field, interval) => ({
+  $dateToString: {
+    format: "%Y-%m-%d",
+    date:
+      interval === "week"
+        ? {
+            $subtract: [
+              field,
+              {
+                $multiply: [
+                  { $mod: [{ $add: [{ $dayOfWeek: field }, 5] }, 7] },
+                  DAY_MS,
+                ],
+              },
+            ],
+          }
+        : field,
+  },
+});
+
+/**
+ * Semua kunci periode dari `start` sampai sebelum `end`, agar periode tanpa komentar
+ * tetap muncul (bernilai nol) di grafik.
+ */
+const listPeriodKeys = (start, end, interval) => {
+  const keys = [];
+  const step = interval === "week" ? 7 : 1;
+  const day = new Date(`${toPeriodKey(start, interval)}T00:00:00.000Z`);
+  for (; day < end; day.setUTCDate(day.getUTCDate() + step)) {
+    keys.push(day.toISOString().slice(0, 10));
+  }
+  return keys;
+};
+
+/**
+ * Rentang tanggal statistik dalam UTC. `to` dihitung sampai akhir harinya.
+ * @returns {{start: Date, end: Date}} `end` eksklusif.
+ * @throws {BadRequestError} Jika rentang melebihi `MAX_RANGE_DAYS`.
+ */
+const resolveRange = ({ from, to }) => {
+  const end = new Date(startOfUtcDay(to || new Date()).getTime() + DAY_MS);
+  const start = from
+    ? startOfUtcDay(from)
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if ((end - start) / DAY_MS > MAX_RANGE_DAYS) {
+    throw new BadRequestError(
+      `Rentang statistik maksimal ${MAX_RANGE_DAYS} hari.`
+    );
+  }
+  return { start, end };
+};
+
+/**
+ * Menyusun statistik tren komentar pengguna per hari/minggu berdasarkan
+ * `commentPublishedAt`: jumlah judi vs bersih per periode, per video, dan per channel,
+ * aksi moderasi yang berhasil per periode, serta waktu upload dan siaran langsung video
+ * untuk dibandingkan dengan lonjakan spam.
+ *
+ * Komentar yang tersimpan di beberapa analisis (video dianalisis ulang) dihitung sekali
+ * dengan verdict efektif terbarunya. Statistik anonim dari analisis yang sudah dihapus
+ * (`AnalysisStatsArchive`) ikut dijumlahkan ke tren, video, dan channel.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} [options]
+ * @param {"day"|"week"} [options.interval="day"]
+ * @param {Date} [options.from] - Bawaan: `DEFAULT_RANGE_DAYS` hari sebelum `to`.
+ * @param {Date} [options.to] - Bawaan: hari ini.
+ * @param {string} [options.youtubeVideoId] - Batasi ke satu video.
+ * @param {string} [options.youtubeChannelId] - Batasi ke video satu channel.
+ * @returns {Promise<object>} `{ interval, from, to, totals, series, moderation,
+ *   moderationTotals, videos, channels, events, archivedAnalyses }`
+ * @throws {BadRequestError} Jika rentang tanggal terlalu panjang.
+ */
+const getTimeSeriesStats = async (
+  userId,
+  { interval = "day", from, to, youtubeVideoId, youtubeChannelId } = {}
+) => {
+  const { start, end } = resolveRange({ from, to });
+
+  const scope = {};
+  if (youtubeVideoId) scope.youtubeVideoId = youtubeVideoId;
+  if (youtubeChannelId) scope.youtubeChannelId = youtubeChannelId;
+
+  // Urut lama → baru agar metadata video diambil dari analisis terbarunya
+  const analyses = await VideoAnalysis.find({ userId, ...scope })
+    .sort({ _id: 1 })
+    .select(
+      "youtubeVideoId videoTitle youtubeChannelId videoPublishedAt liveStreamStartedAt"
+    )
+    .lean();
+  const videoInfo = new Map();
+  const mergeVideoInfo = ({ _id, ...fields }) => {
+    const info = videoInfo.get(fields.youtubeVideoId) || {};
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) info[key] = value;
+    });
+    videoInfo.set(fields.youtubeVideoId, info);
+  };
+  analyses.forEach(mergeVideoInfo);
+
+  const commentScope = { userId };
+  if (youtubeVideoId || youtubeChannelId) {
+    commentScope.analysisId = { $in: analyses.map((a) => a._id) };
+  }
+  // Komentar yang sama dari beberapa analisis dihitung sekali, verdict terbaru
+  const dedupeComments = (fields) => [
+    { $sort: { _id: -1 } },
+    {
+      $group: {
+        _id: "$youtubeCommentId",
+        ...Object.fromEntries(
+          Object.entries(fields).map(([name, expr]) => [name, { $first: expr }])
+        ),
+      },
+    },
+  ];
+
+  const [[commentStats], moderationGroups, archives] = await Promise.all([
+    AnalyzedComment.aggregate(
+      [
+        {
+          $match: {
+            ...commentScope,
+            commentPublishedAt: { $gte: start, $lt: end },
+          },
+        },
+        ...dedupeComments({
+          youtubeVideoId: "$youtubeVideoId",
+          publishedAt: "$commentPublishedAt",
+          classification: EFFECTIVE_CLASSIFICATION_EXPR,
+        }),
+        {
+          $facet: {
+            series: [
+              {
+                $group: {
+                  _id: {
+                    period: periodExpr("$publishedAt", interval),
+                    classification: "$classification",
+                  },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+            videos: [
+              {
+                $group: {
+                  _id: {
+                    youtubeVideoId: "$youtubeVideoId",
+                    classification: "$classification",
+                  },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    ),
+    // Hanya aksi terakhir per komentar yang tersimpan di AnalyzedComment
+    AnalyzedComment.aggregate(
+      [
+        {
+          $match: {
+            ...commentScope,
+            moderationResult: "SUCCESS",
+            moderationAttemptedAt: { $gte: start, $lt: end },
+          },
+        },
+        ...dedupeComments({
+          action: "$moderationAction",
+          attemptedAt: "$moderationAttemptedAt",
+        }),
+        {
+          $group: {
+            _id: {
+              period: periodExpr("$attemptedAt", interval),
+              action: "$action",
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    ),
+    AnalysisStatsArchive.find({
+      userId,
+      ...scope,
+      "daily.date": { $gte: start, $lt: end },
+    })
+      .select("youtubeVideoId youtubeChannelId videoTitle daily")
+      .lean(),
+  ]);
+
+  const periodKeys = listPeriodKeys(start, end, interval);
+  const series = new Map(
+    periodKeys.map((period) => [
+      period,
+      { period, ...zeroCounts(CLASSIFICATIONS) },
+    ])
+  );
+  const videos = new Map();
+  const addCount = (period, youtubeVideoId, classification, count) => {
+    if (!CLASSIFICATIONS.includes(classification)) return;
+    if (period) {
+      const entry = series.get(period);
+      if (entry) entry[classification] += count;
+    }
+    if (youtubeVideoId) {
+      const entry = videos.get(youtubeVideoId) || {
+        youtubeVideoId,
+        ...zeroCounts(CLASSIFICATIONS),
+      };
+      entry[classification] += count;
+      videos.set(youtubeVideoId, entry);
+    }
+  };
+
+  commentStats.series.forEach(({ _id, count }) =>
+    addCount(_id.period, null, _id.classification, count)
+  );
+  commentStats.videos.forEach(({ _id, count }) =>
+    addCount(null, _id.youtubeVideoId, _id.classification, count)
+  );
+  archives.forEach(({ _id, daily, ...info }) => {
+    if (!videoInfo.has(info.youtubeVideoId)) mergeVideoInfo(info);
+    daily
+      .filter(({ date }) => date >= start && date < end)
+      .forEach((day) => {
+        const period = toPeriodKey(day.date, interval);
+        CLASSIFICATIONS.forEach((classification) =>
+          addCount(
+            period,
+            info.youtubeVideoId,
+            classification,
+            day[classification] || 0
+          )
+        );
+      });
+  });
+
+  const moderation = new Map(
+    periodKeys.map((period) => [
+      period,
+      { period, ...zeroCounts(MODERATION_ACTIONS) },
+    ])
+  );
+  moderationGroups.forEach(({ _id, count }) => {
+    const entry = moderation.get(_id.period);
+    if (entry && _id.action in entry) entry[_id.action] += count;
+  });
+
+  const videoList = [...videos.values()].map((entry) => {
+    const info = videoInfo.get(entry.youtubeVideoId) || {};
+    const total = sumCounts(entry, CLASSIFICATIONS);
+    return {
+      ...entry,
+      total,
+      judiRatio: total > 0 ? entry.JUDI / total : 0,
+      videoTitle: info.videoTitle,
+      youtubeChannelId: info.youtubeChannelId || null,
+      videoPublishedAt: info.videoPublishedAt,
+      liveStreamStartedAt: info.liveStreamStartedAt,
+    };
+  });
+
+  const channels = new Map();
+  videoList.forEach((video) => {
+    const entry = channels.get(video.youtubeChannelId) || {
+      youtubeChannelId: video.youtubeChannelId,
+      videoCount: 0,
+      ...zeroCounts(CLASSIFICATIONS),
+      total: 0,
+    };
+    entry.videoCount += 1;
+    CLASSIFICATIONS.forEach((key) => {
+      entry[key] += video[key];
+    });
+    entry.total += video.total;
+    channels.set(video.youtubeChannelId, entry);
+  });
+
+  const events = [];
+  videoInfo.forEach((info, youtubeVideoId) => {
+    [
+      ["upload", info.videoPublishedAt],
+      ["live", info.liveStreamStartedAt],
+    ].forEach(([type, at]) => {
+      if (at && at >= start && at < end) {
+        events.push({
+          type,
+          youtubeVideoId,
+          videoTitle: info.videoTitle,
+          at,
+          period: toPeriodKey(at, interval),
+        });
+      }
+    });
+  });
+
+  const seriesList = [...series.values()].map((entry) => ({
+    ...entry,
+    total: sumCounts(entry, CLASSIFICATIONS),
+  }));
+  const moderationList = [...moderation.values()];
+  const byJudiDesc = (a, b) => b.JUDI - a.JUDI || b.total - a.total;
+
+  return {
+    interval,
+    from: start.toISOString().slice(0, 10),
+    to: new Date(end.getTime() - DAY_MS).toISOString().slice(0, 10),
+    totals: seriesList.reduce(
+      (totals, entry) => {
+        [...CLASSIFICATIONS, "total"].forEach((key) => {
+          totals[key] += entry[key];
+        });
+        return totals;
+      },
+      { ...zeroCounts(CLASSIFICATIONS), total: 0 }
+    ),
+    series: seriesList,
+    moderation: moderationList,
+    moderationTotals: MODERATION_ACTIONS.reduce(
+      (totals, action) => ({
+        ...totals,
+        [action]: moderationList.reduce((sum, entry) => sum + entry[action], 0),
+      }),
+      {}
+    ),
+    videos: videoList.sort(byJudiDesc).slice(0, MAX_VIDEOS),
+    channels: [...channels.values()].sort(byJudiDesc),
+    events: events.sort((a, b) => a.at - b.at),
+    archivedAnalyses: archives.length,
+  };
+};
+
+module.exports = {
+  toPeriodKey,
+  getTimeSeriesStats,
+};
@@ -1,6 +1,7 @@
 // src/api/services/videoAnalysis.service.js
 const User = require("../models/User.model");
 const VideoAnalysis = require("../models/VideoAnalysis.model");
+const MonitoredVideo = require("../models/MonitoredVideo.model");
 const AnalyzedComment = require("../models/AnalyzedComment.model");
 const youtubeService = require("./youtube.service");
 const { getYouTubeVideoId } = require("../../utils/youtubeHelper");
@@ -9,55 +10,400 @@ const {
   BadRequestError,
   NotFoundError,
   ForbiddenError,
+  QuotaExceededError,
 } = require("../../utils/errors"); // <-- TAMBAHKAN ForbiddenError DI SINI
 const config = require("../../config/environment");
-const { processAndSaveSingleComment } = require("../../utils/commentProcessor");
+const {
+  buildAnalyzedCommentDocument,
+} = require("../../utils/commentProcessor");
 const aiService = require("./ai.service");
+const deletionJobService = require("./deletionJob.service");
+const quotaService = require("./quota.service");
+const {
+  applyConfidencePolicy,
+  EFFECTIVE_CLASSIFICATION_EXPR,
+} = require("../../utils/classificationPolicy");
+const {
+  COMMENT_SORT_FIELDS,
+  MODERATION_STATES,
+  MODERATION_STATE_EXPR,
+  buildCommentFilterParts,
+  combineFilters,
+  encodeCommentCursor,
+  decodeCommentCursor,
+  buildCursorFilter,
+  escapeRegex,
+} = require("../../utils/commentQuery");
+const { evaluateRules, combineRuleResults } = require("../../core/rulesEngine");
+const { normalizeCommentText } = require("../../utils/textNormalizer");
+const { mapWithConcurrency } = require("../../utils/asyncPool");
+const {
+  extractPromotions,
+  evaluatePromotions,
+  resolveBlockedDomains,
+} = require("../../utils/promotionExtractor");
 const mongoose = require("mongoose");
 
 /**
- * Memulai proses analisis HANYA untuk komentar tingkat atas (top-level comments)
- * dengan alur kerja yang dioptimalkan untuk performa.
+ * Menggabungkan komentar tingkat atas dan balasannya dari daftar CommentThread.
+ * `commentThreads.list` hanya menyertakan sebagian balasan (`thread.replies`), jadi
+ * thread yang balasannya belum lengkap diambil ulang lewat `comments.list` dengan `parentId`,
+ * dibatasi `config.MAX_REPLIES_PER_COMMENT` per komentar. Balasan beberapa thread diambil
+ * paralel (paling banyak `config.REPLIES_FETCH_CONCURRENCY`), urutan hasil tetap per thread.
+ * @param {Array<object>} commentThreads - Array CommentThread dari `fetchCommentsForVideo`.
+ * @param {object} options
+ * @param {google.youtube_v3.Youtube} options.youtubeClient - Client YouTube yang terautentikasi.
+ * @param {object} options.analysisEntry - Dokumen VideoAnalysis yang sedang diproses (untuk log dan progres).
+ * @returns {Promise<Array<{comment: object, parentYoutubeCommentId: string|null}>>}
+ */
+const collectThreadComments = async (
+  commentThreads,
+  { youtubeClient, analysisEntry }
+) => {
+  const maxReplies = config.MAX_REPLIES_PER_COMMENT;
+
+  const commentsPerThread = await mapWithConcurrency(
+    commentThreads,
+    config.REPLIES_FETCH_CONCURRENCY,
+    async (thread) => {
+      const topLevelComment = thread?.snippet?.topLevelComment;
+      if (!topLevelComment) return [];
+
+      const collected = [
+        { comment: topLevelComment, parentYoutubeCommentId: null },
+      ];
+
+      const totalReplyCount = thread.snippet.totalReplyCount || 0;
+      if (totalReplyCount === 0 || maxReplies <= 0) return collected;
+
+      let replies = thread.replies?.comments || [];
+      if (replies.length < Math.min(totalReplyCount, maxReplies)) {
+        try {
+          replies = await youtubeService.fetchRepliesForComment(
+            topLevelComment.id,
+            { youtubeClient },
+            maxReplies
+          );
+        } catch (error) {
+          if (error instanceof QuotaExceededError) throw error;
+          // Gagal mengambil balasan satu thread tidak menggagalkan seluruh analisis
+          console.warn(
+            `[VideoAnalysis-${analysisEntry._id}] Gagal mengambil balasan untuk komentar ${topLevelComment.id}, memakai balasan yang tersedia:`,
+            error.message
+          );
+        }
+      }
+
+      replies.slice(0, maxReplies).forEach((reply) => {
+        collected.push({
+          comment: reply,
+          parentYoutubeCommentId: topLevelComment.id,
+        });
+      });
+      return collected;
+    }
+  );
+
+  return commentsPerThread.flat();
+};
+
+/**
+ * Mengklasifikasikan teks komentar asli: normalisasi teks, ekstraksi promosi, rules
+ * engine, klasifikasi AI per chunk, lalu kebijakan ambang keyakinan pengguna.
+ * Dipakai saat komentar pertama kali dianalisis maupun saat diklasifikasi ulang.
+ * @param {string} userId - ID User Judi Guard pemilik komentar (sumber ambang dan blocklist).
+ * @param {string[]} originalTexts - `commentTextOriginal` setiap komentar.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Diteruskan ke `aiService.analyzeTextsWithAI`.
+ * @returns {Promise<{normalizations: Array<object>, promotions: Array<object>, results: Array<object>}>}
+ *   Hasil per teks, urutan sama dengan `originalTexts`; `results` adalah hasil `applyConfidencePolicy`.
+ */
+const classifyCommentTexts = async (
+  userId,
+  originalTexts,
+  { onProgress } = {}
+) => {
+  // Normalisasi penyamaran Unicode/leetspeak sebelum klasifikasi; teks asli tetap disimpan
+  const normalizations = originalTexts.map((text) =>
+    normalizeCommentText(text)
+  );
+  const texts = normalizations.map((normalization) => normalization.text);
+  // Link, nomor, dan handle diambil dari teks asli agar URL tidak ikut berubah oleh normalisasi
+  const promotions = originalTexts.map((text) => extractPromotions(text));
+  // Rules engine berjalan lokal dan murah, dihitung berdampingan dengan model;
+  // domain di blocklist pengguna memaksa verdict JUDI
+  const owner = await User.findById(userId).select("moderationSettings");
+  const blockedDomains = resolveBlockedDomains(owner?.moderationSettings);
+  const ruleResults = texts.map((text, i) =>
+    combineRuleResults(
+      evaluateRules(text),
+      evaluatePromotions(promotions[i], blockedDomains)
+    )
+  );
+
+  // Klasifikasi dikirim per chunk ke ML API agar server model tidak kebanjiran request
+  const aiResults = await aiService.analyzeTextsWithAI(texts, { onProgress });
+
+  // Gabungkan sinyal model dan aturan, lalu terapkan ambang keyakinan milik
+  // pengguna: skor di pita tengah menjadi NEEDS_REVIEW
+  const results = aiResults.map((aiResult, i) =>
+    applyConfidencePolicy(aiResult, owner?.moderationSettings, ruleResults[i])
+  );
+
+  return { normalizations, promotions, results };
+};
+
+/**
+ * Pipeline klasifikasi bersama: klasifikasi dengan `classifyCommentTexts`, lalu simpan
+ * sebagai AnalyzedComment. Dipakai analisis video YouTube maupun impor file komentar.
+ * Progres klasifikasi ditulis ke `analysisEntry.progress.commentsClassified`.
+ * @param {object} analysisEntry - Dokumen VideoAnalysis tempat komentar disimpan.
+ * @param {Array<{comment: object, parentYoutubeCommentId: string|null, youtubeVideoId?: string}>} commentsToAnalyze
+ *   Komentar berbentuk Comment resource YouTube (`id` + `snippet`) yang belum pernah dianalisis.
+ *   `youtubeVideoId` per item opsional, default `analysisEntry.youtubeVideoId`.
+ * @returns {Promise<number>} Jumlah komentar yang berhasil disimpan.
+ */
+const classifyAndSaveComments = async (analysisEntry, commentsToAnalyze) => {
+  const { userId } = analysisEntry;
+
+  const {
+    normalizations,
+    promotions,
+    results: policyResults,
+  } = await classifyCommentTexts(
+    userId,
+    commentsToAnalyze.map(({ comment }) => comment.snippet.textOriginal),
+    {
+      onProgress: (classifiedCount) =>
+        VideoAnalysis.updateOne(
+          { _id: analysisEntry._id },
+          { $set: { "progress.commentsClassified": classifiedCount } }
+        ).catch((error) =>
+          console.error(
+            `[VideoAnalysis-${analysisEntry._id}] Gagal menyimpan progres:`,
+            error.message
+          )
+        ),
+    }
+  );
+  analysisEntry.progress.commentsClassified = policyResults.length;
+
+  const saveOperations = commentsToAnalyze.map(
+    ({ comment, parentYoutubeCommentId, youtubeVideoId }, i) =>
+      AnalyzedComment.create(
+        buildAnalyzedCommentDocument(comment.snippet, {
+          youtubeCommentId: comment.id,
+          analysisId: analysisEntry._id,
+          userId: new mongoose.Types.ObjectId(userId),
+          youtubeVideoId: youtubeVideoId || analysisEntry.youtubeVideoId,
+          parentYoutubeCommentId,
+          aiResult: policyResults[i],
+          normalization: normalizations[i],
+          promotions: promotions[i],
+        })
+      )
+        .then(() => 1)
+        .catch((error) => {
+          console.error(
+            `Gagal menyimpan komentar ${comment.id}:`,
+            error.message
+          );
+          return 0;
+        })
+  );
+
+  const results = await Promise.all(saveOperations);
+  return results.reduce((sum, val) => sum + val, 0);
+};
+
+/**
+ * Tanggal publikasi komentar tingkat atas sebuah CommentThread.
+ * @param {object} thread - CommentThread dari `fetchCommentsForVideo`.
+ * @returns {Date}
+ */
+const getThreadPublishedAt = (thread) =>
+  new Date(thread.snippet.topLevelComment.snippet.publishedAt);
+
+/**
+ * Membatasi thread baru satu re-scan inkremental ke `limit` thread terlama. YouTube
+ * mengembalikan thread terbaru dulu, jadi thread yang lebih baru dari batas ditunda ke
+ * re-scan berikutnya, bukan thread lama yang terlewat. Penanda re-scan dibuat tepat
+ * sebelum thread tertunda pertama agar thread dengan waktu yang sama tidak terlewat.
+ * @param {Array<object>} commentThreads - Semua thread setelah `sinceCommentPublishedAt`.
+ * @param {number} limit - `config.videoMonitor.maxCommentsPerCheck`.
+ * @param {Date} sinceCommentPublishedAt - Penanda re-scan sebelumnya.
+ * @returns {{threads: Array<object>, marker: Date, hasMoreNewComments: boolean}}
+ */
+const selectIncrementalThreads = (
+  commentThreads,
+  limit,
+  sinceCommentPublishedAt
+) => {
+  const sorted = [...commentThreads].sort(
+    (a, b) => getThreadPublishedAt(a) - getThreadPublishedAt(b)
+  );
+  const threads = sorted.slice(0, limit);
+  const latest = threads.reduce((marker, thread) => {
+    const publishedAt = getThreadPublishedAt(thread);
+    return publishedAt > marker ? publishedAt : marker;
+  }, sinceCommentPublishedAt);
+  if (sorted.length <= limit) {
+    return { threads, marker: latest, hasMoreNewComments: false };
+  }
+
+  const firstDeferredAt = getThreadPublishedAt(sorted[limit]).getTime();
+  return {
+    threads,
+    marker: new Date(Math.min(latest.getTime(), firstDeferredAt - 1)),
+    hasMoreNewComments: true,
+  };
+};
+
+/**
+ * Memajukan penanda re-scan video yang dipantau setelah analisisnya selesai,
+ * agar re-scan berikutnya hanya mengambil komentar yang lebih baru. Jika re-scan
+ * terpotong batas komentar per re-scan, sisanya dijadwalkan segera.
+ * @param {object} analysisEntry - Dokumen VideoAnalysis yang sudah selesai diproses.
+ */
+const advanceMonitoredVideo = async (analysisEntry) => {
+  if (!analysisEntry.monitoredVideoId) return;
+
+  const update = { $set: { lastError: null } };
+  if (analysisEntry.hasMoreNewComments) update.$set.nextCheckAt = new Date();
+  if (analysisEntry.latestCommentPublishedAt) {
+    update.$max = {
+      lastSeenCommentPublishedAt: analysisEntry.latestCommentPublishedAt,
+    };
+  }
+  await MonitoredVideo.updateOne({ _id: analysisEntry.monitoredVideoId }, update);
+};
+
+/**
+ * Menerima permintaan analisis video dan memasukkannya ke antrean.
+ * Hanya melakukan validasi ringan lalu membuat VideoAnalysis berstatus PENDING;
+ * proses fetch → klasifikasi → simpan dikerjakan oleh worker background
+ * (lihat `src/workers/videoAnalysis.worker.js`) melalui `processVideoAnalysis`.
+ * @param {string} userId - ID User Judi Guard yang meminta analisis.
+ * @param {string} youtubeVideoUrl - URL atau ID video YouTube.
+ * @returns {Promise<object>} Objek VideoAnalysis (POJO) berstatus PENDING.
+ * @throws {BadRequestError} Jika URL video tidak valid.
+ * @throws {UnauthorizedError} Jika akun YouTube pengguna belum terhubung.
  */
 const startVideoAnalysis = async (userId, youtubeVideoUrl) => {
-  // --- BAGIAN 1: SETUP DAN VALIDASI (Tidak berubah) ---
   const youtubeVideoId = getYouTubeVideoId(youtubeVideoUrl);
   if (!youtubeVideoId) {
     throw new BadRequestError("URL Video YouTube tidak valid.");
   }
 
-  const youtubeClient = await youtubeService.getAuthenticatedYouTubeClient(
-    userId
+  // Pastikan koneksi YouTube valid sebelum antre, agar error otorisasi langsung terlihat oleh pengguna
+  await youtubeService.getAuthenticatedYouTubeClient(userId);
+  await quotaService.assertQuotaAvailable(
+    userId,
+    quotaService.estimateAnalysisCost(config.MAX_TOP_LEVEL_COMMENTS),
+    "analisis video"
   );
 
-  // Buat entri log analisis di database
-  // <<< PENYEMPURNAAN: Inisialisasi totalCommentsAnalyzed dari awal >>>
-  let analysisEntry = await VideoAnalysis.create({
+  const analysisEntry = await VideoAnalysis.create({
     userId,
     youtubeVideoId,
-    status: "PROCESSING",
-    processingStartedAt: Date.now(),
+    status: "PENDING",
+    requestedAt: Date.now(),
     totalCommentsAnalyzed: 0,
   });
 
+  console.log(
+    `[VideoAnalysis-${analysisEntry._id}] Analisis video ${youtubeVideoId} masuk antrean. User ID: ${userId}`
+  );
+
+  return analysisEntry.toObject();
+};
+
+/**
+ * Memproses satu VideoAnalysis yang sudah diklaim worker (status PROCESSING):
+ * mengambil komentar tingkat atas beserta balasannya, mengklasifikasikannya dengan AI,
+ * dan menyimpannya (balasan disimpan dengan `parentYoutubeCommentId` ke komentar induknya).
+ * Progres (halaman diambil, komentar diambil, komentar terklasifikasi) ditulis ke
+ * `analysisEntry.progress` selama proses berjalan.
+ * @param {string} analysisId - ID dari VideoAnalysis yang akan diproses.
+ * @returns {Promise<object>} Objek VideoAnalysis (POJO) setelah selesai diproses.
+ */
+const processVideoAnalysis = async (analysisId) => {
+  const analysisEntry = await VideoAnalysis.findById(analysisId);
+  if (!analysisEntry) {
+    throw new NotFoundError(`VideoAnalysis ${analysisId} tidak ditemukan.`);
+  }
+
+  const { userId, youtubeVideoId, sinceCommentPublishedAt } = analysisEntry;
+  // Re-scan inkremental dari video yang dipantau hanya mengambil komentar baru
+  const isIncremental = Boolean(sinceCommentPublishedAt);
+  const maxTopLevelComments = isIncremental
+    ? config.videoMonitor.maxCommentsPerCheck
+    : config.MAX_TOP_LEVEL_COMMENTS || 200;
+
   try {
+    // Analisis bisa menunggu lama di antrean; cek ulang anggaran kuota sebelum mulai
+    await quotaService.assertQuotaAvailable(
+      userId,
+      quotaService.estimateAnalysisCost(maxTopLevelComments),
+      "analisis video"
+    );
+    const youtubeClient = await youtubeService.getAuthenticatedYouTubeClient(
+      userId
+    );
+
     const videoDetails = await youtubeService.getVideoDetails(youtubeVideoId, {
       youtubeClient,
     });
     if (videoDetails?.snippet) {
       analysisEntry.videoTitle = videoDetails.snippet.title;
+      analysisEntry.videoPublishedAt = videoDetails.snippet.publishedAt;
+      analysisEntry.youtubeChannelId = videoDetails.snippet.channelId;
+      analysisEntry.liveStreamStartedAt =
+        videoDetails.liveStreamingDetails?.actualStartTime;
     }
 
-    // --- BAGIAN 2: AMBIL DATA KOMENTAR (Tidak berubah) ---
-    const commentThreads = await youtubeService.fetchCommentsForVideo(
+    // --- BAGIAN 1: AMBIL DATA KOMENTAR ---
+    // Re-scan inkremental mengambil semua halaman sampai penanda (biaya 1 unit per
+    // 100 thread), lalu hanya memproses `maxTopLevelComments` thread terlama
+    let commentThreads = await youtubeService.fetchCommentsForVideo(
       youtubeVideoId,
       userId,
-      { youtubeClient },
+      {
+        youtubeClient,
+        onPage: ({ pagesFetched, threadsFetched }) =>
+          VideoAnalysis.updateOne(
+            { _id: analysisEntry._id },
+            {
+              $set: {
+                "progress.pagesFetched": pagesFetched,
+                "progress.commentsFetched": threadsFetched,
+              },
+            }
+          ),
+        publishedAfter: sinceCommentPublishedAt,
+      },
       100,
-      config.MAX_TOP_LEVEL_COMMENTS || 200
+      isIncremental ? Infinity : maxTopLevelComments
     );
 
-    analysisEntry.totalCommentsFetched = commentThreads.length;
+    if (isIncremental) {
+      const { threads, marker, hasMoreNewComments } = selectIncrementalThreads(
+        commentThreads,
+        maxTopLevelComments,
+        sinceCommentPublishedAt
+      );
+      commentThreads = threads;
+      analysisEntry.latestCommentPublishedAt = marker;
+      analysisEntry.hasMoreNewComments = hasMoreNewComments;
+    } else {
+      analysisEntry.latestCommentPublishedAt = commentThreads.reduce(
+        (latest, thread) => {
+          const publishedAt = getThreadPublishedAt(thread);
+          return !latest || publishedAt > latest ? publishedAt : latest;
+        },
+        null
+      );
+    }
 
     if (commentThreads.length === 0) {
       console.log(
@@ -66,27 +412,38 @@ const startVideoAnalysis = async (userId, youtubeVideoUrl) => {
       analysisEntry.status = "COMPLETED";
       analysisEntry.completedAt = Date.now();
       await analysisEntry.save();
+      await advanceMonitoredVideo(analysisEntry);
       return analysisEntry.toObject();
     }
 
-    // --- BAGIAN 3: PROSES DENGAN AI (Dengan Optimasi) ---
-    const validComments = commentThreads
-      .map((thread) => {
-        const comment = thread?.snippet?.topLevelComment;
-        // Validasi ketat struktur komentar
-        if (
-          !comment?.id ||
-          !comment.snippet ||
-          !comment.snippet.authorChannelId?.value
-        ) {
-          console.warn("Struktur komentar tidak valid:", comment);
-          return null;
-        }
-        return comment;
-      })
-      .filter(Boolean); // Hapus null/undefined
+    // Kumpulkan komentar tingkat atas beserta balasannya dalam satu daftar
+    const collectedComments = await collectThreadComments(commentThreads, {
+      youtubeClient,
+      analysisEntry,
+    });
+    const repliesCount = collectedComments.filter(
+      (c) => c.parentYoutubeCommentId
+    ).length;
+
+    analysisEntry.totalCommentsFetched = collectedComments.length;
+    analysisEntry.totalRepliesFetched = repliesCount;
+    analysisEntry.progress.commentsFetched = collectedComments.length;
+
+    // --- BAGIAN 2: PROSES DENGAN AI ---
+    const validComments = collectedComments.filter(({ comment }) => {
+      // Validasi ketat struktur komentar
+      if (
+        !comment?.id ||
+        !comment.snippet ||
+        !comment.snippet.authorChannelId?.value
+      ) {
+        console.warn("Struktur komentar tidak valid:", comment);
+        return false;
+      }
+      return true;
+    });
 
-    const commentIdsFromYouTube = validComments.map((c) => {
+    const commentIdsFromYouTube = validComments.map(({ comment: c }) => {
       if (!c.id.startsWith("Ug")) {
         throw new Error(`Format YouTube Comment ID tidak valid: ${c.id}`);
       }
@@ -100,70 +457,18 @@ const startVideoAnalysis = async (userId, youtubeVideoUrl) => {
       ).map((c) => c.youtubeCommentId)
     );
     const newCommentsToAnalyze = validComments.filter(
-      (c) => !existingCommentIds.has(c.id)
+      ({ comment }) => !existingCommentIds.has(comment.id)
     );
 
     if (newCommentsToAnalyze.length > 0) {
       console.log(
-        `Memulai analisis untuk ${newCommentsToAnalyze.length} komentar baru`
+        `Memulai analisis untuk ${newCommentsToAnalyze.length} komentar baru (termasuk balasan)`
       );
 
-      const analysisPromises = newCommentsToAnalyze.map((comment) =>
-        aiService.analyzeTextWithAI(comment.snippet.textOriginal)
+      const successfulSaves = await classifyAndSaveComments(
+        analysisEntry,
+        newCommentsToAnalyze
       );
-      const aiResults = await Promise.all(analysisPromises);
-
-      const saveOperations = [];
-
-      for (let i = 0; i < newCommentsToAnalyze.length; i++) {
-        const comment = newCommentsToAnalyze[i];
-        const aiResult = aiResults[i];
-
-        // Pastikan semua field penting ada
-        if (!comment.snippet.authorChannelId?.value) {
-          console.error("Komentar tidak memiliki authorChannelId:", comment.id);
-          continue;
-        }
-
-        const documentToSave = {
-          analysisId: analysisEntry._id, // Tidak perlu new mongoose.Types.ObjectId
-          userId: new mongoose.Types.ObjectId(userId),
-          youtubeVideoId,
-          youtubeCommentId: comment.id,
-          authorChannelId: comment.snippet.authorChannelId.value, // << PENAMBAHAN PENTING
-          parentYoutubeCommentId: null,
-          commentTextOriginal: comment.snippet.textOriginal,
-          commentTextDisplay: comment.snippet.textDisplay,
-          commentAuthorDisplayName: comment.snippet.authorDisplayName,
-          commentAuthorProfileImageUrl: comment.snippet.authorProfileImageUrl,
-          commentPublishedAt: new Date(comment.snippet.publishedAt),
-          commentUpdatedAt: new Date(comment.snippet.updatedAt),
-          likeCount: comment.snippet.likeCount || 0,
-          classification: aiResult.classification,
-          aiConfidenceScore: aiResult.confidenceScore,
-          aiModelVersion: aiResult.modelVersion,
-          metadata: {
-            // Simpan data tambahan
-            isReply: false,
-            originalResponse: comment, // Simpan raw data untuk referensi
-          },
-        };
-
-        saveOperations.push(
-          AnalyzedComment.create(documentToSave)
-            .then(() => 1)
-            .catch((error) => {
-              console.error(
-                `Gagal menyimpan komentar ${comment.id}:`,
-                error.message
-              );
-              return 0;
-            })
-        );
-      }
-
-      const results = await Promise.all(saveOperations);
-      const successfulSaves = results.reduce((sum, val) => sum + val, 0);
 
       console.log(
         `Berhasil menyimpan ${successfulSaves}/${newCommentsToAnalyze.length} komentar`
@@ -171,12 +476,11 @@ const startVideoAnalysis = async (userId, youtubeVideoUrl) => {
       analysisEntry.totalCommentsAnalyzed = successfulSaves;
     }
 
-    // --- BAGIAN 4: FINALISASI ---
+    // --- BAGIAN 3: FINALISASI ---
     analysisEntry.status = "COMPLETED";
     analysisEntry.completedAt = Date.now();
-
-    // <<< PENYEMPURNAAN: Hanya satu kali 'save' di akhir blok try >>>
     await analysisEntry.save();
+    await advanceMonitoredVideo(analysisEntry);
 
     console.log(
       `[VideoAnalysis-${analysisEntry._id}] Analisis selesai. Komentar baru yang dianalisis: ${analysisEntry.totalCommentsAnalyzed}.`
@@ -184,18 +488,20 @@ const startVideoAnalysis = async (userId, youtubeVideoUrl) => {
 
     return analysisEntry.toObject(); // Kembalikan POJO agar konsisten
   } catch (error) {
-    // --- Error Handling ---
-    // <<< PENYEMPURNAAN: Log seluruh objek error untuk stack trace >>>
     console.error(
-      `[VideoAnalysis-${analysisEntry?._id}] Terjadi error besar selama proses:`,
+      `[VideoAnalysis-${analysisEntry._id}] Terjadi error besar selama proses:`,
       error
     );
 
-    if (analysisEntry) {
-      // Pastikan analysisEntry ada sebelum mencoba save
-      analysisEntry.status = "FAILED";
-      analysisEntry.errorMessage = error.message;
-      await analysisEntry.save();
+    analysisEntry.status = "FAILED";
+    analysisEntry.errorMessage = error.message;
+    analysisEntry.completedAt = Date.now();
+    await analysisEntry.save();
+    if (analysisEntry.monitoredVideoId) {
+      await MonitoredVideo.updateOne(
+        { _id: analysisEntry.monitoredVideoId },
+        { $set: { lastError: error.message } }
+      );
     }
 
     throw error;
@@ -203,14 +509,16 @@ const startVideoAnalysis = async (userId, youtubeVideoUrl) => {
 };
 
 /**
- * Mengambil semua komentar dan balasan yang telah dianalisis untuk sebuah VideoAnalysis.
- * @param {string} videoAnalysisId - ID dari VideoAnalysis.
+ * Mengambil status dan progres sebuah VideoAnalysis milik pengguna.
+ * Dipakai frontend untuk polling selama analisis berjalan di background.
+ * @param {string} analysisId - ID dari VideoAnalysis.
  * @param {string} userId - ID User Judi Guard yang memiliki analisis tersebut.
- * @returns {Promise<Array<object>>} Array objek AnalyzedComment (POJO), diurutkan berdasarkan tanggal publikasi.
+ * @returns {Promise<object>} Objek VideoAnalysis (POJO).
+ * @throws {NotFoundError} Jika analisis tidak ditemukan atau bukan milik pengguna.
  */
-const getAnalysisResults = async (videoAnalysisId, userId) => {
+const getVideoAnalysisStatus = async (analysisId, userId) => {
   const videoAnalysis = await VideoAnalysis.findOne({
-    _id: videoAnalysisId,
+    _id: analysisId,
     userId: userId,
   });
 
@@ -220,25 +528,171 @@ const getAnalysisResults = async (videoAnalysisId, userId) => {
     );
   }
 
-  // Mengambil semua komentar dan balasan yang terkait dengan videoAnalysisId ini
-  const analyzedComments = await AnalyzedComment.find({
-    analysisId: videoAnalysisId, // Pastikan field ini sesuai dengan yang disimpan
-  }).sort({ commentPublishedAt: 1 }); // Tambahkan pengurutan
+  return videoAnalysis.toObject();
+};
+
+/**
+ * Mengambil riwayat analisis milik pengguna, terbaru dulu, dengan paginasi berbasis
+ * kursor. Setiap analisis disertai jumlah komentar per klasifikasi efektif (verdict
+ * moderator didahulukan) untuk ringkasan di halaman riwayat.
+ * @param {string} userId - ID User Judi Guard.
+ * @param {object} [filters]
+ * @param {string[]} [filters.status] - Status analisis yang diambil.
+ * @param {"youtube"|"import"} [filters.source]
+ * @param {string} [filters.q] - Potongan judul atau ID video (tidak peka huruf besar/kecil).
+ * @param {string} [filters.before] - `_id` analisis terakhir halaman sebelumnya.
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<{analyses: object[], nextCursor: string|null}>}
+ */
+const listVideoAnalyses = async (
+  userId,
+  { status, source, q, before, limit = 20 } = {}
+) => {
+  const filter = { userId };
+  if (status?.length) filter.status = { $in: status };
+  if (source === "import") filter.source = "import";
+  // Analisis lama belum memiliki field source
+  if (source === "youtube") filter.source = { $ne: "import" };
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: "i" };
+    filter.$or = [{ videoTitle: pattern }, { youtubeVideoId: pattern }];
+  }
+  if (before) filter._id = { $lt: before };
+
+  // Ambil satu lebih banyak untuk mengetahui apakah masih ada halaman berikutnya
+  const analyses = await VideoAnalysis.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .select("-progress -__v")
+    .lean();
+
+  const hasMore = analyses.length > limit;
+  if (hasMore) analyses.pop();
+
+  const counts = await AnalyzedComment.aggregate([
+    { $match: { analysisId: { $in: analyses.map((a) => a._id) } } },
+    {
+      $group: {
+        _id: {
+          analysisId: "$analysisId",
+          classification: EFFECTIVE_CLASSIFICATION_EXPR,
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const countsByAnalysisId = new Map(
+    analyses.map((analysis) => [
+      String(analysis._id),
+      { JUDI: 0, NON_JUDI: 0, NEEDS_REVIEW: 0 },
+    ])
+  );
+  counts.forEach(({ _id, count }) => {
+    countsByAnalysisId.get(String(_id.analysisId))[_id.classification] = count;
+  });
 
-  return analyzedComments;
+  return {
+    analyses: analyses.map((analysis) => ({
+      ...analysis,
+      classificationCounts: countsByAnalysisId.get(String(analysis._id)),
+    })),
+    nextCursor: hasMore ? String(analyses[analyses.length - 1]._id) : null,
+  };
 };
 
 /**
- * Memulai proses penghapusan semua komentar yang diklasifikasikan sebagai "judi"
- * untuk sebuah VideoAnalysis tertentu secara paralel.
- * @param {string} userId - ID User Judi Guard yang meminta.
- * @param {string} analysisId - ID dari VideoAnalysis.
- * @returns {Promise<object>} Objek yang berisi ringkasan hasil operasi.
+ * Menghitung facet daftar komentar sebuah analisis. Jumlah per klasifikasi dihitung
+ * dengan semua filter kecuali filter klasifikasi (begitu pula status moderasi), agar
+ * frontend bisa menampilkan tab dan pilihan filter beserta jumlahnya.
+ * @param {mongoose.Types.ObjectId} analysisId
+ * @param {object} parts - Hasil `buildCommentFilterParts`.
+ * @returns {Promise<{classification: object, moderation: object, total: number, replies: number}>}
  */
-const requestBatchDeleteJudiComments = async (userId, analysisId) => {
-  // 1. Verifikasi bahwa VideoAnalysis ada dan milik user yang meminta
+const getCommentFacets = async (analysisId, parts) => {
+  const [result] = await AnalyzedComment.aggregate([
+    { $match: { analysisId } },
+    {
+      $facet: {
+        classification: [
+          { $match: combineFilters({}, [parts.moderation, ...parts.other]) },
+          {
+            $group: { _id: EFFECTIVE_CLASSIFICATION_EXPR, count: { $sum: 1 } },
+          },
+        ],
+        moderation: [
+          {
+            $match: combineFilters({}, [parts.classification, ...parts.other]),
+          },
+          { $group: { _id: MODERATION_STATE_EXPR, count: { $sum: 1 } } },
+        ],
+        matching: [
+          {
+            $match: combineFilters({}, [
+              parts.classification,
+              parts.moderation,
+              ...parts.other,
+            ]),
+          },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              replies: {
+                $sum: {
+                  $cond: [
+                    { $ifNull: ["$parentYoutubeCommentId", false] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const toCounts = (groups, keys) =>
+    groups.reduce(
+      (counts, { _id, count }) => ({ ...counts, [_id]: count }),
+      Object.fromEntries(keys.map((key) => [key, 0]))
+    );
+  return {
+    classification: toCounts(result.classification, [
+      "JUDI",
+      "NON_JUDI",
+      "NEEDS_REVIEW",
+    ]),
+    moderation: toCounts(result.moderation, MODERATION_STATES),
+    total: result.matching[0]?.total || 0,
+    replies: result.matching[0]?.replies || 0,
+  };
+};
+
+/**
+ * Mengambil komentar dan balasan yang telah dianalisis untuk sebuah VideoAnalysis per
+ * halaman (paginasi kursor), beserta facet untuk tab dan filter di frontend.
+ * Opsi filter (classification, minConfidence, maxConfidence, author, moderation, q)
+ * diteruskan ke `buildCommentFilterParts`.
+ * @param {string} videoAnalysisId - ID dari VideoAnalysis.
+ * @param {string} userId - ID User Judi Guard yang memiliki analisis tersebut.
+ * @param {object} [options]
+ * @param {"publishedAt"|"confidence"|"likes"} [options.sort="publishedAt"]
+ * @param {"asc"|"desc"} [options.order="desc"]
+ * @param {number} [options.limit=50]
+ * @param {string} [options.cursor] - `nextCursor` dari halaman sebelumnya.
+ * @returns {Promise<{comments: Array<object>, nextCursor: string|null, facets: object}>}
+ * @throws {NotFoundError} Jika analisis tidak ditemukan atau bukan milik pengguna.
+ * @throws {BadRequestError} Jika kursor tidak valid.
+ */
+const getAnalysisResults = async (
+  videoAnalysisId,
+  userId,
+  { sort = "publishedAt", order = "desc", limit = 50, cursor, ...filters } = {}
+) => {
   const videoAnalysis = await VideoAnalysis.findOne({
-    _id: AnalysisId,
+    _id: videoAnalysisId,
     userId: userId,
   });
 
@@ -248,140 +702,56 @@ const requestBatchDeleteJudiComments = async (userId, analysisId) => {
     );
   }
 
-  // 2. Dapatkan YouTube client yang terautentikasi (hanya sekali di awal)
-  let youtubeClient;
-  try {
-    youtubeClient = await youtubeService.getAuthenticatedYouTubeClient(userId);
-  } catch (authError) {
-    console.error(
-      `[VideoAnalysis-${videoAnalysisId}] Error autentikasi YouTube untuk batch delete:`,
-      authError.message
-    );
-    throw authError; // Teruskan error autentikasi
-  }
-
-  // 3. Ambil semua komentar yang akan dihapus
-  const classificationForJudi = "JUDI"; // Definisikan sebagai konstanta
-  const commentsToBatchDelete = await AnalyzedComment.find({
-    videoAnalysisId: videoAnalysisId,
-    classification: classificationForJudi,
-    isDeletedOnYoutube: { $ne: true }, // Hanya yang belum ditandai terhapus
-  });
-
-  // Jika tidak ada komentar yang perlu dihapus, langsung selesaikan
-  if (commentsToBatchDelete.length === 0) {
-    return {
-      message: `Tidak ada komentar baru berkategori '${classificationForJudi}' yang perlu dihapus.`,
-      totalTargeted: 0,
-      successfullyDeleted: 0,
-      failedToDelete: 0,
-      failures: [],
-    };
-  }
-
-  console.log(
-    `[VideoAnalysis-${videoAnalysisId}] Memulai batch delete untuk ${commentsToBatchDelete.length} komentar '${classificationForJudi}'. User ID: ${userId}`
-  );
-
-  // Update status VideoAnalysis untuk menandakan proses sedang berjalan
-  videoAnalysis.status = "DELETING_CLASSIFIED_COMMENTS";
-  videoAnalysis.lastBatchDeletionAttemptAt = Date.now();
-  await videoAnalysis.save();
-
-  // 4. Buat array dari semua promise penghapusan
-  const deletionPromises = commentsToBatchDelete.map(async (comment) => {
-    try {
-      // Tandai usaha penghapusan
-      comment.deletionAttemptedAt = Date.now();
-
-      // Panggil service untuk menghapus dari YouTube
-      await youtubeService.deleteYoutubeComment(comment.youtubeCommentId, {
-        youtubeClient,
-      });
-
-      // Jika berhasil, update status di DB kita
-      comment.isDeletedOnYoutube = true;
-      comment.deletionError = null;
-      await comment.save();
-
-      // Kembalikan objek sukses untuk Promise.allSettled
-      return { commentId: comment.youtubeCommentId };
-    } catch (error) {
-      // Jika youtubeService.deleteYoutubeComment melempar error
-      const errorMessage = error.message || "Unknown error during deletion";
-      console.error(
-        `[VideoAnalysisService] Gagal menghapus komentar ${comment.youtubeCommentId} dari YouTube:`,
-        errorMessage
-      );
-
-      // Update status di DB kita bahwa terjadi error
-      comment.isDeletedOnYoutube = false;
-      comment.deletionError = errorMessage;
-      await comment.save();
-
-      // Lempar error yang berisi info berguna agar ditangkap oleh Promise.allSettled
-      // Ini akan membuat status promise menjadi 'rejected'
-      throw {
-        commentId: comment.youtubeCommentId,
-        reason: errorMessage,
-      };
-    }
-  });
-
-  // 5. Tunggu SEMUA promise penghapusan selesai, baik yang sukses maupun gagal
-  const results = await Promise.allSettled(deletionPromises);
-
-  // 6. Hitung hasil berdasarkan array results
-  let successfullyDeletedCount = 0;
-  let failedToDeleteCount = 0;
-  const deletionFailures = [];
-
-  results.forEach((result) => {
-    if (result.status === "fulfilled") {
-      successfullyDeletedCount++;
-    } else {
-      // status === 'rejected'
-      failedToDeleteCount++;
-      // result.reason adalah objek error yang kita lempar dari blok catch di atas
-      deletionFailures.push({
-        youtubeCommentId: result.reason.commentId,
-        error: result.reason.reason,
-      });
-    }
-  });
-
-  // 7. Update status akhir pada VideoAnalysis
-  if (failedToDeleteCount > 0 && successfullyDeletedCount > 0) {
-    videoAnalysis.status = "COMPLETED_DELETION_WITH_PARTIAL_ERRORS";
-  } else if (failedToDeleteCount > 0 && successfullyDeletedCount === 0) {
-    videoAnalysis.status = "FAILED_ALL_DELETIONS";
-  } else if (failedToDeleteCount === 0 && successfullyDeletedCount > 0) {
-    videoAnalysis.status = "COMPLETED_ALL_DELETIONS_SUCCESSFULLY";
-  } else {
-    // Jika tidak ada yang diproses (tidak seharusnya terjadi jika length > 0)
-    videoAnalysis.status = "COMPLETED"; // Kembali ke status umum
-  }
-
-  // Simpan statistik penghapusan ke dokumen analisis utama
-  videoAnalysis.lastBatchDeletionSuccessCount = successfullyDeletedCount;
-  videoAnalysis.lastBatchDeletionFailureCount = failedToDeleteCount;
-  videoAnalysis.completedAt = Date.now(); // Atau gunakan field `lastBatchDeletionCompletedAt`
-  await videoAnalysis.save();
-
-  console.log(
-    `[VideoAnalysis-${videoAnalysisId}] Batch delete selesai. Berhasil: ${successfullyDeletedCount}, Gagal: ${failedToDeleteCount}.`
-  );
-
-  // 8. Kembalikan ringkasan hasil ke controller
+  const sortField = COMMENT_SORT_FIELDS[sort];
+  const direction = order === "asc" ? 1 : -1;
+  const parts = buildCommentFilterParts(filters);
+  const filter = combineFilters({ analysisId: videoAnalysis._id }, [
+    parts.classification,
+    parts.moderation,
+    ...parts.other,
+    cursor &&
+      buildCursorFilter(
+        decodeCommentCursor(cursor, sortField),
+        sortField,
+        direction
+      ),
+  ]);
+
+  // Ambil satu komentar lebih untuk mengetahui apakah masih ada halaman berikutnya
+  const [comments, facets] = await Promise.all([
+    AnalyzedComment.find(filter)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1)
+      .lean(),
+    getCommentFacets(videoAnalysis._id, parts),
+  ]);
+
+  const hasMore = comments.length > limit;
+  const page = hasMore ? comments.slice(0, limit) : comments;
   return {
-    message: `Proses penghapusan komentar '${classificationForJudi}' selesai.`,
-    totalTargeted: commentsToBatchDelete.length,
-    successfullyDeleted: successfullyDeletedCount,
-    failedToDelete: failedToDeleteCount,
-    failures: deletionFailures,
+    comments: page,
+    nextCursor: hasMore
+      ? encodeCommentCursor(page[page.length - 1], sortField)
+      : null,
+    facets,
   };
 };
 
+/**
+ * Mengantrekan penghapusan semua komentar yang diklasifikasikan sebagai "judi" untuk
+ * sebuah VideoAnalysis sebagai job background. Hanya komentar dengan skor di atas
+ * `moderationSettings.autoActionThreshold` pengguna yang disentuh. Job diproses
+ * bertahap oleh `deletionJob.worker.js` agar kuota YouTube tidak habis sekaligus.
+ * @param {string} userId - ID User Judi Guard yang meminta.
+ * @param {string} analysisId - ID dari VideoAnalysis.
+ * @param {object} [options]
+ * @param {number} [options.quotaBudget] - Anggaran unit kuota YouTube untuk job ini.
+ * @param {string[]} [options.excludeCommentIds] - Komentar yang dikecualikan dari pratinjau dry-run.
+ * @returns {Promise<{job: object, isNew: boolean}>} Job yang diantrekan (atau yang sudah berjalan).
+ */
+const requestBatchDeleteJudiComments = async (userId, analysisId, options) =>
+  deletionJobService.createBatchDeletionJob(userId, analysisId, options);
+
 // const requestDeleteYoutubeComment = async (
 //   userId,
 //   analyzedCommentId,
@@ -622,6 +992,12 @@ const requestDeleteYoutubeComment = async (
 
 module.exports = {
   startVideoAnalysis,
+  processVideoAnalysis,
+  classifyCommentTexts,
+  classifyAndSaveComments,
+  collectThreadComments,
+  getVideoAnalysisStatus,
+  listVideoAnalyses,
   getAnalysisResults,
   requestBatchDeleteJudiComments,
   requestDeleteYoutubeComment,
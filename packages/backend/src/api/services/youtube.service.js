@@ -4,11 +4,15 @@ const User = require("../models/User.model"); // Untuk mengambil token user
 const { createOAuth2Client } = require("../../utils/googleOAuth2Client"); // Utilitas OAuth2 client kita
 const {
   AppError,
+  BadRequestError,
   UnauthorizedError,
   NotFoundError,
   ForbiddenError,
+  QuotaExceededError,
 } = require("../../utils/errors"); // Utilitas error
 const config = require("../../config/environment"); // Konfigurasi environment
+const quotaService = require("./quota.service");
+const { isRateLimitError } = require("../../utils/retry");
 const YOUTUBE_SCOPE = [
   // Perbaiki nama variabel jika ini khusus untuk YouTube
   // "https://www.googleapis.com/auth/userinfo.profile",
@@ -121,7 +125,11 @@ const getAuthenticatedYouTubeClient = async (userId) => {
   );
   console.log(info.scopes);
 
-  return google.youtube({ version: "v3", auth: oAuth2Client });
+  // Setiap panggilan API lewat client ini dicatat di buku besar kuota pengguna
+  return quotaService.trackYouTubeClient(
+    google.youtube({ version: "v3", auth: oAuth2Client }),
+    userId
+  );
 };
 
 /**
@@ -158,7 +166,7 @@ const getVideoDetails = async (videoId, { youtubeClient, apiKey }) => {
 
   try {
     const response = await authClient.videos.list({
-      part: "snippet,contentDetails,statistics", // Ambil snippet (title, description), contentDetails (duration), statistics (viewCount, likeCount)
+      part: "snippet,contentDetails,statistics,liveStreamingDetails", // Ambil snippet (title, description), contentDetails (duration), statistics (viewCount, likeCount), liveStreamingDetails (waktu siaran langsung)
       id: videoId,
     });
 
@@ -200,10 +208,27 @@ const getVideoDetails = async (videoId, { youtubeClient, apiKey }) => {
   }
 };
 
+/**
+ * Mengambil commentThreads sebuah video halaman demi halaman.
+ * @param {string} videoId - ID Video YouTube.
+ * @param {string} userId - ID User Judi Guard (untuk logging).
+ * @param {object} options
+ * @param {google.youtube_v3.Youtube} options.youtubeClient - Client YouTube yang terautentikasi.
+ * @param {Function} [options.onPage] - Opsional, dipanggil setelah setiap halaman diambil dengan
+ * `{ pagesFetched, threadsFetched }`. Dipakai worker analisis untuk melaporkan progres.
+ * @param {Date} [options.publishedAfter] - Opsional, hanya ambil thread yang komentar tingkat atasnya
+ * lebih baru dari tanggal ini. Karena thread diurutkan dengan `order: "time"` (terbaru dulu),
+ * pengambilan berhenti di thread pertama yang lebih lama, sehingga re-scan tidak mengambil ulang
+ * seluruh komentar. Catatan: balasan baru pada thread lama tidak ikut terambil dalam mode ini.
+ * @param {number} [maxResultsPerPage=100] - Jumlah thread per halaman (maks. 100).
+ * @param {number} [limitTotalResults=1000] - Batas total thread yang diambil. `Infinity` untuk
+ *   mengambil semua thread sampai batas `publishedAfter`.
+ * @returns {Promise<Array<object>>} Array objek CommentThread utuh.
+ */
 const fetchCommentsForVideo = async (
   videoId,
   userId,
-  { youtubeClient },
+  { youtubeClient, onPage, publishedAfter },
   maxResultsPerPage = 100,
   limitTotalResults = 1000
 ) => {
@@ -217,6 +242,8 @@ const fetchCommentsForVideo = async (
   let allCommentThreads = []; // Akan menyimpan objek CommentThread utuh
   let nextPageToken = null;
   let fetchedCount = 0;
+  let pagesFetched = 0;
+  let reachedSeenComments = false; // true jika sudah sampai di komentar yang lebih lama dari publishedAfter
   const actualMaxPerPage = Math.min(maxResultsPerPage, 100);
 
   console.log(
@@ -245,6 +272,18 @@ const fetchCommentsForVideo = async (
 
       if (response.data.items && response.data.items.length > 0) {
         response.data.items.forEach((threadItem) => {
+          if (reachedSeenComments) return;
+          const threadPublishedAt =
+            threadItem?.snippet?.topLevelComment?.snippet?.publishedAt;
+          if (
+            publishedAfter &&
+            threadPublishedAt &&
+            new Date(threadPublishedAt) <= publishedAfter
+          ) {
+            reachedSeenComments = true;
+            return;
+          }
+
           // Validasi dasar untuk CommentThread dan topLevelComment
           if (
             threadItem &&
@@ -294,10 +333,18 @@ const fetchCommentsForVideo = async (
       }
 
       nextPageToken = response.data.nextPageToken;
+      pagesFetched++;
+      if (typeof onPage === "function") {
+        await onPage({ pagesFetched, threadsFetched: fetchedCount });
+      }
       console.log(
         `[YouTubeService] Fetched ${fetchedCount} comment threads so far for video ${videoId}. Next page: ${!!nextPageToken}`
       );
-    } while (nextPageToken && fetchedCount < limitTotalResults);
+    } while (
+      nextPageToken &&
+      !reachedSeenComments &&
+      fetchedCount < limitTotalResults
+    );
 
     console.log(
       `[YouTubeService] Total ${allCommentThreads.length} comment threads diambil untuk video ID: ${videoId}`
@@ -368,6 +415,200 @@ const fetchCommentsForVideo = async (
   }
 };
 
+/**
+ * Mengambil balasan (replies) dari sebuah komentar tingkat atas melalui `comments.list`
+ * dengan `parentId`. `commentThreads.list` hanya menyertakan sebagian kecil balasan,
+ * jadi fungsi ini dipakai untuk thread yang balasannya tidak lengkap.
+ * @param {string} parentId - ID komentar YouTube tingkat atas (induk).
+ * @param {object} options
+ * @param {google.youtube_v3.Youtube} options.youtubeClient - Client YouTube yang terautentikasi.
+ * @param {number} [limitTotalResults=20] - Batas total balasan yang diambil.
+ * @returns {Promise<Array<object>>} Array Comment resource (balasan) dari YouTube.
+ * @throws {QuotaExceededError} Jika kuota YouTube API habis.
+ * @throws {AppError} Jika terjadi error lain dari YouTube API.
+ */
+const fetchRepliesForComment = async (
+  parentId,
+  { youtubeClient },
+  limitTotalResults = 20
+) => {
+  if (!youtubeClient) {
+    throw new AppError(
+      "Diperlukan youtubeClient yang terautentikasi untuk mengambil balasan.",
+      500
+    );
+  }
+
+  const replies = [];
+  let nextPageToken = null;
+
+  try {
+    do {
+      const resultsToFetchThisPage = Math.min(
+        100,
+        limitTotalResults - replies.length
+      );
+      if (resultsToFetchThisPage <= 0) break;
+
+      const response = await youtubeClient.comments.list({
+        part: "snippet",
+        parentId,
+        maxResults: resultsToFetchThisPage,
+        pageToken: nextPageToken,
+        textFormat: "plainText",
+      });
+
+      (response.data.items || []).forEach((reply) => {
+        if (reply && reply.id && reply.snippet) {
+          replies.push(reply);
+        }
+      });
+
+      nextPageToken = response.data.nextPageToken;
+    } while (nextPageToken && replies.length < limitTotalResults);
+
+    return replies.slice(0, limitTotalResults);
+  } catch (error) {
+    const isQuotaError =
+      error.response?.data?.error?.errors?.[0]?.reason === "quotaExceeded" ||
+      error.message?.toLowerCase().includes("quotaexceeded");
+
+    if (isQuotaError) {
+      throw new QuotaExceededError(
+        "Kuota harian YouTube API telah habis. Silakan coba lagi besok."
+      );
+    }
+
+    console.error(
+      `[YouTubeService] Error mengambil balasan untuk komentar ${parentId}:`,
+      error.response ? error.response.data : error.message
+    );
+    throw new AppError(
+      `Gagal mengambil balasan komentar: ${error.message}`,
+      error.code && typeof error.code === "number" ? error.code : 500
+    );
+  }
+};
+
+/**
+ * Mengambil ID playlist "uploads" milik sebuah channel. Setiap channel YouTube memiliki
+ * playlist ini yang berisi semua video yang diunggah, diurutkan dari yang terbaru.
+ * @param {string} channelId - ID channel YouTube.
+ * @param {object} options
+ * @param {google.youtube_v3.Youtube} options.youtubeClient - Client YouTube yang terautentikasi.
+ * @returns {Promise<{uploadsPlaylistId: string, channelTitle: string}>}
+ * @throws {NotFoundError} Jika channel tidak ditemukan.
+ * @throws {QuotaExceededError} Jika kuota YouTube API habis.
+ */
+const getChannelUploadsPlaylistId = async (channelId, { youtubeClient }) => {
+  try {
+    const response = await youtubeClient.channels.list({
+      part: "snippet,contentDetails",
+      id: channelId,
+    });
+
+    const channel = response.data.items?.[0];
+    const uploadsPlaylistId =
+      channel?.contentDetails?.relatedPlaylists?.uploads;
+    if (!uploadsPlaylistId) {
+      throw new NotFoundError(
+        `Channel dengan ID ${channelId} tidak ditemukan atau tidak memiliki video.`
+      );
+    }
+
+    return { uploadsPlaylistId, channelTitle: channel.snippet?.title };
+  } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+    if (error.response?.data?.error?.errors?.[0]?.reason === "quotaExceeded") {
+      throw new QuotaExceededError(
+        "Kuota harian YouTube API telah habis. Silakan coba lagi besok."
+      );
+    }
+    console.error(
+      `[YouTubeService] Error mengambil playlist uploads channel ${channelId}:`,
+      error.response ? error.response.data : error.message
+    );
+    throw new AppError(
+      `Gagal mengambil data channel: ${error.message}`,
+      error.code && typeof error.code === "number" ? error.code : 500
+    );
+  }
+};
+
+/**
+ * Mengambil daftar video dari playlist uploads sebuah channel halaman demi halaman.
+ * Karena playlist uploads diurutkan dari video terbaru, pengambilan berhenti begitu
+ * menemukan video yang lebih lama dari `publishedAfter`.
+ * @param {string} playlistId - ID playlist uploads (lihat `getChannelUploadsPlaylistId`).
+ * @param {object} options
+ * @param {google.youtube_v3.Youtube} options.youtubeClient - Client YouTube yang terautentikasi.
+ * @param {object} [filters]
+ * @param {Date} [filters.publishedAfter] - Hanya video yang diunggah pada/sesudah tanggal ini.
+ * @param {Date} [filters.publishedBefore] - Hanya video yang diunggah pada/sebelum tanggal ini.
+ * @param {number} [filters.maxVideos=50] - Batas jumlah video yang dikembalikan.
+ * @returns {Promise<Array<{youtubeVideoId: string, videoTitle: string, videoPublishedAt: Date}>>}
+ * @throws {QuotaExceededError} Jika kuota YouTube API habis.
+ */
+const fetchChannelUploads = async (
+  playlistId,
+  { youtubeClient },
+  { publishedAfter, publishedBefore, maxVideos = 50 } = {}
+) => {
+  const videos = [];
+  let nextPageToken = null;
+  let reachedOlderVideos = false;
+
+  try {
+    do {
+      const response = await youtubeClient.playlistItems.list({
+        part: "snippet,contentDetails",
+        playlistId,
+        maxResults: 50,
+        pageToken: nextPageToken,
+      });
+
+      for (const item of response.data.items || []) {
+        const youtubeVideoId = item.contentDetails?.videoId;
+        const publishedAt =
+          item.contentDetails?.videoPublishedAt || item.snippet?.publishedAt;
+        if (!youtubeVideoId || !publishedAt) continue;
+
+        const videoPublishedAt = new Date(publishedAt);
+        if (publishedBefore && videoPublishedAt > publishedBefore) continue;
+        if (publishedAfter && videoPublishedAt < publishedAfter) {
+          reachedOlderVideos = true;
+          break;
+        }
+
+        videos.push({
+          youtubeVideoId,
+          videoTitle: item.snippet?.title,
+          videoPublishedAt,
+        });
+        if (videos.length >= maxVideos) break;
+      }
+
+      nextPageToken = response.data.nextPageToken;
+    } while (nextPageToken && !reachedOlderVideos && videos.length < maxVideos);
+
+    return videos;
+  } catch (error) {
+    if (error.response?.data?.error?.errors?.[0]?.reason === "quotaExceeded") {
+      throw new QuotaExceededError(
+        "Kuota harian YouTube API telah habis. Silakan coba lagi besok."
+      );
+    }
+    console.error(
+      `[YouTubeService] Error mengambil video dari playlist ${playlistId}:`,
+      error.response ? error.response.data : error.message
+    );
+    throw new AppError(
+      `Gagal mengambil daftar video channel: ${error.message}`,
+      error.code && typeof error.code === "number" ? error.code : 500
+    );
+  }
+};
+
 // const deleteYoutubeComment = async (youtubeCommentId, { youtubeClient }) => {
 //   try {
 //     // 1. Verifikasi komentar ada
@@ -576,10 +817,81 @@ const moderateYoutubeComment = async (
   }
 };
 
+/**
+ * Mengubah status moderasi beberapa komentar sekaligus lewat `comments.setModerationStatus`.
+ * Berlaku untuk komentar tingkat atas maupun balasan di video milik channel yang diautentikasi.
+ * @param {string[]} youtubeCommentIds ID komentar YouTube (maksimal 50 per panggilan).
+ * @param {"heldForReview"|"published"|"rejected"} moderationStatus Status moderasi tujuan.
+ * @param {object} options
+ * @param {object} options.youtubeClient Klien YouTube yang diautentikasi.
+ * @param {boolean} [options.banAuthor=false] Blokir penulis dari channel (hanya untuk 'rejected').
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} Jika jumlah ID atau kombinasi opsi tidak valid.
+ * @throws {QuotaExceededError} Jika kuota harian YouTube API habis.
+ * @throws {object} Error asli YouTube jika permintaan di-throttle (lihat `isRateLimitError`).
+ */
+const setCommentsModerationStatus = async (
+  youtubeCommentIds,
+  moderationStatus,
+  { youtubeClient, banAuthor = false }
+) => {
+  if (youtubeCommentIds.length === 0 || youtubeCommentIds.length > 50) {
+    throw new BadRequestError(
+      "Jumlah komentar per permintaan moderasi harus 1 sampai 50."
+    );
+  }
+  if (banAuthor && moderationStatus !== "rejected") {
+    throw new BadRequestError(
+      "Penulis hanya dapat diblokir bersama status moderasi 'rejected'."
+    );
+  }
+
+  try {
+    await youtubeClient.comments.setModerationStatus({
+      id: youtubeCommentIds.join(","),
+      moderationStatus,
+      banAuthor,
+    });
+    console.log(
+      `[YouTubeService] ${youtubeCommentIds.length} komentar dimoderasi ke status: ${moderationStatus}${banAuthor ? " (penulis diblokir)" : ""}`
+    );
+  } catch (error) {
+    const isQuotaError =
+      error.response?.data?.error?.errors?.[0]?.reason === "quotaExceeded" ||
+      error.message?.toLowerCase().includes("quotaexceeded");
+
+    if (isQuotaError) {
+      throw new QuotaExceededError(
+        "Kuota harian YouTube API telah habis. Silakan coba lagi besok."
+      );
+    }
+    // Throttling diteruskan apa adanya agar bisa diulang oleh pemanggil (`withRetry`)
+    if (isRateLimitError(error)) throw error;
+
+    console.error(
+      "[YouTubeService] Error mengubah status moderasi komentar:",
+      error.response ? error.response.data : error.message
+    );
+    if (error.code === 403) {
+      throw new ForbiddenError(
+        "Komentar hanya dapat dimoderasi pada video milik channel YouTube Anda."
+      );
+    }
+    throw new AppError(
+      `Gagal mengubah status moderasi komentar: ${error.message}`,
+      error.code && typeof error.code === "number" ? error.code : 500
+    );
+  }
+};
+
 module.exports = {
   getAuthenticatedYouTubeClient,
   getVideoDetails,
   fetchCommentsForVideo,
+  fetchRepliesForComment,
+  getChannelUploadsPlaylistId,
+  fetchChannelUploads,
   deleteYoutubeComment,
   moderateYoutubeComment,
+  setCommentsModerationStatus,
 };
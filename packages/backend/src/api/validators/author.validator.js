@@ -0,0 +1,47 @@
+// validators/author.validator.js
+const Joi = require("joi");
+
+// Skema untuk query daftar penulis dengan komentar judi terbanyak
+const topOffendersQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+  minJudiComments: Joi.number().integer().min(1).default(2).messages({
+    "number.base": '"minJudiComments" harus berupa angka.',
+    "number.min": '"minJudiComments" minimal {#limit}.',
+  }),
+});
+
+// Skema untuk query daftar komentar seorang penulis
+const authorCommentsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+});
+
+// Skema untuk body aksi sembunyikan & blokir penulis
+const banAuthorSchema = Joi.object({
+  banAuthor: Joi.boolean().default(true),
+});
+
+// Skema untuk memvalidasi ID channel YouTube penulis dari parameter URL
+const authorChannelIdParamSchema = Joi.object({
+  authorChannelId: Joi.string()
+    .pattern(/^UC[\w-]{22}$/)
+    .required()
+    .messages({
+      "string.pattern.base": 'Format "ID Channel Penulis" tidak valid.',
+      "any.required": 'Parameter "ID Channel Penulis" wajib diisi.',
+    }),
+});
+
+module.exports = {
+  topOffendersQuerySchema,
+  authorCommentsQuerySchema,
+  banAuthorSchema,
+  authorChannelIdParamSchema,
+};
@@ -0,0 +1,80 @@
+// validators/campaign.validator.js
+const Joi = require("joi");
+
+// Skema untuk body pembangunan ulang kampanye spam
+const rebuildCampaignsSchema = Joi.object({
+  since: Joi.date().iso().messages({
+    "date.base": '"since" harus berupa tanggal.',
+    "date.format": '"since" harus berformat tanggal ISO (YYYY-MM-DD).',
+  }),
+  similarityThreshold: Joi.number().min(0.5).max(1).default(0.7).messages({
+    "number.base": '"similarityThreshold" harus berupa angka.',
+    "number.min": '"similarityThreshold" minimal {#limit}.',
+    "number.max": '"similarityThreshold" maksimal {#limit}.',
+  }),
+  minClusterSize: Joi.number().integer().min(2).max(100).default(3).messages({
+    "number.base": '"minClusterSize" harus berupa angka.',
+    "number.integer": '"minClusterSize" harus berupa bilangan bulat.',
+    "number.min": '"minClusterSize" minimal {#limit}.',
+    "number.max": '"minClusterSize" maksimal {#limit}.',
+  }),
+});
+
+// Skema untuk query daftar kampanye spam
+const campaignsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+  minSize: Joi.number().integer().min(2).default(3).messages({
+    "number.base": '"minSize" harus berupa angka.',
+    "number.min": '"minSize" minimal {#limit}.',
+  }),
+});
+
+// Skema untuk query daftar komentar anggota kampanye
+const campaignCommentsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+});
+
+// Skema untuk body aksi moderasi seluruh anggota kampanye
+const moderateCampaignSchema = Joi.object({
+  moderationStatus: Joi.string()
+    .valid("heldForReview", "rejected")
+    .default("rejected")
+    .messages({
+      "any.only": '"moderationStatus" harus salah satu dari {#valids}.',
+    }),
+  banAuthor: Joi.boolean()
+    .default(false)
+    .when("moderationStatus", {
+      not: "rejected",
+      then: Joi.valid(false).messages({
+        "any.only":
+          '"banAuthor" hanya dapat digunakan dengan status "rejected".',
+      }),
+    }),
+});
+
+// Skema untuk memvalidasi campaignId sebagai MongoDB ObjectId dari parameter URL
+const campaignIdParamSchema = Joi.object({
+  campaignId: Joi.string().hex().length(24).required().messages({
+    "string.base": '"ID Kampanye" harus berupa teks.',
+    "string.hex": 'Format "ID Kampanye" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "ID Kampanye" harus 24 karakter.',
+    "any.required": 'Parameter "ID Kampanye" wajib diisi.',
+  }),
+});
+
+module.exports = {
+  rebuildCampaignsSchema,
+  campaignsQuerySchema,
+  campaignCommentsQuerySchema,
+  moderateCampaignSchema,
+  campaignIdParamSchema,
+};
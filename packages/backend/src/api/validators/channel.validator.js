@@ -0,0 +1,64 @@
+// validators/channel.validator.js
+const Joi = require("joi");
+const { toInclusiveEndOfDay } = require("../../utils/dateRange");
+
+// Skema untuk validasi body saat memulai scan seluruh channel
+const startChannelScanSchema = Joi.object({
+  publishedAfter: Joi.date().iso().messages({
+    "date.base": '"publishedAfter" harus berupa tanggal.',
+    "date.format": '"publishedAfter" harus berformat tanggal ISO (YYYY-MM-DD).',
+  }),
+  // Tanggal tanpa jam mencakup video yang diunggah sepanjang hari itu
+  publishedBefore: Joi.date()
+    .iso()
+    .custom(toInclusiveEndOfDay)
+    .when("publishedAfter", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("publishedAfter")),
+    })
+    .messages({
+      "date.base": '"publishedBefore" harus berupa tanggal.',
+      "date.format":
+        '"publishedBefore" harus berformat tanggal ISO (YYYY-MM-DD).',
+      "date.min": '"publishedBefore" tidak boleh sebelum "publishedAfter".',
+    }),
+  maxVideos: Joi.number().integer().min(1).max(200).default(20).messages({
+    "number.base": '"maxVideos" harus berupa angka.',
+    "number.integer": '"maxVideos" harus berupa bilangan bulat.',
+    "number.min": '"maxVideos" minimal {#limit}.',
+    "number.max": '"maxVideos" maksimal {#limit}.',
+  }),
+});
+
+// Skema untuk memvalidasi channelScanId sebagai MongoDB ObjectId dari parameter URL
+const channelScanIdParamSchema = Joi.object({
+  channelScanId: Joi.string().hex().length(24).required().messages({
+    "string.base": '"ID Scan Channel" harus berupa teks.',
+    "string.hex": 'Format "ID Scan Channel" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "ID Scan Channel" harus 24 karakter.',
+    "any.required": 'Parameter "ID Scan Channel" wajib diisi.',
+  }),
+});
+
+// Skema untuk query laporan tujuan promosi per channel
+const promotedDestinationsQuerySchema = Joi.object({
+  youtubeChannelId: Joi.string()
+    .pattern(/^UC[\w-]{22}$/)
+    .messages({
+      "string.pattern.base": 'Format "youtubeChannelId" tidak valid.',
+    }),
+  type: Joi.string().valid("DOMAIN", "PHONE", "HANDLE").messages({
+    "any.only": '"type" harus salah satu dari {#valids}.',
+  }),
+  limit: Joi.number().integer().min(1).max(200).default(50).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+});
+
+module.exports = {
+  startChannelScanSchema,
+  channelScanIdParamSchema,
+  promotedDestinationsQuerySchema,
+};
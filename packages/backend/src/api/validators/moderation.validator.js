@@ -0,0 +1,64 @@
+// validators/moderation.validator.js
+const Joi = require("joi");
+
+const MODERATION_ACTIONS = ["heldForReview", "rejected", "published", "delete"];
+
+const actionSchema = Joi.string()
+  .valid(...MODERATION_ACTIONS)
+  .required()
+  .messages({
+    "any.only": '"action" harus salah satu dari {#valids}.',
+    "any.required": '"action" wajib diisi.',
+  });
+
+// Pemblokiran penulis hanya berlaku bersama aksi 'rejected'
+const banAuthorSchema = Joi.boolean()
+  .default(false)
+  .when("action", {
+    not: "rejected",
+    then: Joi.valid(false).messages({
+      "any.only": '"banAuthor" hanya dapat digunakan dengan aksi "rejected".',
+    }),
+  });
+
+// Skema untuk body moderasi satu komentar
+const moderateCommentSchema = Joi.object({
+  action: actionSchema,
+  banAuthor: banAuthorSchema,
+});
+
+// Skema untuk body moderasi banyak komentar sekaligus
+const moderateCommentsSchema = Joi.object({
+  analyzedCommentIds: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .min(1)
+    .max(500)
+    .unique()
+    .required()
+    .messages({
+      "array.min": '"analyzedCommentIds" minimal berisi {#limit} komentar.',
+      "array.max": '"analyzedCommentIds" maksimal berisi {#limit} komentar.',
+      "array.unique": '"analyzedCommentIds" tidak boleh berisi ID ganda.',
+      "string.hex": 'Format "ID Komentar" tidak valid (harus heksadesimal).',
+      "string.length": 'Panjang "ID Komentar" harus 24 karakter.',
+      "any.required": '"analyzedCommentIds" wajib diisi.',
+    }),
+  action: actionSchema,
+  banAuthor: banAuthorSchema,
+});
+
+// Skema untuk memvalidasi analyzedCommentId sebagai MongoDB ObjectId dari parameter URL
+const analyzedCommentIdParamSchema = Joi.object({
+  analyzedCommentId: Joi.string().hex().length(24).required().messages({
+    "string.base": '"ID Komentar" harus berupa teks.',
+    "string.hex": 'Format "ID Komentar" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "ID Komentar" harus 24 karakter.',
+    "any.required": 'Parameter "ID Komentar" wajib diisi.',
+  }),
+});
+
+module.exports = {
+  moderateCommentSchema,
+  moderateCommentsSchema,
+  analyzedCommentIdParamSchema,
+};
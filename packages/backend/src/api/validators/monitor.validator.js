@@ -0,0 +1,56 @@
+// validators/monitor.validator.js
+const Joi = require("joi");
+const config = require("../../config/environment");
+
+const intervalMinutesSchema = Joi.number()
+  .integer()
+  .min(config.videoMonitor.minIntervalMinutes)
+  .max(7 * 24 * 60) // Maksimal sekali seminggu
+  .messages({
+    "number.base": '"intervalMinutes" harus berupa angka.',
+    "number.integer": '"intervalMinutes" harus berupa bilangan bulat.',
+    "number.min": '"intervalMinutes" minimal {#limit} menit.',
+    "number.max": '"intervalMinutes" maksimal {#limit} menit.',
+  });
+
+// Skema untuk validasi body saat menandai video untuk dipantau
+const watchVideoSchema = Joi.object({
+  videoUrl: Joi.string()
+    .uri({ scheme: ["http", "https"] })
+    .required()
+    .messages({
+      "string.base": '"videoUrl" harus berupa teks.',
+      "string.uri": '"videoUrl" harus berupa URL yang valid.',
+      "any.required": '"videoUrl" tidak boleh kosong.',
+    }),
+  intervalMinutes: intervalMinutesSchema.default(24 * 60),
+});
+
+// Skema untuk validasi body saat memperbarui pemantauan video
+const updateMonitorSchema = Joi.object({
+  intervalMinutes: intervalMinutesSchema,
+  isActive: Joi.boolean().messages({
+    "boolean.base": '"isActive" harus berupa boolean.',
+  }),
+})
+  .or("intervalMinutes", "isActive")
+  .messages({
+    "object.missing":
+      'Isi minimal salah satu dari "intervalMinutes" atau "isActive".',
+  });
+
+// Skema untuk memvalidasi monitorId sebagai MongoDB ObjectId dari parameter URL
+const monitorIdParamSchema = Joi.object({
+  monitorId: Joi.string().hex().length(24).required().messages({
+    "string.base": '"ID Pemantauan" harus berupa teks.',
+    "string.hex": 'Format "ID Pemantauan" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "ID Pemantauan" harus 24 karakter.',
+    "any.required": 'Parameter "ID Pemantauan" wajib diisi.',
+  }),
+});
+
+module.exports = {
+  watchVideoSchema,
+  updateMonitorSchema,
+  monitorIdParamSchema,
+};
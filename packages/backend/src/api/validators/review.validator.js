@@ -0,0 +1,71 @@
+// validators/review.validator.js
+const Joi = require("joi");
+const { toInclusiveEndOfDay } = require("../../utils/dateRange");
+
+// Skema untuk query antrean tinjauan
+const reviewQueueQuerySchema = Joi.object({
+  analysisId: Joi.string().hex().length(24).messages({
+    "string.hex": 'Format "analysisId" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "analysisId" harus 24 karakter.',
+  }),
+  status: Joi.string()
+    .valid("pending", "reviewed")
+    .default("pending")
+    .messages({
+      "any.only": '"status" harus salah satu dari {#valids}.',
+    }),
+  limit: Joi.number().integer().min(1).max(200).default(50).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+});
+
+// Skema untuk body verdict manusia
+const reviewVerdictSchema = Joi.object({
+  classification: Joi.string().valid("JUDI", "NON_JUDI").required().messages({
+    "any.only": '"classification" harus salah satu dari {#valids}.',
+    "any.required": '"classification" wajib diisi.',
+  }),
+});
+
+// Skema untuk query export dataset latih
+const exportDatasetQuerySchema = Joi.object({
+  format: Joi.string().valid("jsonl", "csv").default("jsonl").messages({
+    "any.only": '"format" harus salah satu dari {#valids}.',
+  }),
+  from: Joi.date().iso().messages({
+    "date.base": '"from" harus berupa tanggal.',
+    "date.format": '"from" harus berformat tanggal ISO (YYYY-MM-DD).',
+  }),
+  // Tanggal tanpa jam mencakup seluruh hari terakhir
+  to: Joi.date()
+    .iso()
+    .custom(toInclusiveEndOfDay)
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({
+      "date.base": '"to" harus berupa tanggal.',
+      "date.format": '"to" harus berformat tanggal ISO (YYYY-MM-DD).',
+      "date.min": '"to" tidak boleh sebelum "from".',
+    }),
+  aiModelVersion: Joi.string().trim().max(100),
+  disagreementOnly: Joi.boolean().default(false),
+  dedupe: Joi.boolean().default(true),
+});
+
+// Skema untuk memvalidasi analyzedCommentId sebagai MongoDB ObjectId dari parameter URL
+const analyzedCommentIdParamSchema = Joi.object({
+  analyzedCommentId: Joi.string().hex().length(24).required().messages({
+    "string.base": '"ID Komentar" harus berupa teks.',
+    "string.hex": 'Format "ID Komentar" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "ID Komentar" harus 24 karakter.',
+    "any.required": 'Parameter "ID Komentar" wajib diisi.',
+  }),
+});
+
+module.exports = {
+  reviewQueueQuerySchema,
+  reviewVerdictSchema,
+  exportDatasetQuerySchema,
+  analyzedCommentIdParamSchema,
+};
@@ -0,0 +1,35 @@
+// validators/stats.validator.js
+const Joi = require("joi");
+
+// Skema untuk query statistik tren komentar judi vs bersih per periode
+const timeSeriesQuerySchema = Joi.object({
+  interval: Joi.string().valid("day", "week").default("day").messages({
+    "any.only": '"interval" harus salah satu dari {#valids}.',
+  }),
+  from: Joi.date().iso().messages({
+    "date.base": '"from" harus berupa tanggal.',
+    "date.format": '"from" harus berformat tanggal ISO (YYYY-MM-DD).',
+  }),
+  to: Joi.date()
+    .iso()
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({
+      "date.base": '"to" harus berupa tanggal.',
+      "date.format": '"to" harus berformat tanggal ISO (YYYY-MM-DD).',
+      "date.min": '"to" tidak boleh sebelum "from".',
+    }),
+  youtubeVideoId: Joi.string()
+    .pattern(/^[\w-]{11}$/)
+    .messages({
+      "string.pattern.base": '"youtubeVideoId" harus berupa ID video YouTube.',
+    }),
+  youtubeChannelId: Joi.string()
+    .pattern(/^UC[\w-]{22}$/)
+    .messages({
+      "string.pattern.base": 'Format "youtubeChannelId" tidak valid.',
+    }),
+});
+
+module.exports = {
+  timeSeriesQuerySchema,
+};
@@ -0,0 +1,106 @@
+// validators/user.validator.js
+const Joi = require("joi");
+const { AUDIT_ACTIONS, AUDIT_RESULTS } = require("../models/AuditLog.model");
+const { toInclusiveEndOfDay } = require("../../utils/dateRange");
+
+const thresholdSchema = (field) =>
+  Joi.number()
+    .min(0.5)
+    .max(1)
+    .messages({
+      "number.base": `"${field}" harus berupa angka.`,
+      "number.min": `"${field}" minimal {#limit}.`,
+      "number.max": `"${field}" maksimal {#limit}.`,
+    });
+
+// Skema untuk validasi body saat memperbarui ambang keyakinan moderasi
+const updateModerationSettingsSchema = Joi.object({
+  autoActionThreshold: thresholdSchema("autoActionThreshold"),
+  reviewThreshold: thresholdSchema("reviewThreshold").when(
+    "autoActionThreshold",
+    {
+      is: Joi.exist(),
+      then: Joi.number().max(Joi.ref("autoActionThreshold")).messages({
+        "number.max":
+          '"reviewThreshold" tidak boleh lebih besar dari "autoActionThreshold".',
+      }),
+    }
+  ),
+  blockedDomains: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .lowercase()
+        .replace(/^(?:https?:\/\/)?(?:www\.)?/, "")
+        .pattern(/^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z]{2,63}$/)
+        .messages({
+          "string.pattern.base": 'Domain "{#value}" tidak valid.',
+        })
+    )
+    .max(500)
+    .unique()
+    .messages({
+      "array.max": '"blockedDomains" maksimal {#limit} domain.',
+      "array.unique": '"blockedDomains" berisi domain duplikat.',
+    }),
+})
+  .or("autoActionThreshold", "reviewThreshold", "blockedDomains")
+  .messages({
+    "object.missing":
+      'Isi minimal salah satu dari "autoActionThreshold", "reviewThreshold", atau "blockedDomains".',
+  });
+
+// Skema untuk validasi query saat mengambil pemakaian kuota YouTube
+const quotaUsageQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(30).default(7).messages({
+    "number.base": '"days" harus berupa angka.',
+    "number.min": '"days" minimal {#limit}.',
+    "number.max": '"days" maksimal {#limit}.',
+  }),
+});
+
+// Skema untuk validasi query filter audit log
+const auditLogQuerySchema = Joi.object({
+  action: Joi.string()
+    .valid(...AUDIT_ACTIONS)
+    .messages({
+      "any.only": '"action" harus salah satu dari {#valids}.',
+    }),
+  targetType: Joi.string().trim().max(50),
+  // ID target langsung, atau ID komentar yang terdampak aksi massal
+  targetId: Joi.string().trim().max(100),
+  result: Joi.string()
+    .valid(...AUDIT_RESULTS)
+    .messages({
+      "any.only": '"result" harus salah satu dari {#valids}.',
+    }),
+  from: Joi.date().iso().messages({
+    "date.base": '"from" harus berupa tanggal.',
+    "date.format": '"from" harus berformat tanggal ISO (YYYY-MM-DD).',
+  }),
+  // Tanggal tanpa jam mencakup seluruh hari terakhir
+  to: Joi.date()
+    .iso()
+    .custom(toInclusiveEndOfDay)
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({
+      "date.base": '"to" harus berupa tanggal.',
+      "date.format": '"to" harus berformat tanggal ISO (YYYY-MM-DD).',
+      "date.min": '"to" tidak boleh sebelum "from".',
+    }),
+  before: Joi.string().hex().length(24).messages({
+    "string.hex": 'Format "before" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "before" harus 24 karakter.',
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+});
+
+module.exports = {
+  updateModerationSettingsSchema,
+  quotaUsageQuerySchema,
+  auditLogQuerySchema,
+};
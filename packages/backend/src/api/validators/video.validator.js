@@ -1,5 +1,34 @@
 // validators/video.validator.js
 const Joi = require("joi");
+const {
+  COMMENT_SORT_FIELDS,
+  MODERATION_STATES,
+} = require("../../utils/commentQuery");
+const { toInclusiveEndOfDay } = require("../../utils/dateRange");
+const {
+  ANALYSIS_STATUSES,
+  ANALYSIS_SOURCES,
+} = require("../models/VideoAnalysis.model");
+
+// Daftar nilai dipisah koma di query string (misal `?classification=JUDI,NEEDS_REVIEW`)
+// divalidasi lalu diubah menjadi array tanpa duplikat
+const commaSeparatedList = (allowed, label) =>
+  Joi.string().custom((value, helpers) => {
+    const items = [
+      ...new Set(
+        value
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      ),
+    ];
+    if (items.some((item) => !allowed.includes(item))) {
+      return helpers.message(
+        `"${label}" hanya boleh berisi ${allowed.join(", ")}.`
+      );
+    }
+    return items;
+  });
 
 // Skema untuk validasi body saat submit video untuk analisis
 const submitVideoSchema = Joi.object({
@@ -44,8 +73,218 @@ const commentAppIdParamSchema = Joi.object({
   }),
 });
 
+// Skema untuk body saat memulai/melanjutkan job penghapusan massal
+const deletionJobSchema = Joi.object({
+  quotaBudget: Joi.number().integer().min(52).max(1000000).messages({
+    "number.base": '"quotaBudget" harus berupa angka.',
+    "number.integer": '"quotaBudget" harus berupa bilangan bulat.',
+    "number.min":
+      '"quotaBudget" minimal {#limit} unit (biaya satu penghapusan).',
+    "number.max": '"quotaBudget" maksimal {#limit} unit.',
+  }),
+});
+
+// Skema untuk body penghapusan massal: dry-run maupun job sungguhan
+const batchDeletionSchema = deletionJobSchema.keys({
+  excludeCommentIds: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .max(5000)
+    .unique()
+    .messages({
+      "array.max": '"excludeCommentIds" maksimal berisi {#limit} komentar.',
+      "array.unique": '"excludeCommentIds" tidak boleh berisi ID ganda.',
+      "string.hex": 'Format "ID Komentar" tidak valid (harus heksadesimal).',
+      "string.length": 'Panjang "ID Komentar" harus 24 karakter.',
+    }),
+});
+
+// Skema untuk query penghapusan massal; `dryRun=true` hanya mengembalikan pratinjau
+const batchDeletionQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false).messages({
+    "boolean.base": '"dryRun" harus bernilai true atau false.',
+  }),
+});
+
+// Skema untuk query hapus analisis; `keepStats=true` menyimpan statistik agregat anonim
+const deleteAnalysisQuerySchema = Joi.object({
+  keepStats: Joi.boolean().default(false).messages({
+    "boolean.base": '"keepStats" harus bernilai true atau false.',
+  }),
+});
+
+// Skema untuk query hapus massal riwayat analisis yang lebih lama dari N hari
+const clearAnalysisHistoryQuerySchema = deleteAnalysisQuerySchema.keys({
+  olderThanDays: Joi.number().integer().min(1).max(3650).required().messages({
+    "number.base": '"olderThanDays" harus berupa angka.',
+    "number.integer": '"olderThanDays" harus berupa bilangan bulat.',
+    "number.min": '"olderThanDays" minimal {#limit} hari.',
+    "number.max": '"olderThanDays" maksimal {#limit} hari.',
+    "any.required": '"olderThanDays" wajib diisi.',
+  }),
+});
+
+// Skema untuk query riwayat analisis: paginasi kursor `before` dan filter status/sumber
+const analysisListQuerySchema = Joi.object({
+  status: commaSeparatedList(ANALYSIS_STATUSES, "status"),
+  source: Joi.string()
+    .valid(...ANALYSIS_SOURCES)
+    .messages({
+      "any.only": '"source" harus salah satu dari {#valids}.',
+    }),
+  // Potongan judul atau ID video
+  q: Joi.string().trim().max(100).messages({
+    "string.max": '"q" maksimal {#limit} karakter.',
+  }),
+  before: Joi.string().hex().length(24).messages({
+    "string.hex": 'Format "before" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "before" harus 24 karakter.',
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+});
+
+// Skema untuk query daftar komentar hasil analisis: paginasi kursor, urutan, dan filter
+const commentListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50).messages({
+    "number.base": '"limit" harus berupa angka.',
+    "number.min": '"limit" minimal {#limit}.',
+    "number.max": '"limit" maksimal {#limit}.',
+  }),
+  cursor: Joi.string().max(500),
+  sort: Joi.string()
+    .valid(...Object.keys(COMMENT_SORT_FIELDS))
+    .default("publishedAt")
+    .messages({
+      "any.only": '"sort" harus salah satu dari {#valids}.',
+    }),
+  order: Joi.string().valid("asc", "desc").default("desc").messages({
+    "any.only": '"order" harus salah satu dari {#valids}.',
+  }),
+  classification: commaSeparatedList(
+    ["JUDI", "NON_JUDI", "NEEDS_REVIEW", "PENDING_ANALYSIS", "ERROR_ANALYSIS"],
+    "classification"
+  ),
+  minConfidence: Joi.number().min(0).max(1).messages({
+    "number.base": '"minConfidence" harus berupa angka.',
+    "number.min": '"minConfidence" minimal {#limit}.',
+    "number.max": '"minConfidence" maksimal {#limit}.',
+  }),
+  maxConfidence: Joi.number()
+    .min(0)
+    .max(1)
+    .when("minConfidence", {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref("minConfidence")),
+    })
+    .messages({
+      "number.base": '"maxConfidence" harus berupa angka.',
+      "number.min": '"maxConfidence" tidak boleh lebih kecil dari {#limit}.',
+      "number.max": '"maxConfidence" maksimal {#limit}.',
+    }),
+  author: Joi.string().trim().max(100),
+  moderation: commaSeparatedList(MODERATION_STATES, "moderation"),
+  q: Joi.string().trim().max(100).messages({
+    "string.max": '"q" maksimal {#limit} karakter.',
+  }),
+});
+
+// Skema untuk query format export hasil analisis
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid("csv", "json", "xlsx").default("csv").messages({
+    "any.only": '"format" harus salah satu dari {#valids}.',
+  }),
+});
+
+// Skema untuk query export lintas analisis berdasarkan tanggal analisis dibuat
+const exportRangeQuerySchema = exportQuerySchema.keys({
+  from: Joi.date().iso().messages({
+    "date.base": '"from" harus berupa tanggal.',
+    "date.format": '"from" harus berformat tanggal ISO (YYYY-MM-DD).',
+  }),
+  // Tanggal tanpa jam mencakup seluruh hari terakhir
+  to: Joi.date()
+    .iso()
+    .custom(toInclusiveEndOfDay)
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({
+      "date.base": '"to" harus berupa tanggal.',
+      "date.format": '"to" harus berformat tanggal ISO (YYYY-MM-DD).',
+      "date.min": '"to" tidak boleh sebelum "from".',
+    }),
+});
+
+// Skema untuk body klasifikasi ulang komentar tersimpan: satu analisis, atau semua
+// komentar yang disimpan dalam rentang tanggal `from`-`to`
+const reclassifySchema = Joi.object({
+  analysisId: Joi.string().hex().length(24).messages({
+    "string.hex": 'Format "analysisId" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "analysisId" harus 24 karakter.',
+  }),
+  from: Joi.date().iso().messages({
+    "date.base": '"from" harus berupa tanggal.',
+    "date.format": '"from" harus berformat tanggal ISO (YYYY-MM-DD).',
+  }),
+  // Tanggal tanpa jam mencakup seluruh hari terakhir
+  to: Joi.date()
+    .iso()
+    .custom(toInclusiveEndOfDay)
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({
+      "date.base": '"to" harus berupa tanggal.',
+      "date.format": '"to" harus berformat tanggal ISO (YYYY-MM-DD).',
+      "date.min": '"to" tidak boleh sebelum "from".',
+    }),
+})
+  .or("analysisId", "from", "to")
+  .oxor("analysisId", "from")
+  .oxor("analysisId", "to")
+  .messages({
+    "object.missing": 'Isi "analysisId" atau rentang tanggal "from"/"to".',
+    "object.oxor":
+      '"analysisId" tidak boleh digabung dengan rentang tanggal "from"/"to".',
+  });
+
+// Skema untuk memvalidasi jobId klasifikasi ulang dari parameter URL
+const reclassificationJobIdParamSchema = Joi.object({
+  jobId: Joi.string().hex().length(24).required().messages({
+    "string.hex": 'Format "ID Job" tidak valid (harus heksadesimal).',
+    "string.length": 'Panjang "ID Job" harus 24 karakter.',
+    "any.required": 'Parameter "ID Job" wajib diisi.',
+  }),
+});
+
+// Skema untuk query impor file komentar (isi file dikirim sebagai body mentah)
+const importQuerySchema = Joi.object({
+  format: Joi.string().valid("csv", "json").messages({
+    "any.only": '"format" harus salah satu dari {#valids}.',
+  }),
+  title: Joi.string().trim().max(200).messages({
+    "string.max": '"title" maksimal {#limit} karakter.',
+  }),
+  youtubeVideoId: Joi.string()
+    .pattern(/^[\w-]{11}$/)
+    .messages({
+      "string.pattern.base": '"youtubeVideoId" harus berupa ID video YouTube.',
+    }),
+});
+
 module.exports = {
   submitVideoSchema,
+  importQuerySchema,
+  deletionJobSchema,
+  batchDeletionSchema,
+  batchDeletionQuerySchema,
+  analysisListQuerySchema,
+  deleteAnalysisQuerySchema,
+  clearAnalysisHistoryQuerySchema,
+  commentListQuerySchema,
+  exportQuerySchema,
+  exportRangeQuerySchema,
+  reclassifySchema,
+  reclassificationJobIdParamSchema,
   analysisIdParamSchema,
   commentAppIdParamSchema,
 };
@@ -31,6 +31,7 @@ const corsOptions = {
   credentials: true, // Penting jika Anda mengirim cookies atau header Authorization
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"], // Metode HTTP yang diizinkan
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"], // Header yang diizinkan
+  exposedHeaders: ["Content-Disposition"], // Agar frontend bisa membaca nama file unduhan
 };
 
 app.use(cors(corsOptions)); // Gunakan opsi CORS yang sudah dikonfigurasi
@@ -0,0 +1,38 @@
+// src/config/domainBlocklist.js
+
+/**
+ * Domain yang selalu membuat komentar berstatus JUDI jika dipromosikan di dalamnya.
+ * Entri dicocokkan sebagai akhiran domain: "bet" memblokir semua domain *.bet,
+ * "contoh.com" memblokir contoh.com dan seluruh subdomainnya. Pengguna dapat menambah
+ * daftarnya sendiri lewat `moderationSettings.blockedDomains`.
+ */
+const BLOCKED_DOMAINS = [
+  // TLD khusus perjudian
+  "bet",
+  "casino",
+  "poker",
+  "bingo",
+];
+
+/**
+ * Layanan pemendek link. Tujuan aslinya tersembunyi sehingga tidak bisa diblokir
+ * langsung, tetapi keberadaannya di komentar menambah skor aturan.
+ */
+const SHORT_LINK_DOMAINS = [
+  "bit.ly",
+  "cutt.ly",
+  "goo.gl",
+  "is.gd",
+  "linktr.ee",
+  "rb.gy",
+  "rebrand.ly",
+  "s.id",
+  "shorturl.at",
+  "t.ly",
+  "tinyurl.com",
+];
+
+module.exports = {
+  BLOCKED_DOMAINS,
+  SHORT_LINK_DOMAINS,
+};
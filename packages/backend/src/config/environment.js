@@ -43,6 +43,65 @@ const config = {
   //maksimal top level comment dan replies per comment
   MAX_TOP_LEVEL_COMMENTS: 50,
   MAX_REPLIES_PER_COMMENT: 20,
+  // Batas permintaan comments.list balasan yang berjalan paralel per analisis
+  REPLIES_FETCH_CONCURRENCY:
+    parseInt(process.env.YOUTUBE_REPLIES_CONCURRENCY, 10) || 4,
+  // Worker background yang memproses antrean VideoAnalysis berstatus PENDING
+  analysisWorker: {
+    pollIntervalMs: parseInt(process.env.ANALYSIS_WORKER_POLL_MS, 10) || 3000,
+    concurrency: parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY, 10) || 1,
+    // Analisis PROCESSING yang diklaim lebih lama dari ini dianggap terhenti (misal
+    // instance yang memprosesnya mati) dan diambil alih
+    staleAfterMinutes:
+      parseInt(process.env.ANALYSIS_WORKER_STALE_MINUTES, 10) || 30,
+  },
+  // Klasifikasi komentar ke ML API: ukuran chunk endpoint batch dan batas
+  // request paralel saat fallback ke endpoint per teks
+  mlApi: {
+    batchSize: parseInt(process.env.ML_API_BATCH_SIZE, 10) || 32,
+    concurrency: parseInt(process.env.ML_API_CONCURRENCY, 10) || 4,
+  },
+  // Worker yang menjadwalkan re-scan inkremental untuk video yang dipantau
+  videoMonitor: {
+    pollIntervalMs: parseInt(process.env.VIDEO_MONITOR_POLL_MS, 10) || 60000,
+    minIntervalMinutes: 15,
+    // Batas thread baru yang diproses per re-scan; thread yang lebih baru ditunda ke
+    // re-scan berikutnya yang dijadwalkan segera
+    maxCommentsPerCheck:
+      parseInt(process.env.VIDEO_MONITOR_MAX_COMMENTS, 10) || 500,
+  },
+  // Worker job penghapusan massal komentar judi
+  deletionJob: {
+    pollIntervalMs: parseInt(process.env.DELETION_JOB_POLL_MS, 10) || 3000,
+    // Jeda minimal antar permintaan hapus ke YouTube agar tidak di-throttle
+    minRequestIntervalMs:
+      parseInt(process.env.DELETION_JOB_REQUEST_INTERVAL_MS, 10) || 1000,
+    maxRetries: parseInt(process.env.DELETION_JOB_MAX_RETRIES, 10) || 4,
+    retryBaseDelayMs:
+      parseInt(process.env.DELETION_JOB_RETRY_BASE_MS, 10) || 2000,
+    // Batas unit kuota YouTube Data API per job sebelum job dijeda (kuota harian default 10.000)
+    defaultQuotaBudget:
+      parseInt(process.env.DELETION_JOB_QUOTA_BUDGET, 10) || 5000,
+  },
+  // Worker job klasifikasi ulang komentar tersimpan dengan model AI terbaru
+  reclassification: {
+    pollIntervalMs: parseInt(process.env.RECLASSIFICATION_POLL_MS, 10) || 3000,
+    // Jumlah komentar per batch yang dikirim ke pipeline klasifikasi
+    batchSize: parseInt(process.env.RECLASSIFICATION_BATCH_SIZE, 10) || 200,
+  },
+  // Impor file komentar (CSV/JSON) untuk analisis offline
+  importAnalysis: {
+    maxFileSize: process.env.IMPORT_MAX_FILE_SIZE || "10mb",
+    maxComments: parseInt(process.env.IMPORT_MAX_COMMENTS, 10) || 5000,
+  },
+  // Buku besar kuota YouTube Data API per pengguna. Kuota proyek dibagi semua pengguna,
+  // jadi turunkan anggaran harian ini jika aplikasi dipakai banyak channel.
+  youtubeQuota: {
+    dailyBudgetPerUser:
+      parseInt(process.env.YOUTUBE_QUOTA_DAILY_BUDGET, 10) || 10000,
+    // Kuota harian YouTube di-reset tengah malam waktu Pasifik
+    resetTimeZone: "America/Los_Angeles",
+  },
 };
 
 if (
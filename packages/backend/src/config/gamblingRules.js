@@ -0,0 +1,69 @@
+// src/config/gamblingRules.js
+
+/**
+ * Daftar aturan bawaan untuk rules engine deteksi komentar judi (`core/rulesEngine.js`).
+ * Setiap aturan:
+ * - `id`: ID stabil yang disimpan di `AnalyzedComment.matchedRuleIds`. Jangan ganti ID
+ *   aturan yang sudah dipakai, buat ID baru jika maknanya berubah.
+ * - `type`: `keyword` (satu kata utuh), `phrase` (beberapa kata berurutan,
+ *   pemisah bebas), atau `regex`.
+ * - `pattern`: kata/frasa (huruf kecil) atau RegExp.
+ * - `weight`: 0..1, seberapa kuat aturan ini sendirian menandakan judi.
+ */
+const GAMBLING_RULES = [
+  // Istilah khas promosi slot online
+  { id: "kw-gacor", type: "keyword", pattern: "gacor", weight: 0.6 },
+  { id: "kw-maxwin", type: "keyword", pattern: "maxwin", weight: 0.7 },
+  { id: "kw-rtp", type: "keyword", pattern: "rtp", weight: 0.4 },
+  { id: "kw-scatter", type: "keyword", pattern: "scatter", weight: 0.4 },
+  { id: "kw-jackpot", type: "keyword", pattern: "jackpot", weight: 0.3 },
+  { id: "kw-togel", type: "keyword", pattern: "togel", weight: 0.6 },
+  { id: "kw-depo", type: "keyword", pattern: "depo", weight: 0.3 },
+  { id: "kw-dewa", type: "keyword", pattern: "dewa", weight: 0.2 },
+  { id: "phr-slot-gacor", type: "phrase", pattern: "slot gacor", weight: 0.8 },
+  { id: "phr-auto-jp", type: "phrase", pattern: "auto jp", weight: 0.6 },
+  {
+    id: "phr-langsung-wd",
+    type: "phrase",
+    pattern: "langsung wd",
+    weight: 0.6,
+  },
+  {
+    id: "phr-modal-receh",
+    type: "phrase",
+    pattern: "modal receh",
+    weight: 0.4,
+  },
+
+  // Ajakan mengunjungi situs/link
+  {
+    id: "phr-link-di-bio",
+    type: "phrase",
+    pattern: "link di bio",
+    weight: 0.5,
+  },
+  { id: "phr-cek-bio", type: "phrase", pattern: "cek bio", weight: 0.4 },
+  {
+    id: "phr-situs-terpercaya",
+    type: "phrase",
+    pattern: "situs terpercaya",
+    weight: 0.5,
+  },
+
+  // Nama brand yang langsung diikuti angka, misal "pulauwin88", "dewa303", "sultan77"
+  {
+    id: "rx-brand-number",
+    type: "regex",
+    pattern: /\b[a-z]{3,}(?:88|77|99|138|168|189|303|777|888|4d)\b/i,
+    weight: 0.5,
+  },
+  // Persentase RTP, misal "rtp 98%" atau "rtp live 97,5%"
+  {
+    id: "rx-rtp-percent",
+    type: "regex",
+    pattern: /\brtp\b[^\n%]{0,15}\d{2}(?:[.,]\d+)?\s?%/i,
+    weight: 0.7,
+  },
+];
+
+module.exports = { GAMBLING_RULES };
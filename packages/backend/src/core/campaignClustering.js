@@ -0,0 +1,185 @@
+// src/core/campaignClustering.js
+
+/**
+ * Pengelompokan komentar hampir identik menjadi kampanye spam dengan shingling dan
+ * MinHash. Setiap teks dipecah menjadi shingle karakter, diringkas menjadi signature
+ * MinHash, lalu LSH (banding) mencari kandidat pasangan yang mirip tanpa harus
+ * membandingkan semua pasangan komentar.
+ */
+
+const SHINGLE_SIZE = 4;
+const NUM_HASHES = 64;
+const LSH_BANDS = 16; // 16 band x 4 baris: kandidat mulai terjaring di kemiripan ~0,5
+const ROWS_PER_BAND = NUM_HASHES / LSH_BANDS;
+
+// Seed tetap agar signature yang sama selalu dihasilkan di setiap proses
+const HASH_SEEDS = Array.from(
+  { length: NUM_HASHES },
+  (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0
+);
+
+/**
+ * Hash FNV-1a 32-bit untuk string.
+ * @param {string} text
+ * @returns {number}
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Mencampur hash dasar dengan seed (finalizer MurmurHash3) sebagai keluarga fungsi hash.
+ * @param {number} hash
+ * @param {number} seed
+ * @returns {number}
+ */
+const mixHash = (hash, seed) => {
+  let x = (hash ^ seed) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+};
+
+/**
+ * Memecah teks menjadi shingle karakter. Huruf dikecilkan dan selain huruf/angka
+ * dijadikan spasi tunggal, sehingga variasi tanda baca/emoji tidak memengaruhi kemiripan.
+ * @param {string} text - Sebaiknya teks yang sudah dinormalisasi (`commentTextNormalized`).
+ * @param {number} [size=SHINGLE_SIZE]
+ * @returns {Set<string>}
+ */
+const buildShingles = (text, size = SHINGLE_SIZE) => {
+  const cleaned = String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  const shingles = new Set();
+  if (cleaned.length === 0) return shingles;
+  if (cleaned.length <= size) {
+    shingles.add(cleaned);
+    return shingles;
+  }
+  for (let i = 0; i <= cleaned.length - size; i++) {
+    shingles.add(cleaned.slice(i, i + size));
+  }
+  return shingles;
+};
+
+/**
+ * Menghitung signature MinHash dari kumpulan shingle.
+ * @param {Set<string>} shingles
+ * @returns {Uint32Array} Signature sepanjang NUM_HASHES.
+ */
+const computeMinHash = (shingles) => {
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mixHash(base, HASH_SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+};
+
+/**
+ * Perkiraan kemiripan Jaccard dua teks dari signature MinHash-nya.
+ * @param {Uint32Array} a
+ * @param {Uint32Array} b
+ * @returns {number} 0..1
+ */
+const estimateSimilarity = (a, b) => {
+  let equal = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / NUM_HASHES;
+};
+
+/**
+ * Mengelompokkan teks yang hampir identik.
+ * Kandidat dicari per bucket LSH; anggota bucket dibandingkan dengan anggota pertama
+ * bucket tersebut (bukan semua pasangan) agar ribuan salinan identik tetap cepat.
+ * @param {Array<{id: any, text: string}>} items
+ * @param {object} [options]
+ * @param {number} [options.similarityThreshold=0.7] - Kemiripan minimal agar dua teks digabung.
+ * @param {number} [options.minClusterSize=3] - Ukuran minimal kelompok yang dikembalikan.
+ * @param {number} [options.minShingles=8] - Teks dengan shingle lebih sedikit (terlalu pendek,
+ *   misal "mantap bang") diabaikan karena wajar identik tanpa kampanye.
+ * @returns {Array<Array<any>>} Daftar kelompok berisi `id`, terbesar dulu.
+ */
+const clusterTexts = (
+  items,
+  { similarityThreshold = 0.7, minClusterSize = 3, minShingles = 8 } = {}
+) => {
+  const entries = [];
+  for (const item of items) {
+    const shingles = buildShingles(item.text);
+    if (shingles.size < minShingles) continue;
+    entries.push({ id: item.id, signature: computeMinHash(shingles) });
+  }
+
+  // Union-find atas indeks `entries`
+  const parent = entries.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+  };
+
+  for (let band = 0; band < LSH_BANDS; band++) {
+    const buckets = new Map();
+    const start = band * ROWS_PER_BAND;
+    entries.forEach((entry, index) => {
+      const key = entry.signature.slice(start, start + ROWS_PER_BAND).join(",");
+      const bucket = buckets.get(key);
+      if (bucket) bucket.push(index);
+      else buckets.set(key, [index]);
+    });
+
+    for (const bucket of buckets.values()) {
+      const [first, ...rest] = bucket;
+      for (const index of rest) {
+        if (find(first) === find(index)) continue;
+        if (
+          estimateSimilarity(
+            entries[first].signature,
+            entries[index].signature
+          ) >= similarityThreshold
+        ) {
+          union(first, index);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    const group = groups.get(root);
+    if (group) group.push(entry.id);
+    else groups.set(root, [entry.id]);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.length >= minClusterSize)
+    .sort((a, b) => b.length - a.length);
+};
+
+module.exports = {
+  buildShingles,
+  computeMinHash,
+  estimateSimilarity,
+  clusterTexts,
+};
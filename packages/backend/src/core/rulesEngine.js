@@ -0,0 +1,99 @@
+// src/core/rulesEngine.js
+
+/**
+ * Rules engine sederhana untuk mendeteksi pola promosi judi yang sering dipakai ulang
+ * oleh spammer. Berjalan berdampingan dengan model ML: skor aturan digabung dengan
+ * probabilitas model di `utils/classificationPolicy.js`.
+ */
+const { GAMBLING_RULES } = require("../config/gamblingRules");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Mengubah definisi aturan menjadi RegExp siap pakai.
+ * @param {{id: string, type: string, pattern: string|RegExp, weight: number}} rule
+ * @returns {{id: string, weight: number, regex: RegExp}}
+ * @throws {Error} Jika tipe aturan atau bobotnya tidak valid.
+ */
+const compileRule = (rule) => {
+  if (!(rule.weight > 0 && rule.weight <= 1)) {
+    throw new Error(`Bobot aturan '${rule.id}' harus di antara 0 dan 1.`);
+  }
+
+  let regex;
+  switch (rule.type) {
+    case "keyword":
+      // Kata utuh: tidak diapit huruf/angka lain
+      regex = new RegExp(
+        `(?:^|[^\\p{L}\\p{N}])${escapeRegExp(rule.pattern)}(?:$|[^\\p{L}\\p{N}])`,
+        "iu"
+      );
+      break;
+    case "phrase":
+      // Kata-kata berurutan dengan pemisah apa pun (spasi, titik, emoji, dst.)
+      regex = new RegExp(
+        `(?:^|[^\\p{L}\\p{N}])${rule.pattern
+          .split(/\s+/)
+          .map(escapeRegExp)
+          .join("[^\\p{L}\\p{N}]+")}(?:$|[^\\p{L}\\p{N}])`,
+        "iu"
+      );
+      break;
+    case "regex":
+      regex =
+        rule.pattern instanceof RegExp
+          ? rule.pattern
+          : new RegExp(rule.pattern, "i");
+      break;
+    default:
+      throw new Error(`Tipe aturan '${rule.type}' (${rule.id}) tidak dikenal.`);
+  }
+
+  return { id: rule.id, weight: rule.weight, regex };
+};
+
+const compileRules = (rules) => rules.map(compileRule);
+
+const DEFAULT_COMPILED_RULES = compileRules(GAMBLING_RULES);
+
+/**
+ * Mengevaluasi satu teks terhadap daftar aturan.
+ * Skor digabung secara noisy-OR (`1 - Π(1 - weight)`), sehingga beberapa aturan
+ * lemah yang cocok bersamaan menghasilkan skor tinggi namun tidak pernah melebihi 1.
+ * @param {string} text - Teks komentar.
+ * @param {Array<object>} [compiledRules] - Hasil `compileRules`; bawaan memakai GAMBLING_RULES.
+ * @returns {{ruleScore: number, matchedRuleIds: string[]}}
+ */
+const evaluateRules = (text, compiledRules = DEFAULT_COMPILED_RULES) => {
+  if (typeof text !== "string" || text.trim() === "") {
+    return { ruleScore: 0, matchedRuleIds: [] };
+  }
+
+  const matched = compiledRules.filter((rule) => rule.regex.test(text));
+  const notJudi = matched.reduce((acc, rule) => acc * (1 - rule.weight), 1);
+
+  return {
+    ruleScore: Math.round((1 - notJudi) * 10000) / 10000,
+    matchedRuleIds: matched.map((rule) => rule.id),
+  };
+};
+
+/**
+ * Menggabungkan beberapa hasil evaluasi aturan (misal teks dan tujuan promosi)
+ * dengan noisy-OR yang sama seperti `evaluateRules`.
+ * @param {...{ruleScore: number, matchedRuleIds: string[]}} results
+ * @returns {{ruleScore: number, matchedRuleIds: string[]}}
+ */
+const combineRuleResults = (...results) => {
+  const notJudi = results.reduce((acc, r) => acc * (1 - r.ruleScore), 1);
+  return {
+    ruleScore: Math.round((1 - notJudi) * 10000) / 10000,
+    matchedRuleIds: results.flatMap((r) => r.matchedRuleIds),
+  };
+};
+
+module.exports = {
+  compileRules,
+  evaluateRules,
+  combineRuleResults,
+};
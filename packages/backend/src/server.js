@@ -2,10 +2,20 @@
 const app = require("./app");
 const connectDB = require("./config/database");
 const config = require("./config/environment");
+const { startAnalysisWorker } = require("./workers/videoAnalysis.worker");
+const { startVideoMonitorWorker } = require("./workers/videoMonitor.worker");
+const { startDeletionJobWorker } = require("./workers/deletionJob.worker");
+const {
+  startReclassificationWorker,
+} = require("./workers/reclassification.worker");
 
 const startServer = async () => {
   try {
     await connectDB(); // Hubungkan ke database
+    await startAnalysisWorker(); // Proses antrean analisis video di background
+    startVideoMonitorWorker(); // Jadwalkan re-scan untuk video yang dipantau
+    await startDeletionJobWorker(); // Proses job penghapusan massal secara bertahap
+    await startReclassificationWorker(); // Proses job klasifikasi ulang komentar tersimpan
 
     app.listen(config.port, () => {
       console.log(`Server is listening on http://localhost:${config.port} 🎧`);
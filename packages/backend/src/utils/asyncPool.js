@@ -0,0 +1,48 @@
+// src/utils/asyncPool.js
+
+/**
+ * Memecah array menjadi beberapa potongan (chunk) berukuran tetap.
+ * @param {Array} items - Array yang akan dipecah.
+ * @param {number} size - Ukuran maksimal setiap chunk (minimal 1).
+ * @returns {Array<Array>} Array berisi chunk-chunk.
+ */
+const chunkArray = (items, size) => {
+  const chunkSize = Math.max(1, Math.floor(size) || 1);
+  const chunks = [];
+  for (let i = 0; i < items.length; i += chunkSize) {
+    chunks.push(items.slice(i, i + chunkSize));
+  }
+  return chunks;
+};
+
+/**
+ * Menjalankan `iteratorFn` untuk setiap item dengan jumlah eksekusi paralel terbatas.
+ * Urutan hasil selalu sama dengan urutan input, berapa pun urutan selesainya.
+ * @param {Array} items - Item yang akan diproses.
+ * @param {number} concurrency - Jumlah maksimal pemanggilan yang berjalan bersamaan.
+ * @param {(item: any, index: number) => Promise<any>} iteratorFn - Fungsi async per item.
+ * @returns {Promise<Array>} Hasil `iteratorFn` sesuai urutan input.
+ */
+const mapWithConcurrency = async (items, concurrency, iteratorFn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const currentIndex = nextIndex++;
+      results[currentIndex] = await iteratorFn(
+        items[currentIndex],
+        currentIndex
+      );
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, concurrency || 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+};
+
+module.exports = {
+  chunkArray,
+  mapWithConcurrency,
+};
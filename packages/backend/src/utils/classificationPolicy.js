@@ -0,0 +1,130 @@
+// src/utils/classificationPolicy.js
+
+/**
+ * Ambang bawaan jika pengguna belum mengatur `moderationSettings` sendiri.
+ * - `autoActionThreshold`: probabilitas judi minimal agar komentar langsung dianggap JUDI
+ *   dan boleh ikut dihapus otomatis.
+ * - `reviewThreshold`: probabilitas judi minimal agar komentar masuk pita NEEDS_REVIEW.
+ * - `blockedDomains`: domain tambahan pengguna yang memaksa verdict JUDI.
+ */
+const DEFAULT_MODERATION_SETTINGS = Object.freeze({
+  autoActionThreshold: 0.9,
+  reviewThreshold: 0.6,
+  blockedDomains: Object.freeze([]),
+});
+
+/**
+ * Menggabungkan pengaturan moderasi pengguna dengan nilai bawaan.
+ * @param {object} [settings] - `user.moderationSettings` (boleh kosong).
+ * @returns {{autoActionThreshold: number, reviewThreshold: number, blockedDomains: string[]}}
+ */
+const resolveModerationSettings = (settings) => ({
+  autoActionThreshold:
+    settings?.autoActionThreshold ??
+    DEFAULT_MODERATION_SETTINGS.autoActionThreshold,
+  reviewThreshold:
+    settings?.reviewThreshold ?? DEFAULT_MODERATION_SETTINGS.reviewThreshold,
+  blockedDomains: settings?.blockedDomains?.length
+    ? [...settings.blockedDomains]
+    : [],
+});
+
+/**
+ * Menghitung probabilitas sebuah komentar adalah judi dari hasil model.
+ * Model mengembalikan skor untuk label yang dipilih, sehingga untuk NON_JUDI
+ * probabilitas judinya adalah komplemen dari skor tersebut.
+ * @param {{classification: string, confidenceScore: number}} aiResult
+ * @returns {number|null} Probabilitas 0..1, atau null jika hasil bukan JUDI/NON_JUDI.
+ */
+const getJudiProbability = (aiResult) => {
+  const score = Number(aiResult?.confidenceScore);
+  if (!Number.isFinite(score)) return null;
+  if (aiResult.classification === "JUDI") return score;
+  if (aiResult.classification === "NON_JUDI") return 1 - score;
+  return null;
+};
+
+/**
+ * Menggabungkan probabilitas judi dari model dengan skor rules engine secara noisy-OR:
+ * komentar dianggap bukan judi hanya jika kedua sinyal sama-sama tidak menandainya.
+ * Jika model gagal (probabilitas null), skor aturan dipakai sendirian.
+ * @param {number|null} modelProbability - Hasil `getJudiProbability`.
+ * @param {number} [ruleScore=0] - Skor `rulesEngine.evaluateRules`.
+ * @returns {number|null} Probabilitas gabungan, atau null jika tidak ada sinyal sama sekali.
+ */
+const combineJudiSignals = (modelProbability, ruleScore = 0) => {
+  if (modelProbability === null) return ruleScore > 0 ? ruleScore : null;
+  const combined = 1 - (1 - modelProbability) * (1 - ruleScore);
+  return Math.round(combined * 10000) / 10000;
+};
+
+/**
+ * Menerapkan kebijakan ambang keyakinan pada hasil model (dan rules engine jika ada).
+ * Verdict asli model tetap disimpan di `rawClassification`; `classification`
+ * menjadi JUDI, NEEDS_REVIEW, atau NON_JUDI sesuai ambang pengguna terhadap
+ * `judiScore` (probabilitas gabungan). Hasil error tanpa aturan yang cocok
+ * dikembalikan apa adanya.
+ * @param {object} aiResult - Hasil `aiService.analyzeTextWithAI`.
+ * @param {object} [settings] - `user.moderationSettings`.
+ * @param {{ruleScore: number, matchedRuleIds: string[]}} [ruleResult] - Hasil `evaluateRules`.
+ * @returns {object} Salinan `aiResult` dengan `classification`, `rawClassification`,
+ *   `judiScore`, `ruleScore`, dan `matchedRuleIds`.
+ */
+const applyConfidencePolicy = (aiResult, settings, ruleResult) => {
+  const ruleFields = ruleResult
+    ? {
+        ruleScore: ruleResult.ruleScore,
+        matchedRuleIds: ruleResult.matchedRuleIds,
+      }
+    : {};
+  const modelProbability = getJudiProbability(aiResult);
+  const judiScore = combineJudiSignals(modelProbability, ruleResult?.ruleScore);
+  if (judiScore === null) {
+    return ruleResult ? { ...aiResult, ...ruleFields } : aiResult;
+  }
+
+  const { autoActionThreshold, reviewThreshold } =
+    resolveModerationSettings(settings);
+
+  let classification = "NON_JUDI";
+  if (judiScore >= autoActionThreshold) {
+    classification = "JUDI";
+  } else if (judiScore >= reviewThreshold) {
+    classification = "NEEDS_REVIEW";
+  }
+
+  return {
+    ...aiResult,
+    ...ruleFields,
+    classification,
+    rawClassification:
+      modelProbability === null ? undefined : aiResult.classification,
+    judiScore,
+  };
+};
+
+/**
+ * Klasifikasi yang berlaku untuk sebuah komentar: verdict manusia jika sudah ditinjau,
+ * jika belum maka verdict AI.
+ * @param {{classification: string, humanClassification?: string}} comment
+ * @returns {string}
+ */
+const getEffectiveClassification = (comment) =>
+  comment.humanClassification || comment.classification;
+
+/**
+ * Ekspresi agregasi MongoDB yang setara dengan `getEffectiveClassification`.
+ */
+const EFFECTIVE_CLASSIFICATION_EXPR = Object.freeze({
+  $ifNull: ["$humanClassification", "$classification"],
+});
+
+module.exports = {
+  DEFAULT_MODERATION_SETTINGS,
+  resolveModerationSettings,
+  getJudiProbability,
+  combineJudiSignals,
+  applyConfidencePolicy,
+  getEffectiveClassification,
+  EFFECTIVE_CLASSIFICATION_EXPR,
+};
@@ -0,0 +1,204 @@
+// src/utils/commentQuery.js
+const mongoose = require("mongoose");
+const { BadRequestError } = require("./errors");
+
+// Urutan daftar komentar yang didukung → field AnalyzedComment
+const COMMENT_SORT_FIELDS = Object.freeze({
+  publishedAt: "commentPublishedAt",
+  confidence: "aiConfidenceScore",
+  likes: "likeCount",
+});
+
+// Status moderasi turunan satu komentar, berurutan sesuai prioritas penentuannya
+const MODERATION_STATES = Object.freeze([
+  "deleted",
+  "failed",
+  "heldForReview",
+  "rejected",
+  "published",
+  "none",
+]);
+
+/**
+ * Ekspresi agregasi status moderasi komentar: terhapus, moderasi terakhir gagal,
+ * status YouTube terakhir, atau "none" jika belum pernah dimoderasi.
+ */
+const MODERATION_STATE_EXPR = Object.freeze({
+  $switch: {
+    branches: [
+      { case: { $eq: ["$isDeletedOnYoutube", true] }, then: "deleted" },
+      { case: { $eq: ["$moderationResult", "FAILED"] }, then: "failed" },
+      {
+        case: { $ifNull: ["$youtubeModerationStatus", false] },
+        then: "$youtubeModerationStatus",
+      },
+    ],
+    default: "none",
+  },
+});
+
+/**
+ * Filter query yang setara dengan `MODERATION_STATE_EXPR` untuk satu status.
+ * @param {string} state - Salah satu `MODERATION_STATES`.
+ * @returns {object}
+ */
+const moderationStateFilter = (state) => {
+  if (state === "deleted") return { isDeletedOnYoutube: true };
+  const notDeleted = { isDeletedOnYoutube: { $ne: true } };
+  if (state === "failed") return { ...notDeleted, moderationResult: "FAILED" };
+  return {
+    ...notDeleted,
+    moderationResult: { $ne: "FAILED" },
+    youtubeModerationStatus: state === "none" ? null : state,
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Menyusun kondisi filter daftar komentar per dimensi, agar facet bisa dihitung
+ * dengan semua filter kecuali dimensinya sendiri.
+ * @param {object} [filters]
+ * @param {string[]} [filters.classification] - Klasifikasi efektif (verdict manusia didahulukan).
+ * @param {number} [filters.minConfidence] - Batas bawah `aiConfidenceScore` (0-1).
+ * @param {number} [filters.maxConfidence] - Batas atas `aiConfidenceScore` (0-1).
+ * @param {string} [filters.author] - ID channel penulis, atau potongan nama penulis.
+ * @param {string[]} [filters.moderation] - Status moderasi, lihat `MODERATION_STATES`.
+ * @param {string} [filters.q] - Potongan teks komentar (tidak peka huruf besar/kecil).
+ * @returns {{classification?: object, moderation?: object, other: object[]}}
+ */
+const buildCommentFilterParts = ({
+  classification,
+  minConfidence,
+  maxConfidence,
+  author,
+  moderation,
+  q,
+} = {}) => {
+  const parts = { other: [] };
+
+  if (classification?.length) {
+    parts.classification = {
+      $or: [
+        { humanClassification: { $in: classification } },
+        { humanClassification: null, classification: { $in: classification } },
+      ],
+    };
+  }
+  if (moderation?.length) {
+    parts.moderation = { $or: moderation.map(moderationStateFilter) };
+  }
+  if (minConfidence !== undefined || maxConfidence !== undefined) {
+    parts.other.push({
+      aiConfidenceScore: {
+        ...(minConfidence !== undefined && { $gte: minConfidence }),
+        ...(maxConfidence !== undefined && { $lte: maxConfidence }),
+      },
+    });
+  }
+  if (author) {
+    parts.other.push({
+      $or: [
+        { commentAuthorChannelId: author },
+        {
+          commentAuthorDisplayName: {
+            $regex: escapeRegex(author),
+            $options: "i",
+          },
+        },
+      ],
+    });
+  }
+  if (q) {
+    parts.other.push({
+      commentTextOriginal: { $regex: escapeRegex(q), $options: "i" },
+    });
+  }
+
+  return parts;
+};
+
+/**
+ * Menggabungkan filter dasar dengan bagian-bagian filter menjadi satu query `$and`.
+ * @param {object} base - Filter dasar, misal `{ analysisId }`.
+ * @param {Array<object|undefined>} parts
+ * @returns {object}
+ */
+const combineFilters = (base, parts) => {
+  const conditions = parts.filter(Boolean);
+  return conditions.length > 0 ? { ...base, $and: conditions } : base;
+};
+
+/**
+ * Kursor halaman berikutnya: nilai field urutan dan `_id` komentar terakhir,
+ * di-encode base64url agar bisa dikirim apa adanya sebagai query string.
+ * @param {object} comment - Komentar terakhir di halaman.
+ * @param {string} sortField - Field AnalyzedComment yang dipakai mengurutkan.
+ * @returns {string}
+ */
+const encodeCommentCursor = (comment, sortField) =>
+  Buffer.from(
+    JSON.stringify({ v: comment[sortField] ?? null, id: String(comment._id) })
+  ).toString("base64url");
+
+/**
+ * Kebalikan `encodeCommentCursor`.
+ * @param {string} cursor
+ * @param {string} sortField
+ * @returns {{value: *, id: mongoose.Types.ObjectId}}
+ * @throws {BadRequestError} Jika kursor tidak valid.
+ */
+const decodeCommentCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error();
+    const value =
+      v !== null && sortField === "commentPublishedAt" ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new BadRequestError('"cursor" tidak valid.');
+  }
+};
+
+/**
+ * Filter keyset untuk melanjutkan setelah kursor pada urutan `{ [sortField]: dir, _id: dir }`.
+ * MongoDB mengurutkan null/tidak ada di paling bawah (asc), jadi null ditangani terpisah.
+ * @param {{value: *, id: mongoose.Types.ObjectId}} cursor
+ * @param {string} sortField
+ * @param {1|-1} direction
+ * @returns {object}
+ */
+const buildCursorFilter = ({ value, id }, sortField, direction) => {
+  const idAfter = { _id: { [direction === 1 ? "$gt" : "$lt"]: id } };
+  if (value === null) {
+    return direction === 1
+      ? {
+          $or: [
+            { [sortField]: null, ...idAfter },
+            { [sortField]: { $ne: null } },
+          ],
+        }
+      : { [sortField]: null, ...idAfter };
+  }
+  const conditions = [
+    { [sortField]: { [direction === 1 ? "$gt" : "$lt"]: value } },
+    { [sortField]: value, ...idAfter },
+  ];
+  if (direction === -1) conditions.push({ [sortField]: null });
+  return { $or: conditions };
+};
+
+module.exports = {
+  COMMENT_SORT_FIELDS,
+  MODERATION_STATES,
+  MODERATION_STATE_EXPR,
+  moderationStateFilter,
+  escapeRegex,
+  buildCommentFilterParts,
+  combineFilters,
+  encodeCommentCursor,
+  decodeCommentCursor,
+  buildCursorFilter,
+};
@@ -0,0 +1,84 @@
+// src/utils/csv.js
+
+// Awalan teks yang ditafsirkan sebagai rumus oleh Excel, LibreOffice, dan Google Sheets
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+/**
+ * Menetralkan teks yang akan dijalankan sebagai rumus saat file dibuka di aplikasi
+ * spreadsheet (CSV/formula injection) dengan menambahkan kutip tunggal di depannya.
+ * Dipakai untuk teks bebas seperti isi komentar dan nama penulis.
+ * @param {string} text
+ * @returns {string}
+ */
+const neutralizeFormula = (text) =>
+  FORMULA_PREFIX_REGEX.test(text) ? `'${text}` : text;
+
+/**
+ * Meng-escape satu nilai sel CSV (RFC 4180): nilai yang mengandung koma, kutip,
+ * atau baris baru dibungkus kutip ganda dan kutip di dalamnya digandakan. Teks yang
+ * diawali karakter rumus dinetralkan dengan `neutralizeFormula`; angka tidak diubah.
+ * @param {*} value - Nilai sel; null/undefined menjadi sel kosong.
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === "string") text = neutralizeFormula(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Menyusun satu baris CSV (diakhiri newline) dari array nilai.
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(",")}\n`;
+
+/**
+ * Mem-parse teks CSV (RFC 4180) menjadi array baris berisi array sel. Mendukung sel
+ * berkutip yang memuat koma, kutip ganda (`""`), dan baris baru; BOM UTF-8 di awal
+ * dibuang dan baris kosong dilewati.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char !== '"') cell += char;
+      else if (input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else inQuotes = false;
+    } else if (char === '"') inQuotes = true;
+    else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n") endRow();
+    else if (char !== "\r") cell += char;
+  }
+  if (cell !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  neutralizeFormula,
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv,
+};
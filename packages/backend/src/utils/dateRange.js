@@ -0,0 +1,21 @@
+// src/utils/dateRange.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Aturan `Joi.custom` untuk batas akhir rentang tanggal (`to`). Tanggal tanpa jam
+ * (YYYY-MM-DD) diartikan sampai akhir hari itu (UTC), sehingga filter `$lte` tetap
+ * mencakup data pada hari terakhir. Nilai yang menyertakan jam dibiarkan apa adanya.
+ * @param {Date} value - Tanggal hasil konversi Joi.
+ * @param {object} helpers - Helper Joi; `helpers.original` berisi nilai mentah.
+ * @returns {Date}
+ */
+const toInclusiveEndOfDay = (value, helpers) =>
+  DATE_ONLY_REGEX.test(String(helpers.original).trim())
+    ? new Date(value.getTime() + DAY_MS - 1)
+    : value;
+
+module.exports = {
+  toInclusiveEndOfDay,
+};
@@ -0,0 +1,183 @@
+// src/utils/promotionExtractor.js
+
+/**
+ * Mengekstrak tujuan promosi dari teks komentar: link, domain, nomor telepon/WhatsApp,
+ * dan handle Telegram/Instagram. Hampir semua komentar judi mengarahkan penonton ke
+ * salah satu tujuan ini, sehingga hasilnya dipakai untuk blocklist domain dan laporan
+ * tujuan yang paling sering dipromosikan.
+ */
+const {
+  BLOCKED_DOMAINS,
+  SHORT_LINK_DOMAINS,
+} = require("../config/domainBlocklist");
+
+// Bobot aturan tujuan promosi, digabung dengan rules engine secara noisy-OR
+const PROMOTION_RULES = {
+  BLOCKED_DOMAIN: { id: "dom-blocklist", weight: 1 },
+  SHORT_LINK: { id: "dom-short-link", weight: 0.3 },
+  CONTACT: { id: "promo-contact", weight: 0.2 },
+};
+
+const URL_REGEX = /\bhttps?:\/\/[^\s<>"']+/gi;
+// Domain tanpa skema hanya dikenali untuk TLD yang umum dipakai spammer, agar
+// kalimat seperti "mantap.bang" tidak ikut dianggap domain
+const BARE_DOMAIN_REGEX =
+  /(?<![\w@./-])((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?:com|net|org|id|co|io|me|ly|gl|gd|gy|at|ee|xyz|site|online|top|vip|club|live|fun|info|biz|app|link|win|bet|casino|poker|bingo|cc|ws|to|tv|store|shop|pro|asia|one|icu|lol|click|sbs|cfd|pw|us|ru))(?![\w-])(\/[^\s<>"']*)?/gi;
+const TRAILING_PUNCTUATION_REGEX = /[.,!?;:)\]}]+$/;
+
+// Nomor seluler Indonesia: +62/62/0 diikuti 8xx, boleh dipisah spasi, titik, atau strip
+const PHONE_REGEX =
+  /(?<![\d+])(?:\+?62|0)[\s.-]?8\d{1,3}(?:[\s.-]?\d{2,5}){2,3}(?!\d)/g;
+
+const HANDLE_PATTERNS = [
+  {
+    platform: "telegram",
+    regex:
+      /(?:\bt(?:elegram)?\.me\/|\b(?:telegram|tele|tg)\s*[:=]?\s*@)([a-z][a-z0-9_]{4,31})/gi,
+  },
+  {
+    platform: "instagram",
+    regex:
+      /(?:\binstagram\.com\/|\b(?:instagram|insta|ig)\s*[:=]?\s*@)([a-z0-9_.]{2,30})/gi,
+  },
+];
+
+/**
+ * Mengambil hostname dari URL dan menormalkannya (huruf kecil, tanpa "www.").
+ * @param {string} url
+ * @returns {string|null}
+ */
+const getDomainFromUrl = (url) => {
+  try {
+    const { hostname } = new URL(
+      /^https?:\/\//i.test(url) ? url : `http://${url}`
+    );
+    return (
+      hostname
+        .toLowerCase()
+        .replace(/^www\./, "")
+        .replace(/\.$/, "") || null
+    );
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Menormalkan nomor telepon Indonesia ke format +62.
+ * @param {string} raw
+ * @returns {string|null} Nomor ternormalisasi, atau null jika panjangnya tidak wajar.
+ */
+const normalizePhoneNumber = (raw) => {
+  const digits = raw.replace(/\D/g, "");
+  const national = digits.startsWith("62") ? digits.slice(2) : digits.slice(1);
+  if (national.length < 9 || national.length > 12) return null;
+  return `+62${national}`;
+};
+
+/**
+ * Mengekstrak tujuan promosi dari teks asli komentar.
+ * @param {string} text - `commentTextOriginal`.
+ * @returns {{links: string[], domains: string[], phoneNumbers: string[], handles: string[]}}
+ *   Array unik sesuai urutan kemunculan. Handle berformat "platform:@nama".
+ */
+const extractPromotions = (text) => {
+  const links = new Set();
+  const domains = new Set();
+  const phoneNumbers = new Set();
+  const handles = new Set();
+  if (typeof text !== "string" || text === "") {
+    return { links: [], domains: [], phoneNumbers: [], handles: [] };
+  }
+
+  const addLink = (rawLink) => {
+    const link = rawLink.replace(TRAILING_PUNCTUATION_REGEX, "");
+    const domain = getDomainFromUrl(link);
+    if (!domain) return;
+    links.add(link);
+    domains.add(domain);
+  };
+
+  // URL lengkap dihapus dari teks agar domainnya tidak terhitung ulang sebagai domain polos
+  const withoutUrls = text.replace(URL_REGEX, (url) => {
+    addLink(url);
+    return " ";
+  });
+  for (const match of withoutUrls.matchAll(BARE_DOMAIN_REGEX)) {
+    addLink(match[0]);
+  }
+
+  for (const match of text.matchAll(PHONE_REGEX)) {
+    const phone = normalizePhoneNumber(match[0]);
+    if (phone) phoneNumbers.add(phone);
+  }
+
+  for (const { platform, regex } of HANDLE_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      handles.add(`${platform}:@${match[1].toLowerCase()}`);
+    }
+  }
+
+  return {
+    links: [...links],
+    domains: [...domains],
+    phoneNumbers: [...phoneNumbers],
+    handles: [...handles],
+  };
+};
+
+/**
+ * Mengecek apakah domain cocok dengan entri daftar (sama persis atau subdomainnya).
+ * @param {string} domain
+ * @param {string[]} entries
+ * @returns {boolean}
+ */
+const matchesDomainList = (domain, entries) =>
+  entries.some((entry) => domain === entry || domain.endsWith(`.${entry}`));
+
+/**
+ * Menggabungkan blocklist bawaan dengan domain tambahan milik pengguna.
+ * @param {object} [settings] - `user.moderationSettings`.
+ * @returns {string[]}
+ */
+const resolveBlockedDomains = (settings) => [
+  ...BLOCKED_DOMAINS,
+  ...(settings?.blockedDomains || []),
+];
+
+/**
+ * Mengevaluasi tujuan promosi sebagai aturan tambahan untuk rules engine.
+ * Domain yang masuk blocklist berbobot 1 sehingga komentar selalu menjadi JUDI
+ * berapa pun ambang pengguna.
+ * @param {{domains: string[], phoneNumbers: string[], handles: string[]}} promotions
+ *   Hasil `extractPromotions`.
+ * @param {string[]} [blockedDomains] - Hasil `resolveBlockedDomains`.
+ * @returns {{ruleScore: number, matchedRuleIds: string[]}}
+ */
+const evaluatePromotions = (promotions, blockedDomains = BLOCKED_DOMAINS) => {
+  const matched = [];
+  if (promotions.domains.some((d) => matchesDomainList(d, blockedDomains))) {
+    matched.push(PROMOTION_RULES.BLOCKED_DOMAIN);
+  }
+  if (
+    promotions.domains.some((d) => matchesDomainList(d, SHORT_LINK_DOMAINS))
+  ) {
+    matched.push(PROMOTION_RULES.SHORT_LINK);
+  }
+  if (promotions.phoneNumbers.length > 0 || promotions.handles.length > 0) {
+    matched.push(PROMOTION_RULES.CONTACT);
+  }
+
+  const notJudi = matched.reduce((acc, rule) => acc * (1 - rule.weight), 1);
+  return {
+    ruleScore: Math.round((1 - notJudi) * 10000) / 10000,
+    matchedRuleIds: matched.map((rule) => rule.id),
+  };
+};
+
+module.exports = {
+  extractPromotions,
+  matchesDomainList,
+  resolveBlockedDomains,
+  evaluatePromotions,
+};
@@ -0,0 +1,63 @@
+// src/utils/retry.js
+
+/**
+ * Menunggu selama `ms` milidetik.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Mengecek apakah error dari YouTube Data API adalah pembatasan laju (throttling),
+ * bukan penolakan permanen. 403 karena kuota harian habis atau karena bukan pemilik
+ * komentar tidak akan berhasil walaupun diulang, sehingga tidak dianggap throttling.
+ * @param {object} error
+ * @returns {boolean}
+ */
+const isRateLimitError = (error) => {
+  const reason = error?.response?.data?.error?.errors?.[0]?.reason;
+  const status = error?.response?.status ?? error?.code;
+  return (
+    status === 429 ||
+    reason === "rateLimitExceeded" ||
+    reason === "userRateLimitExceeded"
+  );
+};
+
+/**
+ * Menjalankan `fn` dan mengulanginya dengan exponential backoff (plus jitter) selama
+ * error-nya memenuhi `shouldRetry`.
+ * @param {() => Promise<any>} fn
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - Jumlah pengulangan maksimal setelah percobaan pertama.
+ * @param {number} [options.baseDelayMs=1000] - Jeda pengulangan pertama; berlipat dua setiap kali.
+ * @param {(error: any) => boolean} [options.shouldRetry=isRateLimitError]
+ * @param {(error: any, attempt: number, delayMs: number) => void} [options.onRetry]
+ * @returns {Promise<any>} Hasil `fn`.
+ */
+const withRetry = async (
+  fn,
+  {
+    retries = 3,
+    baseDelayMs = 1000,
+    shouldRetry = isRateLimitError,
+    onRetry,
+  } = {}
+) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      const delayMs = baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.25);
+      onRetry?.(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+};
+
+module.exports = {
+  sleep,
+  isRateLimitError,
+  withRetry,
+};
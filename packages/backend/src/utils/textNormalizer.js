@@ -0,0 +1,240 @@
+// src/utils/textNormalizer.js
+
+/**
+ * Normalisasi teks komentar sebelum diklasifikasi. Spammer sering menyamarkan kata
+ * seperti "slot gacor" dengan huruf bergaya Unicode, homoglyph, karakter tak terlihat,
+ * leetspeak, atau huruf yang dipisah titik. Tahap ini memetakan semuanya ke teks biasa
+ * dan mencatat berapa kali setiap transformasi diterapkan.
+ */
+
+// Karakter tak terlihat: zero-width space/joiner, word joiner, BOM, soft hyphen, dll.
+const INVISIBLE_CHARS_REGEX =
+  /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\u3164\uFEFF\uFFA0]/g;
+
+// Huruf Kiril/Yunani dan huruf kapital kecil yang mirip huruf Latin dan tidak
+// ditangani NFKC. Komentar yang dianalisis berbahasa Indonesia, jadi teks Kiril/Yunani
+// asli hampir selalu merupakan penyamaran.
+const HOMOGLYPHS = {
+  // Kiril (kunci di bawah ini bukan huruf Latin meskipun tampak sama)
+  а: "a",
+  в: "b",
+  е: "e",
+  к: "k",
+  м: "m",
+  н: "h",
+  о: "o",
+  р: "p",
+  с: "c",
+  т: "t",
+  у: "y",
+  х: "x",
+  і: "i",
+  ј: "j",
+  ѕ: "s",
+  ԁ: "d",
+  ԛ: "q",
+  ԝ: "w",
+  А: "A",
+  В: "B",
+  Е: "E",
+  К: "K",
+  М: "M",
+  Н: "H",
+  О: "O",
+  Р: "P",
+  С: "C",
+  Т: "T",
+  У: "Y",
+  Х: "X",
+  І: "I",
+  Ј: "J",
+  Ѕ: "S",
+  // Yunani
+  α: "a",
+  ε: "e",
+  ι: "i",
+  κ: "k",
+  ν: "v",
+  ο: "o",
+  ρ: "p",
+  τ: "t",
+  υ: "u",
+  χ: "x",
+  Α: "A",
+  Β: "B",
+  Ε: "E",
+  Ζ: "Z",
+  Η: "H",
+  Ι: "I",
+  Κ: "K",
+  Μ: "M",
+  Ν: "N",
+  Ο: "O",
+  Ρ: "P",
+  Τ: "T",
+  Υ: "Y",
+  Χ: "X",
+  // Huruf kapital kecil (small caps)
+  ᴀ: "a",
+  ʙ: "b",
+  ᴄ: "c",
+  ᴅ: "d",
+  ᴇ: "e",
+  ғ: "f",
+  ɢ: "g",
+  ʜ: "h",
+  ɪ: "i",
+  ᴊ: "j",
+  ᴋ: "k",
+  ʟ: "l",
+  ᴍ: "m",
+  ɴ: "n",
+  ᴏ: "o",
+  ᴘ: "p",
+  ǫ: "q",
+  ʀ: "r",
+  ꜱ: "s",
+  ᴛ: "t",
+  ᴜ: "u",
+  ᴠ: "v",
+  ᴡ: "w",
+  ʏ: "y",
+  ᴢ: "z",
+};
+const HOMOGLYPH_REGEX = new RegExp(
+  `[${Object.keys(HOMOGLYPHS).join("")}]`,
+  "g"
+);
+
+// Tanda diakritik umum (blok Combining Diacritical Marks beserta suplemennya) yang
+// dipakai untuk aksen huruf Latin maupun teks Zalgo/coret. Tanda vokal aksara Indic dan
+// harakat Arab berada di blok aksaranya sendiri, dan variation selector emoji (❤️) di
+// U+FE00–FE0F, sehingga keduanya tidak ikut terhapus.
+const COMBINING_DIACRITICS_REGEX =
+  /[\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF\u20D0-\u20FF\uFE20-\uFE2F]/g;
+
+// Leetspeak hanya diubah jika diapit huruf (misal "g4c0r"), agar angka biasa
+// seperti "2024" atau nama brand "sultan77" tidak ikut berubah. "@" dan "$" tidak
+// dipetakan karena sah muncul di antara huruf, misal pada alamat email "budi@gmail.com"
+const LEET_MAP = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+};
+const LEET_REGEX = /(?<=\p{L})[013457]+(?=\p{L})/gu;
+
+// Huruf tunggal yang dipisah tanda baca yang sama ("j.u.d.i", "g-a-c-o-r")
+// atau dipisah spasi minimal empat huruf ("s l o t")
+const PUNCT_SPACED_REGEX =
+  /(?<![\p{L}\p{N}])\p{L}([.\-_*·•|/\\])\p{L}(?:\1\p{L})+(?![\p{L}\p{N}])/gu;
+const WHITESPACE_SPACED_REGEX =
+  /(?<![\p{L}\p{N}])\p{L}(?: \p{L}){3,}(?![\p{L}\p{N}])/gu;
+
+/**
+ * Menjalankan satu langkah normalisasi dan menghitung karakter/potongan yang diubah.
+ * @returns {{text: string, count: number}}
+ */
+const replaceCounting = (text, regex, replacer) => {
+  let count = 0;
+  const result = text.replace(regex, (...args) => {
+    count += 1;
+    return replacer(...args);
+  });
+  return { text: result, count };
+};
+
+/**
+ * Menerapkan NFKC per karakter agar jumlah karakter bergaya ("𝐒𝐋𝐎𝐓", "ＳＬＯＴ",
+ * huruf berlingkar, dll.) bisa dihitung.
+ */
+const applyNfkc = (text) => {
+  let count = 0;
+  const result = Array.from(text, (char) => {
+    const normalized = char.normalize("NFKC");
+    if (normalized !== char) count += 1;
+    return normalized;
+  }).join("");
+  return { text: result, count };
+};
+
+/**
+ * Menormalkan teks komentar untuk klasifikasi.
+ * Urutan langkah: karakter tak terlihat → NFKC (huruf bergaya/fullwidth) →
+ * tanda diakritik tumpuk (Zalgo/coret) → homoglyph → huruf berpemisah → leetspeak →
+ * spasi ganda.
+ * @param {string} text - Teks asli komentar.
+ * @returns {{text: string, transformations: Array<{type: string, count: number}>}}
+ *   Teks hasil normalisasi dan transformasi yang benar-benar diterapkan.
+ */
+const normalizeCommentText = (text) => {
+  if (typeof text !== "string" || text === "") {
+    return { text: text || "", transformations: [] };
+  }
+
+  const steps = [
+    [
+      "INVISIBLE_CHARS",
+      (t) => replaceCounting(t, INVISIBLE_CHARS_REGEX, () => ""),
+    ],
+    ["UNICODE_STYLED", applyNfkc],
+    [
+      "COMBINING_MARKS",
+      (t) => {
+        const { text: stripped, count } = replaceCounting(
+          t.normalize("NFD"),
+          COMBINING_DIACRITICS_REGEX,
+          () => ""
+        );
+        return { text: stripped.normalize("NFC"), count };
+      },
+    ],
+    [
+      "HOMOGLYPHS",
+      (t) => replaceCounting(t, HOMOGLYPH_REGEX, (char) => HOMOGLYPHS[char]),
+    ],
+    [
+      "SPACED_LETTERS",
+      (t) => {
+        const punct = replaceCounting(
+          t,
+          PUNCT_SPACED_REGEX,
+          (match, separator) => match.split(separator).join("")
+        );
+        const spaced = replaceCounting(
+          punct.text,
+          WHITESPACE_SPACED_REGEX,
+          (match) => match.replace(/ /g, "")
+        );
+        return { text: spaced.text, count: punct.count + spaced.count };
+      },
+    ],
+    [
+      "LEETSPEAK",
+      (t) => {
+        let count = 0;
+        const result = t.replace(LEET_REGEX, (match) => {
+          count += match.length;
+          return Array.from(match, (char) => LEET_MAP[char]).join("");
+        });
+        return { text: result, count };
+      },
+    ],
+  ];
+
+  const transformations = [];
+  let current = text;
+  for (const [type, step] of steps) {
+    const { text: next, count } = step(current);
+    if (count > 0) transformations.push({ type, count });
+    current = next;
+  }
+
+  return { text: current.replace(/[ \t]{2,}/g, " ").trim(), transformations };
+};
+
+module.exports = {
+  normalizeCommentText,
+};
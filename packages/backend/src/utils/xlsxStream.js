@@ -0,0 +1,257 @@
+// src/utils/xlsxStream.js
+const zlib = require("zlib");
+const { once } = require("events");
+const { neutralizeFormula } = require("./csv");
+
+// Tabel CRC-32 (polinomial ZIP 0xEDB88320), dihitung sekali saat modul dimuat
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Waktu dan tanggal format MS-DOS untuk header ZIP
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+// Flag ZIP: bit 3 = CRC & ukuran ditulis setelah data, bit 11 = nama file UTF-8
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Karakter kontrol tidak valid di XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+
+// Nama kolom Excel dari indeks 0-based: 0 -> A, 26 -> AA
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Menyusun satu baris `<row>` sheet. Angka ditulis sebagai sel numerik, tanggal sebagai
+ * teks ISO, dan nilai lain sebagai inline string (tanpa sharedStrings agar bisa di-stream).
+ * Teks berawalan karakter rumus dinetralkan agar tidak menjadi rumus saat sel disunting
+ * atau sheet disimpan ulang sebagai CSV.
+ * @param {Array<*>} values
+ * @param {number} rowNumber - Nomor baris 1-based.
+ * @param {number} [styleId] - Indeks `cellXfs` untuk seluruh sel baris.
+ * @returns {string}
+ */
+const toSheetRow = (values, rowNumber, styleId) => {
+  const style = styleId ? ` s="${styleId}"` : "";
+  const cells = values.map((value, i) => {
+    const ref = `${columnName(i)}${rowNumber}`;
+    if (value === null || value === undefined || value === "") {
+      return `<c r="${ref}"${style}/>`;
+    }
+    if (typeof value === "number" && Number.isFinite(value)) {
+      return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    const text =
+      value instanceof Date
+        ? value.toISOString()
+        : neutralizeFormula(String(value));
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join("")}</row>`;
+};
+
+const STATIC_PARTS = (sheetName) => ({
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+    "</workbook>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    "</Relationships>",
+  // Gaya 1 = huruf tebal untuk baris header
+  "xl/styles.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    "</styleSheet>",
+});
+
+/**
+ * Menulis workbook XLSX satu sheet secara bertahap ke sebuah writable stream (misal
+ * response Express). Baris langsung dikompres ke arsip ZIP, jadi memori tetap kecil
+ * berapa pun jumlah barisnya.
+ * @param {import("stream").Writable} output
+ * @param {object} options
+ * @param {string[]} options.header - Judul kolom (baris pertama, huruf tebal).
+ * @param {string} [options.sheetName="Sheet1"]
+ * @returns {{addRow: (values: Array<*>) => Promise<void>, finish: () => Promise<void>}}
+ */
+const createXlsxStream = (output, { header, sheetName = "Sheet1" }) => {
+  const modifiedAt = toDosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+  let rowNumber = 0;
+  let sheet = null;
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    if (!output.write(buffer)) await once(output, "drain");
+  };
+
+  // Membuka entri ZIP terkompresi; CRC dan ukuran ditulis di data descriptor saat ditutup
+  const openEntry = async (name) => {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(20, 4);
+    localHeader.writeUInt16LE(ZIP_FLAGS, 6);
+    localHeader.writeUInt16LE(DEFLATE, 8);
+    localHeader.writeUInt16LE(modifiedAt.time, 10);
+    localHeader.writeUInt16LE(modifiedAt.date, 12);
+    localHeader.writeUInt16LE(nameBuffer.length, 26);
+    await write(Buffer.concat([localHeader, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pending = [];
+    deflate.on("data", (chunk) => {
+      entry.compressedSize += chunk.length;
+      offset += chunk.length;
+      // Tahan deflate sampai output siap menerima data lagi
+      if (!output.write(chunk)) {
+        deflate.pause();
+        pending.push(once(output, "drain").then(() => deflate.resume()));
+      }
+    });
+
+    entry.write = async (text) => {
+      const buffer = Buffer.from(text, "utf8");
+      entry.crc = crc32(buffer, entry.crc);
+      entry.size += buffer.length;
+      if (!deflate.write(buffer)) await once(deflate, "drain");
+    };
+    entry.close = async () => {
+      deflate.end();
+      await once(deflate, "end");
+      await Promise.all(pending);
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await write(descriptor);
+      entries.push(entry);
+    };
+    return entry;
+  };
+
+  const writeWholeEntry = async (name, text) => {
+    const entry = await openEntry(name);
+    await entry.write(text);
+    await entry.close();
+  };
+
+  const writeCentralDirectory = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt16LE(modifiedAt.time, 12);
+      record.writeUInt16LE(modifiedAt.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([record, entry.nameBuffer]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+  };
+
+  const ensureSheet = async () => {
+    if (sheet) return;
+    for (const [name, text] of Object.entries(STATIC_PARTS(sheetName))) {
+      await writeWholeEntry(name, text);
+    }
+    sheet = await openEntry("xl/worksheets/sheet1.xml");
+    await sheet.write(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    );
+    rowNumber += 1;
+    await sheet.write(toSheetRow(header, rowNumber, 1));
+  };
+
+  return {
+    addRow: async (values) => {
+      await ensureSheet();
+      rowNumber += 1;
+      await sheet.write(toSheetRow(values, rowNumber));
+    },
+    finish: async () => {
+      await ensureSheet();
+      await sheet.write("</sheetData></worksheet>");
+      await sheet.close();
+      await writeCentralDirectory();
+    },
+  };
+};
+
+module.exports = {
+  crc32,
+  toSheetRow,
+  createXlsxStream,
+};
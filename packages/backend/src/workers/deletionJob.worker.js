@@ -0,0 +1,81 @@
+// src/workers/deletionJob.worker.js
+const DeletionJob = require("../api/models/DeletionJob.model");
+const deletionJobService = require("../api/services/deletionJob.service");
+const config = require("../config/environment");
+
+/**
+ * Worker background untuk job penghapusan massal komentar judi.
+ *
+ * Job diproses satu per satu: semua job memakai kuota YouTube Data API yang sama,
+ * sehingga menjalankannya paralel hanya mempercepat throttling. Job disimpan di koleksi
+ * DeletionJob sehingga progres tidak hilang jika server restart.
+ */
+
+let pollTimer = null;
+let isRunning = false;
+
+/**
+ * Mengklaim satu DeletionJob QUEUED tertua secara atomik.
+ * @returns {Promise<object|null>} Dokumen job yang diklaim, atau null jika antrean kosong.
+ */
+const claimNextJob = () =>
+  DeletionJob.findOneAndUpdate(
+    { status: "QUEUED" },
+    { $set: { status: "RUNNING", startedAt: Date.now() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+const tick = async () => {
+  try {
+    let job;
+    while (isRunning && (job = await claimNextJob())) {
+      await deletionJobService.processDeletionJob(job._id);
+    }
+  } catch (error) {
+    console.error("[DeletionJobWorker] Gagal memproses antrean job:", error);
+  } finally {
+    if (isRunning) {
+      pollTimer = setTimeout(tick, config.deletionJob.pollIntervalMs);
+    }
+  }
+};
+
+/**
+ * Menjalankan worker. Job yang tertinggal berstatus RUNNING (misal karena server mati
+ * di tengah proses) dikembalikan ke QUEUED dan dilanjutkan dari komentar terakhirnya.
+ */
+const startDeletionJobWorker = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  const { modifiedCount } = await DeletionJob.updateMany(
+    { status: "RUNNING" },
+    { $set: { status: "QUEUED" } }
+  );
+  if (modifiedCount > 0) {
+    console.log(
+      `[DeletionJobWorker] ${modifiedCount} job penghapusan yang terhenti dikembalikan ke antrean.`
+    );
+  }
+
+  console.log(
+    `[DeletionJobWorker] Worker berjalan (interval: ${config.deletionJob.pollIntervalMs}ms).`
+  );
+  tick();
+};
+
+/**
+ * Menghentikan polling antrean. Job yang sedang berjalan dibiarkan selesai.
+ */
+const stopDeletionJobWorker = () => {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  startDeletionJobWorker,
+  stopDeletionJobWorker,
+};
@@ -0,0 +1,84 @@
+// src/workers/reclassification.worker.js
+const ReclassificationJob = require("../api/models/ReclassificationJob.model");
+const reclassificationService = require("../api/services/reclassification.service");
+const config = require("../config/environment");
+
+/**
+ * Worker background untuk job klasifikasi ulang komentar tersimpan.
+ *
+ * Job diproses satu per satu agar tidak bersaing dengan analisis baru untuk kapasitas
+ * ML API. Progres disimpan per batch di koleksi ReclassificationJob sehingga tidak
+ * hilang jika server restart.
+ */
+
+let pollTimer = null;
+let isRunning = false;
+
+/**
+ * Mengklaim satu ReclassificationJob QUEUED tertua secara atomik.
+ * @returns {Promise<object|null>} Dokumen job yang diklaim, atau null jika antrean kosong.
+ */
+const claimNextJob = () =>
+  ReclassificationJob.findOneAndUpdate(
+    { status: "QUEUED" },
+    { $set: { status: "RUNNING", startedAt: Date.now() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+const tick = async () => {
+  try {
+    let job;
+    while (isRunning && (job = await claimNextJob())) {
+      await reclassificationService.processReclassificationJob(job._id);
+    }
+  } catch (error) {
+    console.error(
+      "[ReclassificationWorker] Gagal memproses antrean job:",
+      error
+    );
+  } finally {
+    if (isRunning) {
+      pollTimer = setTimeout(tick, config.reclassification.pollIntervalMs);
+    }
+  }
+};
+
+/**
+ * Menjalankan worker. Job yang tertinggal berstatus RUNNING dikembalikan ke QUEUED dan
+ * dilanjutkan dari komentar terakhir yang tercatat.
+ */
+const startReclassificationWorker = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  const { modifiedCount } = await ReclassificationJob.updateMany(
+    { status: "RUNNING" },
+    { $set: { status: "QUEUED" } }
+  );
+  if (modifiedCount > 0) {
+    console.log(
+      `[ReclassificationWorker] ${modifiedCount} job klasifikasi ulang yang terhenti dikembalikan ke antrean.`
+    );
+  }
+
+  console.log(
+    `[ReclassificationWorker] Worker berjalan (interval: ${config.reclassification.pollIntervalMs}ms).`
+  );
+  tick();
+};
+
+/**
+ * Menghentikan polling antrean. Job yang sedang berjalan dibiarkan selesai.
+ */
+const stopReclassificationWorker = () => {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  startReclassificationWorker,
+  stopReclassificationWorker,
+};
@@ -0,0 +1,149 @@
+// src/workers/videoAnalysis.worker.js
+const VideoAnalysis = require("../api/models/VideoAnalysis.model");
+const videoAnalysisService = require("../api/services/videoAnalysis.service");
+const config = require("../config/environment");
+
+/**
+ * Worker background untuk antrean VideoAnalysis.
+ *
+ * Antrean disimpan langsung di koleksi VideoAnalysis (status PENDING), sehingga
+ * tidak ada pekerjaan yang hilang jika server restart. Worker mengklaim job secara
+ * atomik (PENDING → PROCESSING) lalu menjalankan `processVideoAnalysis`.
+ */
+
+let pollTimer = null;
+let isRunning = false;
+let isTicking = false;
+const activeJobs = new Set();
+
+/**
+ * Mengklaim satu VideoAnalysis PENDING tertua secara atomik.
+ * @returns {Promise<object|null>} Dokumen VideoAnalysis yang diklaim, atau null jika antrean kosong.
+ */
+const claimNextAnalysis = () =>
+  VideoAnalysis.findOneAndUpdate(
+    { status: "PENDING" },
+    { $set: { status: "PROCESSING", processingStartedAt: Date.now() } },
+    { sort: { requestedAt: 1 }, new: true }
+  );
+
+/**
+ * Mengambil alih analisis PROCESSING yang diklaim lebih lama dari
+ * `config.analysisWorker.staleAfterMinutes` (misal karena server mati di tengah proses):
+ * analisis dikembalikan ke PENDING agar dikerjakan ulang, kecuali impor file yang
+ * ditandai FAILED. Analisis yang baru diklaim, oleh instance ini maupun instance lain,
+ * dibiarkan berjalan; impor yang masih berjalan memperbarui `processingStartedAt` lewat
+ * heartbeat (lihat import.service.js).
+ */
+const reclaimStaleAnalyses = async () => {
+  const staleBefore = new Date(
+    Date.now() - config.analysisWorker.staleAfterMinutes * 60 * 1000
+  );
+  const staleFilter = {
+    status: "PROCESSING",
+    _id: { $nin: [...activeJobs] },
+    $or: [
+      { processingStartedAt: { $lt: staleBefore } },
+      { processingStartedAt: { $exists: false } },
+    ],
+  };
+
+  const { modifiedCount } = await VideoAnalysis.updateMany(
+    { ...staleFilter, source: { $ne: "import" } },
+    { $set: { status: "PENDING" } }
+  );
+  if (modifiedCount > 0) {
+    console.log(
+      `[AnalysisWorker] ${modifiedCount} analisis yang terhenti dikembalikan ke antrean.`
+    );
+  }
+
+  // Isi file impor hanya ada di memori saat diproses, jadi impor yang terputus
+  // tidak bisa diulang dan ditandai gagal
+  const { modifiedCount: failedImports } = await VideoAnalysis.updateMany(
+    { ...staleFilter, source: "import" },
+    {
+      $set: {
+        status: "FAILED",
+        errorMessage:
+          "Impor terhenti sebelum selesai diproses. Silakan unggah ulang file.",
+        completedAt: Date.now(),
+      },
+    }
+  );
+  if (failedImports > 0) {
+    console.log(
+      `[AnalysisWorker] ${failedImports} impor komentar yang terhenti ditandai FAILED.`
+    );
+  }
+};
+
+const scheduleTick = (delayMs) => {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(tick, delayMs);
+};
+
+const runJob = async (analysis) => {
+  activeJobs.add(analysis._id.toString());
+  try {
+    await videoAnalysisService.processVideoAnalysis(analysis._id);
+  } catch (error) {
+    // Status FAILED dan errorMessage sudah disimpan oleh service
+    console.error(
+      `[AnalysisWorker] Job ${analysis._id} gagal diproses:`,
+      error.message
+    );
+  } finally {
+    activeJobs.delete(analysis._id.toString());
+    // Slot yang kosong langsung diisi job berikutnya tanpa menunggu interval polling
+    if (isRunning && !isTicking) scheduleTick(0);
+  }
+};
+
+const tick = async () => {
+  isTicking = true;
+  try {
+    await reclaimStaleAnalyses();
+    while (isRunning && activeJobs.size < config.analysisWorker.concurrency) {
+      const analysis = await claimNextAnalysis();
+      if (!analysis) break;
+      // Sengaja tidak di-await agar slot concurrency lain bisa terisi
+      runJob(analysis);
+    }
+  } catch (error) {
+    console.error("[AnalysisWorker] Gagal mengambil job dari antrean:", error);
+  } finally {
+    isTicking = false;
+    if (isRunning) scheduleTick(config.analysisWorker.pollIntervalMs);
+  }
+};
+
+/**
+ * Menjalankan worker. Analisis yang terhenti diambil alih di setiap polling
+ * (lihat `reclaimStaleAnalyses`), termasuk yang tertinggal sebelum server restart.
+ */
+const startAnalysisWorker = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  console.log(
+    `[AnalysisWorker] Worker berjalan (concurrency: ${config.analysisWorker.concurrency}, interval: ${config.analysisWorker.pollIntervalMs}ms).`
+  );
+  tick();
+};
+
+/**
+ * Menghentikan polling antrean. Job yang sedang berjalan dibiarkan selesai.
+ */
+const stopAnalysisWorker = () => {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  startAnalysisWorker,
+  stopAnalysisWorker,
+};
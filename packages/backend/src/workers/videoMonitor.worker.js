@@ -0,0 +1,96 @@
+// src/workers/videoMonitor.worker.js
+const MonitoredVideo = require("../api/models/MonitoredVideo.model");
+const monitorService = require("../api/services/monitor.service");
+const config = require("../config/environment");
+
+/**
+ * Worker penjadwal re-scan untuk video yang dipantau.
+ *
+ * Worker ini tidak memproses komentar sendiri: setiap video yang jatuh tempo hanya
+ * dibuatkan VideoAnalysis PENDING (inkremental), lalu diproses oleh worker analisis
+ * (`videoAnalysis.worker.js`) seperti analisis biasa.
+ */
+
+let pollTimer = null;
+let isRunning = false;
+
+/**
+ * Mengklaim satu video yang jatuh tempo secara atomik sekaligus memajukan jadwalnya,
+ * sehingga video yang sama tidak dijadwalkan dua kali.
+ * @returns {Promise<object|null>} Dokumen MonitoredVideo, atau null jika tidak ada yang jatuh tempo.
+ */
+const claimDueMonitor = () => {
+  const now = new Date();
+  return MonitoredVideo.findOneAndUpdate(
+    { isActive: true, nextCheckAt: { $lte: now } },
+    [
+      {
+        $set: {
+          lastCheckedAt: now,
+          nextCheckAt: {
+            $add: [now, { $multiply: ["$intervalMinutes", 60 * 1000] }],
+          },
+        },
+      },
+    ],
+    { sort: { nextCheckAt: 1 }, new: true }
+  );
+};
+
+const tick = async () => {
+  try {
+    let monitor;
+    while (isRunning && (monitor = await claimDueMonitor())) {
+      try {
+        await monitorService.scheduleIncrementalScan(monitor);
+      } catch (error) {
+        console.error(
+          `[VideoMonitorWorker] Gagal menjadwalkan re-scan untuk monitor ${monitor._id}:`,
+          error.message
+        );
+        await MonitoredVideo.updateOne(
+          { _id: monitor._id },
+          { $set: { lastError: error.message } }
+        );
+      }
+    }
+  } catch (error) {
+    console.error(
+      "[VideoMonitorWorker] Gagal memeriksa jadwal re-scan:",
+      error
+    );
+  } finally {
+    if (isRunning) {
+      pollTimer = setTimeout(tick, config.videoMonitor.pollIntervalMs);
+    }
+  }
+};
+
+/**
+ * Menjalankan worker penjadwal re-scan.
+ */
+const startVideoMonitorWorker = () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  console.log(
+    `[VideoMonitorWorker] Worker berjalan (interval: ${config.videoMonitor.pollIntervalMs}ms).`
+  );
+  tick();
+};
+
+/**
+ * Menghentikan worker penjadwal re-scan.
+ */
+const stopVideoMonitorWorker = () => {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  startVideoMonitorWorker,
+  stopVideoMonitorWorker,
+};
@@ -0,0 +1,61 @@
+// Batch kecil agar teks terbagi ke beberapa permintaan
+process.env.ML_API_BATCH_SIZE = "2";
+
+jest.mock("../src/core/mlApiClient", () => ({ post: jest.fn() }));
+
+const mlApiClient = require("../src/core/mlApiClient");
+const aiService = require("../src/api/services/ai.service");
+
+const classify = (text) => ({
+  classification: text.includes("gacor") ? "JUDI" : "NON_JUDI",
+  confidenceScore: 0.9,
+});
+
+describe("aiService.analyzeTextsWithAI", () => {
+  beforeEach(() => {
+    mlApiClient.post.mockReset();
+  });
+
+  test("mengirim teks per chunk ke endpoint batch dan menjaga urutan hasil", async () => {
+    mlApiClient.post.mockImplementation(async (url, body) => ({
+      data: { results: body.texts.map(classify) },
+    }));
+    const onProgress = jest.fn();
+
+    const results = await aiService.analyzeTextsWithAI(
+      ["slot gacor", "mantap", "gacor maxwin"],
+      { onProgress }
+    );
+
+    expect(mlApiClient.post).toHaveBeenCalledTimes(2);
+    expect(mlApiClient.post).toHaveBeenCalledWith("/api/predict/batch", {
+      texts: ["slot gacor", "mantap"],
+    });
+    expect(results.map((r) => r.classification)).toEqual([
+      "JUDI",
+      "NON_JUDI",
+      "JUDI",
+    ]);
+    expect(onProgress.mock.calls).toEqual([[2], [3]]);
+  });
+
+  test("fallback ke endpoint per teks dan menyimpan error per item", async () => {
+    mlApiClient.post.mockImplementation(async (url, body) => {
+      if (url === "/api/predict/batch") {
+        throw Object.assign(new Error("server error"), {
+          response: { status: 500 },
+        });
+      }
+      if (body.text === "rusak") throw new Error("timeout");
+      return { data: classify(body.text) };
+    });
+
+    const results = await aiService.analyzeTextsWithAI(["rusak", "gacor"]);
+
+    expect(results[0]).toMatchObject({
+      classification: "ERROR_ANALYSIS",
+      errorMessage: "timeout",
+    });
+    expect(results[1].classification).toBe("JUDI");
+  });
+});
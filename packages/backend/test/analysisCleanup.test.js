@@ -0,0 +1,161 @@
+const mongoose = require("mongoose");
+const analysisCleanupService = require("../src/api/services/analysisCleanup.service");
+const VideoAnalysis = require("../src/api/models/VideoAnalysis.model");
+const AnalyzedComment = require("../src/api/models/AnalyzedComment.model");
+const AnalysisStatsArchive = require("../src/api/models/AnalysisStatsArchive.model");
+const DeletionJob = require("../src/api/models/DeletionJob.model");
+const MonitoredVideo = require("../src/api/models/MonitoredVideo.model");
+const SpamCampaign = require("../src/api/models/SpamCampaign.model");
+const { BadRequestError } = require("../src/utils/errors");
+const { createAnalysis, createComment } = require("./fixtures");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("analysisCleanupService", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("menolak menghapus analisis yang masih diproses", async () => {
+    const analysis = await createAnalysis({ userId, status: "PROCESSING" });
+    await createComment(analysis);
+
+    await expect(
+      analysisCleanupService.deleteVideoAnalysis(userId, analysis._id)
+    ).rejects.toBeInstanceOf(BadRequestError);
+    expect(await AnalyzedComment.countDocuments()).toBe(1);
+    expect(await VideoAnalysis.exists({ _id: analysis._id })).toBeTruthy();
+  });
+
+  test("menghapus komentar dan menyimpan statistik anonim jika diminta", async () => {
+    const analysis = await createAnalysis({
+      userId,
+      requestedAt: new Date("2024-05-01T00:00:00Z"),
+    });
+    const campaign = await SpamCampaign.create({ userId, size: 3 });
+    for (let i = 0; i < 3; i++) {
+      await createComment(analysis, {
+        classification: "JUDI",
+        commentPublishedAt: new Date("2024-05-02T10:00:00Z"),
+        youtubeModerationStatus: i < 2 ? "rejected" : undefined,
+        campaignId: campaign._id,
+      });
+    }
+    for (let i = 0; i < 5; i++) {
+      await createComment(analysis, {
+        commentPublishedAt: new Date("2024-05-01T10:00:00Z"),
+        parentYoutubeCommentId: i === 0 ? "UgParent" : undefined,
+      });
+    }
+    await MonitoredVideo.create({
+      userId,
+      youtubeVideoId: analysis.youtubeVideoId,
+      intervalMinutes: 60,
+      lastAnalysisId: analysis._id,
+    });
+    await DeletionJob.create({
+      userId,
+      analysisId: analysis._id,
+      status: "COMPLETED",
+      autoActionThreshold: 0.9,
+      quotaBudget: 5000,
+    });
+
+    const result = await analysisCleanupService.deleteVideoAnalysis(
+      userId,
+      String(analysis._id),
+      { keepStats: true }
+    );
+
+    expect(result).toEqual({
+      analysisId: String(analysis._id),
+      deletedComments: 8,
+      statsArchived: true,
+    });
+    const archive = await AnalysisStatsArchive.findOne({
+      analysisId: analysis._id,
+    }).lean();
+    expect(archive).toMatchObject({
+      userId,
+      totalComments: 8,
+      totalReplies: 1,
+      classificationCounts: {
+        JUDI: 3,
+        NON_JUDI: 5,
+        NEEDS_REVIEW: 0,
+        ERROR_ANALYSIS: 0,
+      },
+      moderationCounts: expect.objectContaining({ rejected: 2, none: 6 }),
+      daily: [
+        {
+          date: new Date("2024-05-01T00:00:00Z"),
+          JUDI: 0,
+          NON_JUDI: 5,
+          NEEDS_REVIEW: 0,
+        },
+        {
+          date: new Date("2024-05-02T00:00:00Z"),
+          JUDI: 3,
+          NON_JUDI: 0,
+          NEEDS_REVIEW: 0,
+        },
+      ],
+    });
+    expect(await AnalyzedComment.countDocuments()).toBe(0);
+    // Kampanye yang semua anggotanya terhapus ikut dihapus
+    expect(await SpamCampaign.countDocuments()).toBe(0);
+    expect(await DeletionJob.countDocuments()).toBe(0);
+    const monitor = await MonitoredVideo.findOne({ userId }).lean();
+    expect(monitor.lastAnalysisId).toBeUndefined();
+    expect(await VideoAnalysis.exists({ _id: analysis._id })).toBeNull();
+  });
+
+  test("hapus riwayat lama melewati analisis yang masih diproses atau punya job aktif", async () => {
+    const old = new Date(Date.now() - 60 * DAY_MS);
+    const done = await createAnalysis({ userId });
+    const processing = await createAnalysis({ userId, status: "PROCESSING" });
+    const busy = await createAnalysis({ userId });
+    const recent = await createAnalysis({ userId });
+    // createdAt dikelola timestamps, jadi dimundurkan langsung di koleksi
+    await VideoAnalysis.collection.updateMany(
+      { _id: { $in: [done._id, processing._id, busy._id] } },
+      { $set: { createdAt: old } }
+    );
+    await DeletionJob.create({
+      userId,
+      analysisId: busy._id,
+      status: "RUNNING",
+      autoActionThreshold: 0.9,
+      quotaBudget: 5000,
+    });
+    for (const analysis of [done, processing, busy, recent]) {
+      await createComment(analysis);
+      await createComment(analysis);
+    }
+
+    const result = await analysisCleanupService.clearAnalysisHistory(userId, {
+      olderThanDays: 30,
+    });
+
+    expect(result).toMatchObject({
+      deletedAnalyses: 1,
+      deletedComments: 2,
+      skippedAnalyses: 2,
+    });
+    expect(
+      (await VideoAnalysis.find({ userId }).sort({ _id: 1 }).lean()).map((a) =>
+        String(a._id)
+      )
+    ).toEqual([processing, busy, recent].map((a) => String(a._id)));
+    expect(await AnalyzedComment.countDocuments({ analysisId: done._id })).toBe(
+      0
+    );
+    expect(await AnalyzedComment.countDocuments()).toBe(6);
+  });
+});
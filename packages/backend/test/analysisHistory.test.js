@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const {
+  analysisListQuerySchema,
+} = require("../src/api/validators/video.validator");
+const videoAnalysisService = require("../src/api/services/videoAnalysis.service");
+const { createAnalysis, createComment } = require("./fixtures");
+
+describe("analysisListQuerySchema", () => {
+  test("status dipisah koma dan status yang tidak dikenal ditolak", () => {
+    const { value, error } = analysisListQuerySchema.validate({
+      status: "PENDING,PROCESSING",
+    });
+    expect(error).toBeUndefined();
+    expect(value).toEqual({ status: ["PENDING", "PROCESSING"], limit: 20 });
+
+    expect(
+      analysisListQuerySchema.validate({ status: "DONE" }).error.message
+    ).toContain('"status" hanya boleh berisi');
+  });
+});
+
+describe("videoAnalysisService.listVideoAnalyses", () => {
+  test("mengembalikan satu halaman riwayat beserta jumlah per klasifikasi", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const matching = [];
+    for (let i = 1; i <= 3; i++) {
+      matching.push(
+        await createAnalysis({ userId, videoTitle: `Slot (Gacor) part ${i}` })
+      );
+    }
+    // Tidak cocok: sumber impor, judul lain, dan milik pengguna lain
+    await createAnalysis({
+      userId,
+      source: "import",
+      videoTitle: "slot (gacor) arsip",
+    });
+    await createAnalysis({ userId, videoTitle: "Vlog harian" });
+    await createAnalysis({ videoTitle: "slot (gacor) orang lain" });
+    for (let i = 0; i < 4; i++) {
+      await createComment(matching[2], { classification: "JUDI" });
+    }
+    await createComment(matching[2], {
+      classification: "JUDI",
+      humanClassification: "NON_JUDI",
+    });
+
+    const filters = { source: "youtube", q: "slot (gacor)", limit: 2 };
+    const result = await videoAnalysisService.listVideoAnalyses(
+      userId,
+      filters
+    );
+
+    expect(result.analyses.map((a) => a.videoTitle)).toEqual([
+      "Slot (Gacor) part 3",
+      "Slot (Gacor) part 2",
+    ]);
+    expect(result.analyses[0].classificationCounts).toEqual({
+      JUDI: 4,
+      NON_JUDI: 1,
+      NEEDS_REVIEW: 0,
+    });
+    expect(result.analyses[1].classificationCounts.JUDI).toBe(0);
+    expect(result.nextCursor).toBe(String(matching[1]._id));
+
+    const nextPage = await videoAnalysisService.listVideoAnalyses(userId, {
+      ...filters,
+      before: result.nextCursor,
+    });
+    expect(nextPage.analyses.map((a) => a.videoTitle)).toEqual([
+      "Slot (Gacor) part 1",
+    ]);
+    expect(nextPage.nextCursor).toBeNull();
+  });
+});
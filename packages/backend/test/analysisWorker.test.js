@@ -0,0 +1,88 @@
+// Interval polling panjang agar job berikutnya hanya bisa diklaim lewat klaim langsung
+process.env.ANALYSIS_WORKER_POLL_MS = "60000";
+
+const videoAnalysisService = require("../src/api/services/videoAnalysis.service");
+const VideoAnalysis = require("../src/api/models/VideoAnalysis.model");
+const {
+  startAnalysisWorker,
+  stopAnalysisWorker,
+} = require("../src/workers/videoAnalysis.worker");
+const { createAnalysis } = require("./fixtures");
+
+const MINUTE_MS = 60 * 1000;
+
+const waitUntil = async (predicate) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (await predicate()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Kondisi tidak tercapai.");
+};
+
+describe("worker antrean analisis", () => {
+  let processed;
+
+  beforeEach(() => {
+    processed = [];
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest
+      .spyOn(videoAnalysisService, "processVideoAnalysis")
+      .mockImplementation(async (analysisId) => {
+        processed.push(String(analysisId));
+        await VideoAnalysis.updateOne(
+          { _id: analysisId },
+          { $set: { status: "COMPLETED" } }
+        );
+      });
+  });
+
+  afterEach(() => {
+    stopAnalysisWorker();
+    jest.restoreAllMocks();
+  });
+
+  test("hanya mengambil alih analisis PROCESSING yang sudah melewati batas waktu", async () => {
+    const fresh = await createAnalysis({
+      status: "PROCESSING",
+      processingStartedAt: new Date(Date.now() - 5 * MINUTE_MS),
+    });
+    const stale = await createAnalysis({
+      status: "PROCESSING",
+      processingStartedAt: new Date(Date.now() - 45 * MINUTE_MS),
+    });
+    const staleImport = await createAnalysis({
+      status: "PROCESSING",
+      source: "import",
+      processingStartedAt: new Date(Date.now() - 45 * MINUTE_MS),
+    });
+
+    await startAnalysisWorker();
+    await waitUntil(() => processed.length === 1);
+
+    expect(processed).toEqual([String(stale._id)]);
+    expect((await VideoAnalysis.findById(fresh._id).lean()).status).toBe(
+      "PROCESSING"
+    );
+    expect(await VideoAnalysis.findById(staleImport._id).lean()).toMatchObject({
+      status: "FAILED",
+    });
+  });
+
+  test("langsung mengklaim job berikutnya selama antrean belum kosong", async () => {
+    const queued = [];
+    for (let i = 0; i < 3; i++) {
+      queued.push(
+        await createAnalysis({
+          status: "PENDING",
+          requestedAt: new Date(Date.now() + i),
+        })
+      );
+    }
+
+    await startAnalysisWorker();
+    // Concurrency 1 dan polling 60 detik: ketiganya selesai hanya jika klaim langsung
+    await waitUntil(() => processed.length === 3);
+
+    expect(processed).toEqual(queued.map((a) => String(a._id)));
+  });
+});
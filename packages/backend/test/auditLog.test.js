@@ -0,0 +1,215 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const auditLog = require("../src/api/middlewares/auditLog");
+const auditService = require("../src/api/services/audit.service");
+const AuditLog = require("../src/api/models/AuditLog.model");
+const { auditLogQuerySchema } = require("../src/api/validators/user.validator");
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  username: "moderator",
+  email: "moderator@example.com",
+};
+
+const createReq = (overrides = {}) => ({
+  user,
+  params: { analyzedCommentId: "c1" },
+  body: { action: "rejected" },
+  query: {},
+  ip: "127.0.0.1",
+  method: "POST",
+  originalUrl: "/api/v1/moderation/comments/c1?x=1",
+  get: () => "jest-agent",
+  ...overrides,
+});
+
+// Response palsu yang memancarkan "finish" setelah json() dipanggil
+const createRes = () => {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.emit("finish");
+    return body;
+  };
+  return res;
+};
+
+const runMiddleware = (middleware, req, res) =>
+  new Promise((resolve) => middleware(req, res, resolve));
+
+describe("auditLog middleware", () => {
+  beforeEach(() => {
+    jest.spyOn(auditService, "recordAudit").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const middleware = auditLog("comment.moderate", {
+    targetType: "AnalyzedComment",
+    getTargetId: (req) => req.params.analyzedCommentId,
+    getDetails: (req) => ({ action: req.body.action }),
+  });
+
+  test("mencatat aksi berhasil beserta pelaku dan target", async () => {
+    const req = createReq();
+    const res = createRes();
+    await runMiddleware(middleware, req, res);
+    res.locals.audit = { details: { youtubeStatus: "rejected" } };
+    res.status(200).json({ status: "success" });
+
+    expect(auditService.recordAudit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: user._id,
+        actor: user,
+        action: "comment.moderate",
+        result: "SUCCESS",
+        target: { type: "AnalyzedComment", id: "c1" },
+        details: { action: "rejected", youtubeStatus: "rejected" },
+        error: undefined,
+        req,
+      })
+    );
+  });
+
+  test("mencatat FAILED beserta pesan error dari respons", async () => {
+    const res = createRes();
+    await runMiddleware(middleware, createReq(), res);
+    res.locals.audit = { result: "PARTIAL" };
+    res.status(404).json({ status: "fail", message: "Komentar tidak ada." });
+
+    expect(auditService.recordAudit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        result: "FAILED",
+        error: "Komentar tidak ada.",
+      })
+    );
+  });
+
+  test("tidak mencatat apa pun jika skip bernilai true", async () => {
+    const skipped = auditLog("comment.batchDelete", {
+      skip: (req) => req.query.dryRun,
+    });
+    const res = createRes();
+    await runMiddleware(skipped, createReq({ query: { dryRun: true } }), res);
+    res.status(200).json({ status: "success" });
+
+    expect(auditService.recordAudit).not.toHaveBeenCalled();
+  });
+});
+
+describe("auditService", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("metadata request tanpa query string", () => {
+    expect(auditService.buildRequestMeta(createReq())).toEqual({
+      ip: "127.0.0.1",
+      userAgent: "jest-agent",
+      method: "POST",
+      path: "/api/v1/moderation/comments/c1",
+    });
+  });
+
+  test("menyimpan pelaku, target, dan metadata request", async () => {
+    await auditService.recordAudit({
+      userId: user._id,
+      actor: user,
+      action: "comment.moderate",
+      result: "SUCCESS",
+      target: { type: "AnalyzedComment", id: "c1" },
+      req: createReq(),
+    });
+
+    const entry = await AuditLog.findOne({ userId: user._id }).lean();
+    expect(entry).toMatchObject({
+      actor: {
+        type: "user",
+        userId: user._id,
+        username: "moderator",
+        email: "moderator@example.com",
+      },
+      action: "comment.moderate",
+      target: { type: "AnalyzedComment", id: "c1" },
+      request: { method: "POST", path: "/api/v1/moderation/comments/c1" },
+    });
+  });
+
+  test("kegagalan menyimpan tidak dilempar ke pemanggil", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      auditService.recordAudit({
+        userId: user._id,
+        action: "aksi.tidak.dikenal",
+        result: "SUCCESS",
+      })
+    ).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+    expect(await AuditLog.countDocuments()).toBe(0);
+  });
+
+  test("filter targetId juga mencari komentar terdampak aksi massal", async () => {
+    const record = (overrides) =>
+      auditService.recordAudit({
+        userId: user._id,
+        action: "comment.moderate",
+        result: "SUCCESS",
+        ...overrides,
+      });
+    await record({ target: { type: "AnalyzedComment", id: "c1" } });
+    await record({ action: "comment.bulkModerate", relatedIds: ["c1", "c2"] });
+    await record({ target: { type: "AnalyzedComment", id: "c2" } });
+    await record({ action: "comment.bulkModerate", relatedIds: ["c1"] });
+    // Milik pengguna lain
+    await record({
+      userId: new mongoose.Types.ObjectId(),
+      target: { type: "AnalyzedComment", id: "c1" },
+    });
+
+    const result = await auditService.getAuditLogs(user._id, {
+      targetId: "c1",
+      limit: 2,
+    });
+
+    expect(result.entries.map((e) => e.action)).toEqual([
+      "comment.bulkModerate",
+      "comment.bulkModerate",
+    ]);
+    // relatedIds tidak ikut dikirim ke klien
+    expect(result.entries[0].relatedIds).toBeUndefined();
+    expect(result.nextCursor).toBe(String(result.entries[1]._id));
+
+    const nextPage = await auditService.getAuditLogs(user._id, {
+      targetId: "c1",
+      before: result.nextCursor,
+    });
+    expect(nextPage.entries.map((e) => e.target.id)).toEqual(["c1"]);
+    expect(nextPage.nextCursor).toBeNull();
+  });
+
+  test("tanggal `to` tanpa jam mencakup log sepanjang hari itu", async () => {
+    await auditService.recordAudit({
+      userId: user._id,
+      action: "comment.moderate",
+      result: "SUCCESS",
+    });
+    const today = new Date().toISOString().slice(0, 10);
+    const { value, error } = auditLogQuerySchema.validate({
+      from: today,
+      to: today,
+    });
+    expect(error).toBeUndefined();
+
+    const result = await auditService.getAuditLogs(user._id, value);
+
+    expect(result.entries).toHaveLength(1);
+  });
+});
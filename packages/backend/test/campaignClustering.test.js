@@ -0,0 +1,50 @@
+const {
+  buildShingles,
+  computeMinHash,
+  estimateSimilarity,
+  clusterTexts,
+} = require("../src/core/campaignClustering");
+
+describe("campaignClustering", () => {
+  test("variasi tanda baca dan huruf besar tidak mengubah shingle", () => {
+    expect(buildShingles("Gacor88 MAXWIN!!! daftar")).toEqual(
+      buildShingles("gacor88 maxwin daftar")
+    );
+  });
+
+  test("teks hampir identik punya kemiripan tinggi, teks berbeda rendah", () => {
+    const base = computeMinHash(
+      buildShingles("Main di GACOR88 pasti maxwin, daftar sekarang bosku")
+    );
+    const variant = computeMinHash(
+      buildShingles("Main di GACOR88 pasti maxwin, daftar sekarang bosku!!")
+    );
+    const other = computeMinHash(
+      buildShingles("Tutorial masak rendang enak banget, terima kasih chef")
+    );
+
+    expect(estimateSimilarity(base, variant)).toBeGreaterThan(0.8);
+    expect(estimateSimilarity(base, other)).toBeLessThan(0.3);
+  });
+
+  test("mengelompokkan komentar kampanye dan mengabaikan komentar pendek", () => {
+    const campaign = [
+      "Main di GACOR88 pasti maxwin, daftar sekarang bosku",
+      "main di gacor88 pasti maxwin daftar sekarang bosku 🔥",
+      "Main di GACOR88 pasti MAXWIN!! daftar sekarang bosku",
+      "Main di GACOR88 pasti maxwin, daftar sekarang ya bosku",
+    ];
+    const items = [
+      ...campaign.map((text, i) => ({ id: `c${i}`, text })),
+      { id: "m1", text: "mantap" },
+      { id: "m2", text: "mantap" },
+      { id: "m3", text: "mantap" },
+      { id: "x1", text: "Videonya sangat membantu, terima kasih banyak" },
+    ];
+
+    const clusters = clusterTexts(items);
+
+    expect(clusters).toHaveLength(1);
+    expect([...clusters[0]].sort()).toEqual(["c0", "c1", "c2", "c3"]);
+  });
+});
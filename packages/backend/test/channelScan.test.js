@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const channelService = require("../src/api/services/channel.service");
+const youtubeService = require("../src/api/services/youtube.service");
+const ChannelScan = require("../src/api/models/ChannelScan.model");
+const {
+  startChannelScanSchema,
+} = require("../src/api/validators/channel.validator");
+const { createAnalysis, createComment } = require("./fixtures");
+
+describe("channelService.getChannelScanSummary", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  test("video yang sudah pernah di-scan tetap menghitung komentar dari analisis sebelumnya", async () => {
+    const previous = await createAnalysis({
+      userId,
+      youtubeVideoId: "videoLama01",
+    });
+    await createComment(previous, { classification: "JUDI" });
+    await createComment(previous, { classification: "JUDI" });
+    await createComment(previous);
+    // Komentar video yang sama milik pengguna lain tidak ikut dihitung
+    await createComment(
+      await createAnalysis({ youtubeVideoId: "videoLama01" }),
+      { classification: "JUDI" }
+    );
+
+    const channelScan = await ChannelScan.create({
+      userId,
+      youtubeChannelId: "UCchannel",
+      totalVideosQueued: 2,
+    });
+    // Analisis ulang hanya menyimpan komentar baru
+    const rescanned = await createAnalysis({
+      userId,
+      youtubeVideoId: "videoLama01",
+      channelScanId: channelScan._id,
+    });
+    await createComment(rescanned);
+    const fresh = await createAnalysis({
+      userId,
+      youtubeVideoId: "videoBaru01",
+      channelScanId: channelScan._id,
+    });
+    await createComment(fresh, { classification: "JUDI" });
+
+    const summary = await channelService.getChannelScanSummary(
+      channelScan._id,
+      userId
+    );
+
+    expect(summary.status).toBe("COMPLETED");
+    expect(
+      summary.videos.map(({ youtubeVideoId, totalComments, judiComments }) => ({
+        youtubeVideoId,
+        totalComments,
+        judiComments,
+      }))
+    ).toEqual([
+      { youtubeVideoId: "videoLama01", totalComments: 4, judiComments: 2 },
+      { youtubeVideoId: "videoBaru01", totalComments: 1, judiComments: 1 },
+    ]);
+    expect(summary.totals).toMatchObject({
+      videosQueued: 2,
+      videosCompleted: 2,
+      totalComments: 5,
+      judiComments: 3,
+    });
+  });
+});
+
+describe("filter tanggal scan channel", () => {
+  test("publishedBefore tanpa jam tetap menyertakan video yang diunggah hari itu", async () => {
+    const { value, error } = startChannelScanSchema.validate({
+      publishedAfter: "2024-05-01",
+      publishedBefore: "2024-05-01",
+    });
+    expect(error).toBeUndefined();
+    const item = (videoId, videoPublishedAt) => ({
+      contentDetails: { videoId, videoPublishedAt },
+      snippet: { title: videoId },
+    });
+    const youtubeClient = {
+      playlistItems: {
+        list: jest.fn(async () => ({
+          data: {
+            items: [
+              item("videoBesok1", "2024-05-02T01:00:00Z"),
+              item("videoHariIni", "2024-05-01T18:30:00Z"),
+              item("videoKemarin", "2024-04-30T23:00:00Z"),
+            ],
+          },
+        })),
+      },
+    };
+
+    const videos = await youtubeService.fetchChannelUploads(
+      "UUchannel",
+      { youtubeClient },
+      value
+    );
+
+    expect(videos.map((v) => v.youtubeVideoId)).toEqual(["videoHariIni"]);
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  applyConfidencePolicy,
+  getEffectiveClassification,
+  DEFAULT_MODERATION_SETTINGS,
+} = require("../src/utils/classificationPolicy");
+
+describe("applyConfidencePolicy", () => {
+  const settings = { autoActionThreshold: 0.9, reviewThreshold: 0.6 };
+
+  test("memetakan probabilitas judi ke JUDI, NEEDS_REVIEW, dan NON_JUDI", () => {
+    const classify = (classification, confidenceScore) =>
+      applyConfidencePolicy({ classification, confidenceScore }, settings)
+        .classification;
+
+    expect(classify("JUDI", 0.95)).toBe("JUDI");
+    expect(classify("JUDI", 0.75)).toBe("NEEDS_REVIEW");
+    // NON_JUDI dengan skor 0.3 berarti probabilitas judi 0.7
+    expect(classify("NON_JUDI", 0.3)).toBe("NEEDS_REVIEW");
+    expect(classify("NON_JUDI", 0.9)).toBe("NON_JUDI");
+  });
+
+  test("menyimpan verdict asli model dan meloloskan hasil error", () => {
+    expect(
+      applyConfidencePolicy(
+        { classification: "JUDI", confidenceScore: 0.7 },
+        settings
+      )
+    ).toMatchObject({
+      classification: "NEEDS_REVIEW",
+      rawClassification: "JUDI",
+    });
+
+    const errorResult = {
+      classification: "ERROR_ANALYSIS",
+      confidenceScore: 0,
+    };
+    expect(applyConfidencePolicy(errorResult, settings)).toBe(errorResult);
+  });
+
+  test("memakai ambang bawaan jika pengguna belum mengatur", () => {
+    const result = applyConfidencePolicy({
+      classification: "JUDI",
+      confidenceScore: DEFAULT_MODERATION_SETTINGS.autoActionThreshold,
+    });
+    expect(result.classification).toBe("JUDI");
+  });
+});
+
+describe("getEffectiveClassification", () => {
+  test("mendahulukan verdict manusia daripada verdict AI", () => {
+    expect(getEffectiveClassification({ classification: "NEEDS_REVIEW" })).toBe(
+      "NEEDS_REVIEW"
+    );
+    expect(
+      getEffectiveClassification({
+        classification: "JUDI",
+        humanClassification: "NON_JUDI",
+      })
+    ).toBe("NON_JUDI");
+  });
+});
@@ -0,0 +1,207 @@
+// Jeda percobaan ulang singkat agar tes throttling tidak lambat
+process.env.DELETION_JOB_RETRY_BASE_MS = "1";
+
+const youtubeService = require("../src/api/services/youtube.service");
+const moderationService = require("../src/api/services/moderation.service");
+const AnalyzedComment = require("../src/api/models/AnalyzedComment.model");
+const { setCommentsModerationStatus } = youtubeService;
+const {
+  BadRequestError,
+  ForbiddenError,
+  QuotaExceededError,
+} = require("../src/utils/errors");
+const { createAnalysis, createComment } = require("./fixtures");
+
+const createClient = (impl = async () => ({ data: {} })) => ({
+  comments: { setModerationStatus: jest.fn(impl) },
+});
+
+describe("youtubeService.setCommentsModerationStatus", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("mengirim ID sebagai daftar dipisah koma beserta banAuthor", async () => {
+    const youtubeClient = createClient();
+
+    await setCommentsModerationStatus(["Ug1", "Ug2"], "rejected", {
+      youtubeClient,
+      banAuthor: true,
+    });
+
+    expect(youtubeClient.comments.setModerationStatus).toHaveBeenCalledWith({
+      id: "Ug1,Ug2",
+      moderationStatus: "rejected",
+      banAuthor: true,
+    });
+  });
+
+  test("menolak lebih dari 50 ID dan banAuthor tanpa status rejected", async () => {
+    const youtubeClient = createClient();
+    const ids = Array.from({ length: 51 }, (_, i) => `Ug${i}`);
+
+    await expect(
+      setCommentsModerationStatus(ids, "rejected", { youtubeClient })
+    ).rejects.toBeInstanceOf(BadRequestError);
+    await expect(
+      setCommentsModerationStatus(["Ug1"], "heldForReview", {
+        youtubeClient,
+        banAuthor: true,
+      })
+    ).rejects.toBeInstanceOf(BadRequestError);
+    expect(youtubeClient.comments.setModerationStatus).not.toHaveBeenCalled();
+  });
+
+  test("memetakan error kuota dan izin dari YouTube API", async () => {
+    const quotaClient = createClient(async () => {
+      const error = new Error("quota");
+      error.code = 403;
+      error.response = {
+        data: { error: { errors: [{ reason: "quotaExceeded" }] } },
+      };
+      throw error;
+    });
+    const forbiddenClient = createClient(async () => {
+      const error = new Error("forbidden");
+      error.code = 403;
+      throw error;
+    });
+
+    await expect(
+      setCommentsModerationStatus(["Ug1"], "rejected", {
+        youtubeClient: quotaClient,
+      })
+    ).rejects.toBeInstanceOf(QuotaExceededError);
+    await expect(
+      setCommentsModerationStatus(["Ug1"], "rejected", {
+        youtubeClient: forbiddenClient,
+      })
+    ).rejects.toBeInstanceOf(ForbiddenError);
+  });
+
+  test("meneruskan error throttling apa adanya agar bisa diulang", async () => {
+    const error = new Error("rate limit");
+    error.code = 403;
+    error.response = {
+      data: { error: { errors: [{ reason: "rateLimitExceeded" }] } },
+    };
+
+    await expect(
+      setCommentsModerationStatus(["Ug1"], "rejected", {
+        youtubeClient: createClient(async () => {
+          throw error;
+        }),
+      })
+    ).rejects.toBe(error);
+  });
+});
+
+describe("moderationService.applyModerationStatus", () => {
+  const ids = Array.from({ length: 120 }, (_, i) => `Ug${i}`);
+  let analysis;
+
+  const findComments = (filter) =>
+    AnalyzedComment.find(filter).sort({ _id: 1 }).lean();
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest
+      .spyOn(youtubeService, "getAuthenticatedYouTubeClient")
+      .mockResolvedValue({});
+    analysis = await createAnalysis();
+    for (const youtubeCommentId of ids) {
+      await createComment(analysis, { youtubeCommentId });
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("mencatat potongan yang gagal lalu lanjut jika continueOnError", async () => {
+    jest
+      .spyOn(youtubeService, "setCommentsModerationStatus")
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new ForbiddenError("bukan video Anda"))
+      .mockResolvedValueOnce();
+
+    const result = await moderationService.applyModerationStatus(
+      analysis.userId,
+      ids,
+      "published",
+      { continueOnError: true }
+    );
+
+    expect(result.moderatedCount).toBe(70);
+    expect(result.failures).toHaveLength(50);
+    const failed = await findComments({ moderationResult: "FAILED" });
+    expect(failed.map((c) => c.youtubeCommentId)).toEqual(ids.slice(50, 100));
+    expect(failed[0]).toMatchObject({
+      moderationAction: "published",
+      moderationError: "bukan video Anda",
+    });
+    const moderated = await findComments({ moderationResult: "SUCCESS" });
+    expect(moderated).toHaveLength(70);
+    expect(moderated[0]).toMatchObject({
+      youtubeModerationStatus: "published",
+      isModeratedOnYoutube: false,
+      moderationAction: "published",
+    });
+  });
+
+  test("mengulang potongan yang di-throttle YouTube (429) lalu berhasil", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const throttled = new Error("Too Many Requests");
+    throttled.code = 429;
+    const youtubeClient = createClient();
+    youtubeClient.comments.setModerationStatus.mockRejectedValueOnce(throttled);
+
+    const result = await moderationService.applyModerationStatus(
+      analysis.userId,
+      ids.slice(0, 10),
+      "rejected",
+      { youtubeClient }
+    );
+
+    expect(youtubeClient.comments.setModerationStatus).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ moderatedCount: 10, failures: [] });
+    expect(
+      await AnalyzedComment.countDocuments({ moderationResult: "FAILED" })
+    ).toBe(0);
+  });
+
+  test("selalu berhenti saat kuota habis", async () => {
+    jest
+      .spyOn(youtubeService, "setCommentsModerationStatus")
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new QuotaExceededError());
+
+    await expect(
+      moderationService.applyModerationStatus(
+        analysis.userId,
+        ids,
+        "rejected",
+        { continueOnError: true }
+      )
+    ).rejects.toBeInstanceOf(QuotaExceededError);
+    expect(youtubeService.setCommentsModerationStatus).toHaveBeenCalledTimes(2);
+    // Potongan pertama tetap tersimpan, potongan terakhir tidak pernah dikirim
+    expect(
+      await AnalyzedComment.countDocuments({
+        youtubeModerationStatus: "rejected",
+        isModeratedOnYoutube: true,
+      })
+    ).toBe(50);
+    expect(
+      await AnalyzedComment.countDocuments({ moderationResult: "FAILED" })
+    ).toBe(50);
+    expect(
+      await AnalyzedComment.countDocuments({ moderationAction: null })
+    ).toBe(20);
+  });
+});
@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+const {
+  buildCommentFilterParts,
+  encodeCommentCursor,
+  decodeCommentCursor,
+  buildCursorFilter,
+} = require("../src/utils/commentQuery");
+const {
+  commentListQuerySchema,
+} = require("../src/api/validators/video.validator");
+const videoAnalysisService = require("../src/api/services/videoAnalysis.service");
+const { createAnalysis, createComment } = require("./fixtures");
+
+describe("commentListQuerySchema", () => {
+  test("daftar dipisah koma menjadi array dan nilai default terisi", () => {
+    const { value, error } = commentListQuerySchema.validate({
+      classification: "JUDI, NEEDS_REVIEW,JUDI",
+      moderation: "none",
+    });
+
+    expect(error).toBeUndefined();
+    expect(value).toMatchObject({
+      classification: ["JUDI", "NEEDS_REVIEW"],
+      moderation: ["none"],
+      sort: "publishedAt",
+      order: "desc",
+      limit: 50,
+    });
+  });
+
+  test("menolak nilai filter yang tidak dikenal", () => {
+    const { error } = commentListQuerySchema.validate({
+      classification: "JUDI,SPAM",
+    });
+
+    expect(error.message).toContain('"classification" hanya boleh berisi');
+  });
+});
+
+describe("commentQuery", () => {
+  test("filter klasifikasi memakai verdict manusia jika ada", () => {
+    const parts = buildCommentFilterParts({
+      classification: ["JUDI"],
+      q: "gacor (88)",
+    });
+
+    expect(parts.classification).toEqual({
+      $or: [
+        { humanClassification: { $in: ["JUDI"] } },
+        { humanClassification: null, classification: { $in: ["JUDI"] } },
+      ],
+    });
+    // Karakter regex di teks pencarian di-escape
+    expect(parts.other).toEqual([
+      {
+        commentTextOriginal: { $regex: "gacor \\(88\\)", $options: "i" },
+      },
+    ]);
+  });
+
+  test("kursor tanggal bolak-balik encode/decode", () => {
+    const comment = {
+      _id: new mongoose.Types.ObjectId(),
+      commentPublishedAt: new Date("2024-05-01T10:00:00Z"),
+    };
+    const cursor = encodeCommentCursor(comment, "commentPublishedAt");
+
+    expect(decodeCommentCursor(cursor, "commentPublishedAt")).toEqual({
+      value: comment.commentPublishedAt,
+      id: comment._id,
+    });
+    expect(() => decodeCommentCursor("bukan-kursor", "likeCount")).toThrow(
+      '"cursor" tidak valid.'
+    );
+  });
+
+  test("urutan menurun tetap menyertakan komentar tanpa skor di akhir", () => {
+    const id = new mongoose.Types.ObjectId();
+
+    expect(
+      buildCursorFilter({ value: 0.9, id }, "aiConfidenceScore", -1)
+    ).toEqual({
+      $or: [
+        { aiConfidenceScore: { $lt: 0.9 } },
+        { aiConfidenceScore: 0.9, _id: { $lt: id } },
+        { aiConfidenceScore: null },
+      ],
+    });
+    expect(
+      buildCursorFilter({ value: null, id }, "aiConfidenceScore", -1)
+    ).toEqual({ aiConfidenceScore: null, _id: { $lt: id } });
+  });
+});
+
+describe("videoAnalysisService.getAnalysisResults", () => {
+  let analysis;
+  let comments;
+
+  // Mengumpulkan semua halaman dengan mengikuti nextCursor
+  const readAllPages = async (options) => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await videoAnalysisService.getAnalysisResults(
+        analysis._id,
+        analysis.userId,
+        { ...options, cursor }
+      );
+      pages.push(page);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  beforeEach(async () => {
+    analysis = await createAnalysis();
+    comments = {
+      high1: await createComment(analysis, {
+        classification: "JUDI",
+        aiConfidenceScore: 0.9,
+      }),
+      high2: await createComment(analysis, {
+        classification: "JUDI",
+        aiConfidenceScore: 0.9,
+        youtubeModerationStatus: "rejected",
+      }),
+      low: await createComment(analysis, {
+        classification: "JUDI",
+        aiConfidenceScore: 0.7,
+        parentYoutubeCommentId: "UgParent",
+      }),
+      // Verdict manusia JUDI tanpa skor model
+      reviewed: await createComment(analysis, {
+        classification: "NEEDS_REVIEW",
+        humanClassification: "JUDI",
+      }),
+      clean: await createComment(analysis, { aiConfidenceScore: 0.95 }),
+    };
+    // Komentar analisis lain tidak ikut
+    await createComment(await createAnalysis({ userId: analysis.userId }), {
+      classification: "JUDI",
+      aiConfidenceScore: 0.8,
+    });
+  });
+
+  test("halaman berurutan menurun dengan kursor, komentar tanpa skor di akhir, beserta facet", async () => {
+    const pages = await readAllPages({
+      sort: "confidence",
+      limit: 2,
+      classification: ["JUDI"],
+    });
+
+    expect(
+      pages.map((page) => page.comments.map((c) => String(c._id)))
+    ).toEqual([
+      [String(comments.high2._id), String(comments.high1._id)],
+      [String(comments.low._id), String(comments.reviewed._id)],
+    ]);
+    expect(pages[1].nextCursor).toBeNull();
+    expect(pages[0].facets).toEqual({
+      classification: { JUDI: 4, NON_JUDI: 1, NEEDS_REVIEW: 0 },
+      moderation: {
+        deleted: 0,
+        failed: 0,
+        heldForReview: 0,
+        rejected: 1,
+        published: 0,
+        none: 3,
+      },
+      total: 4,
+      replies: 1,
+    });
+  });
+
+  test("urutan menaik dimulai dari komentar tanpa skor dan tidak melewatkan apa pun", async () => {
+    const pages = await readAllPages({
+      sort: "confidence",
+      order: "asc",
+      limit: 1,
+    });
+
+    expect(pages.flatMap((page) => page.comments.map((c) => c._id))).toEqual(
+      [
+        comments.reviewed,
+        comments.low,
+        comments.high1,
+        comments.high2,
+        comments.clean,
+      ].map((c) => c._id)
+    );
+  });
+});
@@ -0,0 +1,258 @@
+// Jeda antar permintaan ke YouTube diperkecil agar job tidak memperlambat tes
+process.env.DELETION_JOB_REQUEST_INTERVAL_MS = "1";
+
+const { withRetry, isRateLimitError } = require("../src/utils/retry");
+const deletionJobService = require("../src/api/services/deletionJob.service");
+const moderationService = require("../src/api/services/moderation.service");
+const youtubeService = require("../src/api/services/youtube.service");
+const quotaService = require("../src/api/services/quota.service");
+const DeletionJob = require("../src/api/models/DeletionJob.model");
+const VideoAnalysis = require("../src/api/models/VideoAnalysis.model");
+const AuditLog = require("../src/api/models/AuditLog.model");
+const QuotaUsage = require("../src/api/models/QuotaUsage.model");
+const config = require("../src/config/environment");
+const { QuotaExceededError } = require("../src/utils/errors");
+const { createUser, createAnalysis, createComment } = require("./fixtures");
+
+const apiError = (status, reason) => {
+  const error = new Error(reason);
+  error.code = status;
+  error.response = { status, data: { error: { errors: [{ reason }] } } };
+  return error;
+};
+
+describe("withRetry", () => {
+  test("mengulang error throttling lalu berhasil", async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(apiError(429, "rateLimitExceeded"))
+      .mockRejectedValueOnce(apiError(403, "userRateLimitExceeded"))
+      .mockResolvedValue("ok");
+
+    await expect(withRetry(fn, { retries: 3, baseDelayMs: 1 })).resolves.toBe(
+      "ok"
+    );
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test("tidak mengulang 403 kuota habis atau bukan pemilik", async () => {
+    expect(isRateLimitError(apiError(403, "quotaExceeded"))).toBe(false);
+    expect(
+      isRateLimitError({
+        code: 403,
+        message: "NOT_COMMENT_OWNER_CANNOT_DELETE_PERMANENTLY",
+      })
+    ).toBe(false);
+
+    const fn = jest.fn().mockRejectedValue(apiError(403, "quotaExceeded"));
+    await expect(withRetry(fn, { baseDelayMs: 1 })).rejects.toThrow(
+      "quotaExceeded"
+    );
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+const OWNER_CHANNEL_ID = "UCowner";
+
+describe("deletionJobService.processDeletionJob", () => {
+  let owner;
+  let analysis;
+
+  // Komentar judi target berurutan `_id`, satu per penulis di `authors`
+  const seedComments = async (authors = Array(5).fill(OWNER_CHANNEL_ID)) => {
+    const comments = [];
+    for (const [i, author] of authors.entries()) {
+      comments.push(
+        await createComment(analysis, {
+          youtubeCommentId: `Ug${i}`,
+          classification: "JUDI",
+          judiScore: 0.97,
+          commentAuthorChannelId: author,
+        })
+      );
+    }
+    return comments;
+  };
+
+  const createJob = (overrides = {}) =>
+    DeletionJob.create({
+      userId: owner._id,
+      analysisId: analysis._id,
+      status: "RUNNING",
+      autoActionThreshold: 0.9,
+      quotaBudget: 5000,
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest
+      .spyOn(youtubeService, "getAuthenticatedYouTubeClient")
+      .mockResolvedValue({});
+    owner = await createUser({ youtubeChannelId: OWNER_CHANNEL_ID });
+    analysis = await createAnalysis({ userId: owner._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("menjeda job sebelum melewati anggaran kuota", async () => {
+    const comments = await seedComments();
+    const job = await createJob({ quotaBudget: 52 * 2 + 10 });
+    jest
+      .spyOn(moderationService, "deleteComments")
+      .mockResolvedValue({ moderatedCount: 1, failures: [] });
+
+    await deletionJobService.processDeletionJob(job._id);
+
+    expect(moderationService.deleteComments).toHaveBeenCalledTimes(2);
+    const saved = await DeletionJob.findById(job._id).lean();
+    expect(saved).toMatchObject({
+      status: "PAUSED_QUOTA",
+      deletedCount: 2,
+      quotaUsed: 104,
+      cursorCommentId: comments[1]._id,
+    });
+  });
+
+  test("berhenti saat kuota harian habis dan menyimpan progres yang sudah selesai", async () => {
+    const comments = await seedComments();
+    const job = await createJob();
+    jest
+      .spyOn(moderationService, "deleteComments")
+      .mockResolvedValueOnce({ moderatedCount: 1, failures: [] })
+      .mockRejectedValueOnce(new QuotaExceededError());
+
+    await deletionJobService.processDeletionJob(job._id);
+
+    const saved = await DeletionJob.findById(job._id).lean();
+    // Hanya penghapusan yang berhasil dihitung; kursor berhenti di komentar terakhirnya
+    expect(saved).toMatchObject({
+      status: "PAUSED_QUOTA",
+      deletedCount: 1,
+      quotaUsed: 52,
+      cursorCommentId: comments[0]._id,
+    });
+    // Komentar yang sempat dihapus sebelum kuota habis tetap tercatat di audit log
+    const audit = await AuditLog.findOne({
+      action: "deletionJob.batch",
+    }).lean();
+    expect(audit).toMatchObject({
+      result: "SUCCESS",
+      details: { deleted: 1 },
+    });
+  });
+
+  test("menghapus komentar sendiri dan menyembunyikan komentar orang lain", async () => {
+    const comments = await seedComments([
+      OWNER_CHANNEL_ID,
+      "UCa",
+      OWNER_CHANNEL_ID,
+      "UCb",
+      "UCc",
+    ]);
+    const job = await createJob();
+    jest
+      .spyOn(moderationService, "applyModerationStatus")
+      .mockResolvedValue({ moderatedCount: 3, failures: [] });
+    jest
+      .spyOn(moderationService, "deleteComments")
+      .mockResolvedValueOnce({
+        moderatedCount: 0,
+        failures: [{ youtubeCommentId: "Ug0", error: "gagal" }],
+      })
+      .mockResolvedValue({ moderatedCount: 1, failures: [] });
+
+    await deletionJobService.processDeletionJob(job._id);
+
+    expect(moderationService.applyModerationStatus).toHaveBeenCalledTimes(1);
+    expect(moderationService.applyModerationStatus.mock.calls[0][1]).toEqual([
+      "Ug1",
+      "Ug3",
+      "Ug4",
+    ]);
+    expect(
+      moderationService.deleteComments.mock.calls.map((call) => call[1])
+    ).toEqual([["Ug0"], ["Ug2"]]);
+    expect(await DeletionJob.findById(job._id).lean()).toMatchObject({
+      status: "COMPLETED",
+      hiddenCount: 3,
+      deletedCount: 1,
+      failedCount: 1,
+      quotaUsed: 52 * 2 + 50,
+    });
+    expect(await VideoAnalysis.findById(analysis._id).lean()).toMatchObject({
+      status: "COMPLETED_DELETION_WITH_PARTIAL_ERRORS",
+      lastBatchDeletionSuccessCount: 4,
+      lastBatchDeletionFailureCount: 1,
+    });
+    const audit = await AuditLog.findOne({
+      action: "deletionJob.batch",
+    }).lean();
+    expect(audit).toMatchObject({
+      userId: owner._id,
+      actor: { type: "system" },
+      result: "PARTIAL",
+      target: { type: "DeletionJob", id: String(job._id) },
+      relatedIds: comments.map((c) => String(c._id)),
+      details: { deleted: 1, hidden: 3, failed: 1 },
+    });
+  });
+});
+
+describe("deletionJobService.previewBatchDeletion", () => {
+  test("mengembalikan aksi per komentar, perkiraan kuota, dan alasan dilewati", async () => {
+    const owner = await createUser({ youtubeChannelId: OWNER_CHANNEL_ID });
+    const analysis = await createAnalysis({ userId: owner._id });
+    const comment = (overrides) =>
+      createComment(analysis, {
+        classification: "JUDI",
+        judiScore: 0.97,
+        commentAuthorChannelId: "UCspammer",
+        ...overrides,
+      });
+    await comment({ commentAuthorChannelId: OWNER_CHANNEL_ID });
+    await comment();
+    await comment();
+    await comment({ isDeletedOnYoutube: true });
+    await comment({ humanClassification: "NON_JUDI" });
+    await comment({ classification: "NEEDS_REVIEW", judiScore: 0.7 });
+    await comment({ judiScore: 0.6 });
+    const excluded = await comment();
+    await comment({ classification: "NON_JUDI", judiScore: 0.02 });
+    // Sisa kuota harian 50 unit: cukup untuk satu panggilan moderasi saja
+    await QuotaUsage.create({
+      userId: owner._id,
+      day: quotaService.getQuotaDay(),
+      operation: "comments.delete",
+      calls: 1,
+      units: config.youtubeQuota.dailyBudgetPerUser - 50,
+    });
+
+    const preview = await deletionJobService.previewBatchDeletion(
+      owner._id,
+      analysis._id,
+      { excludeCommentIds: [excluded._id.toString()] }
+    );
+
+    expect(preview.targets.map((c) => c.action)).toEqual([
+      "delete",
+      "rejected",
+      "rejected",
+    ]);
+    expect(preview.actionCounts).toEqual({ delete: 1, rejected: 2 });
+    expect(preview.estimatedQuotaCost).toBe(52 + 50);
+    expect(preview.quota).toMatchObject({
+      remainingUnits: 50,
+      isWithinBudget: false,
+    });
+    expect(preview.skipped.map((c) => c.reason)).toEqual([
+      "ALREADY_DELETED",
+      "REVIEWED_NOT_JUDI",
+      "NEEDS_REVIEW",
+      "BELOW_THRESHOLD",
+      "EXCLUDED",
+    ]);
+  });
+});
@@ -0,0 +1,9 @@
+// Variabel wajib config/environment.js, diisi sebelum setiap file tes agar modul yang
+// me-require config tidak menghentikan proses. MONGODB_URI hanya pengisi; koneksi
+// sebenarnya ke MongoMemoryServer dibuat di test/setup.js.
+process.env.MONGODB_URI = process.env.MONGODB_URI || "mongodb://localhost/test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID || "test";
+process.env.YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET || "test";
+process.env.YOUTUBE_REDIRECT_URI =
+  process.env.YOUTUBE_REDIRECT_URI || "http://localhost/callback";
@@ -0,0 +1,284 @@
+const zlib = require("zlib");
+const { PassThrough } = require("stream");
+const { createXlsxStream, crc32 } = require("../src/utils/xlsxStream");
+const { toCsvRow } = require("../src/utils/csv");
+const exportService = require("../src/api/services/export.service");
+const exportController = require("../src/api/controllers/export.controller");
+const {
+  exportRangeQuerySchema,
+} = require("../src/api/validators/video.validator");
+const VideoAnalysis = require("../src/api/models/VideoAnalysis.model");
+const { createAnalysis, createComment } = require("./fixtures");
+
+// Membaca semua entri arsip ZIP lewat central directory
+const readZipEntries = (zip) => {
+  const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(endOffset + 10);
+  let offset = zip.readUInt32LE(endOffset + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const crc = zip.readUInt32LE(offset + 16);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString("utf8", offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26);
+    const content = zlib.inflateRawSync(
+      zip.subarray(dataStart, dataStart + compressedSize)
+    );
+    entries[name] = {
+      content: content.toString("utf8"),
+      crc,
+      actualCrc: crc32(content),
+    };
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+const collect = (stream) => {
+  const chunks = [];
+  stream.on("data", (chunk) => chunks.push(chunk));
+  return () => Buffer.concat(chunks);
+};
+
+describe("createXlsxStream", () => {
+  test("menghasilkan arsip XLSX valid dengan header tebal dan sel bertipe", async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+    const xlsx = createXlsxStream(output, {
+      header: ["text", "score"],
+      sheetName: "Komentar",
+    });
+    await xlsx.addRow(['Gacor <88> & "maxwin"', 0.97]);
+    await xlsx.addRow([null, 3]);
+    await xlsx.finish();
+
+    const entries = readZipEntries(read());
+    expect(Object.keys(entries)).toEqual(
+      expect.arrayContaining([
+        "[Content_Types].xml",
+        "xl/workbook.xml",
+        "xl/styles.xml",
+        "xl/worksheets/sheet1.xml",
+      ])
+    );
+    for (const entry of Object.values(entries)) {
+      expect(entry.actualCrc).toBe(entry.crc);
+    }
+    const sheet = entries["xl/worksheets/sheet1.xml"].content;
+    expect(sheet).toContain('<c r="A1" s="1" t="inlineStr">');
+    expect(sheet).toContain("Gacor &lt;88&gt; &amp; &quot;maxwin&quot;");
+    expect(sheet).toContain('<c r="B2"><v>0.97</v></c>');
+    expect(sheet).toContain('<c r="A3"/>');
+    expect(entries["xl/workbook.xml"].content).toContain('name="Komentar"');
+  });
+});
+
+describe("netralisasi rumus spreadsheet", () => {
+  const payloads = [
+    '=HYPERLINK("http://gacor88.com","klik")',
+    "+62 812",
+    "-1+1",
+    "@SUM(A1)",
+    "\tslot",
+    "\rslot",
+  ];
+
+  test("CSV memberi awalan kutip tunggal pada teks berawalan karakter rumus", () => {
+    expect(toCsvRow([...payloads, "aman", -0.5])).toBe(
+      `"'=HYPERLINK(""http://gacor88.com"",""klik"")",'+62 812,'-1+1,'@SUM(A1),'\tslot,"'\rslot",aman,-0.5\n`
+    );
+  });
+
+  test("XLSX menetralkan teks yang sama tanpa mengubah sel angka", async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+    const xlsx = createXlsxStream(output, { header: ["author", "text"] });
+    await xlsx.addRow(["=cmd|' /C calc'!A0", -3]);
+    await xlsx.finish();
+
+    const sheet = readZipEntries(read())["xl/worksheets/sheet1.xml"].content;
+    expect(sheet).toContain(
+      "<t xml:space=\"preserve\">'=cmd|' /C calc'!A0</t>"
+    );
+    expect(sheet).toContain('<c r="B2"><v>-3</v></c>');
+  });
+});
+
+describe("exportService.toExportRecord", () => {
+  test("kolom classification memakai verdict manusia jika ada", () => {
+    const record = exportService.toExportRecord(
+      {
+        analysisId: "a1",
+        classification: "JUDI",
+        humanClassification: "NON_JUDI",
+        commentTextOriginal: "halo",
+      },
+      { videoTitle: "Video A" }
+    );
+
+    expect(Object.keys(record)).toEqual(exportService.EXPORT_HEADERS);
+    expect(record).toMatchObject({
+      videoTitle: "Video A",
+      classification: "NON_JUDI",
+      aiClassification: "JUDI",
+      deletionError: null,
+    });
+  });
+});
+
+describe("exportService.iterateExportRecords", () => {
+  const collectRecords = async (analyses) => {
+    const records = [];
+    for await (const record of exportService.iterateExportRecords(analyses)) {
+      records.push(record);
+    }
+    return records;
+  };
+
+  test("export analisis ulang menyertakan komentar video dari analisis sebelumnya", async () => {
+    const previous = await createAnalysis();
+    const older = await createComment(previous, {
+      commentPublishedAt: new Date("2024-05-01T00:00:00Z"),
+    });
+    // Komentar video yang sama milik pengguna lain tidak ikut diekspor
+    await createComment(await createAnalysis());
+    const rescanned = await createAnalysis({
+      userId: previous.userId,
+      videoTitle: "Video A",
+    });
+    const newer = await createComment(rescanned, {
+      commentPublishedAt: new Date("2024-06-01T00:00:00Z"),
+    });
+
+    const analyses = await exportService.findExportAnalyses(previous.userId, {
+      analysisId: rescanned._id,
+    });
+    const records = await collectRecords(analyses);
+
+    expect(
+      records.map((r) => [r.youtubeCommentId, r.analysisId, r.videoTitle])
+    ).toEqual([
+      [older.youtubeCommentId, String(previous._id), "Video A"],
+      [newer.youtubeCommentId, String(rescanned._id), "Video A"],
+    ]);
+  });
+
+  test("video yang dianalisis lebih dari sekali dalam rentang hanya diekspor sekali", async () => {
+    const first = await createAnalysis();
+    await createComment(first);
+    await createComment(await createAnalysis({ userId: first.userId }));
+
+    const analyses = await exportService.findExportAnalyses(first.userId, {});
+
+    expect(analyses).toHaveLength(2);
+    expect(await collectRecords(analyses)).toHaveLength(2);
+  });
+});
+
+describe("export berdasarkan rentang tanggal", () => {
+  test("tanggal `to` tanpa jam mencakup analisis sepanjang hari itu", async () => {
+    const { value, error } = exportRangeQuerySchema.validate({
+      from: "2024-05-01",
+      to: "2024-05-01",
+    });
+    expect(error).toBeUndefined();
+    expect(value.to).toEqual(new Date("2024-05-01T23:59:59.999Z"));
+
+    const analysis = await createAnalysis();
+    const nextDay = await createAnalysis({ userId: analysis.userId });
+    // createdAt dikelola timestamps, jadi diatur langsung di koleksi
+    await VideoAnalysis.collection.updateOne(
+      { _id: analysis._id },
+      { $set: { createdAt: new Date("2024-05-01T15:00:00Z") } }
+    );
+    await VideoAnalysis.collection.updateOne(
+      { _id: nextDay._id },
+      { $set: { createdAt: new Date("2024-05-02T00:00:00Z") } }
+    );
+
+    const analyses = await exportService.findExportAnalyses(
+      analysis.userId,
+      value
+    );
+
+    expect(analyses.map((a) => String(a._id))).toEqual([String(analysis._id)]);
+  });
+});
+
+describe("exportController.exportAnalysis", () => {
+  const createRes = () => {
+    const res = new PassThrough();
+    res.headers = {};
+    res.setHeader = (name, value) => {
+      res.headers[name] = value;
+      res.headersSent = true;
+    };
+    return res;
+  };
+
+  async function* records() {
+    yield { text: "a,b" };
+    yield { text: "c" };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(exportService, "findExportAnalyses").mockResolvedValue([]);
+    jest
+      .spyOn(exportService, "iterateExportRecords")
+      .mockImplementation(records);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const runExport = async (format) => {
+    const res = createRes();
+    const read = collect(res);
+    const next = jest.fn();
+    await exportController.exportAnalysis(
+      {
+        user: { _id: "u1" },
+        params: { analysisId: "a1" },
+        query: { format },
+      },
+      res,
+      next
+    );
+    expect(next).not.toHaveBeenCalled();
+    return { res, body: read().toString("utf8") };
+  };
+
+  test("CSV di-escape dan diberi nama file sesuai analisis", async () => {
+    const { res, body } = await runExport("csv");
+
+    expect(res.headers["Content-Disposition"]).toBe(
+      'attachment; filename="judi-guard-analisis-a1.csv"'
+    );
+    const lines = body.trim().split("\n");
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain('"a,b"');
+  });
+
+  test("JSON berupa array yang valid", async () => {
+    const { body } = await runExport("json");
+
+    expect(JSON.parse(body).map((row) => row.text)).toEqual(["a,b", "c"]);
+  });
+
+  test("analisis yang tidak ditemukan diteruskan ke error handler", async () => {
+    const error = new Error("tidak ditemukan");
+    exportService.findExportAnalyses.mockRejectedValue(error);
+    const next = jest.fn();
+
+    await exportController.exportAnalysis(
+      { user: { _id: "u1" }, params: { analysisId: "a1" }, query: {} },
+      createRes(),
+      next
+    );
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
@@ -0,0 +1,51 @@
+// Pembuat dokumen minimal untuk tes yang berjalan di MongoMemoryServer (test/setup.js).
+// Field lain dapat ditimpa lewat `overrides`.
+const mongoose = require("mongoose");
+const User = require("../src/api/models/User.model");
+const VideoAnalysis = require("../src/api/models/VideoAnalysis.model");
+const AnalyzedComment = require("../src/api/models/AnalyzedComment.model");
+
+// Penomoran unik untuk field ber-index unique (username, youtubeCommentId)
+let sequence = 0;
+const nextSequence = () => ++sequence;
+
+const createUser = (overrides = {}) => {
+  const n = nextSequence();
+  return User.create({
+    username: `pengguna${n}`,
+    email: `pengguna${n}@example.com`,
+    ...overrides,
+  });
+};
+
+const createAnalysis = (overrides = {}) =>
+  VideoAnalysis.create({
+    userId: new mongoose.Types.ObjectId(),
+    youtubeVideoId: "dQw4w9WgXcQ",
+    status: "COMPLETED",
+    ...overrides,
+  });
+
+/**
+ * Menyimpan satu komentar milik `analysis` (video dan pengguna mengikuti analisisnya).
+ */
+const createComment = (analysis, overrides = {}) => {
+  const n = nextSequence();
+  const text = overrides.commentTextOriginal || `komentar ${n}`;
+  return AnalyzedComment.create({
+    analysisId: analysis._id,
+    userId: analysis.userId,
+    youtubeVideoId: analysis.youtubeVideoId,
+    youtubeCommentId: `Ugx${n}`,
+    commentTextOriginal: text,
+    commentTextDisplay: text,
+    classification: "NON_JUDI",
+    ...overrides,
+  });
+};
+
+module.exports = {
+  createUser,
+  createAnalysis,
+  createComment,
+};
@@ -0,0 +1,193 @@
+const mongoose = require("mongoose");
+const { parseCsv } = require("../src/utils/csv");
+const importService = require("../src/api/services/import.service");
+const videoAnalysisService = require("../src/api/services/videoAnalysis.service");
+const VideoAnalysis = require("../src/api/models/VideoAnalysis.model");
+const config = require("../src/config/environment");
+
+// Potongan export comments.csv dari Google Takeout
+const TAKEOUT_CSV = [
+  "Comment ID,Channel ID,Comment Create Timestamp,Price,Parent Comment ID,Post ID,Video ID,Comment Text",
+  'UgxA,UCuser,2024-05-01T10:00:00+00:00,,,,vid00000001,"{""text"":""Daftar di ""},{""text"":""gacor88.com""}"',
+  'UgxB,UCuser,2024-05-02T10:00:00+00:00,,UgxA,,vid00000001,"{""text"":""Setuju, ""},{""text"":""mantap""}"',
+  ",UCuser,bukan-tanggal,,,,vid00000002,Komentar tanpa ID",
+].join("\r\n");
+
+describe("parseCsv", () => {
+  test("sel berkutip boleh memuat koma, kutip ganda, dan baris baru", () => {
+    expect(parseCsv('\uFEFFa,b\r\n"x, ""y""\nz",2\n\n3,\n')).toEqual([
+      ["a", "b"],
+      ['x, "y"\nz', "2"],
+      ["3", ""],
+    ]);
+  });
+});
+
+describe("importService.parseImportFile", () => {
+  test("memetakan kolom Google Takeout dan menggabungkan segmen teks", () => {
+    const comments = importService.parseImportFile(TAKEOUT_CSV);
+
+    expect(comments).toHaveLength(3);
+    expect(comments[0]).toMatchObject({
+      commentId: "UgxA",
+      videoId: "vid00000001",
+      authorChannelId: "UCuser",
+      text: "Daftar di gacor88.com",
+      publishedAt: "2024-05-01T10:00:00.000Z",
+    });
+    expect(comments[1]).toMatchObject({
+      parentCommentId: "UgxA",
+      text: "Setuju, mantap",
+    });
+    // Tanggal tidak valid dikosongkan, bukan menggagalkan seluruh impor
+    expect(comments[2].publishedAt).toBeUndefined();
+  });
+
+  test("JSON ditebak otomatis dan menerima objek { comments }", () => {
+    const comments = importService.parseImportFile(
+      JSON.stringify({
+        comments: [
+          { youtubeCommentId: "Ugx1", text: "slot gacor", likeCount: "4" },
+          { id: "Ugx2", snippet: { textOriginal: "halo", likeCount: 1 } },
+          { text: "   " },
+        ],
+      })
+    );
+
+    expect(comments).toEqual([
+      expect.objectContaining({
+        commentId: "Ugx1",
+        text: "slot gacor",
+        likeCount: 4,
+      }),
+      expect.objectContaining({ commentId: "Ugx2", text: "halo" }),
+    ]);
+  });
+
+  test("menolak file tanpa komentar atau melebihi batas", () => {
+    expect(() => importService.parseImportFile("judul,isi\n1,2")).toThrow(
+      "Tidak ada komentar"
+    );
+    expect(() => importService.parseImportFile("{bukan json", "json")).toThrow(
+      "File JSON tidak valid."
+    );
+
+    const original = config.importAnalysis.maxComments;
+    config.importAnalysis.maxComments = 1;
+    try {
+      expect(() => importService.parseImportFile(TAKEOUT_CSV)).toThrow(
+        "melebihi batas 1 komentar"
+      );
+    } finally {
+      config.importAnalysis.maxComments = original;
+    }
+  });
+});
+
+// Menunggu pemrosesan latar belakang menyimpan status akhir analisis
+const waitUntil = async (predicate) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (await predicate()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Kondisi tidak tercapai.");
+};
+
+const waitUntilProcessed = async (analysisId) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const analysis = await VideoAnalysis.findById(analysisId).lean();
+    if (analysis.status !== "PROCESSING") return analysis;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Analisis impor tidak selesai diproses.");
+};
+
+describe("importService.startImportAnalysis", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("menyimpan analisis ber-source import dengan ID komentar ber-namespace", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const classify = jest
+      .spyOn(videoAnalysisService, "classifyAndSaveComments")
+      .mockResolvedValue(3);
+
+    const result = await importService.startImportAnalysis(
+      userId,
+      TAKEOUT_CSV,
+      { title: "Arsip channel" }
+    );
+
+    expect(result).toMatchObject({
+      source: "import",
+      youtubeVideoId: "vid00000001",
+      videoTitle: "Arsip channel",
+      status: "PROCESSING",
+    });
+    const analysis = await waitUntilProcessed(result._id);
+    expect(analysis).toMatchObject({
+      status: "COMPLETED",
+      totalCommentsFetched: 3,
+      totalRepliesFetched: 1,
+      totalCommentsAnalyzed: 3,
+      latestCommentPublishedAt: new Date("2024-05-02T10:00:00Z"),
+    });
+
+    const items = classify.mock.calls[0][1];
+    const prefix = `import:${result._id}:`;
+    expect(items.map((item) => item.comment.id)).toEqual([
+      `${prefix}UgxA`,
+      `${prefix}UgxB`,
+      `${prefix}row-3`,
+    ]);
+    expect(items[1].parentYoutubeCommentId).toBe(`${prefix}UgxA`);
+    expect(items[2].youtubeVideoId).toBe("vid00000002");
+  });
+
+  test("impor yang masih berjalan memperbarui heartbeat agar tidak dianggap terhenti", async () => {
+    const setIntervalSpy = jest.spyOn(global, "setInterval");
+    const clearIntervalSpy = jest.spyOn(global, "clearInterval");
+    let finishClassification;
+    jest
+      .spyOn(videoAnalysisService, "classifyAndSaveComments")
+      .mockImplementation(
+        () => new Promise((resolve) => (finishClassification = resolve))
+      );
+
+    const result = await importService.startImportAnalysis(
+      new mongoose.Types.ObjectId(),
+      TAKEOUT_CSV
+    );
+    const staleStart = new Date(Date.now() - 60 * 60 * 1000);
+    await VideoAnalysis.updateOne(
+      { _id: result._id },
+      { $set: { processingStartedAt: staleStart } }
+    );
+
+    // Jalankan satu heartbeat secara langsung, tanpa menunggu intervalnya
+    const heartbeatMs =
+      (config.analysisWorker.staleAfterMinutes * 60 * 1000) / 3;
+    const heartbeatIndex = setIntervalSpy.mock.calls.findIndex(
+      ([, ms]) => ms === heartbeatMs
+    );
+    const [heartbeat] = setIntervalSpy.mock.calls[heartbeatIndex];
+    heartbeat();
+    await waitUntil(
+      async () =>
+        (await VideoAnalysis.findById(result._id).lean()).processingStartedAt >
+        staleStart
+    );
+
+    await waitUntil(() => finishClassification);
+    finishClassification(3);
+    expect((await waitUntilProcessed(result._id)).status).toBe("COMPLETED");
+    expect(clearIntervalSpy).toHaveBeenCalledWith(
+      setIntervalSpy.mock.results[heartbeatIndex].value
+    );
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  extractPromotions,
+  evaluatePromotions,
+  resolveBlockedDomains,
+} = require("../src/utils/promotionExtractor");
+const {
+  evaluateRules,
+  combineRuleResults,
+} = require("../src/core/rulesEngine");
+const { applyConfidencePolicy } = require("../src/utils/classificationPolicy");
+
+describe("extractPromotions", () => {
+  test("mengambil link, domain, nomor WhatsApp, dan handle Telegram", () => {
+    const result = extractPromotions(
+      "Daftar di https://www.Gacor88.bet/daftar?ref=1, cek bit.ly/abc123 atau WA 0812-3456-7890. Admin t.me/adminslot88"
+    );
+
+    expect(result.links).toEqual([
+      "https://www.Gacor88.bet/daftar?ref=1",
+      "bit.ly/abc123",
+      "t.me/adminslot88",
+    ]);
+    expect(result.domains).toEqual(["gacor88.bet", "bit.ly", "t.me"]);
+    expect(result.phoneNumbers).toEqual(["+6281234567890"]);
+    expect(result.handles).toEqual(["telegram:@adminslot88"]);
+  });
+
+  test("tidak menganggap email, jam, atau kalimat bertitik sebagai tujuan promosi", () => {
+    expect(
+      extractPromotions(
+        "Mantap.bang, tayang jam 10.30 tahun 2024. Email a@b.com"
+      )
+    ).toEqual({ links: [], domains: [], phoneNumbers: [], handles: [] });
+  });
+});
+
+describe("evaluatePromotions", () => {
+  test("domain di blocklist memaksa JUDI walaupun model yakin bukan judi", () => {
+    const text = "hiburan malam di situs-hoki.xyz";
+    const promotions = extractPromotions(text);
+    const ruleResult = combineRuleResults(
+      evaluateRules(text),
+      evaluatePromotions(
+        promotions,
+        resolveBlockedDomains({ blockedDomains: ["situs-hoki.xyz"] })
+      )
+    );
+
+    const result = applyConfidencePolicy(
+      { classification: "NON_JUDI", confidenceScore: 0.99 },
+      { autoActionThreshold: 1, reviewThreshold: 0.9 },
+      ruleResult
+    );
+    expect(ruleResult.matchedRuleIds).toContain("dom-blocklist");
+    expect(result.classification).toBe("JUDI");
+  });
+
+  test("blocklist bawaan mencakup subdomain TLD perjudian, short link hanya menambah skor", () => {
+    expect(
+      evaluatePromotions(extractPromotions("main di promo.gacor.bet")).ruleScore
+    ).toBe(1);
+
+    const shortLink = evaluatePromotions(extractPromotions("cek s.id/promo"));
+    expect(shortLink.matchedRuleIds).toEqual(["dom-short-link"]);
+    expect(shortLink.ruleScore).toBeLessThan(0.6);
+  });
+});
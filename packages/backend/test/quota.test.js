@@ -0,0 +1,111 @@
+// Anggaran harian kecil agar batas kuota mudah dicapai di tes
+process.env.YOUTUBE_QUOTA_DAILY_BUDGET = "1000";
+
+const mongoose = require("mongoose");
+const quotaService = require("../src/api/services/quota.service");
+const QuotaUsage = require("../src/api/models/QuotaUsage.model");
+const { QuotaExceededError } = require("../src/utils/errors");
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+describe("quotaService.getQuotaDay", () => {
+  test("memakai tanggal waktu Pasifik, bukan UTC", () => {
+    // 07:00 UTC = 00:00 PDT; satu jam sebelumnya masih hari kemarin di Pasifik
+    expect(quotaService.getQuotaDay(new Date("2025-06-02T06:59:00Z"))).toBe(
+      "2025-06-01"
+    );
+    expect(quotaService.getQuotaDay(new Date("2025-06-02T07:00:00Z"))).toBe(
+      "2025-06-02"
+    );
+  });
+});
+
+describe("quotaService.trackYouTubeClient", () => {
+  test("mencatat setiap panggilan beserta biaya unitnya, termasuk yang gagal", async () => {
+    const client = quotaService.trackYouTubeClient(
+      {
+        comments: {
+          list: jest.fn(async () => ({ data: { items: [] } })),
+          delete: jest.fn(async () => {
+            throw new Error("forbidden");
+          }),
+        },
+      },
+      userId
+    );
+
+    await expect(client.comments.list({ id: "Ug1" })).resolves.toEqual({
+      data: { items: [] },
+    });
+    await expect(client.comments.delete({ id: "Ug1" })).rejects.toThrow(
+      "forbidden"
+    );
+
+    const usage = await QuotaUsage.find({ userId })
+      .sort({ operation: 1 })
+      .lean();
+    expect(usage).toEqual([
+      expect.objectContaining({
+        day: quotaService.getQuotaDay(),
+        operation: "comments.delete",
+        calls: 1,
+        units: 50,
+      }),
+      expect.objectContaining({
+        operation: "comments.list",
+        calls: 1,
+        units: 1,
+      }),
+    ]);
+  });
+});
+
+describe("quotaService.assertQuotaAvailable", () => {
+  test("menolak aksi yang akan melewati anggaran harian", async () => {
+    await QuotaUsage.create([
+      {
+        userId,
+        day: quotaService.getQuotaDay(),
+        operation: "commentThreads.list",
+        units: 910,
+      },
+      {
+        userId,
+        day: quotaService.getQuotaDay(),
+        operation: "comments.list",
+        units: 50,
+      },
+      // Pemakaian hari sebelumnya tidak mengurangi anggaran hari ini
+      { userId, day: "2020-01-01", operation: "comments.delete", units: 500 },
+    ]);
+
+    await expect(
+      quotaService.assertQuotaAvailable(userId, 40, "menghapus komentar")
+    ).resolves.toEqual({ usedUnits: 960, remainingUnits: 40 });
+    await expect(
+      quotaService.assertQuotaAvailable(userId, 52, "menghapus komentar")
+    ).rejects.toThrow(QuotaExceededError);
+  });
+});
+
+describe("quotaService.estimateAnalysisCost", () => {
+  const config = require("../src/config/environment");
+  const maxReplies = config.MAX_REPLIES_PER_COMMENT;
+
+  afterEach(() => {
+    config.MAX_REPLIES_PER_COMMENT = maxReplies;
+  });
+
+  test("menghitung halaman balasan per thread sesuai batas balasan", () => {
+    config.MAX_REPLIES_PER_COMMENT = 20;
+    // videos.list + 1 halaman thread + 1 halaman balasan untuk 50 thread
+    expect(quotaService.estimateAnalysisCost(50)).toBe(52);
+
+    config.MAX_REPLIES_PER_COMMENT = 250;
+    // 3 halaman balasan (100 per halaman) untuk 150 thread
+    expect(quotaService.estimateAnalysisCost(150)).toBe(1 + 2 + 450);
+
+    config.MAX_REPLIES_PER_COMMENT = 0;
+    expect(quotaService.estimateAnalysisCost(150)).toBe(3);
+  });
+});
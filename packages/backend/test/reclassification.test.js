@@ -0,0 +1,255 @@
+// Batch kecil agar job melewati lebih dari satu batch
+process.env.RECLASSIFICATION_BATCH_SIZE = "2";
+
+const mongoose = require("mongoose");
+const reclassificationService = require("../src/api/services/reclassification.service");
+const videoAnalysisService = require("../src/api/services/videoAnalysis.service");
+const ReclassificationJob = require("../src/api/models/ReclassificationJob.model");
+const AnalyzedComment = require("../src/api/models/AnalyzedComment.model");
+const { reclassifySchema } = require("../src/api/validators/video.validator");
+const { createAnalysis, createComment } = require("./fixtures");
+
+describe("reclassificationService.buildReclassifyUpdate", () => {
+  const createdAt = new Date("2024-05-01T00:00:00Z");
+  const reclassifiedAt = new Date("2024-06-01T00:00:00Z");
+  const comment = {
+    _id: new mongoose.Types.ObjectId(),
+    classification: "NEEDS_REVIEW",
+    aiRawClassification: "JUDI",
+    aiConfidenceScore: 0.6,
+    aiModelVersion: "indobert-v1",
+    ruleScore: 0.4,
+    matchedRuleIds: ["link-shortener"],
+    createdAt,
+  };
+
+  test("menyimpan verdict lama ke riwayat dan menimpa dengan verdict baru", () => {
+    const update = reclassificationService.buildReclassifyUpdate(
+      comment,
+      {
+        classification: "JUDI",
+        rawClassification: "JUDI",
+        confidenceScore: 0.97,
+        modelVersion: "indobert-v2",
+        matchedRuleIds: [],
+      },
+      reclassifiedAt
+    );
+
+    expect(update.$push.classificationHistory).toEqual({
+      classification: "NEEDS_REVIEW",
+      aiRawClassification: "JUDI",
+      aiConfidenceScore: 0.6,
+      aiModelVersion: "indobert-v1",
+      ruleScore: 0.4,
+      matchedRuleIds: ["link-shortener"],
+      classifiedAt: createdAt,
+    });
+    expect(update.$set).toEqual({
+      reclassifiedAt,
+      classification: "JUDI",
+      aiRawClassification: "JUDI",
+      aiConfidenceScore: 0.97,
+      aiModelVersion: "indobert-v2",
+      matchedRuleIds: [],
+    });
+    expect(update.$unset).toEqual({ ruleScore: 1, judiScore: 1 });
+  });
+
+  test("memperbarui teks ternormalisasi dan tujuan promosi dari hasil klasifikasi", () => {
+    const result = {
+      classification: "JUDI",
+      rawClassification: "JUDI",
+      confidenceScore: 0.97,
+      modelVersion: "indobert-v2",
+    };
+    const promotions = {
+      links: ["https://gacor88.com"],
+      domains: ["gacor88.com"],
+      phoneNumbers: [],
+      handles: [],
+    };
+    const transformations = [{ type: "LEETSPEAK", count: 2 }];
+
+    const update = reclassificationService.buildReclassifyUpdate(
+      comment,
+      result,
+      reclassifiedAt,
+      {
+        normalization: { text: "gacor gacor88.com", transformations },
+        promotions,
+      }
+    );
+    expect(update.$set).toMatchObject({
+      commentTextNormalized: "gacor gacor88.com",
+      textTransformations: transformations,
+      promotions,
+    });
+
+    // Normalizer/extractor terbaru tidak menemukan apa pun: field lama dihapus
+    const cleared = reclassificationService.buildReclassifyUpdate(
+      comment,
+      result,
+      reclassifiedAt,
+      {
+        normalization: { text: "videonya bagus", transformations: [] },
+        promotions: { links: [], domains: [], phoneNumbers: [], handles: [] },
+      }
+    );
+    expect(cleared.$unset).toMatchObject({
+      commentTextNormalized: 1,
+      textTransformations: 1,
+      promotions: 1,
+    });
+  });
+
+  test("mempertahankan verdict lama jika model gagal mengklasifikasi", () => {
+    expect(
+      reclassificationService.buildReclassifyUpdate(
+        comment,
+        { classification: "ERROR_ANALYSIS", errorMessage: "timeout" },
+        reclassifiedAt
+      )
+    ).toBeNull();
+  });
+});
+
+describe("reclassificationService.createReclassificationJob", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("tanggal `to` tanpa jam mencakup komentar yang disimpan sepanjang hari itu", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const analysis = await createAnalysis();
+    await createComment(analysis);
+    const today = new Date().toISOString().slice(0, 10);
+    const { value, error } = reclassifySchema.validate({
+      from: today,
+      to: today,
+    });
+    expect(error).toBeUndefined();
+
+    const { job } = await reclassificationService.createReclassificationJob(
+      analysis.userId,
+      value
+    );
+
+    expect(job.totalTargeted).toBe(1);
+  });
+});
+
+describe("reclassificationService.processReclassificationJob", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("memproses per batch dan menghitung perubahan verdict per versi model", async () => {
+    const analysis = await createAnalysis();
+    const comments = [];
+    for (const classification of ["NON_JUDI", "NEEDS_REVIEW", "JUDI"]) {
+      comments.push(
+        await createComment(analysis, {
+          classification,
+          aiModelVersion: "indobert-v1",
+        })
+      );
+    }
+    // Komentar analisis lain di luar cakupan job
+    const outside = await createComment(
+      await createAnalysis({ userId: analysis.userId }),
+      { aiModelVersion: "indobert-v1" }
+    );
+    const job = await ReclassificationJob.create({
+      userId: analysis.userId,
+      scope: { analysisId: analysis._id },
+      status: "RUNNING",
+      totalTargeted: 3,
+    });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const noPromotions = {
+      links: [],
+      domains: [],
+      phoneNumbers: [],
+      handles: [],
+    };
+    const classify = jest
+      .spyOn(videoAnalysisService, "classifyCommentTexts")
+      .mockResolvedValueOnce({
+        normalizations: [
+          { text: comments[0].commentTextOriginal, transformations: [] },
+          {
+            text: "slot gacor",
+            transformations: [{ type: "LEETSPEAK", count: 1 }],
+          },
+        ],
+        promotions: [
+          noPromotions,
+          { ...noPromotions, handles: ["telegram:@gacor88"] },
+        ],
+        results: [
+          { classification: "NON_JUDI", modelVersion: "indobert-v2" },
+          { classification: "JUDI", modelVersion: "indobert-v2" },
+        ],
+      })
+      .mockResolvedValueOnce({
+        normalizations: [
+          { text: comments[2].commentTextOriginal, transformations: [] },
+        ],
+        promotions: [noPromotions],
+        results: [
+          { classification: "ERROR_ANALYSIS", errorMessage: "timeout" },
+        ],
+      });
+
+    await reclassificationService.processReclassificationJob(job._id);
+
+    expect(classify.mock.calls.map((call) => call[1])).toEqual([
+      [comments[0].commentTextOriginal, comments[1].commentTextOriginal],
+      [comments[2].commentTextOriginal],
+    ]);
+    const saved = await ReclassificationJob.findById(job._id).lean();
+    expect(saved).toMatchObject({
+      status: "COMPLETED",
+      processedCount: 3,
+      changedCount: 1,
+      failedCount: 1,
+    });
+    expect(
+      reclassificationService.summarizeTransitions(saved.transitions)
+    ).toEqual([
+      {
+        fromModelVersion: "indobert-v1",
+        toModelVersion: "indobert-v2",
+        total: 2,
+        changed: 1,
+      },
+    ]);
+
+    const stored = await AnalyzedComment.find({ analysisId: analysis._id })
+      .sort({ _id: 1 })
+      .lean();
+    expect(stored.map((c) => [c.classification, c.aiModelVersion])).toEqual([
+      ["NON_JUDI", "indobert-v2"],
+      ["JUDI", "indobert-v2"],
+      // Gagal diklasifikasi ulang: verdict lama dipertahankan
+      ["JUDI", "indobert-v1"],
+    ]);
+    expect(stored[1].classificationHistory).toEqual([
+      expect.objectContaining({
+        classification: "NEEDS_REVIEW",
+        aiModelVersion: "indobert-v1",
+      }),
+    ]);
+    expect(stored[1]).toMatchObject({
+      commentTextNormalized: "slot gacor",
+      textTransformations: [{ type: "LEETSPEAK", count: 1 }],
+      promotions: { handles: ["telegram:@gacor88"] },
+    });
+    expect(stored[0].commentTextNormalized).toBeUndefined();
+    expect(stored[2].classificationHistory).toEqual([]);
+    expect(
+      (await AnalyzedComment.findById(outside._id).lean()).aiModelVersion
+    ).toBe("indobert-v1");
+  });
+});
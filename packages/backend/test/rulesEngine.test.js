@@ -0,0 +1,59 @@
+const { compileRules, evaluateRules } = require("../src/core/rulesEngine");
+const { applyConfidencePolicy } = require("../src/utils/classificationPolicy");
+
+describe("evaluateRules", () => {
+  test("mencocokkan keyword, frasa, dan regex bawaan", () => {
+    const result = evaluateRules("Main di pulauwin88, SLOT   GACOR maxwin!");
+    expect(result.matchedRuleIds).toEqual(
+      expect.arrayContaining([
+        "kw-gacor",
+        "kw-maxwin",
+        "phr-slot-gacor",
+        "rx-brand-number",
+      ])
+    );
+    expect(result.ruleScore).toBeGreaterThan(0.95);
+    expect(result.ruleScore).toBeLessThanOrEqual(1);
+  });
+
+  test("keyword hanya cocok sebagai kata utuh", () => {
+    expect(
+      evaluateRules("videonya keren, ditonton tahun 2024").matchedRuleIds
+    ).toEqual([]);
+    expect(evaluateRules("depositnya berapa?").matchedRuleIds).toEqual([]);
+  });
+
+  test("menolak tipe aturan yang tidak dikenal", () => {
+    expect(() =>
+      compileRules([{ id: "x", type: "fuzzy", pattern: "x", weight: 0.5 }])
+    ).toThrow("tidak dikenal");
+  });
+});
+
+describe("applyConfidencePolicy dengan skor aturan", () => {
+  const settings = { autoActionThreshold: 0.9, reviewThreshold: 0.6 };
+
+  test("aturan mendorong komentar ragu-ragu dari model ke JUDI", () => {
+    const result = applyConfidencePolicy(
+      { classification: "JUDI", confidenceScore: 0.7 },
+      settings,
+      { ruleScore: 0.8, matchedRuleIds: ["phr-slot-gacor"] }
+    );
+    expect(result).toMatchObject({
+      classification: "JUDI",
+      rawClassification: "JUDI",
+      judiScore: 0.94,
+      matchedRuleIds: ["phr-slot-gacor"],
+    });
+  });
+
+  test("skor aturan tetap dipakai saat model gagal", () => {
+    const result = applyConfidencePolicy(
+      { classification: "ERROR_ANALYSIS", confidenceScore: 0 },
+      settings,
+      { ruleScore: 0.7, matchedRuleIds: ["rx-rtp-percent"] }
+    );
+    expect(result.classification).toBe("NEEDS_REVIEW");
+    expect(result.rawClassification).toBeUndefined();
+  });
+});
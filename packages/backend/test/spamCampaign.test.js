@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+const campaignService = require("../src/api/services/campaign.service");
+const moderationService = require("../src/api/services/moderation.service");
+const SpamCampaign = require("../src/api/models/SpamCampaign.model");
+const AnalyzedComment = require("../src/api/models/AnalyzedComment.model");
+const { BadRequestError } = require("../src/utils/errors");
+const { createAnalysis, createComment } = require("./fixtures");
+
+const JUDI_TEXTS = [
+  "Main di GACOR88 pasti maxwin, daftar sekarang bosku",
+  "main di gacor88 pasti maxwin daftar sekarang bosku 🔥",
+  "Main di GACOR88 pasti MAXWIN!! daftar sekarang bosku",
+];
+const FAN_TEXTS = [
+  "Mantap bang videonya keren sekali, ditunggu part selanjutnya ya",
+  "mantap bang videonya keren sekali ditunggu part selanjutnya ya!!",
+  "Mantap bang, videonya keren sekali. Ditunggu part selanjutnya ya",
+];
+
+describe("campaignService", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("hanya komentar JUDI/NEEDS_REVIEW yang dikelompokkan menjadi kampanye", async () => {
+    const analysis = await createAnalysis({ userId });
+    for (const [i, text] of JUDI_TEXTS.entries()) {
+      await createComment(analysis, {
+        commentTextOriginal: text,
+        classification: i === 0 ? "NEEDS_REVIEW" : "JUDI",
+      });
+    }
+    for (const [i, text] of FAN_TEXTS.entries()) {
+      // Verdict manusia NON_JUDI mengalahkan verdict model
+      await createComment(analysis, {
+        commentTextOriginal: text,
+        classification: i === 0 ? "JUDI" : "NON_JUDI",
+        ...(i === 0 && { humanClassification: "NON_JUDI" }),
+      });
+    }
+
+    const result = await campaignService.rebuildCampaigns(userId);
+
+    expect(result).toEqual({
+      campaignCount: 1,
+      clusteredCommentCount: 3,
+      commentsScanned: 3,
+    });
+    const campaign = await SpamCampaign.findOne({ userId }).lean();
+    expect(campaign).toMatchObject({ size: 3, judiCount: 2 });
+    const fans = await AnalyzedComment.find({
+      commentTextOriginal: { $in: FAN_TEXTS },
+    }).lean();
+    expect(fans.every((c) => c.campaignId === undefined)).toBe(true);
+  });
+
+  test("menolak moderasi kampanye tanpa komentar judi", async () => {
+    const analysis = await createAnalysis({ userId });
+    for (const text of JUDI_TEXTS) {
+      await createComment(analysis, {
+        commentTextOriginal: text,
+        classification: "NEEDS_REVIEW",
+      });
+    }
+    await campaignService.rebuildCampaigns(userId);
+    const campaign = await SpamCampaign.findOne({ userId }).lean();
+    const applyModerationStatus = jest.spyOn(
+      moderationService,
+      "applyModerationStatus"
+    );
+
+    await expect(
+      campaignService.moderateCampaign(userId, campaign._id, {
+        moderationStatus: "rejected",
+        banAuthor: true,
+      })
+    ).rejects.toBeInstanceOf(BadRequestError);
+    expect(applyModerationStatus).not.toHaveBeenCalled();
+  });
+
+  test("moderasi kampanye melewati anggota yang ditinjau sebagai NON_JUDI", async () => {
+    const analysis = await createAnalysis({ userId });
+    const members = [];
+    for (const text of JUDI_TEXTS) {
+      members.push(
+        await createComment(analysis, {
+          commentTextOriginal: text,
+          classification: "JUDI",
+        })
+      );
+    }
+    await campaignService.rebuildCampaigns(userId);
+    await AnalyzedComment.updateOne(
+      { _id: members[0]._id },
+      { $set: { humanClassification: "NON_JUDI" } }
+    );
+    const campaign = await SpamCampaign.findOne({ userId }).lean();
+    const applyModerationStatus = jest
+      .spyOn(moderationService, "applyModerationStatus")
+      .mockImplementation(async (_userId, ids) => ({
+        moderatedCount: ids.length,
+      }));
+
+    const result = await campaignService.moderateCampaign(
+      userId,
+      campaign._id,
+      { moderationStatus: "heldForReview" }
+    );
+
+    expect(result.moderatedCount).toBe(2);
+    expect([...applyModerationStatus.mock.calls[0][1]].sort()).toEqual(
+      [members[1].youtubeCommentId, members[2].youtubeCommentId].sort()
+    );
+  });
+});
@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const statsService = require("../src/api/services/stats.service");
+const AnalysisStatsArchive = require("../src/api/models/AnalysisStatsArchive.model");
+const { createAnalysis, createComment } = require("./fixtures");
+
+describe("statsService.toPeriodKey", () => {
+  test("periode mingguan dimulai hari Senin (UTC)", () => {
+    expect(
+      statsService.toPeriodKey(new Date("2025-06-08T23:30:00Z"), "day")
+    ).toBe("2025-06-08");
+    // Minggu 8 Juni masuk minggu yang dimulai Senin 2 Juni
+    expect(
+      statsService.toPeriodKey(new Date("2025-06-08T23:30:00Z"), "week")
+    ).toBe("2025-06-02");
+    expect(
+      statsService.toPeriodKey(new Date("2025-06-09T00:00:00Z"), "week")
+    ).toBe("2025-06-09");
+  });
+});
+
+describe("statsService.getTimeSeriesStats", () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  test("menggabungkan komentar, moderasi, arsip statistik, dan waktu upload per minggu", async () => {
+    const analysis = await createAnalysis({
+      userId,
+      youtubeVideoId: "vid00000001",
+      youtubeChannelId: "UC_channel",
+      videoTitle: "Live malam",
+      videoPublishedAt: new Date("2025-06-05T12:00:00Z"),
+      liveStreamStartedAt: new Date("2025-06-10T13:00:00Z"),
+    });
+    const publishedAt = new Date("2025-06-10T15:00:00Z");
+    for (let i = 0; i < 5; i++) {
+      await createComment(analysis, {
+        classification: "JUDI",
+        commentPublishedAt: publishedAt,
+        ...(i < 3 && {
+          moderationAction: "rejected",
+          moderationResult: "SUCCESS",
+          moderationAttemptedAt: new Date("2025-06-11T08:00:00Z"),
+        }),
+      });
+    }
+    // Verdict moderator menggantikan verdict AI
+    await createComment(analysis, {
+      classification: "JUDI",
+      humanClassification: "NON_JUDI",
+      commentPublishedAt: publishedAt,
+    });
+    await createComment(analysis, { commentPublishedAt: publishedAt });
+    await createComment(analysis, {
+      classification: "ERROR_ANALYSIS",
+      commentPublishedAt: publishedAt,
+    });
+    // Di luar rentang tanggal dan di luar channel, diabaikan
+    await createComment(analysis, {
+      classification: "JUDI",
+      commentPublishedAt: new Date("2025-05-01T10:00:00Z"),
+    });
+    await createComment(
+      await createAnalysis({
+        userId,
+        youtubeVideoId: "vid00000003",
+        youtubeChannelId: "UC_lain",
+      }),
+      { classification: "JUDI", commentPublishedAt: publishedAt }
+    );
+    await AnalysisStatsArchive.create({
+      userId,
+      analysisId: new mongoose.Types.ObjectId(),
+      youtubeVideoId: "vid00000002",
+      youtubeChannelId: "UC_channel",
+      videoTitle: "Video lama",
+      daily: [
+        { date: new Date("2025-06-04T00:00:00Z"), JUDI: 1, NON_JUDI: 4 },
+        // Di luar rentang, diabaikan
+        { date: new Date("2025-05-01T00:00:00Z"), JUDI: 9, NON_JUDI: 9 },
+      ],
+    });
+
+    const result = await statsService.getTimeSeriesStats(userId, {
+      interval: "week",
+      from: new Date("2025-06-04T00:00:00Z"),
+      to: new Date("2025-06-15T00:00:00Z"),
+      youtubeChannelId: "UC_channel",
+    });
+
+    expect(result.to).toBe("2025-06-15");
+    expect(result.series).toEqual([
+      { period: "2025-06-02", JUDI: 1, NON_JUDI: 4, NEEDS_REVIEW: 0, total: 5 },
+      { period: "2025-06-09", JUDI: 5, NON_JUDI: 2, NEEDS_REVIEW: 0, total: 7 },
+    ]);
+    expect(result.moderation[1]).toEqual({
+      period: "2025-06-09",
+      delete: 0,
+      rejected: 3,
+      heldForReview: 0,
+      published: 0,
+    });
+    expect(result.videos.map((v) => v.youtubeVideoId)).toEqual([
+      "vid00000001",
+      "vid00000002",
+    ]);
+    expect(result.channels).toEqual([
+      {
+        youtubeChannelId: "UC_channel",
+        videoCount: 2,
+        JUDI: 6,
+        NON_JUDI: 6,
+        NEEDS_REVIEW: 0,
+        total: 12,
+      },
+    ]);
+    expect(result.events.map((e) => [e.type, e.period])).toEqual([
+      ["upload", "2025-06-02"],
+      ["live", "2025-06-09"],
+    ]);
+    expect(result.archivedAnalyses).toBe(1);
+  });
+
+  test("menolak rentang tanggal yang terlalu panjang", async () => {
+    await expect(
+      statsService.getTimeSeriesStats(userId, {
+        from: new Date("2020-01-01"),
+        to: new Date("2025-01-01"),
+      })
+    ).rejects.toThrow("Rentang statistik maksimal");
+  });
+});
@@ -0,0 +1,57 @@
+const { normalizeCommentText } = require("../src/utils/textNormalizer");
+
+describe("normalizeCommentText", () => {
+  test.each([
+    ["𝐒𝐋𝐎𝐓 𝐆𝐀𝐂𝐎𝐑", "SLOT GACOR", "UNICODE_STYLED"],
+    ["ＳＬＯＴ maxwin", "SLOT maxwin", "UNICODE_STYLED"],
+    ["ѕlоt gасоr", "slot gacor", "HOMOGLYPHS"],
+    ["sl\u200Bot ga\u200Dcor", "slot gacor", "INVISIBLE_CHARS"],
+    ["g4c0r b4ng3t", "gacor banget", "LEETSPEAK"],
+    ["j.u.d.i online", "judi online", "SPACED_LETTERS"],
+    ["s l o t gacor", "slot gacor", "SPACED_LETTERS"],
+    ["s\u0337l\u0337o\u0337t\u0337 gacor", "slot gacor", "COMBINING_MARKS"],
+    [
+      "g\u0334\u0322\u031Ba\u0336c\u0337o\u0335r\u0338",
+      "gacor",
+      "COMBINING_MARKS",
+    ],
+  ])("%s menjadi %s", (input, expected, transformationType) => {
+    const { text, transformations } = normalizeCommentText(input);
+    expect(text).toBe(expected);
+    expect(transformations.map((t) => t.type)).toContain(transformationType);
+  });
+
+  test("tidak mengubah teks biasa, angka, nama brand berangka, atau email", () => {
+    for (const input of [
+      "videonya bagus, ditonton tahun 2024",
+      "kamu di a ya",
+      "main di sultan77",
+      "hubungi budi@gmail.com atau a$ap",
+    ]) {
+      expect(normalizeCommentText(input)).toEqual({
+        text: input,
+        transformations: [],
+      });
+    }
+  });
+
+  test("mempertahankan variation selector emoji serta tanda vokal aksara Indic dan Arab", () => {
+    for (const input of [
+      "mantap bang \u2764\uFE0F",
+      "नमस्ते दोस्त",
+      "السَّلَامُ عَلَيْكُمْ",
+    ]) {
+      expect(normalizeCommentText(input)).toEqual({
+        text: input,
+        transformations: [],
+      });
+    }
+  });
+
+  test("mencatat jumlah karakter yang diubah per transformasi", () => {
+    expect(normalizeCommentText("𝐒𝐋𝐎𝐓 g4c0r").transformations).toEqual([
+      { type: "UNICODE_STYLED", count: 4 },
+      { type: "LEETSPEAK", count: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+// Batas kecil agar pengambilan balasan paralel mudah diamati
+process.env.YOUTUBE_REPLIES_CONCURRENCY = "2";
+
+const videoAnalysisService = require("../src/api/services/videoAnalysis.service");
+const youtubeService = require("../src/api/services/youtube.service");
+const { QuotaExceededError } = require("../src/utils/errors");
+
+const reply = (id) => ({ id, snippet: { textOriginal: `balasan ${id}` } });
+
+const thread = (id, totalReplyCount, replies = []) => ({
+  snippet: {
+    totalReplyCount,
+    topLevelComment: { id, snippet: { textOriginal: `komentar ${id}` } },
+  },
+  replies: { comments: replies },
+});
+
+describe("videoAnalysisService.collectThreadComments", () => {
+  const analysisEntry = { _id: "analisis-1" };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("mengambil balasan paralel secara terbatas dan menjaga urutan per thread", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const fetchReplies = jest
+      .spyOn(youtubeService, "fetchRepliesForComment")
+      .mockImplementation(async (parentId) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Thread pertama selesai paling akhir
+        await new Promise((resolve) =>
+          setTimeout(resolve, parentId === "Ug1" ? 20 : 5)
+        );
+        inFlight--;
+        return [reply(`${parentId}.a`), reply(`${parentId}.b`)];
+      });
+
+    const collected = await videoAnalysisService.collectThreadComments(
+      [
+        thread("Ug1", 2),
+        thread("Ug2", 0),
+        thread("Ug3", 2),
+        thread("Ug4", 1, [reply("Ug4.a")]),
+        thread("Ug5", 2),
+      ],
+      { youtubeClient: {}, analysisEntry }
+    );
+
+    expect(fetchReplies).toHaveBeenCalledTimes(3);
+    expect(maxInFlight).toBe(2);
+    expect(
+      collected.map((c) => [c.comment.id, c.parentYoutubeCommentId])
+    ).toEqual([
+      ["Ug1", null],
+      ["Ug1.a", "Ug1"],
+      ["Ug1.b", "Ug1"],
+      ["Ug2", null],
+      ["Ug3", null],
+      ["Ug3.a", "Ug3"],
+      ["Ug3.b", "Ug3"],
+      ["Ug4", null],
+      ["Ug4.a", "Ug4"],
+      ["Ug5", null],
+      ["Ug5.a", "Ug5"],
+      ["Ug5.b", "Ug5"],
+    ]);
+  });
+
+  test("kuota habis menghentikan pengambilan, error lain memakai balasan yang ada", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const fetchReplies = jest
+      .spyOn(youtubeService, "fetchRepliesForComment")
+      .mockRejectedValueOnce(new Error("timeout"));
+
+    const collected = await videoAnalysisService.collectThreadComments(
+      [thread("Ug1", 3, [reply("Ug1.a")])],
+      { youtubeClient: {}, analysisEntry }
+    );
+    expect(collected.map((c) => c.comment.id)).toEqual(["Ug1", "Ug1.a"]);
+
+    fetchReplies.mockRejectedValueOnce(new QuotaExceededError("kuota habis"));
+    await expect(
+      videoAnalysisService.collectThreadComments([thread("Ug2", 3)], {
+        youtubeClient: {},
+        analysisEntry,
+      })
+    ).rejects.toBeInstanceOf(QuotaExceededError);
+  });
+});
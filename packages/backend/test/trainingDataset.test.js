@@ -0,0 +1,99 @@
+const {
+  iterateTrainingDataset,
+} = require("../src/api/services/review.service");
+const {
+  exportDatasetQuerySchema,
+} = require("../src/api/validators/review.validator");
+const { toCsvRow } = require("../src/utils/csv");
+const { createAnalysis, createComment } = require("./fixtures");
+
+const collect = async (iterator) => {
+  const rows = [];
+  for await (const row of iterator) rows.push(row);
+  return rows;
+};
+
+describe("iterateTrainingDataset", () => {
+  let analysis;
+
+  // Urutan dataset mengikuti waktu tinjau terbaru, jadi komentar pertama ditinjau terakhir
+  beforeEach(async () => {
+    analysis = await createAnalysis();
+    const comments = [
+      {
+        commentTextOriginal: "Slot GACOR  maxwin",
+        classification: "NEEDS_REVIEW",
+        aiRawClassification: "NON_JUDI",
+        humanClassification: "JUDI",
+        aiModelVersion: "distilbert-flask-v1",
+      },
+      {
+        commentTextOriginal: "slot gacor maxwin",
+        classification: "JUDI",
+        aiRawClassification: "JUDI",
+        humanClassification: "JUDI",
+        aiModelVersion: "distilbert-flask-v1",
+      },
+      {
+        commentTextOriginal: "videonya keren",
+        classification: "NON_JUDI",
+        aiRawClassification: "NON_JUDI",
+        humanClassification: "NON_JUDI",
+      },
+    ];
+    for (const [i, comment] of comments.entries()) {
+      await createComment(analysis, {
+        ...comment,
+        reviewedAt: new Date(Date.UTC(2025, 5, 10 - i, 10)),
+      });
+    }
+    // Belum ditinjau atau milik pengguna lain, tidak ikut dataset
+    await createComment(analysis, { classification: "JUDI" });
+    await createComment(await createAnalysis(), {
+      humanClassification: "JUDI",
+      reviewedAt: new Date("2025-06-11T00:00:00Z"),
+    });
+  });
+
+  test("memakai label verdict manusia dan membuang duplikat", async () => {
+    const rows = await collect(
+      iterateTrainingDataset(analysis.userId, { dedupe: true })
+    );
+    expect(rows).toEqual([
+      { text: "Slot GACOR  maxwin", label: 1 },
+      { text: "videonya keren", label: 0 },
+    ]);
+  });
+
+  test("hanya baris yang verdict manusianya berbeda dari AI", async () => {
+    const rows = await collect(
+      iterateTrainingDataset(analysis.userId, {
+        disagreementOnly: true,
+        aiModelVersion: "distilbert-flask-v1",
+      })
+    );
+    expect(rows).toEqual([{ text: "Slot GACOR  maxwin", label: 1 }]);
+  });
+
+  test("tanggal `to` tanpa jam mencakup tinjauan sepanjang hari itu", async () => {
+    const { value, error } = exportDatasetQuerySchema.validate({
+      to: "2025-06-09",
+    });
+    expect(error).toBeUndefined();
+    expect(value.to).toEqual(new Date("2025-06-09T23:59:59.999Z"));
+
+    const rows = await collect(iterateTrainingDataset(analysis.userId, value));
+    expect(rows).toEqual([
+      { text: "slot gacor maxwin", label: 1 },
+      { text: "videonya keren", label: 0 },
+    ]);
+  });
+});
+
+describe("toCsvRow", () => {
+  test("meng-escape koma, kutip, dan baris baru", () => {
+    expect(toCsvRow(['judi "gacor", daftar\nsekarang', 1])).toBe(
+      '"judi ""gacor"", daftar\nsekarang",1\n'
+    );
+  });
+});
@@ -0,0 +1,125 @@
+// Batas kecil agar re-scan melewati batas thread per re-scan
+process.env.VIDEO_MONITOR_MAX_COMMENTS = "3";
+
+const mongoose = require("mongoose");
+const monitorService = require("../src/api/services/monitor.service");
+const videoAnalysisService = require("../src/api/services/videoAnalysis.service");
+const youtubeService = require("../src/api/services/youtube.service");
+const aiService = require("../src/api/services/ai.service");
+const MonitoredVideo = require("../src/api/models/MonitoredVideo.model");
+const VideoAnalysis = require("../src/api/models/VideoAnalysis.model");
+const AnalyzedComment = require("../src/api/models/AnalyzedComment.model");
+
+const at = (minute) => new Date(Date.UTC(2025, 5, 1, 12, minute));
+
+const thread = (id, publishedAt) => ({
+  snippet: {
+    totalReplyCount: 0,
+    topLevelComment: {
+      id,
+      snippet: {
+        textOriginal: `komentar ${id}`,
+        textDisplay: `komentar ${id}`,
+        authorDisplayName: "Penonton",
+        authorChannelId: { value: "UCpenonton" },
+        publishedAt: publishedAt.toISOString(),
+      },
+    },
+  },
+});
+
+// Client YouTube palsu: commentThreads.list mengembalikan thread terbaru dulu, dua per halaman
+const createYouTubeClient = (threads) => ({
+  commentThreads: {
+    list: jest.fn(async ({ pageToken }) => {
+      const start = Number(pageToken || 0);
+      const items = threads.slice(start, start + 2);
+      return {
+        data: {
+          items,
+          nextPageToken:
+            start + 2 < threads.length ? String(start + 2) : undefined,
+        },
+      };
+    }),
+  },
+});
+
+describe("re-scan inkremental video yang dipantau", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(youtubeService, "getVideoDetails").mockResolvedValue(null);
+    jest
+      .spyOn(aiService, "analyzeTextsWithAI")
+      .mockImplementation(async (texts) =>
+        texts.map(() => ({ classification: "NON_JUDI", confidenceScore: 0.95 }))
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("komentar baru di atas batas re-scan ditunda ke re-scan berikutnya, tidak hilang", async () => {
+    let monitor = await MonitoredVideo.create({
+      userId: new mongoose.Types.ObjectId(),
+      youtubeVideoId: "dQw4w9WgXcQ",
+      intervalMinutes: 60,
+      lastSeenCommentPublishedAt: at(0),
+      nextCheckAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    // Lima thread baru (UgD dan UgE berstempel waktu sama) dan satu thread lama
+    const threads = [
+      thread("UgF", at(5)),
+      thread("UgE", at(3)),
+      thread("UgD", at(3)),
+      thread("UgC", at(2)),
+      thread("UgB", at(1)),
+      thread("UgA", at(0)),
+    ];
+    const youtubeClient = createYouTubeClient(threads);
+    jest
+      .spyOn(youtubeService, "getAuthenticatedYouTubeClient")
+      .mockResolvedValue(youtubeClient);
+
+    const first = await monitorService.scheduleIncrementalScan(monitor);
+    await videoAnalysisService.processVideoAnalysis(first._id);
+
+    // Semua halaman sampai penanda diambil, lalu tiga thread terlama yang diproses
+    expect(youtubeClient.commentThreads.list).toHaveBeenCalledTimes(3);
+    expect(await AnalyzedComment.countDocuments()).toBe(3);
+    expect(await VideoAnalysis.findById(first._id).lean()).toMatchObject({
+      status: "COMPLETED",
+      totalCommentsAnalyzed: 3,
+      hasMoreNewComments: true,
+    });
+    monitor = await MonitoredVideo.findById(monitor._id);
+    // Penanda berhenti tepat sebelum thread tertunda yang berstempel waktu sama
+    expect(monitor.lastSeenCommentPublishedAt).toEqual(
+      new Date(at(3).getTime() - 1)
+    );
+    // Sisa komentar baru dijadwalkan segera
+    expect(monitor.nextCheckAt.getTime()).toBeLessThanOrEqual(Date.now());
+
+    const second = await monitorService.scheduleIncrementalScan(monitor);
+    await videoAnalysisService.processVideoAnalysis(second._id);
+
+    const stored = await AnalyzedComment.find().lean();
+    expect(stored.map((c) => c.youtubeCommentId).sort()).toEqual([
+      "UgB",
+      "UgC",
+      "UgD",
+      "UgE",
+      "UgF",
+    ]);
+    expect(await VideoAnalysis.findById(second._id).lean()).toMatchObject({
+      status: "COMPLETED",
+      totalCommentsAnalyzed: 2,
+      hasMoreNewComments: false,
+    });
+    expect(
+      (await MonitoredVideo.findById(monitor._id).lean())
+        .lastSeenCommentPublishedAt
+    ).toEqual(at(5));
+  });
+});
@@ -9,6 +9,9 @@ import {
   BarChart3,
   UserCircle,
   HandMetal,
+  ClipboardCheck,
+  History,
+  TrendingUp,
 } from "lucide-react";
 
 import { toast } from "react-toastify";
@@ -108,6 +111,12 @@ const Header = () => {
         return <Info size={18} className="mr-2" />;
       case "/analisis":
         return <BarChart3 size={18} className="mr-2" />;
+      case "/tinjauan":
+        return <ClipboardCheck size={18} className="mr-2" />;
+      case "/riwayat":
+        return <History size={18} className="mr-2" />;
+      case "/statistik":
+        return <TrendingUp size={18} className="mr-2" />;
       case "/profile":
         return <UserCircle size={18} className="mr-2" />;
       default:
@@ -149,6 +158,15 @@ const Header = () => {
               <Link to="/analisis" className={navLinkClasses("/analisis")}>
                 {getNavIcon("/analisis")} Analisis
               </Link>
+              <Link to="/tinjauan" className={navLinkClasses("/tinjauan")}>
+                {getNavIcon("/tinjauan")} Tinjauan
+              </Link>
+              <Link to="/riwayat" className={navLinkClasses("/riwayat")}>
+                {getNavIcon("/riwayat")} Riwayat
+              </Link>
+              <Link to="/statistik" className={navLinkClasses("/statistik")}>
+                {getNavIcon("/statistik")} Statistik
+              </Link>
               <Link to="/profile" className={navLinkClasses("/profile")}>
                 {getNavIcon("/profile")} Profil
               </Link>
@@ -215,6 +233,27 @@ const Header = () => {
               >
                 {getNavIcon("/analisis")} Analisis
               </Link>
+              <Link
+                to="/tinjauan"
+                className={navLinkClasses("/tinjauan", true)}
+                onClick={toggleMobileMenu}
+              >
+                {getNavIcon("/tinjauan")} Tinjauan
+              </Link>
+              <Link
+                to="/riwayat"
+                className={navLinkClasses("/riwayat", true)}
+                onClick={toggleMobileMenu}
+              >
+                {getNavIcon("/riwayat")} Riwayat
+              </Link>
+              <Link
+                to="/statistik"
+                className={navLinkClasses("/statistik", true)}
+                onClick={toggleMobileMenu}
+              >
+                {getNavIcon("/statistik")} Statistik
+              </Link>
               <Link
                 to="/profile"
                 className={navLinkClasses("/profile", true)}
@@ -0,0 +1,77 @@
+// src/hooks/author/useTopOffenders.js
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import { getTopOffendersApi, banAuthorApi } from "@/lib/services";
+
+/**
+ * Custom hook untuk daftar pelanggar berulang (penulis dengan komentar judi terbanyak)
+ * beserta aksi sembunyikan semua komentar & blokir penulis.
+ */
+export const useTopOffenders = () => {
+  const [offenders, setOffenders] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [banningId, setBanningId] = useState(null);
+
+  const fetchOffenders = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setOffenders(await getTopOffendersApi());
+    } catch (error) {
+      Swal.fire("Gagal Memuat Pelanggar", error.message, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOffenders();
+  }, [fetchOffenders]);
+
+  /**
+   * Meminta konfirmasi lalu menyembunyikan semua komentar penulis di YouTube.
+   * @param {object} offender - Item dari daftar pelanggar.
+   */
+  const handleBan = useCallback(async (offender) => {
+    const confirmResult = await Swal.fire({
+      title: "Sembunyikan & Blokir?",
+      text: `Semua komentar dari "${
+        offender.authorDisplayName || offender.authorChannelId
+      }" di video Anda akan disembunyikan dari YouTube.`,
+      icon: "warning",
+      input: "checkbox",
+      inputValue: 1,
+      inputPlaceholder: "Blokir juga penulis ini dari channel saya",
+      showCancelButton: true,
+      confirmButtonColor: "#d33",
+      cancelButtonColor: "#3085d6",
+      confirmButtonText: "Ya, Sembunyikan",
+      cancelButtonText: "Batal",
+    });
+    if (!confirmResult.isConfirmed) return;
+
+    setBanningId(offender.authorChannelId);
+    try {
+      const { data, message } = await banAuthorApi(offender.authorChannelId, {
+        banAuthor: Boolean(confirmResult.value),
+      });
+      setOffenders((prev) =>
+        prev.map((o) =>
+          o.authorChannelId === offender.authorChannelId
+            ? {
+                ...o,
+                hiddenComments: o.hiddenComments + data.hiddenCount,
+                isChannelBanned: data.isChannelBanned,
+              }
+            : o
+        )
+      );
+      Swal.fire("Berhasil", message, "success");
+    } catch (error) {
+      Swal.fire("Gagal Memblokir Penulis", error.message, "error");
+    } finally {
+      setBanningId(null);
+    }
+  }, []);
+
+  return { offenders, isLoading, banningId, fetchOffenders, handleBan };
+};
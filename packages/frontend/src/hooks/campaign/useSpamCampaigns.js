@@ -0,0 +1,98 @@
+// src/hooks/campaign/useSpamCampaigns.js
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import {
+  getCampaignsApi,
+  rebuildCampaignsApi,
+  moderateCampaignApi,
+} from "@/lib/services";
+
+/**
+ * Custom hook untuk kampanye spam (kelompok komentar hampir identik lintas video)
+ * beserta aksi pengelompokan ulang dan sembunyikan seluruh anggota kampanye.
+ */
+export const useSpamCampaigns = () => {
+  const [campaigns, setCampaigns] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRebuilding, setIsRebuilding] = useState(false);
+  const [moderatingId, setModeratingId] = useState(null);
+
+  const fetchCampaigns = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setCampaigns(await getCampaignsApi());
+    } catch (error) {
+      Swal.fire("Gagal Memuat Kampanye", error.message, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  const handleRebuild = useCallback(async () => {
+    setIsRebuilding(true);
+    try {
+      const { message } = await rebuildCampaignsApi();
+      await fetchCampaigns();
+      Swal.fire("Selesai", message, "success");
+    } catch (error) {
+      Swal.fire("Gagal Mengelompokkan", error.message, "error");
+    } finally {
+      setIsRebuilding(false);
+    }
+  }, [fetchCampaigns]);
+
+  /**
+   * Meminta konfirmasi lalu menyembunyikan semua komentar kampanye di YouTube.
+   * @param {object} campaign - Item dari daftar kampanye.
+   */
+  const handleHideAll = useCallback(async (campaign) => {
+    const confirmResult = await Swal.fire({
+      title: "Sembunyikan Kampanye?",
+      text: `${campaign.size} komentar dari ${campaign.authorCount} penulis di ${campaign.videoCount} video akan disembunyikan dari YouTube.`,
+      icon: "warning",
+      input: "checkbox",
+      inputValue: 0,
+      inputPlaceholder: "Blokir juga semua penulisnya dari channel saya",
+      showCancelButton: true,
+      confirmButtonColor: "#d33",
+      cancelButtonColor: "#3085d6",
+      confirmButtonText: "Ya, Sembunyikan Semua",
+      cancelButtonText: "Batal",
+    });
+    if (!confirmResult.isConfirmed) return;
+
+    setModeratingId(campaign._id);
+    try {
+      const { data, message } = await moderateCampaignApi(campaign._id, {
+        moderationStatus: "rejected",
+        banAuthor: Boolean(confirmResult.value),
+      });
+      setCampaigns((prev) =>
+        prev.map((c) =>
+          c._id === campaign._id
+            ? { ...c, moderationStatus: data.moderationStatus }
+            : c
+        )
+      );
+      Swal.fire("Berhasil", message, "success");
+    } catch (error) {
+      Swal.fire("Gagal Menyembunyikan Kampanye", error.message, "error");
+    } finally {
+      setModeratingId(null);
+    }
+  }, []);
+
+  return {
+    campaigns,
+    isLoading,
+    isRebuilding,
+    moderatingId,
+    fetchCampaigns,
+    handleRebuild,
+    handleHideAll,
+  };
+};
@@ -0,0 +1,69 @@
+// File: src/hooks/profile/useAuditLog.js
+
+import { useState, useEffect, useCallback } from "react";
+import { getAuditLogApi } from "@/lib/services";
+
+const PAGE_SIZE = 20;
+
+/**
+ * Mengambil audit log pengguna per halaman (kursor `before`) dengan filter aksi/hasil.
+ * Mengganti filter memuat ulang dari halaman pertama.
+ */
+export const useAuditLog = () => {
+  const [filters, setFilters] = useState({ action: "", result: "" });
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPage = useCallback(
+    async (before) => {
+      setIsLoading(true);
+      try {
+        // Kirim hanya filter yang terisi
+        const params = Object.fromEntries(
+          Object.entries(filters).filter(([, value]) => value)
+        );
+        const page = await getAuditLogApi({
+          ...params,
+          limit: PAGE_SIZE,
+          ...(before && { before }),
+        });
+        setEntries((prev) =>
+          before ? [...prev, ...page.entries] : page.entries
+        );
+        setNextCursor(page.nextCursor);
+        setError(null);
+      } catch (err) {
+        console.error("Gagal mengambil audit log:", err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [filters]
+  );
+
+  useEffect(() => {
+    fetchPage();
+  }, [fetchPage]);
+
+  const updateFilter = useCallback((name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const loadMore = useCallback(() => {
+    if (nextCursor) fetchPage(nextCursor);
+  }, [fetchPage, nextCursor]);
+
+  return {
+    entries,
+    filters,
+    isLoading,
+    error,
+    hasMore: Boolean(nextCursor),
+    updateFilter,
+    loadMore,
+    refresh: () => fetchPage(),
+  };
+};
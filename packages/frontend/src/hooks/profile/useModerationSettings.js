@@ -0,0 +1,97 @@
+// File: src/hooks/profile/useModerationSettings.js
+
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import {
+  getModerationSettingsApi,
+  updateModerationSettingsApi,
+} from "@/lib/services";
+
+/**
+ * Mengelola ambang keyakinan moderasi pengguna:
+ * - `autoActionThreshold`: di atas nilai ini komentar langsung dianggap JUDI dan ikut dihapus massal.
+ * - `reviewThreshold`: di antara nilai ini dan ambang aksi otomatis komentar menjadi NEEDS_REVIEW.
+ * - `blockedDomains`: domain tambahan yang selalu membuat komentar berstatus JUDI.
+ */
+export const useModerationSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  // Blocklist diedit sebagai teks satu domain per baris
+  const [blockedDomainsText, setBlockedDomainsText] = useState("");
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await getModerationSettingsApi();
+        setSettings(response.data.moderationSettings);
+        setBlockedDomainsText(
+          response.data.moderationSettings.blockedDomains.join("\n")
+        );
+      } catch (error) {
+        console.error("Gagal mengambil pengaturan moderasi:", error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleThresholdChange = useCallback((name, value) => {
+    setSettings((prev) => ({ ...prev, [name]: Number(value) }));
+  }, []);
+
+  const saveSettings = useCallback(async () => {
+    if (!settings) return;
+    if (settings.reviewThreshold > settings.autoActionThreshold) {
+      Swal.fire(
+        "Ambang Tidak Valid",
+        "Ambang tinjauan tidak boleh lebih besar dari ambang aksi otomatis.",
+        "warning"
+      );
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const blockedDomains = [
+        ...new Set(
+          blockedDomainsText
+            .split(/[\s,]+/)
+            .map((domain) => domain.trim().toLowerCase())
+            .filter(Boolean)
+        ),
+      ];
+      const response = await updateModerationSettingsApi({
+        autoActionThreshold: settings.autoActionThreshold,
+        reviewThreshold: settings.reviewThreshold,
+        blockedDomains,
+      });
+      setSettings(response.data.moderationSettings);
+      setBlockedDomainsText(
+        response.data.moderationSettings.blockedDomains.join("\n")
+      );
+      Swal.fire({
+        icon: "success",
+        title: "Tersimpan",
+        text: "Ambang baru berlaku untuk analisis dan penghapusan berikutnya.",
+        timer: 2000,
+        showConfirmButton: false,
+      });
+    } catch (error) {
+      Swal.fire("Gagal Menyimpan", error.message, "error");
+    } finally {
+      setIsSaving(false);
+    }
+  }, [settings, blockedDomainsText]);
+
+  return {
+    settings,
+    isLoading,
+    isSaving,
+    blockedDomainsText,
+    setBlockedDomainsText,
+    handleThresholdChange,
+    saveSettings,
+  };
+};
@@ -0,0 +1,33 @@
+// File: src/hooks/profile/useQuotaUsage.js
+
+import { useState, useEffect, useCallback } from "react";
+import { getQuotaUsageApi } from "@/lib/services";
+
+/**
+ * Mengambil pemakaian kuota YouTube Data API pengguna: sisa anggaran hari ini,
+ * rincian per operasi, dan total unit per hari untuk seminggu terakhir.
+ */
+export const useQuotaUsage = () => {
+  const [quotaUsage, setQuotaUsage] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchQuotaUsage = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setQuotaUsage(await getQuotaUsageApi(7));
+      setError(null);
+    } catch (err) {
+      console.error("Gagal mengambil pemakaian kuota:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQuotaUsage();
+  }, [fetchQuotaUsage]);
+
+  return { quotaUsage, isLoading, error, refresh: fetchQuotaUsage };
+};
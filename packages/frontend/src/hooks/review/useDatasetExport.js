@@ -0,0 +1,49 @@
+// src/hooks/review/useDatasetExport.js
+import { useState, useCallback } from "react";
+import Swal from "sweetalert2";
+import { exportTrainingDatasetApi } from "@/lib/services";
+import { saveBlobAsFile } from "@/lib/utils/download";
+
+const INITIAL_FILTERS = {
+  format: "jsonl",
+  from: "",
+  to: "",
+  aiModelVersion: "",
+  disagreementOnly: false,
+  dedupe: true,
+};
+
+/**
+ * Custom hook untuk mengunduh komentar yang sudah ditinjau sebagai dataset latih
+ * `{text, label}` untuk model DistilBERT.
+ */
+export const useDatasetExport = () => {
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleFilterChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    setFilters((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  }, []);
+
+  const handleExport = useCallback(async () => {
+    setIsExporting(true);
+    try {
+      // Filter kosong tidak dikirim agar tidak gagal validasi di backend
+      const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== "")
+      );
+      const { blob, filename } = await exportTrainingDatasetApi(params);
+      saveBlobAsFile(blob, filename);
+    } catch (error) {
+      Swal.fire("Gagal Mengunduh Dataset", error.message, "error");
+    } finally {
+      setIsExporting(false);
+    }
+  }, [filters]);
+
+  return { filters, isExporting, handleFilterChange, handleExport };
+};
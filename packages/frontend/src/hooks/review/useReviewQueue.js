@@ -0,0 +1,95 @@
+// src/hooks/review/useReviewQueue.js
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import {
+  getReviewQueueApi,
+  submitReviewVerdictApi,
+  clearReviewVerdictApi,
+} from "@/lib/services";
+
+/**
+ * Custom hook untuk antrean tinjauan manusia: daftar komentar NEEDS_REVIEW yang
+ * belum ditinjau (`pending`) atau riwayat komentar yang sudah ditinjau (`reviewed`).
+ */
+export const useReviewQueue = () => {
+  const [status, setStatus] = useState("pending");
+  const [comments, setComments] = useState([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [submittingId, setSubmittingId] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await getReviewQueueApi({ status });
+      setComments(result.comments);
+      setPendingCount(result.pendingCount);
+    } catch (error) {
+      Swal.fire("Gagal Memuat Antrean", error.message, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  /**
+   * Menyimpan verdict moderator. Di tab `pending` komentar langsung keluar dari daftar.
+   * @param {string} commentId - _id AnalyzedComment.
+   * @param {"JUDI"|"NON_JUDI"} classification
+   */
+  const handleVerdict = useCallback(
+    async (commentId, classification) => {
+      setSubmittingId(commentId);
+      try {
+        const updated = await submitReviewVerdictApi(commentId, classification);
+        if (status === "pending") {
+          setComments((prev) => prev.filter((c) => c._id !== commentId));
+          setPendingCount((prev) => Math.max(prev - 1, 0));
+        } else {
+          setComments((prev) =>
+            prev.map((c) => (c._id === commentId ? { ...c, ...updated } : c))
+          );
+        }
+      } catch (error) {
+        Swal.fire("Gagal Menyimpan Verdict", error.message, "error");
+      } finally {
+        setSubmittingId(null);
+      }
+    },
+    [status]
+  );
+
+  /**
+   * Menghapus verdict moderator lalu memuat ulang antrean.
+   * @param {string} commentId - _id AnalyzedComment.
+   */
+  const handleClearVerdict = useCallback(
+    async (commentId) => {
+      setSubmittingId(commentId);
+      try {
+        await clearReviewVerdictApi(commentId);
+        await fetchQueue();
+      } catch (error) {
+        Swal.fire("Gagal Menghapus Verdict", error.message, "error");
+      } finally {
+        setSubmittingId(null);
+      }
+    },
+    [fetchQueue]
+  );
+
+  return {
+    status,
+    setStatus,
+    comments,
+    pendingCount,
+    isLoading,
+    submittingId,
+    fetchQueue,
+    handleVerdict,
+    handleClearVerdict,
+  };
+};
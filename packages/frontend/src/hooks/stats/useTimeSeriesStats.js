@@ -0,0 +1,82 @@
+// File: src/hooks/stats/useTimeSeriesStats.js
+
+import { useState, useEffect, useCallback } from "react";
+import { getTimeSeriesStatsApi } from "@/lib/services";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tanggal ISO (YYYY-MM-DD) N hari sebelum hari ini
+const daysAgo = (days) =>
+  new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Mengambil statistik tren komentar untuk dashboard. Filter berisi interval, jumlah
+ * hari ke belakang, serta video/channel opsional; mengganti filter memuat ulang data.
+ * Daftar video dibatasi backend ke video dengan komentar judi terbanyak.
+ */
+export const useTimeSeriesStats = () => {
+  const [filters, setFilters] = useState({
+    interval: "day",
+    rangeDays: 30,
+    youtubeChannelId: "",
+    youtubeVideoId: "",
+  });
+  const [stats, setStats] = useState(null);
+  // Pilihan filter channel/video diambil dari respons tanpa filter tersebut, agar
+  // daftarnya tidak menyusut menjadi satu item setelah dipilih
+  const [channelOptions, setChannelOptions] = useState([]);
+  const [videoOptions, setVideoOptions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const { rangeDays, ...rest } = filters;
+      // Kirim hanya filter yang terisi
+      const params = Object.fromEntries(
+        Object.entries(rest).filter(([, value]) => value)
+      );
+      const data = await getTimeSeriesStatsApi({
+        ...params,
+        from: daysAgo(rangeDays - 1),
+        to: daysAgo(0),
+      });
+      setStats(data);
+      if (!rest.youtubeVideoId) {
+        setVideoOptions(data.videos);
+        if (!rest.youtubeChannelId) setChannelOptions(data.channels);
+      }
+      setError(null);
+    } catch (err) {
+      console.error("Gagal mengambil statistik tren:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  const updateFilter = useCallback((name, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [name]: value,
+      // Video yang dipilih belum tentu milik channel baru
+      ...(name === "youtubeChannelId" && { youtubeVideoId: "" }),
+    }));
+  }, []);
+
+  return {
+    stats,
+    filters,
+    isLoading,
+    error,
+    channelOptions,
+    videoOptions,
+    updateFilter,
+    refresh: fetchStats,
+  };
+};
@@ -0,0 +1,30 @@
+// src/hooks/video-analysis/useAnalysisExport.js
+import { useState, useCallback } from "react";
+import Swal from "sweetalert2";
+import { exportAnalysisApi } from "@/lib/services";
+import { saveBlobAsFile } from "@/lib/utils/download";
+
+/**
+ * Custom hook untuk mengunduh komentar hasil sebuah analisis (CSV, JSON, atau XLSX).
+ * @param {string} analysisId - ID VideoAnalysis yang sedang dilihat.
+ */
+export const useAnalysisExport = (analysisId) => {
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  const handleExport = useCallback(
+    async (format) => {
+      setExportingFormat(format);
+      try {
+        const { blob, filename } = await exportAnalysisApi(analysisId, format);
+        saveBlobAsFile(blob, filename);
+      } catch (error) {
+        Swal.fire("Gagal Mengunduh Hasil", error.message, "error");
+      } finally {
+        setExportingFormat(null);
+      }
+    },
+    [analysisId]
+  );
+
+  return { exportingFormat, handleExport };
+};
@@ -0,0 +1,159 @@
+// File: src/hooks/video-analysis/useAnalysisHistory.js
+
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import {
+  getVideoAnalysesApi,
+  deleteVideoAnalysisApi,
+  clearAnalysisHistoryApi,
+} from "@/lib/services";
+
+const PAGE_SIZE = 20;
+
+// Opsi konfirmasi bersama untuk hapus analisis: centang untuk menyimpan statistik anonim
+const KEEP_STATS_CONFIRM_OPTIONS = {
+  icon: "warning",
+  input: "checkbox",
+  inputValue: 1,
+  inputPlaceholder:
+    "Simpan statistik anonim (jumlah per klasifikasi & tanggal, tanpa teks atau penulis)",
+  showCancelButton: true,
+  confirmButtonColor: "#d33",
+  cancelButtonColor: "#3085d6",
+  cancelButtonText: "Batal",
+};
+
+/**
+ * Mengambil riwayat analisis pengguna per halaman (kursor `before`) dengan filter
+ * status, sumber, dan pencarian judul/ID video. Mengganti filter memuat ulang dari
+ * halaman pertama. Juga menyediakan hapus satu analisis dan hapus riwayat lama.
+ */
+export const useAnalysisHistory = () => {
+  const [filters, setFilters] = useState({ status: "", source: "", q: "" });
+  const [analyses, setAnalyses] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const fetchPage = useCallback(
+    async (before) => {
+      setIsLoading(true);
+      try {
+        // Kirim hanya filter yang terisi
+        const params = Object.fromEntries(
+          Object.entries(filters).filter(([, value]) => value)
+        );
+        const page = await getVideoAnalysesApi({
+          ...params,
+          limit: PAGE_SIZE,
+          ...(before && { before }),
+        });
+        setAnalyses((prev) =>
+          before ? [...prev, ...page.analyses] : page.analyses
+        );
+        setNextCursor(page.nextCursor);
+        setError(null);
+      } catch (err) {
+        console.error("Gagal mengambil riwayat analisis:", err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [filters]
+  );
+
+  useEffect(() => {
+    fetchPage();
+  }, [fetchPage]);
+
+  const updateFilter = useCallback((name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const loadMore = useCallback(() => {
+    if (nextCursor) fetchPage(nextCursor);
+  }, [fetchPage, nextCursor]);
+
+  /**
+   * Meminta konfirmasi lalu menghapus satu analisis beserta komentar tersimpannya.
+   * @param {object} analysis - Item dari daftar riwayat.
+   */
+  const deleteAnalysis = useCallback(async (analysis) => {
+    const confirmResult = await Swal.fire({
+      ...KEEP_STATS_CONFIRM_OPTIONS,
+      title: "Hapus Analisis?",
+      text: `Analisis "${analysis.videoTitle || analysis.youtubeVideoId}" dan semua komentar tersimpannya akan dihapus permanen dari Judi Guard. Komentar di YouTube tidak terpengaruh.`,
+      confirmButtonText: "Ya, Hapus",
+    });
+    if (!confirmResult.isConfirmed) return;
+
+    setIsDeleting(true);
+    try {
+      await deleteVideoAnalysisApi(analysis._id, {
+        keepStats: Boolean(confirmResult.value),
+      });
+      setAnalyses((prev) => prev.filter((a) => a._id !== analysis._id));
+    } catch (err) {
+      Swal.fire("Gagal Menghapus Analisis", err.message, "error");
+    } finally {
+      setIsDeleting(false);
+    }
+  }, []);
+
+  /**
+   * Meminta konfirmasi lalu menghapus semua analisis yang lebih lama dari N hari.
+   * @param {number} olderThanDays
+   */
+  const clearOlderThan = useCallback(
+    async (olderThanDays) => {
+      const confirmResult = await Swal.fire({
+        ...KEEP_STATS_CONFIRM_OPTIONS,
+        title: "Hapus Riwayat Lama?",
+        text: `Semua analisis yang dibuat lebih dari ${olderThanDays} hari lalu beserta komentar tersimpannya akan dihapus permanen. Analisis yang masih diproses dilewati.`,
+        confirmButtonText: "Ya, Hapus Semua",
+      });
+      if (!confirmResult.isConfirmed) return;
+
+      setIsDeleting(true);
+      try {
+        const result = await clearAnalysisHistoryApi({
+          olderThanDays,
+          keepStats: Boolean(confirmResult.value),
+        });
+        Swal.fire({
+          title: "Riwayat Lama Dihapus",
+          text: `${result.deletedAnalyses} analisis dan ${result.deletedComments} komentar dihapus${
+            result.skippedAnalyses > 0
+              ? `, ${result.skippedAnalyses} analisis yang masih berjalan dilewati`
+              : ""
+          }.`,
+          icon: "success",
+          timer: 3000,
+          showConfirmButton: false,
+        });
+        fetchPage();
+      } catch (err) {
+        Swal.fire("Gagal Menghapus Riwayat", err.message, "error");
+      } finally {
+        setIsDeleting(false);
+      }
+    },
+    [fetchPage]
+  );
+
+  return {
+    analyses,
+    filters,
+    isLoading,
+    error,
+    hasMore: Boolean(nextCursor),
+    isDeleting,
+    updateFilter,
+    loadMore,
+    deleteAnalysis,
+    clearOlderThan,
+    refresh: () => fetchPage(),
+  };
+};
@@ -0,0 +1,155 @@
+// src/hooks/video-analysis/useBatchDeletion.js
+import { useState, useEffect, useCallback, useMemo } from "react";
+import Swal from "sweetalert2";
+import {
+  previewBatchDeletionApi,
+  batchDeleteJudiCommentsApi,
+  getDeletionJobApi,
+  resumeDeletionJobApi,
+} from "@/lib/services";
+
+// Interval untuk polling progres job penghapusan (dalam milidetik)
+const POLLING_INTERVAL = 3000; // 3 detik
+const ACTIVE_JOB_STATUSES = ["QUEUED", "RUNNING"];
+
+/**
+ * Custom hook untuk penghapusan massal komentar judi sebuah analisis:
+ * memuat pratinjau dry-run, mengecualikan komentar tertentu, menjalankan job,
+ * lalu polling progresnya sampai selesai atau terjeda karena kuota.
+ * @param {string} analysisId - ID VideoAnalysis yang sedang dilihat.
+ * @param {object} [options]
+ * @param {Function} [options.onFinished] - Dipanggil saat job selesai/terjeda, misal untuk memuat ulang komentar.
+ */
+export const useBatchDeletion = (analysisId, { onFinished } = {}) => {
+  const [preview, setPreview] = useState(null);
+  const [excludedIds, setExcludedIds] = useState(() => new Set());
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [job, setJob] = useState(null);
+
+  const isJobActive = ACTIVE_JOB_STATUSES.includes(job?.status);
+
+  // Muat job terakhir (jika ada) agar progres tetap terlihat setelah halaman dimuat ulang
+  useEffect(() => {
+    if (!analysisId) return;
+    setJob(null);
+    getDeletionJobApi(analysisId)
+      .then(setJob)
+      .catch(() => {}); // 404: analisis ini belum pernah dihapus massal
+  }, [analysisId]);
+
+  const openPreview = useCallback(async () => {
+    setIsLoadingPreview(true);
+    try {
+      setPreview(await previewBatchDeletionApi(analysisId));
+      setExcludedIds(new Set());
+    } catch (error) {
+      Swal.fire("Gagal Memuat Pratinjau", error.message, "error");
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  }, [analysisId]);
+
+  const closePreview = useCallback(() => setPreview(null), []);
+
+  const toggleExcluded = useCallback((commentId) => {
+    setExcludedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(commentId)) next.delete(commentId);
+      else next.add(commentId);
+      return next;
+    });
+  }, []);
+
+  // Ringkasan aksi dan perkiraan kuota untuk komentar yang tidak dikecualikan
+  const selection = useMemo(() => {
+    if (!preview) return null;
+    const included = preview.targets.filter((c) => !excludedIds.has(c._id));
+    const deleteCount = included.filter((c) => c.action === "delete").length;
+    const rejectedCount = included.length - deleteCount;
+    const {
+      deletePerComment,
+      moderationPerRequest,
+      commentsPerModerationRequest,
+    } = preview.quotaCosts;
+    const estimatedQuotaCost =
+      deleteCount * deletePerComment +
+      Math.ceil(rejectedCount / commentsPerModerationRequest) *
+        moderationPerRequest;
+    return {
+      total: included.length,
+      deleteCount,
+      rejectedCount,
+      estimatedQuotaCost,
+      isWithinBudget: estimatedQuotaCost <= preview.quota.remainingUnits,
+    };
+  }, [preview, excludedIds]);
+
+  const runBatchDeletion = useCallback(async () => {
+    if (!selection || selection.total === 0) return;
+    setIsSubmitting(true);
+    try {
+      const newJob = await batchDeleteJudiCommentsApi(analysisId, {
+        excludeCommentIds: [...excludedIds],
+      });
+      setJob(newJob);
+      setPreview(null);
+      Swal.fire({
+        title: "Penghapusan Massal Dimulai",
+        text: `${newJob.totalTargeted} komentar diproses bertahap di latar belakang.`,
+        icon: "info",
+        timer: 3000,
+        showConfirmButton: false,
+      });
+    } catch (error) {
+      Swal.fire("Gagal Memulai Penghapusan", error.message, "error");
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [analysisId, excludedIds, selection]);
+
+  const resumeJob = useCallback(async () => {
+    setIsSubmitting(true);
+    try {
+      setJob(await resumeDeletionJobApi(analysisId));
+    } catch (error) {
+      Swal.fire("Gagal Melanjutkan", error.message, "error");
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [analysisId]);
+
+  // Efek polling progres selama job masih antre/berjalan
+  useEffect(() => {
+    if (!analysisId || !isJobActive) return undefined;
+
+    const intervalId = setInterval(async () => {
+      try {
+        const latestJob = await getDeletionJobApi(analysisId);
+        setJob(latestJob);
+        if (!ACTIVE_JOB_STATUSES.includes(latestJob.status)) {
+          onFinished?.();
+        }
+      } catch (error) {
+        console.error("Polling job penghapusan error:", error);
+      }
+    }, POLLING_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, [analysisId, isJobActive, onFinished]);
+
+  return {
+    preview,
+    excludedIds,
+    selection,
+    isLoadingPreview,
+    isSubmitting,
+    job,
+    isJobActive,
+    openPreview,
+    closePreview,
+    toggleExcluded,
+    runBatchDeletion,
+    resumeJob,
+  };
+};
@@ -0,0 +1,101 @@
+// src/hooks/video-analysis/useChannelScan.js
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import { startChannelScanApi, getChannelScanApi } from "@/lib/services";
+
+// Interval untuk polling ringkasan scan channel (dalam milidetik)
+const POLLING_INTERVAL = 5000; // 5 detik
+
+/**
+ * Custom hook untuk scan seluruh channel YouTube yang terhubung.
+ * Mengelola filter (rentang tanggal dan jumlah video), memulai scan,
+ * dan polling ringkasan per video sampai semua analisis selesai.
+ */
+export const useChannelScan = () => {
+  const [filters, setFilters] = useState({
+    publishedAfter: "",
+    publishedBefore: "",
+    maxVideos: 20,
+  });
+  const [isStarting, setIsStarting] = useState(false);
+  const [channelScanId, setChannelScanId] = useState(null);
+  const [scanSummary, setScanSummary] = useState(null);
+
+  const isScanning = scanSummary?.status === "PROCESSING";
+
+  /**
+   * Mengubah satu field filter.
+   * @param {string} field - Nama field (`publishedAfter`, `publishedBefore`, `maxVideos`).
+   * @param {string|number} value - Nilai baru.
+   */
+  const updateFilter = useCallback((field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  }, []);
+
+  const handleStartScan = useCallback(async () => {
+    // Field tanggal yang kosong tidak dikirim agar tidak ditolak validator backend
+    const payload = { maxVideos: Number(filters.maxVideos) || 20 };
+    if (filters.publishedAfter) payload.publishedAfter = filters.publishedAfter;
+    if (filters.publishedBefore)
+      payload.publishedBefore = filters.publishedBefore;
+
+    setIsStarting(true);
+    try {
+      const summary = await startChannelScanApi(payload);
+      setChannelScanId(summary.scan._id);
+      setScanSummary(summary);
+
+      if (summary.totals.videosQueued === 0) {
+        Swal.fire(
+          "Tidak Ada Video",
+          "Tidak ada video di channel Anda yang cocok dengan filter.",
+          "info"
+        );
+      } else {
+        Swal.fire({
+          title: "Scan Channel Dimulai",
+          text: `${summary.totals.videosQueued} video masuk antrean analisis. Ringkasan akan diperbarui otomatis.`,
+          icon: "info",
+          timer: 3000,
+          showConfirmButton: false,
+        });
+      }
+    } catch (error) {
+      Swal.fire("Gagal Memulai Scan", error.message, "error");
+    } finally {
+      setIsStarting(false);
+    }
+  }, [filters]);
+
+  // Efek polling ringkasan selama masih ada video yang diproses
+  useEffect(() => {
+    if (!channelScanId || !isScanning) return undefined;
+
+    const intervalId = setInterval(async () => {
+      try {
+        const summary = await getChannelScanApi(channelScanId);
+        setScanSummary(summary);
+        if (summary.status !== "PROCESSING") {
+          Swal.fire(
+            "Scan Channel Selesai!",
+            `${summary.totals.judiComments} komentar judi ditemukan di ${summary.totals.videosCompleted} video.`,
+            "success"
+          );
+        }
+      } catch (error) {
+        console.error("Polling scan channel error:", error);
+      }
+    }, POLLING_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, [channelScanId, isScanning]);
+
+  return {
+    filters,
+    updateFilter,
+    isStarting,
+    isScanning,
+    scanSummary,
+    handleStartScan,
+  };
+};
@@ -0,0 +1,120 @@
+// src/hooks/video-analysis/useMonitoredVideos.js
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import {
+  getMonitoredVideosApi,
+  watchVideoApi,
+  updateMonitoredVideoApi,
+  unwatchVideoApi,
+} from "@/lib/services";
+import { validateYoutubeUrl } from "@/lib/utils/form-validators";
+
+// Pilihan interval re-scan (dalam menit) yang ditawarkan di UI
+export const MONITOR_INTERVAL_OPTIONS = [
+  { value: 60, label: "Setiap jam" },
+  { value: 6 * 60, label: "Setiap 6 jam" },
+  { value: 12 * 60, label: "Setiap 12 jam" },
+  { value: 24 * 60, label: "Setiap hari" },
+];
+
+/**
+ * Custom hook untuk mengelola daftar video yang dipantau (re-scan terjadwal).
+ */
+export const useMonitoredVideos = () => {
+  const [monitors, setMonitors] = useState([]);
+  const [videoUrl, setVideoUrl] = useState("");
+  const [intervalMinutes, setIntervalMinutes] = useState(24 * 60);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchMonitors = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setMonitors(await getMonitoredVideosApi());
+    } catch (error) {
+      console.error("Gagal mengambil video yang dipantau:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMonitors();
+  }, [fetchMonitors]);
+
+  const handleWatchVideo = useCallback(async () => {
+    const urlError = validateYoutubeUrl(videoUrl);
+    if (urlError) {
+      Swal.fire("URL Tidak Valid", urlError, "warning");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await watchVideoApi(videoUrl, intervalMinutes);
+      setVideoUrl("");
+      await fetchMonitors();
+      Swal.fire({
+        title: "Video Dipantau",
+        text: "Komentar baru akan dianalisis otomatis sesuai interval.",
+        icon: "success",
+        timer: 2500,
+        showConfirmButton: false,
+      });
+    } catch (error) {
+      Swal.fire("Gagal Memantau Video", error.message, "error");
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [videoUrl, intervalMinutes, fetchMonitors]);
+
+  /**
+   * Memperbarui pengaturan satu video yang dipantau lalu menyegarkan daftarnya.
+   * @param {string} monitorId - ID MonitoredVideo.
+   * @param {object} updates - `{ intervalMinutes?, isActive? }`.
+   */
+  const handleUpdateMonitor = useCallback(async (monitorId, updates) => {
+    try {
+      const updated = await updateMonitoredVideoApi(monitorId, updates);
+      setMonitors((prev) =>
+        prev.map((m) => (m._id === monitorId ? updated : m))
+      );
+    } catch (error) {
+      Swal.fire("Gagal Memperbarui", error.message, "error");
+    }
+  }, []);
+
+  const handleUnwatch = useCallback(async (monitorId, videoTitle) => {
+    const confirmResult = await Swal.fire({
+      title: "Berhenti memantau?",
+      text: `"${videoTitle}" tidak akan di-scan ulang lagi. Riwayat analisis tetap tersimpan.`,
+      icon: "warning",
+      showCancelButton: true,
+      confirmButtonColor: "#d33",
+      cancelButtonColor: "#3085d6",
+      confirmButtonText: "Ya, Berhenti",
+      cancelButtonText: "Batal",
+    });
+    if (!confirmResult.isConfirmed) return;
+
+    try {
+      await unwatchVideoApi(monitorId);
+      setMonitors((prev) => prev.filter((m) => m._id !== monitorId));
+    } catch (error) {
+      Swal.fire("Gagal", error.message, "error");
+    }
+  }, []);
+
+  return {
+    monitors,
+    videoUrl,
+    setVideoUrl,
+    intervalMinutes,
+    setIntervalMinutes,
+    isLoading,
+    isSubmitting,
+    handleWatchVideo,
+    handleUpdateMonitor,
+    handleUnwatch,
+  };
+};
@@ -0,0 +1,28 @@
+// src/hooks/video-analysis/usePromotedDestinations.js
+import { useState, useCallback } from "react";
+import Swal from "sweetalert2";
+import { getPromotedDestinationsApi } from "@/lib/services";
+
+/**
+ * Custom hook untuk laporan tujuan promosi (domain, nomor WhatsApp, handle Telegram/IG)
+ * yang paling sering muncul di komentar channel yang terhubung.
+ */
+export const usePromotedDestinations = () => {
+  const [type, setType] = useState("");
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const fetchReport = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      // Tipe kosong berarti semua tipe, jadi tidak dikirim ke backend
+      setReport(await getPromotedDestinationsApi(type ? { type } : {}));
+    } catch (error) {
+      Swal.fire("Gagal Memuat Laporan", error.message, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [type]);
+
+  return { type, setType, report, isLoading, fetchReport };
+};
@@ -0,0 +1,90 @@
+// src/hooks/video-analysis/useReclassification.js
+import { useState, useEffect, useCallback } from "react";
+import Swal from "sweetalert2";
+import {
+  startReclassificationApi,
+  getReclassificationJobApi,
+} from "@/lib/services";
+
+// Interval untuk polling progres job klasifikasi ulang (dalam milidetik)
+const POLLING_INTERVAL = 3000; // 3 detik
+const ACTIVE_JOB_STATUSES = ["QUEUED", "RUNNING"];
+
+/**
+ * Custom hook untuk mengklasifikasi ulang komentar tersimpan sebuah analisis dengan
+ * model AI terbaru, lalu polling progresnya sampai selesai.
+ * @param {string} analysisId - ID VideoAnalysis yang sedang dilihat.
+ * @param {object} [options]
+ * @param {Function} [options.onFinished] - Dipanggil saat job selesai, misal untuk memuat ulang komentar.
+ */
+export const useReclassification = (analysisId, { onFinished } = {}) => {
+  const [job, setJob] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isJobActive = ACTIVE_JOB_STATUSES.includes(job?.status);
+
+  // Job milik analisis lain tidak relevan lagi saat berpindah analisis
+  useEffect(() => {
+    setJob(null);
+  }, [analysisId]);
+
+  const startReclassification = useCallback(async () => {
+    const confirmResult = await Swal.fire({
+      title: "Klasifikasi Ulang Komentar?",
+      text: "Semua komentar analisis ini akan dinilai ulang dengan model AI terbaru tanpa mengambil ulang dari YouTube. Verdict lama tetap disimpan sebagai riwayat, dan verdict yang sudah Anda tinjau tidak berubah.",
+      icon: "question",
+      showCancelButton: true,
+      confirmButtonColor: "#0d9488",
+      cancelButtonColor: "#545454",
+      confirmButtonText: "Ya, Klasifikasi Ulang",
+      cancelButtonText: "Batal",
+    });
+    if (!confirmResult.isConfirmed) return;
+
+    setIsSubmitting(true);
+    try {
+      const newJob = await startReclassificationApi({ analysisId });
+      const isOtherScope = String(newJob.scope?.analysisId) !== analysisId;
+      if (isOtherScope) {
+        // Server mengembalikan job lain milik pengguna yang masih berjalan
+        Swal.fire(
+          "Klasifikasi Ulang Sedang Berjalan",
+          "Tunggu hingga klasifikasi ulang sebelumnya selesai, lalu coba lagi.",
+          "info"
+        );
+        return;
+      }
+      setJob(newJob);
+    } catch (error) {
+      Swal.fire("Gagal Memulai Klasifikasi Ulang", error.message, "error");
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [analysisId]);
+
+  // Efek polling progres selama job masih antre/berjalan
+  useEffect(() => {
+    if (!job?._id || !isJobActive) return undefined;
+
+    const intervalId = setInterval(async () => {
+      try {
+        const latestJob = await getReclassificationJobApi(job._id);
+        setJob(latestJob);
+        if (!ACTIVE_JOB_STATUSES.includes(latestJob.status)) {
+          onFinished?.();
+        }
+      } catch (error) {
+        console.error("Polling job klasifikasi ulang error:", error);
+      }
+    }, POLLING_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, [job?._id, isJobActive, onFinished]);
+
+  return {
+    job,
+    isJobActive,
+    isSubmitting,
+    startReclassification,
+  };
+};
@@ -4,10 +4,12 @@ import { useState, useEffect, useCallback } from "react";
 import Swal from "sweetalert2";
 import {
   submitVideoForAnalysisApi,
+  importCommentsApi,
   getVideoAnalysisApi,
   getAnalyzedCommentsApi,
   // batchDeleteJudiCommentsApi,
   deleteSingleCommentApi,
+  moderateCommentApi,
   getStudioLinkApi,
   getCurrentUserApi,
 } from "@/lib/services";
@@ -16,12 +18,48 @@ import { validateYoutubeUrl } from "@/lib/utils/form-validators";
 // Interval untuk polling status analisis (dalam milidetik)
 const POLLING_INTERVAL = 5000; // 5 detik
 
+// Jumlah komentar per halaman dan filter/urutan bawaan daftar komentar
+const COMMENTS_PAGE_SIZE = 50;
+const DEFAULT_COMMENT_QUERY = {
+  classification: "",
+  moderation: "",
+  q: "",
+  author: "",
+  minConfidence: "",
+  maxConfidence: "",
+  sort: "publishedAt",
+  order: "desc",
+};
+
+// Parameter query daftar komentar tanpa filter yang kosong
+const toCommentParams = (query) =>
+  Object.fromEntries(Object.entries(query).filter(([, value]) => value !== ""));
+
+/**
+ * Menyusun pesan progres dari objek VideoAnalysis yang dikembalikan endpoint status.
+ * @param {object} analysis - Objek VideoAnalysis dari backend.
+ * @returns {string} Pesan progres untuk ditampilkan selama polling.
+ */
+const formatProgressMessage = (analysis) => {
+  if (analysis?.status === "PENDING") {
+    return "Status: PENDING. Menunggu giliran diproses di server...";
+  }
+  const progress = analysis?.progress || {};
+  // Impor file tidak mengambil halaman dari YouTube
+  if (analysis?.source === "import") {
+    return `Status: ${analysis.status}. Komentar terklasifikasi: ${progress.commentsClassified || 0}/${progress.commentsFetched || 0}`;
+  }
+  return `Status: ${analysis?.status}. Halaman diambil: ${progress.pagesFetched || 0}. Komentar terklasifikasi: ${progress.commentsClassified || 0}/${progress.commentsFetched || 0}`;
+};
+
 /**
  * Custom hook untuk mengelola logika dan state terkait analisis video YouTube.
  * Mencakup pengambilan data pengguna, submit video untuk analisis, polling status,
  * pengambilan hasil komentar, dan aksi penghapusan komentar (batch dan tunggal).
+ * @param {string} [initialAnalysisId] - ID analisis dari URL (`/analisis/:analysisId`)
+ *   yang dimuat ulang saat halaman dibuka, misal dari halaman riwayat.
  */
-export const useVideoAnalysis = () => {
+export const useVideoAnalysis = (initialAnalysisId) => {
   // State untuk data pengguna dan status koneksi YouTube
   const [currentUser, setCurrentUser] = useState(null);
   const [isYouTubeConnected, setIsYouTubeConnected] = useState(false);
@@ -37,11 +75,21 @@ export const useVideoAnalysis = () => {
   // State untuk hasil analisis
   const [analysisId, setAnalysisId] = useState(null); // ID dari VideoAnalysis yang sedang/telah diproses
   const [videoAnalysisData, setVideoAnalysisData] = useState(null); // Metadata dan status dari VideoAnalysis (objek dari backend)
-  const [analyzedComments, setAnalyzedComments] = useState([]); // Array daftar komentar yang telah dianalisis
+  const [analyzedComments, setAnalyzedComments] = useState([]); // Halaman komentar yang sudah dimuat
+  const [commentQuery, setCommentQuery] = useState(DEFAULT_COMMENT_QUERY); // Filter & urutan daftar komentar
+  const [commentFacets, setCommentFacets] = useState(null); // Jumlah per klasifikasi/status moderasi dari backend
+  const [nextCommentCursor, setNextCommentCursor] = useState(null); // Kursor halaman komentar berikutnya
+  const [isLoadingMoreComments, setIsLoadingMoreComments] = useState(false);
 
   // State turunan untuk UI (chart dan statistik)
   const [pieChartData, setPieChartData] = useState([]);
-  const [stats, setStats] = useState({ total: 0, JUDI: 0, NON_JUDI: 0 }); // Pastikan key (JUDI, NON_JUDI) konsisten dengan enum backend dan PIE_CHART_COLORS
+  const [stats, setStats] = useState({
+    total: 0,
+    JUDI: 0,
+    NON_JUDI: 0,
+    NEEDS_REVIEW: 0,
+    replies: 0,
+  }); // Pastikan key (JUDI, NON_JUDI) konsisten dengan enum backend dan PIE_CHART_COLORS
   const [pollingMessage, setPollingMessage] = useState(""); // Pesan yang ditampilkan selama polling atau proses panjang
 
   // Efek untuk mengambil data pengguna saat hook pertama kali dimuat
@@ -85,86 +133,110 @@ export const useVideoAnalysis = () => {
     fetchUser();
   }, []); // Dependensi kosong, hanya jalan sekali saat mount
 
-  // Efek untuk mengupdate PieChart dan Statistik ketika `analyzedComments` berubah
+  // Efek untuk mengupdate PieChart dan Statistik dari facet backend, sehingga ringkasan
+  // mencakup semua komentar analisis walau daftar hanya memuat sebagian halaman.
+  // Facet klasifikasi sudah memakai verdict moderator (jika sudah ditinjau).
   useEffect(() => {
-    if (analyzedComments.length > 0) {
-      const judiCount = analyzedComments.filter(
-        (c) => c.classification === "JUDI"
-      ).length;
-      const nonJudiCount = analyzedComments.filter(
-        (c) => c.classification === "NON_JUDI"
-      ).length;
-      // Jika ada kategori lain yang ingin dihitung dan ditampilkan, tambahkan di sini
-      // const pendingCount = analyzedComments.filter(c => c.classification === "PENDING_ANALYSIS").length;
-      const totalCount = analyzedComments.length;
-
-      const newPieData = [
+    const counts = commentFacets?.classification || {};
+    const judiCount = counts.JUDI || 0;
+    const nonJudiCount = counts.NON_JUDI || 0;
+    // Komentar dengan keyakinan model di pita tinjauan (antara ambang tinjauan dan aksi otomatis)
+    const needsReviewCount = counts.NEEDS_REVIEW || 0;
+    const totalCount = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+    setPieChartData(
+      [
         { name: "Clean", value: nonJudiCount }, // Ubah "Non-Judi" menjadi "Clean"
         { name: "Spam", value: judiCount }, // Ubah "Judi" menjadi "Spam" atau "Judi"
-      ].filter((item) => item.value > 0);
-
-      setPieChartData(newPieData);
-      setStats({ total: totalCount, JUDI: judiCount, NON_JUDI: nonJudiCount });
-    } else {
-      setPieChartData([]);
-      setStats({ total: 0, JUDI: 0, NON_JUDI: 0 });
-    }
-  }, [analyzedComments]);
+        { name: "Perlu Ditinjau", value: needsReviewCount },
+      ].filter((item) => item.value > 0)
+    );
+    setStats({
+      total: totalCount,
+      JUDI: judiCount,
+      NON_JUDI: nonJudiCount,
+      NEEDS_REVIEW: needsReviewCount,
+      // Balasan ditandai dengan parentYoutubeCommentId (komentar tingkat atas bernilai null)
+      replies: commentFacets?.replies || 0,
+    });
+  }, [commentFacets]);
 
   /**
-   * Mengambil daftar komentar yang telah dianalisis untuk `currentAnalysisId`.
-   * @param {string} currentAnalysisId - ID dari VideoAnalysis.
-   * @returns {Promise<Array>} Array komentar yang diambil, atau array kosong jika gagal.
+   * Mengambil halaman pertama komentar sebuah analisis beserta facet-nya, sesuai
+   * filter dan urutan yang aktif. Komentar sebelumnya diganti.
+   * @param {string} currentAnalysisId - ID VideoAnalysis.
+   * @param {object} [query=commentQuery] - Filter & urutan daftar komentar.
+   * @returns {Promise<{comments: Array, nextCursor: string|null, facets: object}|null>}
+   *   Halaman yang diambil, atau null jika gagal.
    */
   const fetchComments = useCallback(
-    async (currentAnalysisId) => {
-      if (!currentAnalysisId) return [];
-      // console.log(
-      //   `[Frontend] fetchComments dipanggil untuk analysisId: ${currentAnalysisId}. User ID saat ini di frontend: ${currentUser?._id}`
-      // );
+    async (currentAnalysisId, query = commentQuery) => {
+      if (!currentAnalysisId) return null;
 
       setIsLoading(true); // Indikator loading umum aktif
       try {
-        const responseData = await getAnalyzedCommentsApi(currentAnalysisId);
-        // Asumsi API service mengembalikan array komentar langsung atau objek dengan properti data: { data: [comments] }
-        const comments = Array.isArray(responseData)
-          ? responseData
-          : responseData?.data || [];
-
-        // --- LOGIKA SORTING DITAMBAHKAN DI SINI ---
-        comments.sort((a, b) => {
-          // Kriteria Utama: Klasifikasi "JUDI" selalu di atas
-          const aIsJudi = a.classification === "JUDI";
-          const bIsJudi = b.classification === "JUDI";
-
-          if (aIsJudi && !bIsJudi) {
-            return -1; // 'a' (yang JUDI) harus berada sebelum 'b'
-          }
-          if (!aIsJudi && bIsJudi) {
-            return 1; // 'b' (yang JUDI) harus berada sebelum 'a'
-          }
-
-          // Kriteria Kedua: Jika kedua komentar memiliki klasifikasi yang sama (sama-sama JUDI atau sama-sama NON_JUDI),
-          // urutkan berdasarkan yang terbaru (tanggal publikasi descending).
-          // Kita konversi ke objek Date untuk perbandingan yang akurat.
-          return (
-            new Date(b.commentPublishedAt) - new Date(a.commentPublishedAt)
-          );
+        const page = await getAnalyzedCommentsApi(currentAnalysisId, {
+          ...toCommentParams(query),
+          limit: COMMENTS_PAGE_SIZE,
         });
-        // --- AKHIR LOGIKA SORTING ---
-
-        setAnalyzedComments(comments);
-        return comments; // Kembalikan komentar untuk digunakan langsung jika perlu (misal, di handleSubmitAnalysis)
+        setAnalyzedComments(page.comments);
+        setNextCommentCursor(page.nextCursor);
+        setCommentFacets(page.facets);
+        return page; // Kembalikan halaman untuk digunakan langsung jika perlu (misal, di handleSubmitAnalysis)
       } catch (error) {
         Swal.fire("Error Mengambil Komentar", error.message, "error");
         setAnalyzedComments([]); // Kosongkan jika error
-        return [];
+        setNextCommentCursor(null);
+        return null;
       } finally {
         setIsLoading(false); // Loading umum selesai
       }
     },
-    [currentUser]
-  ); // Tidak ada dependensi eksternal yang sering berubah, API function stabil
+    [commentQuery]
+  );
+
+  /**
+   * Memuat halaman komentar berikutnya dan menambahkannya ke daftar.
+   */
+  const loadMoreComments = useCallback(async () => {
+    if (!analysisId || !nextCommentCursor) return;
+
+    setIsLoadingMoreComments(true);
+    try {
+      const page = await getAnalyzedCommentsApi(analysisId, {
+        ...toCommentParams(commentQuery),
+        limit: COMMENTS_PAGE_SIZE,
+        cursor: nextCommentCursor,
+      });
+      setAnalyzedComments((prev) => [...prev, ...page.comments]);
+      setNextCommentCursor(page.nextCursor);
+    } catch (error) {
+      Swal.fire("Error Mengambil Komentar", error.message, "error");
+    } finally {
+      setIsLoadingMoreComments(false);
+    }
+  }, [analysisId, nextCommentCursor, commentQuery]);
+
+  /**
+   * Mengganti filter/urutan daftar komentar lalu memuat ulang dari halaman pertama.
+   * @param {object} changes - Sebagian field `DEFAULT_COMMENT_QUERY`.
+   */
+  const updateCommentQuery = useCallback(
+    (changes) => {
+      const nextQuery = { ...commentQuery, ...changes };
+      setCommentQuery(nextQuery);
+      fetchComments(analysisId, nextQuery);
+    },
+    [analysisId, commentQuery, fetchComments]
+  );
+
+  /**
+   * Mengembalikan filter/urutan daftar komentar ke bawaan lalu memuat ulang.
+   */
+  const resetCommentQuery = useCallback(() => {
+    setCommentQuery(DEFAULT_COMMENT_QUERY);
+    fetchComments(analysisId, DEFAULT_COMMENT_QUERY);
+  }, [analysisId, fetchComments]);
 
   // Efek untuk polling status analisis jika backend berjalan secara asinkron
   useEffect(() => {
@@ -173,12 +245,11 @@ export const useVideoAnalysis = () => {
     if (
       isAnalyzing &&
       analysisId &&
-      videoAnalysisData?.status === "PROCESSING" &&
-      isYouTubeConnected
+      ["PENDING", "PROCESSING"].includes(videoAnalysisData?.status) &&
+      // Analisis hasil impor file tidak membutuhkan koneksi YouTube
+      (isYouTubeConnected || videoAnalysisData?.source === "import")
     ) {
-      setPollingMessage(
-        `Memproses analisis (Status: ${videoAnalysisData.status}). Komentar: ${videoAnalysisData.totalCommentsAnalyzed || 0}/${videoAnalysisData.totalCommentsFetched || "N/A"}`
-      );
+      setPollingMessage(formatProgressMessage(videoAnalysisData));
       intervalId = setInterval(async () => {
         try {
           const updatedApiResult = await getVideoAnalysisApi(analysisId);
@@ -186,9 +257,7 @@ export const useVideoAnalysis = () => {
           // atau updatedApiResult.data jika dibungkus lagi
 
           setVideoAnalysisData(updatedAnalysisData); // Update seluruh data analisis
-          setPollingMessage(
-            `Status: ${updatedAnalysisData.status}. Komentar terproses: ${updatedAnalysisData.totalCommentsAnalyzed || 0}/${updatedAnalysisData.totalCommentsFetched || 0}`
-          );
+          setPollingMessage(formatProgressMessage(updatedAnalysisData));
 
           // Cek jika proses telah selesai (COMPLETED, FAILED, atau mengandung ERROR)
           if (
@@ -202,7 +271,19 @@ export const useVideoAnalysis = () => {
                 : `Proses analisis selesai dengan status: ${updatedAnalysisData.status}`
             );
             if (updatedAnalysisData.status === "COMPLETED") {
-              await fetchComments(analysisId); // Ambil komentar final setelah analisis benar-benar selesai
+              const firstPage = await fetchComments(analysisId); // Ambil komentar final setelah analisis benar-benar selesai
+              Swal.fire(
+                "Analisis Selesai!",
+                `Ditemukan dan diproses ${firstPage?.facets.total || 0} komentar.`,
+                "success"
+              );
+            } else {
+              Swal.fire(
+                "Analisis Gagal",
+                updatedAnalysisData.errorMessage ||
+                  `Proses analisis selesai dengan status: ${updatedAnalysisData.status}`,
+                "error"
+              );
             }
           }
         } catch (error) {
@@ -312,6 +393,85 @@ export const useVideoAnalysis = () => {
     }
   };
 
+  /**
+   * Mengunggah file komentar (CSV/JSON) untuk dianalisis tanpa koneksi YouTube.
+   * Hasilnya dipantau dengan polling yang sama seperti analisis video.
+   * @param {File} file - File export komentar (misal Google Takeout).
+   * @param {object} [options] - `{ title? }` judul analisis.
+   */
+  const handleImportComments = useCallback(async (file, options = {}) => {
+    if (!file) {
+      Swal.fire("File Belum Dipilih", "Pilih file CSV atau JSON.", "warning");
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setIsLoading(true);
+    setAnalyzedComments([]);
+    setCommentFacets(null);
+    setCommentQuery(DEFAULT_COMMENT_QUERY);
+    setVideoAnalysisData(null);
+    setAnalysisId(null);
+    setPollingMessage("Mengunggah file komentar ke server...");
+
+    try {
+      const importedAnalysis = await importCommentsApi(file, options);
+      setVideoAnalysisData(importedAnalysis);
+      setAnalysisId(importedAnalysis._id);
+      setPollingMessage(formatProgressMessage(importedAnalysis));
+      Swal.fire({
+        title: "Impor Dimulai",
+        text: `${importedAnalysis.totalCommentsFetched} komentar dari "${file.name}" sedang dianalisis. Hasil akan diperbarui secara otomatis.`,
+        icon: "info",
+        timer: 3000,
+      });
+    } catch (err) {
+      Swal.fire("Impor Gagal", err.message, "error");
+      setIsAnalyzing(false);
+      setPollingMessage("");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Membuka kembali analisis yang sudah ada beserta komentar dan ringkasannya.
+   * Analisis yang masih berjalan dilanjutkan dengan polling seperti biasa.
+   * @param {string} id - ID VideoAnalysis.
+   */
+  const loadAnalysis = useCallback(async (id) => {
+    setIsLoading(true);
+    setAnalyzedComments([]);
+    setCommentFacets(null);
+    setCommentQuery(DEFAULT_COMMENT_QUERY);
+    setVideoAnalysisData(null);
+    setAnalysisId(null);
+
+    try {
+      const analysis = await getVideoAnalysisApi(id);
+      setVideoAnalysisData(analysis);
+      setAnalysisId(analysis._id);
+
+      if (["PENDING", "PROCESSING"].includes(analysis.status)) {
+        setIsAnalyzing(true);
+        setPollingMessage(formatProgressMessage(analysis));
+      } else {
+        await fetchComments(analysis._id, DEFAULT_COMMENT_QUERY);
+      }
+    } catch (error) {
+      Swal.fire("Gagal Memuat Analisis", error.message, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Efek untuk memuat analisis dari URL saat halaman dibuka atau ID di URL berubah
+  useEffect(() => {
+    if (initialAnalysisId && initialAnalysisId !== analysisId) {
+      loadAnalysis(initialAnalysisId);
+    }
+  }, [initialAnalysisId]);
+
   /**
    * Menangani submit URL video untuk dianalisis.
    */
@@ -327,6 +487,8 @@ export const useVideoAnalysis = () => {
     setIsAnalyzing(true); // Proses analisis dimulai
     setIsLoading(true);
     setAnalyzedComments([]); // Reset hasil analisis sebelumnya
+    setCommentFacets(null);
+    setCommentQuery(DEFAULT_COMMENT_QUERY);
     setVideoAnalysisData(null);
     setAnalysisId(null);
     setPollingMessage("Mengirim permintaan analisis ke server...");
@@ -349,12 +511,14 @@ export const useVideoAnalysis = () => {
         Swal.update({
           text: `Video "${initialAnalysisData.videoTitle || "YouTube"}" telah selesai diproses. Mengambil daftar komentar...`,
         });
-        const fetchedComments = await fetchComments(initialAnalysisData._id);
-        // console.log("fetchedComments :", fetchedComments);
+        const firstPage = await fetchComments(
+          initialAnalysisData._id,
+          DEFAULT_COMMENT_QUERY
+        );
         Swal.close();
         Swal.fire(
           "Analisis Selesai!",
-          `Ditemukan dan diproses ${fetchedComments.length} komentar.`,
+          `Ditemukan dan diproses ${firstPage?.facets.total || 0} komentar.`,
           "success"
         );
         setIsAnalyzing(false); // Analisis dan pengambilan komentar selesai
@@ -363,12 +527,14 @@ export const useVideoAnalysis = () => {
         ["PENDING", "PROCESSING"].includes(initialAnalysisData.status)
       ) {
         // Jika PENDING/PROCESSING, state isAnalyzing sudah true, biarkan useEffect polling yang bekerja.
-        Swal.update({
-          text: `Analisis untuk video "${initialAnalysisData.videoTitle || "YouTube"}" sedang berjalan (Status: ${initialAnalysisData.status}). Hasil akan diperbarui secara otomatis.`,
+        Swal.close();
+        Swal.fire({
+          title: "Analisis Dimulai",
+          text: `Analisis untuk video "${initialAnalysisData.videoTitle || "YouTube"}" sedang berjalan di server (Status: ${initialAnalysisData.status}). Hasil akan diperbarui secara otomatis.`,
+          icon: "info",
+          timer: 3000,
         });
-        setPollingMessage(
-          `Status: ${initialAnalysisData.status}. Menunggu penyelesaian...`
-        );
+        setPollingMessage(formatProgressMessage(initialAnalysisData));
         // isLoading umum bisa di-set false di sini jika polling yang akan menangani loading UI lebih lanjut
         // setIsLoading(false); // Karena isAnalyzing akan menjaga UI tetap 'sibuk'
       } else {
@@ -593,6 +759,62 @@ export const useVideoAnalysis = () => {
     [analysisId, analyzedComments, checkPrerequisites, deleteSingleCommentApi]
   );
 
+  /**
+   * Menerapkan aksi moderasi (tahan, sembunyikan, pulihkan, hapus) ke satu komentar.
+   * Sembunyikan dan hapus meminta konfirmasi; status terbaru langsung diterapkan ke daftar.
+   * @param {object} comment - Item dari daftar komentar.
+   * @param {"heldForReview"|"rejected"|"published"|"delete"} action
+   */
+  const handleModerateComment = useCallback(
+    async (comment, action) => {
+      if (!checkPrerequisites("memoderasi komentar")) return;
+
+      let banAuthor = false;
+      if (action === "rejected" || action === "delete") {
+        const confirmResult = await Swal.fire({
+          title:
+            action === "delete" ? "Hapus Permanen?" : "Sembunyikan Komentar?",
+          text:
+            action === "delete"
+              ? "Penghapusan permanen hanya berlaku untuk komentar milik channel Anda sendiri dan tidak dapat dibatalkan."
+              : "Komentar akan disembunyikan dari video Anda. Anda dapat memulihkannya kembali nanti.",
+          icon: "warning",
+          ...(action === "rejected" && {
+            input: "checkbox",
+            inputValue: 0,
+            inputPlaceholder: "Blokir juga penulis ini dari channel saya",
+          }),
+          showCancelButton: true,
+          confirmButtonColor: "#d33",
+          cancelButtonColor: "#3085d6",
+          confirmButtonText:
+            action === "delete" ? "Ya, Hapus" : "Ya, Sembunyikan",
+          cancelButtonText: "Batal",
+        });
+        if (!confirmResult.isConfirmed) return;
+        banAuthor = action === "rejected" && Boolean(confirmResult.value);
+      }
+
+      setIsDeleting(true);
+      try {
+        const { data, message } = await moderateCommentApi(
+          comment._id,
+          action,
+          { banAuthor }
+        );
+        setAnalyzedComments((prev) =>
+          prev.map((c) => (c._id === comment._id ? { ...c, ...data } : c))
+        );
+        Swal.fire("Berhasil", message, "success");
+      } catch (error) {
+        Swal.fire("Gagal Memoderasi Komentar", error.message, "error");
+      } finally {
+        setIsDeleting(false);
+      }
+    },
+    [checkPrerequisites]
+  );
+
   /**
    * Menangani klik pada tombol "Kelola Komentar", yang akan menampilkan
    * popup edukatif dan mengarahkan pengguna ke YouTube Studio.
@@ -651,6 +873,10 @@ export const useVideoAnalysis = () => {
     analysisId,
     videoAnalysisData,
     analyzedComments,
+    commentQuery,
+    commentFacets,
+    hasMoreComments: Boolean(nextCommentCursor),
+    isLoadingMoreComments,
     pieChartData,
     stats,
     pollingMessage,
@@ -658,9 +884,15 @@ export const useVideoAnalysis = () => {
     isYouTubeConnected, // Diekspor untuk View menampilkan status koneksi
     authError, // Diekspor untuk View menampilkan error autentikasi user
     isUserLoading, // Diekspor untuk View menampilkan loading data user
+    fetchComments,
+    loadMoreComments,
+    updateCommentQuery,
+    resetCommentQuery,
     handleSubmitAnalysis,
+    handleImportComments,
     handleManageComments,
     // handleBatchDeleteJudiComments,
     handleDeleteSingleComment,
+    handleModerateComment,
   };
 };
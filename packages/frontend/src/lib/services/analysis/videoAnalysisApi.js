@@ -1,11 +1,12 @@
 // src/services/api.js
 import { apiClient } from "../apiClient";
+import { getFilenameFromDisposition } from "@/lib/utils/download";
 
 //submit video analysis
 export const submitVideoForAnalysisApi = async (videoUrl) => {
   try {
     const response = await apiClient.post("/analysis/videos", { videoUrl });
-    // response.data seharusnya adalah objek VideoAnalysis yang sudah diproses (atau minimal ID dan status awal)
+    // Backend langsung membalas 202 dengan VideoAnalysis berstatus PENDING; proses berjalan di background
     return response.data.data; // Asumsi backend mengembalikan { success: true, data: videoAnalysisObject }
   } catch (error) {
     throw new Error(error);
@@ -13,46 +14,229 @@ export const submitVideoForAnalysisApi = async (videoUrl) => {
 };
 
 /**
- * Mengambil detail dan status dari sebuah VideoAnalysis.
- * Digunakan untuk polling jika analisis di backend bersifat asinkron.
- * Untuk V1 (sinkron), ini mungkin tidak terlalu dipakai untuk polling status analisis,
- * tapi berguna untuk mendapatkan update data VideoAnalysis.
+ * Mengunggah file komentar (CSV/JSON, misal export Google Takeout) untuk dianalisis
+ * tanpa koneksi YouTube. Isi file dikirim mentah; backend membalas 202 dengan
+ * VideoAnalysis (source "import") yang progresnya dipantau lewat `getVideoAnalysisApi`.
+ * @param {File} file
+ * @param {object} [options] - `{ title?, format? }`; format ditebak backend jika kosong.
+ * @returns {Promise<object>} VideoAnalysis berstatus PROCESSING.
+ */
+export const importCommentsApi = async (file, options = {}) => {
+  try {
+    const response = await apiClient.post("/analysis/imports", file, {
+      params: options,
+      headers: { "Content-Type": "application/octet-stream" },
+    });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengimpor file komentar.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil riwayat analisis milik pengguna, terbaru dulu.
+ * @param {object} [params] - `{ status, source, q, before, limit }`; status dipisah koma.
+ * @returns {Promise<{analyses: Array<object>, nextCursor: string|null}>}
+ */
+export const getVideoAnalysesApi = async (params = {}) => {
+  try {
+    const response = await apiClient.get("/analysis/videos", { params });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil riwayat analisis.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menghapus sebuah analisis beserta komentar tersimpannya.
+ * @param {string} analysisId
+ * @param {object} [options] - `{ keepStats }`: simpan statistik agregat anonim.
+ * @returns {Promise<{analysisId: string, deletedComments: number, statsArchived: boolean}>}
+ */
+export const deleteVideoAnalysisApi = async (analysisId, options = {}) => {
+  try {
+    const response = await apiClient.delete(`/analysis/videos/${analysisId}`, {
+      params: options,
+    });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal menghapus analisis.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menghapus semua analisis yang lebih lama dari N hari beserta komentarnya.
+ * @param {object} params - `{ olderThanDays, keepStats }`.
+ * @returns {Promise<{deletedAnalyses: number, deletedComments: number, skippedAnalyses: number}>}
+ */
+export const clearAnalysisHistoryApi = async (params) => {
+  try {
+    const response = await apiClient.delete("/analysis/videos", { params });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal menghapus riwayat analisis.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil detail, status, dan progres dari sebuah VideoAnalysis.
+ * Digunakan untuk polling selama analisis diproses worker di backend,
+ * dan untuk membuka kembali analisis lama dari halaman riwayat.
  */
 export const getVideoAnalysisApi = async (analysisId) => {
   try {
     const response = await apiClient.get(`/analysis/videos/${analysisId}`);
     return response.data.data; // Asumsi backend mengembalikan { success: true, data: videoAnalysisObject }
   } catch (error) {
-    throw new Error(error);
+    const message =
+      error.response?.data?.message || "Gagal mengambil data analisis.";
+    throw new Error(message);
   }
 };
 
 /**
- * Mengambil semua komentar yang telah dianalisis untuk sebuah VideoAnalysis.
+ * Mengambil satu halaman komentar yang telah dianalisis untuk sebuah VideoAnalysis.
+ * @param {string} analysisId
+ * @param {object} [params] - `{ sort, order, limit, cursor, classification, moderation,
+ *   q, author, minConfidence, maxConfidence }`; daftar dikirim dipisah koma.
+ * @returns {Promise<{comments: Array<object>, nextCursor: string|null, facets: object}>}
  */
-export const getAnalyzedCommentsApi = async (analysisId) => {
+export const getAnalyzedCommentsApi = async (analysisId, params = {}) => {
   try {
     const response = await apiClient.get(
-      `/analysis/videos/${analysisId}/comments`
+      `/analysis/videos/${analysisId}/comments`,
+      { params }
     );
-    return response.data.data; // Asumsi backend mengembalikan { success: true, data: [arrayOfComments] }
+    return response.data.data;
   } catch (error) {
-    throw new Error(error);
+    const message =
+      error.response?.data?.message || "Gagal mengambil daftar komentar.";
+    throw new Error(message);
   }
 };
 
 /**
- * Meminta penghapusan semua komentar "JUDI" untuk sebuah VideoAnalysis.
- * Untuk V1, kita asumsikan backend memproses ini secara sinkron.
+ * Dry-run penghapusan massal: komentar yang akan dihapus/disembunyikan, perkiraan
+ * biaya kuota, dan komentar judi yang dilewati beserta alasannya. Tidak mengubah apa pun.
+ * @param {string} analysisId
+ * @returns {Promise<object>} `{ targets, skipped, actionCounts, estimatedQuotaCost, quotaCosts, quota }`
  */
-export const batchDeleteJudiCommentsApi = async (analysisId) => {
+export const previewBatchDeletionApi = async (analysisId) => {
   try {
     const response = await apiClient.delete(
-      `/analysis/videos/${analysisId}/judi-comments`
+      `/analysis/videos/${analysisId}/judi-comments`,
+      { params: { dryRun: true } }
     );
-    return response.data.data; // Asumsi backend mengembalikan { success: true, data: { summary } }
+    return response.data.data;
   } catch (error) {
-    throw new Error(error);
+    const message =
+      error.response?.data?.message ||
+      "Gagal memuat pratinjau penghapusan massal.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengantrekan penghapusan semua komentar "JUDI" untuk sebuah VideoAnalysis.
+ * Backend memprosesnya sebagai job di latar belakang; pantau dengan `getDeletionJobApi`.
+ * @param {string} analysisId
+ * @param {object} [options]
+ * @param {number} [options.quotaBudget] - Anggaran unit kuota YouTube untuk job ini.
+ * @param {string[]} [options.excludeCommentIds] - Komentar yang dikecualikan dari pratinjau.
+ * @returns {Promise<object>} Job penghapusan (status, totalTargeted, deletedCount, dst).
+ */
+export const batchDeleteJudiCommentsApi = async (analysisId, options = {}) => {
+  try {
+    const response = await apiClient.delete(
+      `/analysis/videos/${analysisId}/judi-comments`,
+      { data: options }
+    );
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message ||
+      "Gagal memulai penghapusan massal komentar.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil job penghapusan massal terbaru sebuah analisis beserta progresnya.
+ * @param {string} analysisId
+ * @returns {Promise<object>}
+ */
+export const getDeletionJobApi = async (analysisId) => {
+  try {
+    const response = await apiClient.get(
+      `/analysis/videos/${analysisId}/deletion-job`
+    );
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil status penghapusan.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Melanjutkan job penghapusan yang terjeda karena kuota habis atau gagal.
+ * @param {string} analysisId
+ * @param {object} [options]
+ * @param {number} [options.quotaBudget] - Anggaran unit kuota untuk putaran ini.
+ * @returns {Promise<object>} Job yang sudah diantrekan ulang.
+ */
+export const resumeDeletionJobApi = async (analysisId, options = {}) => {
+  try {
+    const response = await apiClient.post(
+      `/analysis/videos/${analysisId}/deletion-job/resume`,
+      options
+    );
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal melanjutkan penghapusan massal.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengantrekan klasifikasi ulang komentar tersimpan dengan model AI terbaru.
+ * @param {object} scope - `{ analysisId }` atau rentang tanggal `{ from, to }` (YYYY-MM-DD).
+ * @returns {Promise<object>} Job klasifikasi ulang (baru, atau yang masih berjalan).
+ */
+export const startReclassificationApi = async (scope) => {
+  try {
+    const response = await apiClient.post("/analysis/reclassify", scope);
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal memulai klasifikasi ulang.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil progres job klasifikasi ulang dan ringkasan perubahan verdict per versi model.
+ * @param {string} jobId
+ * @returns {Promise<object>}
+ */
+export const getReclassificationJobApi = async (jobId) => {
+  try {
+    const response = await apiClient.get(`/analysis/reclassify/${jobId}`);
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message ||
+      "Gagal mengambil status klasifikasi ulang.";
+    throw new Error(message);
   }
 };
 
@@ -83,3 +267,55 @@ export const getStudioLinkApi = async (analysisId) => {
     throw new Error(message);
   }
 };
+
+// Mengunduh file export sebagai Blob beserta nama file dari backend
+const downloadExportFile = async (url, params, fallbackFilename) => {
+  try {
+    const response = await apiClient.get(url, {
+      params,
+      responseType: "blob",
+    });
+    return {
+      blob: response.data,
+      filename: getFilenameFromDisposition(
+        response.headers["content-disposition"],
+        fallbackFilename
+      ),
+    };
+  } catch (error) {
+    // Dengan responseType blob, pesan error backend juga berupa Blob JSON
+    let message = "Gagal mengunduh hasil analisis.";
+    try {
+      const body = JSON.parse(await error.response?.data?.text());
+      message = body.message || message;
+    } catch {
+      // Abaikan: pakai pesan bawaan
+    }
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengunduh komentar hasil satu analisis.
+ * @param {string} analysisId - ID dari VideoAnalysis.
+ * @param {"csv"|"json"|"xlsx"} format
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export const exportAnalysisApi = (analysisId, format) =>
+  downloadExportFile(
+    `/analysis/videos/${analysisId}/export`,
+    { format },
+    `judi-guard-analisis-${analysisId}.${format}`
+  );
+
+/**
+ * Mengunduh komentar dari semua analisis yang dibuat dalam rentang tanggal.
+ * @param {object} params - `{ format, from?, to? }` (tanggal ISO YYYY-MM-DD).
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export const exportAnalysesApi = (params) =>
+  downloadExportFile(
+    "/analysis/export",
+    params,
+    `judi-guard-analisis.${params.format}`
+  );
@@ -0,0 +1,43 @@
+// src/lib/services/author/authorApi.js
+import { apiClient } from "../apiClient";
+
+/**
+ * Mengambil daftar penulis dengan komentar judi terbanyak di seluruh analisis.
+ * @param {object} [params]
+ * @param {number} [params.limit]
+ * @param {number} [params.minJudiComments] - Minimal komentar judi per penulis.
+ * @returns {Promise<Array>} Daftar penulis beserta statistik reputasinya.
+ */
+export const getTopOffendersApi = async (params = {}) => {
+  try {
+    const response = await apiClient.get("/authors/offenders", { params });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil daftar pelanggar.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menyembunyikan semua komentar seorang penulis dan (opsional) memblokirnya dari channel.
+ * @param {string} authorChannelId - ID channel YouTube penulis.
+ * @param {object} [options]
+ * @param {boolean} [options.banAuthor=true]
+ * @returns {Promise<{data: {hiddenCount: number, isChannelBanned: boolean}, message: string}>}
+ */
+export const banAuthorApi = async (
+  authorChannelId,
+  { banAuthor = true } = {}
+) => {
+  try {
+    const response = await apiClient.post(`/authors/${authorChannelId}/ban`, {
+      banAuthor,
+    });
+    return { data: response.data.data, message: response.data.message };
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal memblokir penulis komentar.";
+    throw new Error(message);
+  }
+};
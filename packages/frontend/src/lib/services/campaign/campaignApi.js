@@ -0,0 +1,64 @@
+// src/lib/services/campaign/campaignApi.js
+import { apiClient } from "../apiClient";
+
+/**
+ * Mengelompokkan ulang komentar hampir identik menjadi kampanye spam.
+ * @param {object} [options]
+ * @param {string} [options.since] - Tanggal ISO; hanya komentar sejak tanggal ini.
+ * @param {number} [options.similarityThreshold] - Kemiripan minimal 0,5–1.
+ * @param {number} [options.minClusterSize] - Jumlah komentar minimal per kampanye.
+ * @returns {Promise<{data: {campaignCount: number, commentsScanned: number}, message: string}>}
+ */
+export const rebuildCampaignsApi = async (options = {}) => {
+  try {
+    const response = await apiClient.post("/campaigns/rebuild", options);
+    return { data: response.data.data, message: response.data.message };
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengelompokkan kampanye spam.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil daftar kampanye spam, terbesar dulu.
+ * @param {object} [params]
+ * @param {number} [params.limit]
+ * @param {number} [params.minSize] - Ukuran minimal kampanye.
+ * @returns {Promise<Array>} Daftar kampanye beserta ukuran, video, dan penulisnya.
+ */
+export const getCampaignsApi = async (params = {}) => {
+  try {
+    const response = await apiClient.get("/campaigns", { params });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil daftar kampanye spam.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menerapkan status moderasi ke seluruh komentar anggota kampanye.
+ * @param {string} campaignId - ID kampanye spam.
+ * @param {object} [options]
+ * @param {"rejected"|"heldForReview"} [options.moderationStatus="rejected"]
+ * @param {boolean} [options.banAuthor=false] - Blokir juga semua penulisnya.
+ * @returns {Promise<{data: {moderatedCount: number, bannedAuthorCount: number}, message: string}>}
+ */
+export const moderateCampaignApi = async (
+  campaignId,
+  { moderationStatus = "rejected", banAuthor = false } = {}
+) => {
+  try {
+    const response = await apiClient.post(`/campaigns/${campaignId}/moderate`, {
+      moderationStatus,
+      banAuthor,
+    });
+    return { data: response.data.data, message: response.data.message };
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal memoderasi kampanye spam.";
+    throw new Error(message);
+  }
+};
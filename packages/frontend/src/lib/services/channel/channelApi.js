@@ -0,0 +1,58 @@
+// src/lib/services/channel/channelApi.js
+import { apiClient } from "../apiClient";
+
+/**
+ * Memulai scan seluruh video di channel YouTube yang terhubung.
+ * @param {object} filters - `{ publishedAfter, publishedBefore, maxVideos }` (semua opsional).
+ * @returns {Promise<object>} Ringkasan scan `{ scan, status, totals, videos }`.
+ */
+export const startChannelScanApi = async (filters) => {
+  try {
+    const response = await apiClient.post("/channels/scans", filters);
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal memulai scan channel.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil progres dan ringkasan komentar judi per video dari sebuah scan channel.
+ * @param {string} channelScanId - ID dari scan channel.
+ * @returns {Promise<object>} Ringkasan scan `{ scan, status, totals, videos }`.
+ */
+export const getChannelScanApi = async (channelScanId) => {
+  try {
+    const response = await apiClient.get(`/channels/scans/${channelScanId}`);
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message ||
+      "Gagal mengambil ringkasan scan channel.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil laporan domain, nomor telepon, dan handle yang paling sering dipromosikan
+ * di komentar video sebuah channel.
+ * @param {object} [params]
+ * @param {string} [params.youtubeChannelId] - Bawaan: channel YouTube yang terhubung.
+ * @param {"DOMAIN"|"PHONE"|"HANDLE"} [params.type] - Batasi ke satu tipe tujuan.
+ * @param {number} [params.limit]
+ * @returns {Promise<object>} Laporan `{ youtubeChannelId, videosAnalyzed, destinations }`.
+ */
+export const getPromotedDestinationsApi = async (params = {}) => {
+  try {
+    const response = await apiClient.get("/channels/promoted-destinations", {
+      params,
+    });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message ||
+      "Gagal mengambil laporan tujuan promosi.";
+    throw new Error(message);
+  }
+};
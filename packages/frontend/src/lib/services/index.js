@@ -3,3 +3,10 @@ export * from "./auth/authApi";
 export * from "./user/userApi";
 export * from "./analysis/videoAnalysisApi";
 export * from "./predict/predictTextApi";
+export * from "./channel/channelApi";
+export * from "./monitor/monitorApi";
+export * from "./review/reviewApi";
+export * from "./author/authorApi";
+export * from "./campaign/campaignApi";
+export * from "./moderation/moderationApi";
+export * from "./stats/statsApi";
@@ -0,0 +1,55 @@
+// src/lib/services/moderation/moderationApi.js
+import { apiClient } from "../apiClient";
+
+/**
+ * Menerapkan aksi moderasi ke satu komentar.
+ * @param {string} analyzedCommentId - ID komentar di database aplikasi.
+ * @param {"heldForReview"|"rejected"|"published"|"delete"} action
+ * @param {object} [options]
+ * @param {boolean} [options.banAuthor=false] - Blokir penulis (hanya untuk 'rejected').
+ * @returns {Promise<{data: object, message: string}>} Status moderasi terbaru komentar.
+ */
+export const moderateCommentApi = async (
+  analyzedCommentId,
+  action,
+  { banAuthor = false } = {}
+) => {
+  try {
+    const response = await apiClient.post(
+      `/moderation/comments/${analyzedCommentId}`,
+      { action, banAuthor }
+    );
+    return { data: response.data.data, message: response.data.message };
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal memoderasi komentar.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menerapkan satu aksi moderasi ke banyak komentar sekaligus.
+ * @param {string[]} analyzedCommentIds - ID komentar di database aplikasi (maksimal 500).
+ * @param {"heldForReview"|"rejected"|"published"|"delete"} action
+ * @param {object} [options]
+ * @param {boolean} [options.banAuthor=false]
+ * @returns {Promise<{data: {succeeded: number, failed: number, skipped: number, failures: Array}, message: string}>}
+ */
+export const moderateCommentsApi = async (
+  analyzedCommentIds,
+  action,
+  { banAuthor = false } = {}
+) => {
+  try {
+    const response = await apiClient.post("/moderation/comments", {
+      analyzedCommentIds,
+      action,
+      banAuthor,
+    });
+    return { data: response.data.data, message: response.data.message };
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal memoderasi komentar.";
+    throw new Error(message);
+  }
+};
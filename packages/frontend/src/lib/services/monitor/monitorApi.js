@@ -0,0 +1,85 @@
+// src/lib/services/monitor/monitorApi.js
+import { apiClient } from "../apiClient";
+
+/**
+ * Mengambil daftar video yang dipantau pengguna.
+ * @returns {Promise<Array>} Array MonitoredVideo.
+ */
+export const getMonitoredVideosApi = async () => {
+  try {
+    const response = await apiClient.get("/monitors");
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil daftar video dipantau.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menandai video untuk dipantau dengan re-scan berkala.
+ * @param {string} videoUrl - URL video YouTube.
+ * @param {number} intervalMinutes - Jarak antar re-scan dalam menit.
+ * @returns {Promise<object>} MonitoredVideo yang dibuat/diperbarui.
+ */
+export const watchVideoApi = async (videoUrl, intervalMinutes) => {
+  try {
+    const response = await apiClient.post("/monitors", {
+      videoUrl,
+      intervalMinutes,
+    });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal menambahkan video ke pantauan.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Memperbarui interval atau status aktif sebuah video yang dipantau.
+ * @param {string} monitorId - ID MonitoredVideo.
+ * @param {object} updates - `{ intervalMinutes?, isActive? }`.
+ * @returns {Promise<object>} MonitoredVideo yang diperbarui.
+ */
+export const updateMonitoredVideoApi = async (monitorId, updates) => {
+  try {
+    const response = await apiClient.patch(`/monitors/${monitorId}`, updates);
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal memperbarui pemantauan video.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Berhenti memantau sebuah video.
+ * @param {string} monitorId - ID MonitoredVideo.
+ */
+export const unwatchVideoApi = async (monitorId) => {
+  try {
+    const response = await apiClient.delete(`/monitors/${monitorId}`);
+    return response.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal menghentikan pemantauan video.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil riwayat re-scan dari sebuah video yang dipantau.
+ * @param {string} monitorId - ID MonitoredVideo.
+ * @returns {Promise<object>} `{ monitor, history }`.
+ */
+export const getMonitorHistoryApi = async (monitorId) => {
+  try {
+    const response = await apiClient.get(`/monitors/${monitorId}/history`);
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil riwayat re-scan.";
+    throw new Error(message);
+  }
+};
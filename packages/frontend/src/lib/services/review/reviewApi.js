@@ -0,0 +1,94 @@
+// src/lib/services/review/reviewApi.js
+import { apiClient } from "../apiClient";
+import { getFilenameFromDisposition } from "@/lib/utils/download";
+
+/**
+ * Mengambil antrean tinjauan manusia.
+ * @param {object} [params]
+ * @param {"pending"|"reviewed"} [params.status="pending"]
+ * @param {string} [params.analysisId] - Batasi ke satu analisis.
+ * @param {number} [params.limit]
+ * @returns {Promise<{comments: Array, pendingCount: number}>}
+ */
+export const getReviewQueueApi = async (params = {}) => {
+  try {
+    const response = await apiClient.get("/reviews", { params });
+    return {
+      comments: response.data.data,
+      pendingCount: response.data.pendingCount,
+    };
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil antrean tinjauan.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menyimpan verdict moderator untuk satu komentar.
+ * @param {string} analyzedCommentId - _id AnalyzedComment.
+ * @param {"JUDI"|"NON_JUDI"} classification - Verdict moderator.
+ * @returns {Promise<object>} Komentar yang diperbarui beserta `isOverturned`.
+ */
+export const submitReviewVerdictApi = async (
+  analyzedCommentId,
+  classification
+) => {
+  try {
+    const response = await apiClient.put(`/reviews/${analyzedCommentId}`, {
+      classification,
+    });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal menyimpan verdict tinjauan.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Menghapus verdict moderator sehingga komentar kembali mengikuti verdict AI.
+ * @param {string} analyzedCommentId - _id AnalyzedComment.
+ * @returns {Promise<object>} Komentar yang diperbarui.
+ */
+export const clearReviewVerdictApi = async (analyzedCommentId) => {
+  try {
+    const response = await apiClient.delete(`/reviews/${analyzedCommentId}`);
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal menghapus verdict tinjauan.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengunduh komentar yang sudah ditinjau sebagai dataset latih `{text, label}`.
+ * @param {object} params - `{ format, from?, to?, aiModelVersion?, disagreementOnly, dedupe }`.
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export const exportTrainingDatasetApi = async (params) => {
+  try {
+    const response = await apiClient.get("/reviews/export", {
+      params,
+      responseType: "blob",
+    });
+    return {
+      blob: response.data,
+      filename: getFilenameFromDisposition(
+        response.headers["content-disposition"],
+        `judi-guard-dataset.${params.format}`
+      ),
+    };
+  } catch (error) {
+    // Dengan responseType blob, pesan error backend juga berupa Blob JSON
+    let message = "Gagal mengunduh dataset.";
+    try {
+      const body = JSON.parse(await error.response?.data?.text());
+      message = body.message || message;
+    } catch {
+      // Abaikan: pakai pesan bawaan
+    }
+    throw new Error(message);
+  }
+};
@@ -0,0 +1,24 @@
+// src/lib/services/stats/statsApi.js
+import { apiClient } from "../apiClient";
+
+/**
+ * Mengambil tren komentar judi vs bersih per hari/minggu, beserta rincian per video,
+ * per channel, aksi moderasi, dan waktu upload/siaran langsung video.
+ * @param {object} [params]
+ * @param {"day"|"week"} [params.interval]
+ * @param {string} [params.from] - Tanggal ISO (YYYY-MM-DD).
+ * @param {string} [params.to] - Tanggal ISO (YYYY-MM-DD).
+ * @param {string} [params.youtubeVideoId]
+ * @param {string} [params.youtubeChannelId]
+ * @returns {Promise<object>} `{ interval, from, to, totals, series, moderation, videos, channels, events }`
+ */
+export const getTimeSeriesStatsApi = async (params = {}) => {
+  try {
+    const response = await apiClient.get("/stats/timeseries", { params });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil statistik tren.";
+    throw new Error(message);
+  }
+};
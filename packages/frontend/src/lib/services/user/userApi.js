@@ -75,3 +75,65 @@ export const updateMyProfileApi = async (profileData) => {
     throw new Error(message);
   }
 };
+
+export const getModerationSettingsApi = async () => {
+  try {
+    const response = await apiClient.get("/users/me/moderation-settings");
+    return response.data; // { status, message, data: { moderationSettings } }
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil pengaturan moderasi.";
+    throw new Error(message);
+  }
+};
+
+export const updateModerationSettingsApi = async (settings) => {
+  try {
+    const response = await apiClient.patch(
+      "/users/me/moderation-settings",
+      settings
+    );
+    return response.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message ||
+      "Gagal menyimpan pengaturan moderasi. Silakan coba lagi nanti.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil pemakaian kuota YouTube Data API pengguna.
+ * @param {number} [days=7] - Jumlah hari riwayat, termasuk hari ini.
+ * @returns {Promise<object>} `{ day, dailyBudget, usedUnits, remainingUnits, operations, history }`
+ */
+export const getQuotaUsageApi = async (days = 7) => {
+  try {
+    const response = await apiClient.get("/users/me/quota-usage", {
+      params: { days },
+    });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil pemakaian kuota.";
+    throw new Error(message);
+  }
+};
+
+/**
+ * Mengambil audit log pengguna (terbaru dulu) dengan filter opsional.
+ * @param {object} [filters] - `{ action, targetType, targetId, result, from, to, before, limit }`
+ * @returns {Promise<object>} `{ entries, nextCursor }`
+ */
+export const getAuditLogApi = async (filters = {}) => {
+  try {
+    const response = await apiClient.get("/users/me/audit-log", {
+      params: filters,
+    });
+    return response.data.data;
+  } catch (error) {
+    const message =
+      error.response?.data?.message || "Gagal mengambil audit log.";
+    throw new Error(message);
+  }
+};
@@ -0,0 +1,10 @@
+// src/lib/utils/classification.js
+
+/**
+ * Klasifikasi yang berlaku untuk sebuah komentar: verdict moderator jika sudah ditinjau,
+ * jika belum maka verdict AI. Sama dengan `getEffectiveClassification` di backend.
+ * @param {{classification: string, humanClassification?: string}} comment
+ * @returns {string}
+ */
+export const getEffectiveClassification = (comment) =>
+  comment.humanClassification || comment.classification;
@@ -0,0 +1,26 @@
+// src/lib/utils/download.js
+
+/**
+ * Memicu unduhan file di browser dari sebuah Blob.
+ * @param {Blob} blob - Isi file.
+ * @param {string} filename - Nama file yang disarankan ke browser.
+ */
+export const saveBlobAsFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Mengambil nama file dari header `Content-Disposition` response backend.
+ * @param {string} [contentDisposition]
+ * @param {string} fallback - Nama file jika header tidak ada.
+ * @returns {string}
+ */
+export const getFilenameFromDisposition = (contentDisposition, fallback) =>
+  contentDisposition?.match(/filename="?([^";]+)"?/)?.[1] || fallback;
@@ -27,13 +27,18 @@ const AnalysisPage = () => {
   );
 
   useEffect(() => {
-    if (location.pathname === "/analisis") {
-      const WorkGuideDetail = sections.find((s) => s.id === "work-guide");
-      if (WorkGuideDetail && WorkGuideDetail.ref.current) {
-        setTimeout(() => {
-          WorkGuideDetail.ref.current.scrollIntoView({ behavior: "smooth" });
-        }, 100);
-      }
+    // Deep link ke analisis lama (/analisis/:analysisId) langsung menuju hasilnya
+    const targetId =
+      location.pathname === "/analisis"
+        ? "work-guide"
+        : location.pathname.startsWith("/analisis/")
+          ? "analysis-results"
+          : null;
+    const targetSection = sections.find((s) => s.id === targetId);
+    if (targetSection && targetSection.ref.current) {
+      setTimeout(() => {
+        targetSection.ref.current.scrollIntoView({ behavior: "smooth" });
+      }, 100);
     }
   }, [location.pathname, sections]);
 
@@ -7,6 +7,7 @@
 export const PIE_CHART_COLORS = {
   NON_JUDI: "#585add", // Biru untuk bersih/non-judi
   JUDI: "#dd55ba", // Merah muda untuk judi
+  NEEDS_REVIEW: "#f59e0b", // Amber untuk komentar di pita tinjauan
   PENDING_ANALYSIS: "#facc15", // Kuning untuk pending
   ERROR_ANALYSIS: "#737373", // Abu-abu untuk error
   UNKNOWN: "#a1a1aa", // Abu-abu muda untuk unknown
@@ -20,6 +21,7 @@ export const PIE_CHART_COLORS = {
 export const CATEGORY_DISPLAY_NAMES = {
   NON_JUDI: "Clean", // Diubah menjadi "Clean" agar sesuai gambar
   JUDI: "Spam", // Diubah menjadi "Spam" agar sesuai gambar
+  NEEDS_REVIEW: "Perlu Ditinjau",
   PENDING_ANALYSIS: "Menunggu Analisis",
   ERROR_ANALYSIS: "Error Analisis",
   UNKNOWN: "Tidak Diketahui",
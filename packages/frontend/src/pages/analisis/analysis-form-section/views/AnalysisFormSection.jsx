@@ -1,19 +1,31 @@
 // src/features/video-analysis/views/AnalysisFormSection.jsx
-import React from "react";
+import React, { useCallback, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
 import { motion } from "framer-motion";
 
 import AnalysisSubmitForm from "./components/AnalysisSubmitForm";
 import AnalysisResultHeader from "./components/AnalysisResultHeader";
+import AnalysisExportButton from "./components/AnalysisExportButton";
 import AnalysisSummary from "./components/AnalysisSummary";
+import BatchDeletionPanel from "./components/BatchDeletionPanel";
+import ReclassificationPanel from "./components/ReclassificationPanel";
 import CommentList from "./components/CommentList";
+import CommentFilterBar from "./components/CommentFilterBar";
+import ChannelScanPanel from "./components/ChannelScanPanel";
+import CommentImportPanel from "./components/CommentImportPanel";
+import PromotedDestinationsPanel from "./components/PromotedDestinationsPanel";
+import MonitoredVideosPanel from "./components/MonitoredVideosPanel";
 import { useVideoAnalysis } from "@/hooks/video-analysis/useVideoAnalysis";
 
 /**
  * Komponen induk untuk halaman analisis video.
  * Mengatur tata letak dan menyatukan semua komponen anak,
  * dengan semua logika dikelola oleh custom hook `useVideoAnalysis`.
+ * Pada rute `/analisis/:analysisId`, analisis tersebut dimuat ulang dari server.
  */
 const AnalysisFormSection = () => {
+  const { analysisId: routeAnalysisId } = useParams();
+  const navigate = useNavigate();
   const {
     videoUrl,
     setVideoUrl,
@@ -26,12 +38,36 @@ const AnalysisFormSection = () => {
     pieChartData,
     stats,
     pollingMessage,
+    commentQuery,
+    commentFacets,
+    hasMoreComments,
+    isLoadingMoreComments,
+    loadMoreComments,
+    updateCommentQuery,
+    resetCommentQuery,
+    fetchComments,
     handleSubmitAnalysis,
+    handleImportComments,
     handleManageComments,
-  } = useVideoAnalysis();
+    handleModerateComment,
+  } = useVideoAnalysis(routeAnalysisId);
 
   const isActionInProgress = isLoading || isAnalyzing || isDeleting;
 
+  // Jika analisis baru dimulai dari halaman deep link, perbarui URL agar tetap sesuai.
+  // Hanya bereaksi pada perubahan analysisId; perubahan URL ditangani useVideoAnalysis.
+  useEffect(() => {
+    if (routeAnalysisId && analysisId && analysisId !== routeAnalysisId) {
+      navigate(`/analisis/${analysisId}`, { replace: true });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [analysisId]);
+  // Muat ulang komentar setelah job penghapusan massal selesai atau terjeda
+  const refreshComments = useCallback(
+    () => fetchComments(analysisId),
+    [fetchComments, analysisId]
+  );
+
   return (
     <div className="container mx-auto px-2 py-4 md:px-4 md:py-8">
       <motion.div
@@ -53,6 +89,17 @@ const AnalysisFormSection = () => {
           }
         />
 
+        <ChannelScanPanel isActionInProgress={isActionInProgress} />
+
+        <CommentImportPanel
+          onImport={handleImportComments}
+          isActionInProgress={isActionInProgress}
+        />
+
+        <MonitoredVideosPanel />
+
+        <PromotedDestinationsPanel />
+
         {analysisId && videoAnalysisData && (
           <motion.section
             id="analysis-result"
@@ -67,23 +114,61 @@ const AnalysisFormSection = () => {
               pollingMessage={pollingMessage}
             />
 
-            {videoAnalysisData.status === "COMPLETED" &&
-              analyzedComments.length > 0 && (
-                <AnalysisSummary
-                  pieChartData={pieChartData}
-                  stats={stats}
-                  onManageComments={handleManageComments}
+            {videoAnalysisData.status !== "PROCESSING" && stats.total > 0 && (
+              <AnalysisExportButton analysisId={analysisId} />
+            )}
+
+            {videoAnalysisData.status === "COMPLETED" && stats.total > 0 && (
+              <AnalysisSummary
+                pieChartData={pieChartData}
+                stats={stats}
+                onManageComments={handleManageComments}
+                isActionInProgress={isActionInProgress}
+              />
+            )}
+
+            {/* Komentar hasil impor file tidak bisa dihapus dari YouTube */}
+            {videoAnalysisData.status !== "PROCESSING" &&
+              videoAnalysisData.source !== "import" &&
+              (stats.JUDI || 0) > 0 && (
+                <BatchDeletionPanel
+                  analysisId={analysisId}
                   isActionInProgress={isActionInProgress}
+                  onFinished={refreshComments}
                 />
               )}
 
+            {!["PENDING", "PROCESSING"].includes(videoAnalysisData.status) &&
+              stats.total > 0 && (
+                <ReclassificationPanel
+                  analysisId={analysisId}
+                  isActionInProgress={isActionInProgress}
+                  onFinished={refreshComments}
+                />
+              )}
+
+            {commentFacets && (
+              <CommentFilterBar
+                query={commentQuery}
+                facets={commentFacets}
+                onChange={updateCommentQuery}
+                onReset={resetCommentQuery}
+                isActionInProgress={isActionInProgress}
+              />
+            )}
+
             <CommentList
               comments={analyzedComments}
+              totalCount={commentFacets?.total}
               // onDeleteSingle={handleDeleteSingleComment}
+              onModerate={handleModerateComment}
               isActionInProgress={isActionInProgress}
               isLoadingInitial={
                 isLoading && analyzedComments.length === 0 && !isAnalyzing
               }
+              hasMore={hasMoreComments}
+              onLoadMore={loadMoreComments}
+              isLoadingMore={isLoadingMoreComments}
             />
           </motion.section>
         )}
@@ -0,0 +1,48 @@
+// src/pages/analisis/analysis-form-section/views/components/AnalysisExportButton.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { Download, Loader2 } from "lucide-react";
+
+import { useAnalysisExport } from "@/hooks/video-analysis/useAnalysisExport";
+
+const EXPORT_FORMATS = [
+  { format: "xlsx", label: "Excel" },
+  { format: "csv", label: "CSV" },
+  { format: "json", label: "JSON" },
+];
+
+/**
+ * Tombol unduh komentar hasil analisis dalam beberapa format.
+ */
+const AnalysisExportButton = ({ analysisId }) => {
+  const { exportingFormat, handleExport } = useAnalysisExport(analysisId);
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 mb-6">
+      <span className="flex items-center text-xs font-medium text-gray-600">
+        <Download className="w-4 h-4 mr-1" />
+        Unduh hasil:
+      </span>
+      {EXPORT_FORMATS.map(({ format, label }) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => handleExport(format)}
+          disabled={Boolean(exportingFormat)}
+          className="flex items-center px-3 py-1 rounded-md text-xs font-semibold text-teal-700 bg-white border border-teal-200 hover:bg-teal-50 disabled:opacity-50"
+        >
+          {exportingFormat === format && (
+            <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+          )}
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+AnalysisExportButton.propTypes = {
+  analysisId: PropTypes.string.isRequired,
+};
+
+export default AnalysisExportButton;
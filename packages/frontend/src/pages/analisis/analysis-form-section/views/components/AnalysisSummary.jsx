@@ -29,6 +29,7 @@ const AnalysisSummary = ({
     const keyMap = {
       CLEAN: "NON_JUDI", // Jika data Anda menggunakan 'Clean' tapi konstanta 'NON_JUDI'
       SPAM: "JUDI",
+      "PERLU DITINJAU": "NEEDS_REVIEW",
     };
     const normalizedKey = displayName?.toUpperCase();
     const finalKey = keyMap[normalizedKey] || normalizedKey;
@@ -141,6 +142,15 @@ const AnalysisSummary = ({
           value={(stats.NON_JUDI || 0).toLocaleString()}
           color="text-blue-600"
         />
+        <StatBox
+          label="Perlu Ditinjau"
+          value={(stats.NEEDS_REVIEW || 0).toLocaleString()}
+          color="text-amber-600"
+        />
+        <StatBox
+          label="Termasuk Balasan"
+          value={(stats.replies || 0).toLocaleString()}
+        />
       </div>
 
       {/* Tombol Hapus Semua (jika ada komentar judi) */}
@@ -0,0 +1,263 @@
+// src/pages/analisis/analysis-form-section/views/components/BatchDeletionPanel.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { Loader2, PlayCircle, Trash2, X } from "lucide-react";
+
+import { useBatchDeletion } from "@/hooks/video-analysis/useBatchDeletion";
+
+const ACTION_LABELS = {
+  delete: { text: "Hapus", className: "bg-red-100 text-red-700" },
+  rejected: { text: "Sembunyikan", className: "bg-pink-100 text-pink-700" },
+};
+
+const JOB_STATUS_LABELS = {
+  QUEUED: "Menunggu antrean",
+  RUNNING: "Sedang berjalan",
+  PAUSED_QUOTA: "Terjeda: kuota habis",
+  COMPLETED: "Selesai",
+  FAILED: "Gagal",
+};
+
+const formatScore = (score) =>
+  typeof score === "number" ? `${Math.round(score * 100)}%` : "-";
+
+/**
+ * Dialog pratinjau dry-run: daftar komentar target yang bisa dikecualikan satu per satu,
+ * ringkasan aksi, perkiraan kuota, dan komentar yang dilewati beserta alasannya.
+ */
+const BatchDeletionPreviewDialog = ({
+  preview,
+  excludedIds,
+  selection,
+  isSubmitting,
+  onToggle,
+  onClose,
+  onConfirm,
+}) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+    <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+      <div className="flex items-center justify-between px-5 py-4 border-b">
+        <h3 className="text-lg font-semibold text-teal-800">
+          Pratinjau Penghapusan Massal
+        </h3>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Tutup"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="px-5 py-3 text-sm text-gray-700 border-b bg-sky-50">
+        <p>
+          <strong>{selection.total}</strong> komentar akan diproses:{" "}
+          {selection.deleteCount} dihapus (komentar channel Anda),{" "}
+          {selection.rejectedCount} disembunyikan (komentar orang lain).
+        </p>
+        <p className={selection.isWithinBudget ? "" : "text-red-600"}>
+          Perkiraan kuota: {selection.estimatedQuotaCost.toLocaleString()} unit
+          · sisa hari ini {preview.quota.remainingUnits.toLocaleString()} unit
+          {!selection.isWithinBudget &&
+            " — job akan terjeda saat kuota habis dan bisa dilanjutkan besok."}
+        </p>
+      </div>
+
+      <div className="overflow-y-auto flex-1 px-5 py-3">
+        {preview.targets.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">
+            Tidak ada komentar yang memenuhi syarat untuk dihapus.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {preview.targets.map((comment) => {
+              const isExcluded = excludedIds.has(comment._id);
+              const action = ACTION_LABELS[comment.action];
+              return (
+                <li key={comment._id} className="py-2">
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={!isExcluded}
+                      onChange={() => onToggle(comment._id)}
+                      disabled={isSubmitting}
+                      className="mt-1 accent-teal-600"
+                    />
+                    <div
+                      className={`flex-1 min-w-0 ${isExcluded ? "opacity-50" : ""}`}
+                    >
+                      <p className="text-sm text-gray-800 break-words line-clamp-2">
+                        {comment.commentTextDisplay}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {comment.commentAuthorDisplayName} · skor{" "}
+                        {formatScore(
+                          comment.judiScore ?? comment.aiConfidenceScore
+                        )}
+                        {comment.parentYoutubeCommentId && " · balasan"}
+                      </p>
+                    </div>
+                    <span
+                      className={`text-xs font-semibold px-2 py-0.5 rounded ${action.className}`}
+                    >
+                      {action.text}
+                    </span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {preview.skipped.length > 0 && (
+          <details className="mt-4 text-sm">
+            <summary className="cursor-pointer font-medium text-gray-600">
+              {preview.skipped.length} komentar judi dilewati
+            </summary>
+            <ul className="mt-2 space-y-1">
+              {preview.skipped.map((comment) => (
+                <li key={comment._id} className="text-xs text-gray-500">
+                  <span className="text-gray-700 line-clamp-1">
+                    {comment.commentTextDisplay}
+                  </span>
+                  {comment.reasonText}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+
+      <div className="flex justify-end gap-2 px-5 py-4 border-t">
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={isSubmitting}
+          className="px-4 py-2 rounded-md text-sm font-semibold text-gray-700 bg-gray-100 hover:bg-gray-200"
+        >
+          Batal
+        </button>
+        <button
+          type="button"
+          onClick={onConfirm}
+          disabled={isSubmitting || selection.total === 0}
+          className="flex items-center px-4 py-2 rounded-md text-sm font-semibold text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+        >
+          {isSubmitting ? (
+            <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+          ) : (
+            <Trash2 className="w-4 h-4 mr-1" />
+          )}
+          Jalankan untuk {selection.total} Komentar
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+BatchDeletionPreviewDialog.propTypes = {
+  preview: PropTypes.object.isRequired,
+  excludedIds: PropTypes.instanceOf(Set).isRequired,
+  selection: PropTypes.object.isRequired,
+  isSubmitting: PropTypes.bool.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+};
+
+/**
+ * Tombol hapus massal komentar judi beserta progres job penghapusan terakhir.
+ */
+const BatchDeletionPanel = ({ analysisId, isActionInProgress, onFinished }) => {
+  const {
+    preview,
+    excludedIds,
+    selection,
+    isLoadingPreview,
+    isSubmitting,
+    job,
+    isJobActive,
+    openPreview,
+    closePreview,
+    toggleExcluded,
+    runBatchDeletion,
+    resumeJob,
+  } = useBatchDeletion(analysisId, { onFinished });
+
+  const processedCount = job
+    ? job.deletedCount + (job.hiddenCount || 0) + job.failedCount
+    : 0;
+
+  return (
+    <div className="mt-6 bg-white rounded-xl p-4 shadow flex flex-wrap items-center gap-3">
+      <div className="flex-1 min-w-0 text-sm text-gray-700">
+        {job ? (
+          <>
+            <p className="font-semibold">
+              Penghapusan massal: {JOB_STATUS_LABELS[job.status] || job.status}
+            </p>
+            <p className="text-xs text-gray-500">
+              {processedCount}/{job.totalTargeted} diproses · {job.deletedCount}{" "}
+              dihapus · {job.hiddenCount || 0} disembunyikan · {job.failedCount}{" "}
+              gagal · kuota {job.quotaUsed}/{job.quotaBudget} unit
+            </p>
+            {job.lastError && job.status !== "COMPLETED" && (
+              <p className="text-xs text-red-600">{job.lastError}</p>
+            )}
+          </>
+        ) : (
+          <p>
+            Hapus komentar judi milik channel Anda dan sembunyikan komentar judi
+            orang lain sekaligus. Periksa pratinjaunya terlebih dahulu.
+          </p>
+        )}
+      </div>
+
+      {["PAUSED_QUOTA", "FAILED"].includes(job?.status) && (
+        <button
+          type="button"
+          onClick={resumeJob}
+          disabled={isSubmitting}
+          className="flex items-center px-3 py-2 rounded-md text-sm font-semibold text-teal-700 bg-teal-50 hover:bg-teal-100 disabled:opacity-50"
+        >
+          <PlayCircle className="w-4 h-4 mr-1" />
+          Lanjutkan
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={openPreview}
+        disabled={isActionInProgress || isLoadingPreview || isJobActive}
+        className="flex items-center px-4 py-2 rounded-md text-sm font-semibold text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+      >
+        {isLoadingPreview || isJobActive ? (
+          <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+        ) : (
+          <Trash2 className="w-4 h-4 mr-1" />
+        )}
+        Hapus Massal Komentar Judi
+      </button>
+
+      {preview && (
+        <BatchDeletionPreviewDialog
+          preview={preview}
+          excludedIds={excludedIds}
+          selection={selection}
+          isSubmitting={isSubmitting}
+          onToggle={toggleExcluded}
+          onClose={closePreview}
+          onConfirm={runBatchDeletion}
+        />
+      )}
+    </div>
+  );
+};
+
+BatchDeletionPanel.propTypes = {
+  analysisId: PropTypes.string.isRequired,
+  isActionInProgress: PropTypes.bool.isRequired,
+  onFinished: PropTypes.func,
+};
+
+export default BatchDeletionPanel;
@@ -0,0 +1,183 @@
+// src/features/video-analysis/views/components/ChannelScanPanel.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { motion } from "framer-motion";
+import { Loader2, ScanSearch } from "lucide-react";
+import { useChannelScan } from "@/hooks/video-analysis/useChannelScan";
+
+const STATUS_LABELS = {
+  PENDING: "Menunggu",
+  PROCESSING: "Diproses",
+  COMPLETED: "Selesai",
+  FAILED: "Gagal",
+};
+
+/**
+ * Panel untuk scan seluruh video di channel YouTube yang terhubung.
+ * Menampilkan filter scan dan tabel ringkasan komentar judi per video,
+ * diurutkan dari video yang paling banyak diserang.
+ * @param {object} props
+ * @param {boolean} props.isActionInProgress - Status apakah ada aksi lain yang sedang berjalan.
+ */
+const ChannelScanPanel = ({ isActionInProgress }) => {
+  const {
+    filters,
+    updateFilter,
+    isStarting,
+    isScanning,
+    scanSummary,
+    handleStartScan,
+  } = useChannelScan();
+
+  const isDisabled = isActionInProgress || isStarting || isScanning;
+
+  return (
+    <motion.section
+      id="channel-scan"
+      whileInView={{ opacity: 1, y: 0 }}
+      viewport={{ once: true, amount: 0.2 }}
+      initial={{ opacity: 0, y: 20 }}
+      transition={{ delay: 0.1, duration: 0.5 }}
+      className="bg-white border border-gray-200 shadow-xl rounded-2xl p-6 md:p-8 w-full max-w-4xl mx-auto"
+    >
+      <h2 className="text-center text-xl md:text-2xl font-bold text-teal-700 mb-2">
+        Scan Seluruh Channel
+      </h2>
+      <p className="text-center text-sm text-gray-600 mb-6">
+        Analisis semua video di channel YouTube Anda yang terhubung sekaligus.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4">
+        <div>
+          <label
+            htmlFor="scanPublishedAfter"
+            className="block text-teal-700 font-semibold mb-1.5 text-sm"
+          >
+            Diunggah sejak :
+          </label>
+          <input
+            id="scanPublishedAfter"
+            type="date"
+            value={filters.publishedAfter}
+            onChange={(e) => updateFilter("publishedAfter", e.target.value)}
+            className="w-full border border-gray-500 rounded-2xl px-4 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            disabled={isDisabled}
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="scanPublishedBefore"
+            className="block text-teal-700 font-semibold mb-1.5 text-sm"
+          >
+            Diunggah sampai :
+          </label>
+          <input
+            id="scanPublishedBefore"
+            type="date"
+            value={filters.publishedBefore}
+            onChange={(e) => updateFilter("publishedBefore", e.target.value)}
+            className="w-full border border-gray-500 rounded-2xl px-4 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            disabled={isDisabled}
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="scanMaxVideos"
+            className="block text-teal-700 font-semibold mb-1.5 text-sm"
+          >
+            Jumlah video maks. :
+          </label>
+          <input
+            id="scanMaxVideos"
+            type="number"
+            min={1}
+            max={200}
+            value={filters.maxVideos}
+            onChange={(e) => updateFilter("maxVideos", e.target.value)}
+            className="w-full border border-gray-500 rounded-2xl px-4 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            disabled={isDisabled}
+          />
+        </div>
+      </div>
+
+      <div className="text-center pt-4 justify-end flex">
+        <button
+          type="button"
+          onClick={handleStartScan}
+          disabled={isDisabled}
+          className="inline-flex items-center justify-center px-3 sm:px-6 py-2 bg-teal-600 text-white font-semibold rounded-xl shadow-md hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 disabled:cursor-not-allowed disabled:opacity-60 transition-all duration-300 ease-in-out"
+          aria-label="Scan Channel Saya"
+        >
+          {isStarting || isScanning ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            <ScanSearch className="w-5 h-5" />
+          )}
+          <span className="ml-2">
+            {isScanning ? "Memindai..." : "Scan Channel Saya"}
+          </span>
+        </button>
+      </div>
+
+      {scanSummary && scanSummary.videos.length > 0 && (
+        <div className="mt-6 space-y-3">
+          <p className="text-sm text-teal-700 font-medium">
+            {scanSummary.scan.channelTitle &&
+              `${scanSummary.scan.channelTitle} · `}
+            {scanSummary.totals.videosCompleted +
+              scanSummary.totals.videosFailed}
+            /{scanSummary.totals.videosQueued} video selesai ·{" "}
+            {scanSummary.totals.judiComments.toLocaleString()} komentar judi
+            dari {scanSummary.totals.totalComments.toLocaleString()} komentar
+          </p>
+          <div className="max-h-[50vh] overflow-y-auto rounded-xl border border-gray-200">
+            <table className="w-full text-sm">
+              <thead className="bg-sky-100 text-teal-800 sticky top-0">
+                <tr>
+                  <th className="text-left px-3 py-2">Video</th>
+                  <th className="text-left px-3 py-2">Status</th>
+                  <th className="text-right px-3 py-2">Judi</th>
+                  <th className="text-right px-3 py-2">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scanSummary.videos.map((video) => (
+                  <tr
+                    key={video.analysisId}
+                    className="border-t border-gray-100 hover:bg-sky-50"
+                  >
+                    <td className="px-3 py-2">
+                      <a
+                        href={`https://www.youtube.com/watch?v=${video.youtubeVideoId}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-gray-800 hover:text-teal-700 hover:underline"
+                      >
+                        {video.videoTitle || video.youtubeVideoId}
+                      </a>
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">
+                      {STATUS_LABELS[video.status] || video.status}
+                    </td>
+                    <td className="px-3 py-2 text-right font-semibold text-pink-600">
+                      {video.judiComments}
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-600">
+                      {video.totalComments}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </motion.section>
+  );
+};
+
+ChannelScanPanel.propTypes = {
+  isActionInProgress: PropTypes.bool.isRequired,
+};
+
+export default ChannelScanPanel;
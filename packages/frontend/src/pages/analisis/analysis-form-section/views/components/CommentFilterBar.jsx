@@ -0,0 +1,266 @@
+// src/features/video-analysis/views/components/CommentFilterBar.jsx
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  ArrowDownWideNarrow,
+  ArrowUpNarrowWide,
+  Search,
+  X,
+} from "lucide-react";
+
+// Tab klasifikasi; "" berarti semua klasifikasi
+const CLASSIFICATION_TABS = [
+  { value: "", label: "Semua" },
+  { value: "JUDI", label: "Judi" },
+  { value: "NEEDS_REVIEW", label: "Perlu Ditinjau" },
+  { value: "NON_JUDI", label: "Bersih" },
+];
+
+const SORT_OPTIONS = [
+  { value: "publishedAt", label: "Tanggal komentar" },
+  { value: "confidence", label: "Keyakinan AI" },
+  { value: "likes", label: "Jumlah suka" },
+];
+
+// Status moderasi turunan, sama dengan MODERATION_STATES di backend
+const MODERATION_OPTIONS = [
+  { value: "none", label: "Belum dimoderasi" },
+  { value: "published", label: "Dipulihkan" },
+  { value: "heldForReview", label: "Ditahan untuk ditinjau" },
+  { value: "rejected", label: "Disembunyikan" },
+  { value: "deleted", label: "Dihapus dari YouTube" },
+  { value: "failed", label: "Moderasi gagal" },
+];
+
+// Nilai keyakinan di query berupa 0-1, sedangkan input memakai persen
+const toPercent = (value) => (value === "" ? "" : String(value * 100));
+const toFraction = (value) => (value === "" ? "" : Number(value) / 100);
+
+const inputClassName =
+  "border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500 disabled:opacity-60";
+
+/**
+ * Filter, pencarian, dan urutan daftar komentar hasil analisis. Jumlah pada tab dan
+ * pilihan status moderasi diambil dari facet backend, jadi mencakup semua komentar
+ * yang cocok, bukan hanya halaman yang sudah dimuat.
+ * @param {object} props
+ * @param {object} props.query - Filter & urutan aktif (lihat `useVideoAnalysis`).
+ * @param {object|null} props.facets - Facet `{ classification, moderation, total }` dari backend.
+ * @param {(changes: object) => void} props.onChange - Dipanggil dengan field query yang berubah.
+ * @param {() => void} props.onReset - Mengembalikan semua filter ke bawaan.
+ * @param {boolean} props.isActionInProgress - Status apakah ada aksi lain yang sedang berjalan.
+ */
+const CommentFilterBar = ({
+  query,
+  facets,
+  onChange,
+  onReset,
+  isActionInProgress,
+}) => {
+  // Input teks baru diterapkan saat form dikirim, agar tidak memuat ulang tiap ketikan
+  const [draft, setDraft] = useState({});
+  useEffect(() => {
+    setDraft({
+      q: query.q,
+      author: query.author,
+      minConfidence: toPercent(query.minConfidence),
+      maxConfidence: toPercent(query.maxConfidence),
+    });
+  }, [query.q, query.author, query.minConfidence, query.maxConfidence]);
+
+  const classificationCounts = facets?.classification || {};
+  const moderationCounts = facets?.moderation || {};
+  const totalForTab = (value) =>
+    value === ""
+      ? Object.values(classificationCounts).reduce((sum, n) => sum + n, 0)
+      : classificationCounts[value] || 0;
+
+  const isFiltered = [
+    "classification",
+    "moderation",
+    "q",
+    "author",
+    "minConfidence",
+    "maxConfidence",
+  ].some((field) => query[field] !== "");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onChange({
+      q: draft.q.trim(),
+      author: draft.author.trim(),
+      minConfidence: toFraction(draft.minConfidence),
+      maxConfidence: toFraction(draft.maxConfidence),
+    });
+  };
+
+  const updateDraft = (field) => (e) =>
+    setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="space-y-3 mb-4">
+      <div className="flex flex-wrap gap-2" role="tablist">
+        {CLASSIFICATION_TABS.map(({ value, label }) => (
+          <button
+            key={value || "ALL"}
+            type="button"
+            role="tab"
+            aria-selected={query.classification === value}
+            onClick={() => onChange({ classification: value })}
+            disabled={isActionInProgress}
+            className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors disabled:cursor-not-allowed disabled:opacity-60 ${
+              query.classification === value
+                ? "bg-teal-600 text-white"
+                : "bg-white text-teal-700 border border-teal-200 hover:bg-teal-50"
+            }`}
+          >
+            {label} ({totalForTab(value)})
+          </button>
+        ))}
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-2"
+      >
+        <input
+          type="search"
+          value={draft.q ?? ""}
+          onChange={updateDraft("q")}
+          maxLength={100}
+          placeholder="Cari teks komentar"
+          aria-label="Cari teks komentar"
+          className={inputClassName}
+          disabled={isActionInProgress}
+        />
+        <input
+          type="text"
+          value={draft.author ?? ""}
+          onChange={updateDraft("author")}
+          maxLength={100}
+          placeholder="Nama atau ID channel penulis"
+          aria-label="Penulis komentar"
+          className={inputClassName}
+          disabled={isActionInProgress}
+        />
+        <div className="flex items-center gap-1">
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={draft.minConfidence ?? ""}
+            onChange={updateDraft("minConfidence")}
+            placeholder="Min %"
+            aria-label="Keyakinan AI minimum (%)"
+            className={`${inputClassName} w-full`}
+            disabled={isActionInProgress}
+          />
+          <span className="text-gray-500">-</span>
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={draft.maxConfidence ?? ""}
+            onChange={updateDraft("maxConfidence")}
+            placeholder="Maks %"
+            aria-label="Keyakinan AI maksimum (%)"
+            className={`${inputClassName} w-full`}
+            disabled={isActionInProgress}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isActionInProgress}
+          className="inline-flex items-center justify-center px-3 py-1.5 bg-teal-600 text-white text-sm font-semibold rounded-lg hover:bg-teal-700 disabled:cursor-not-allowed disabled:opacity-60 transition-colors"
+        >
+          <Search className="w-4 h-4 mr-1.5" />
+          Terapkan
+        </button>
+      </form>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={query.moderation}
+          onChange={(e) => onChange({ moderation: e.target.value })}
+          aria-label="Status moderasi"
+          className={inputClassName}
+          disabled={isActionInProgress}
+        >
+          <option value="">Semua status moderasi</option>
+          {MODERATION_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label} ({moderationCounts[value] || 0})
+            </option>
+          ))}
+        </select>
+        <select
+          value={query.sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+          aria-label="Urutkan berdasarkan"
+          className={inputClassName}
+          disabled={isActionInProgress}
+        >
+          {SORT_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() =>
+            onChange({ order: query.order === "desc" ? "asc" : "desc" })
+          }
+          disabled={isActionInProgress}
+          aria-label={
+            query.order === "desc" ? "Urutan menurun" : "Urutan menaik"
+          }
+          title={query.order === "desc" ? "Urutan menurun" : "Urutan menaik"}
+          className="p-2 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {query.order === "desc" ? (
+            <ArrowDownWideNarrow className="w-4 h-4" />
+          ) : (
+            <ArrowUpNarrowWide className="w-4 h-4" />
+          )}
+        </button>
+        {isFiltered && (
+          <button
+            type="button"
+            onClick={onReset}
+            disabled={isActionInProgress}
+            className="inline-flex items-center px-2 py-1.5 text-gray-600 hover:text-pink-600 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            <X className="w-4 h-4 mr-1" />
+            Hapus filter
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+CommentFilterBar.propTypes = {
+  query: PropTypes.shape({
+    classification: PropTypes.string.isRequired,
+    moderation: PropTypes.string.isRequired,
+    q: PropTypes.string.isRequired,
+    author: PropTypes.string.isRequired,
+    minConfidence: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+      .isRequired,
+    maxConfidence: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+      .isRequired,
+    sort: PropTypes.string.isRequired,
+    order: PropTypes.oneOf(["asc", "desc"]).isRequired,
+  }).isRequired,
+  facets: PropTypes.shape({
+    classification: PropTypes.objectOf(PropTypes.number),
+    moderation: PropTypes.objectOf(PropTypes.number),
+    total: PropTypes.number,
+  }),
+  onChange: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  isActionInProgress: PropTypes.bool.isRequired,
+};
+
+export default CommentFilterBar;
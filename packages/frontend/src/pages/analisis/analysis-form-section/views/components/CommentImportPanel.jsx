@@ -0,0 +1,105 @@
+// src/features/video-analysis/views/components/CommentImportPanel.jsx
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { motion } from "framer-motion";
+import { FileUp, Loader2 } from "lucide-react";
+
+/**
+ * Panel untuk mengunggah file komentar (CSV/JSON) dan menganalisisnya secara offline,
+ * misal export Google Takeout atau komentar dari channel yang tidak terhubung lewat OAuth.
+ * Hasilnya tampil di bagian hasil analisis seperti analisis video biasa.
+ * @param {object} props
+ * @param {(file: File, options: {title?: string}) => void} props.onImport - Handler unggah file.
+ * @param {boolean} props.isActionInProgress - Status apakah ada aksi lain yang sedang berjalan.
+ */
+const CommentImportPanel = ({ onImport, isActionInProgress }) => {
+  const [file, setFile] = useState(null);
+  const [title, setTitle] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onImport(file, title.trim() ? { title: title.trim() } : {});
+  };
+
+  return (
+    <motion.section
+      id="comment-import"
+      whileInView={{ opacity: 1, y: 0 }}
+      viewport={{ once: true, amount: 0.2 }}
+      initial={{ opacity: 0, y: 20 }}
+      transition={{ delay: 0.1, duration: 0.5 }}
+      className="bg-white border border-gray-200 shadow-xl rounded-2xl p-6 md:p-8 w-full max-w-4xl mx-auto"
+    >
+      <h2 className="text-center text-xl md:text-2xl font-bold text-teal-700 mb-2">
+        Impor File Komentar
+      </h2>
+      <p className="text-center text-sm text-gray-600 mb-6">
+        Analisis komentar dari file CSV/JSON (misal export Google Takeout) tanpa
+        menghubungkan akun YouTube.
+      </p>
+
+      <form
+        onSubmit={handleSubmit}
+        className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4"
+      >
+        <div>
+          <label
+            htmlFor="importFile"
+            className="block text-teal-700 font-semibold mb-1.5 text-sm"
+          >
+            File komentar (.csv / .json) :
+          </label>
+          <input
+            id="importFile"
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="w-full border border-gray-500 rounded-2xl px-4 py-1.5 text-sm file:mr-3 file:border-0 file:bg-transparent file:font-semibold file:text-teal-700"
+            disabled={isActionInProgress}
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="importTitle"
+            className="block text-teal-700 font-semibold mb-1.5 text-sm"
+          >
+            Judul analisis (opsional) :
+          </label>
+          <input
+            id="importTitle"
+            type="text"
+            maxLength={200}
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Misal: Arsip komentar channel X"
+            className="w-full border border-gray-500 rounded-2xl px-4 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            disabled={isActionInProgress}
+          />
+        </div>
+
+        <div className="sm:col-span-2 text-center pt-2 justify-end flex">
+          <button
+            type="submit"
+            disabled={isActionInProgress || !file}
+            className="inline-flex items-center justify-center px-3 sm:px-6 py-2 bg-teal-600 text-white font-semibold rounded-xl shadow-md hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 disabled:cursor-not-allowed disabled:opacity-60 transition-all duration-300 ease-in-out"
+            aria-label="Analisis File Komentar"
+          >
+            {isActionInProgress ? (
+              <Loader2 className="w-5 h-5 animate-spin" />
+            ) : (
+              <FileUp className="w-5 h-5" />
+            )}
+            <span className="ml-2">Analisis File</span>
+          </button>
+        </div>
+      </form>
+    </motion.section>
+  );
+};
+
+CommentImportPanel.propTypes = {
+  onImport: PropTypes.func.isRequired,
+  isActionInProgress: PropTypes.bool.isRequired,
+};
+
+export default CommentImportPanel;
@@ -1,28 +1,88 @@
 import React from "react";
 import PropTypes from "prop-types";
 import { motion } from "framer-motion";
-import { Loader2, Trash2 } from "lucide-react";
+import {
+  CornerDownRight,
+  EyeOff,
+  Loader2,
+  PauseCircle,
+  RotateCcw,
+  Trash2,
+} from "lucide-react";
 import { FormattedDate } from "../../../../../lib/utils/formatters";
+import { getEffectiveClassification } from "../../../../../lib/utils/classification";
+
+// Warna kartu dan label per klasifikasi; selain JUDI/NEEDS_REVIEW dianggap bersih
+const CLASSIFICATION_STYLES = {
+  JUDI: {
+    card: "border-pink-500 bg-pink-50 hover:bg-pink-100",
+    badge: "bg-pink-100 text-pink-800",
+  },
+  NEEDS_REVIEW: {
+    card: "border-amber-500 bg-amber-50 hover:bg-amber-100",
+    badge: "bg-amber-100 text-amber-800",
+  },
+};
+const DEFAULT_CLASSIFICATION_STYLE = {
+  card: "border-blue-500 bg-blue-50 hover:bg-blue-100",
+  badge: "bg-blue-100 text-blue-800",
+};
+
+// Aksi moderasi per komentar; aksi yang sama dengan status saat ini disembunyikan
+const MODERATION_ACTIONS = [
+  { action: "published", label: "Pulihkan", Icon: RotateCcw },
+  { action: "heldForReview", label: "Tahan untuk ditinjau", Icon: PauseCircle },
+  { action: "rejected", label: "Sembunyikan", Icon: EyeOff },
+  { action: "delete", label: "Hapus permanen", Icon: Trash2 },
+];
+const MODERATION_STATUS_LABELS = {
+  heldForReview: "Ditahan untuk ditinjau",
+  rejected: "Disembunyikan",
+};
 
 const CommentList = ({
   comments,
-  onDeleteSingle,
+  totalCount,
+  onModerate,
   isActionInProgress,
   isLoadingInitial,
+  hasMore = false,
+  onLoadMore,
+  isLoadingMore = false,
 }) => {
-  const handleDelete = async (commentId, commentText) => {
-    try {
-      await onDeleteSingle(commentId, commentText);
-    } catch (error) {
-      console.error(error);
-      // Error already handled in parent component
-    }
-  };
+  // Nama penulis komentar induk, untuk label "Balasan untuk ..." pada balasan
+  const authorByYoutubeCommentId = new Map(
+    comments.map((c) => [c.youtubeCommentId, c.commentAuthorDisplayName])
+  );
+
+  // Susun agar setiap balasan tampil tepat di bawah komentar induknya.
+  // Balasan yang induknya tidak ada di daftar tetap ditampilkan di akhir.
+  const repliesByParentId = new Map();
+  comments.forEach((c) => {
+    if (!c.parentYoutubeCommentId) return;
+    const siblings = repliesByParentId.get(c.parentYoutubeCommentId) || [];
+    siblings.push(c);
+    repliesByParentId.set(c.parentYoutubeCommentId, siblings);
+  });
+  const orderedComments = comments
+    .filter((c) => !c.parentYoutubeCommentId)
+    .flatMap((c) => [c, ...(repliesByParentId.get(c.youtubeCommentId) || [])]);
+  comments
+    .filter(
+      (c) =>
+        c.parentYoutubeCommentId &&
+        !authorByYoutubeCommentId.has(c.parentYoutubeCommentId)
+    )
+    .forEach((c) => orderedComments.push(c));
 
   return (
     <div className="space-y-4">
       <h3 className="text-lg font-semibold text-teal-700">
-        Daftar Komentar ({comments.length})
+        Daftar Komentar (
+        {totalCount > comments.length
+          ? `${comments.length} dari ${totalCount}`
+          : comments.length}
+        )
       </h3>
 
       {isLoadingInitial && comments.length === 0 ? (
@@ -32,21 +92,34 @@ const CommentList = ({
         </div>
       ) : comments.length > 0 ? (
         <div className="space-y-3 max-h-[60vh] overflow-y-auto pr-2 bg-white p-4 rounded-xl shadow-inner">
-          {comments.map((comment, index) => (
+          {orderedComments.map((comment, index) => (
             <motion.div
               key={comment._id || comment.youtubeCommentId}
               initial={{ opacity: 0, y: 10 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.2, delay: index * 0.05 }}
               className={`p-4 rounded-lg border-l-4 ${
-                comment.classification === "JUDI"
-                  ? "border-pink-500 bg-pink-50 hover:bg-pink-100"
-                  : "border-blue-500 bg-blue-50 hover:bg-blue-100"
+                comment.parentYoutubeCommentId ? "ml-6 md:ml-10" : ""
+              } ${
+                (CLASSIFICATION_STYLES[getEffectiveClassification(comment)] ||
+                  DEFAULT_CLASSIFICATION_STYLE).card
               } transition-colors duration-150 shadow-sm`}
             >
               <div className="flex justify-between items-start gap-3">
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center gap-2 mb-1">
+                    {comment.parentYoutubeCommentId && (
+                      <span className="flex items-center gap-1 text-xs font-medium px-1.5 py-0.5 rounded bg-gray-200 text-gray-700">
+                        <CornerDownRight className="h-3 w-3" />
+                        Balasan
+                        {authorByYoutubeCommentId.get(
+                          comment.parentYoutubeCommentId
+                        ) &&
+                          ` untuk ${authorByYoutubeCommentId.get(
+                            comment.parentYoutubeCommentId
+                          )}`}
+                      </span>
+                    )}
                     <span className="text-xs font-medium text-gray-600">
                       {comment.commentAuthorDisplayName || "Anonim"}
                     </span>
@@ -59,36 +132,49 @@ const CommentList = ({
                   </p>
                 </div>
 
-                <button
-                  type="button"
-                  onClick={() =>
-                    handleDelete(comment._id, comment.commentTextDisplay)
-                  }
-                  disabled={isActionInProgress}
-                  aria-label="Hapus komentar"
-                  className={`p-2 rounded-md ${
-                    comment.classification === "JUDI"
-                      ? "text-pink-600 hover:bg-pink-200"
-                      : "text-gray-600 hover:bg-gray-200"
-                  } transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}
-                >
-                  {isActionInProgress ? (
-                    <Loader2 className="h-4 w-4 animate-spin" />
-                  ) : (
-                    <Trash2 className="h-4 w-4" />
-                  )}
-                </button>
+                {comment.isDeletedOnYoutube ? (
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    Dihapus dari YouTube
+                  </span>
+                ) : (
+                  <div className="flex items-center gap-1">
+                    {MODERATION_ACTIONS.filter(
+                      ({ action }) =>
+                        action !==
+                        (comment.youtubeModerationStatus || "published")
+                    ).map(({ action, label, Icon }) => (
+                      <button
+                        key={action}
+                        type="button"
+                        onClick={() => onModerate(comment, action)}
+                        disabled={isActionInProgress}
+                        aria-label={label}
+                        title={label}
+                        className={`p-2 rounded-md ${
+                          action === "rejected" || action === "delete"
+                            ? "text-pink-600 hover:bg-pink-200"
+                            : "text-gray-600 hover:bg-gray-200"
+                        } transition-colors disabled:opacity-50 disabled:cursor-not-allowed`}
+                      >
+                        <Icon className="h-4 w-4" />
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div className="mt-2 flex justify-between items-center">
                 <span
                   className={`text-xs font-medium px-2 py-1 rounded ${
-                    comment.classification === "JUDI"
-                      ? "bg-pink-100 text-pink-800"
-                      : "bg-blue-100 text-blue-800"
+                    (CLASSIFICATION_STYLES[getEffectiveClassification(comment)] ||
+                      DEFAULT_CLASSIFICATION_STYLE).badge
                   }`}
                 >
-                  {comment.classification || "N/A"}
+                  {getEffectiveClassification(comment) || "N/A"}
+                  {comment.humanClassification &&
+                    ` · Ditinjau (AI: ${
+                      comment.aiRawClassification || comment.classification
+                    })`}
                 </span>
                 {comment.aiConfidenceScore && (
                   <span className="text-xs text-gray-500">
@@ -96,8 +182,71 @@ const CommentList = ({
                   </span>
                 )}
               </div>
+              {comment.textTransformations?.length > 0 && (
+                <p
+                  className="mt-2 text-xs text-gray-500"
+                  title={comment.commentTextNormalized}
+                >
+                  Teks disamarkan:{" "}
+                  {comment.textTransformations
+                    .map((t) => `${t.type} ×${t.count}`)
+                    .join(", ")}
+                </p>
+              )}
+              {(MODERATION_STATUS_LABELS[comment.youtubeModerationStatus] ||
+                comment.moderationResult === "FAILED") && (
+                <p
+                  className={`mt-2 text-xs ${
+                    comment.moderationResult === "FAILED"
+                      ? "text-red-600"
+                      : "text-pink-700"
+                  }`}
+                >
+                  {comment.moderationResult === "FAILED"
+                    ? `Moderasi gagal: ${comment.moderationError}`
+                    : MODERATION_STATUS_LABELS[comment.youtubeModerationStatus]}
+                </p>
+              )}
+              {comment.promotions && (
+                <p className="mt-2 text-xs text-gray-500 break-all">
+                  Tujuan promosi:{" "}
+                  {[
+                    ...(comment.promotions.domains || []),
+                    ...(comment.promotions.phoneNumbers || []),
+                    ...(comment.promotions.handles || []),
+                  ].join(", ")}
+                </p>
+              )}
+              {comment.matchedRuleIds?.length > 0 && (
+                <div className="mt-2 flex flex-wrap items-center gap-1">
+                  <span className="text-xs text-gray-500">Aturan cocok:</span>
+                  {comment.matchedRuleIds.map((ruleId) => (
+                    <span
+                      key={ruleId}
+                      className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-gray-100 text-gray-600"
+                    >
+                      {ruleId}
+                    </span>
+                  ))}
+                </div>
+              )}
             </motion.div>
           ))}
+          {hasMore && (
+            <div className="flex justify-center pt-2">
+              <button
+                type="button"
+                onClick={onLoadMore}
+                disabled={isLoadingMore || isActionInProgress}
+                className="inline-flex items-center px-4 py-2 text-sm font-semibold text-teal-700 border border-teal-300 rounded-xl hover:bg-teal-50 disabled:cursor-not-allowed disabled:opacity-60 transition-colors"
+              >
+                {isLoadingMore && (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                )}
+                Muat lebih banyak
+              </button>
+            </div>
+          )}
         </div>
       ) : (
         <div className="text-center py-10 text-gray-500">
@@ -113,16 +262,33 @@ CommentList.propTypes = {
     PropTypes.shape({
       _id: PropTypes.string.isRequired,
       youtubeCommentId: PropTypes.string.isRequired,
+      parentYoutubeCommentId: PropTypes.string,
       commentAuthorDisplayName: PropTypes.string,
       commentTextDisplay: PropTypes.string.isRequired,
       commentPublishedAt: PropTypes.string.isRequired,
       classification: PropTypes.string.isRequired,
+      aiRawClassification: PropTypes.string,
+      humanClassification: PropTypes.string,
+      matchedRuleIds: PropTypes.arrayOf(PropTypes.string),
+      commentTextNormalized: PropTypes.string,
+      textTransformations: PropTypes.arrayOf(
+        PropTypes.shape({ type: PropTypes.string, count: PropTypes.number })
+      ),
       aiConfidenceScore: PropTypes.number,
+      youtubeModerationStatus: PropTypes.string,
+      moderationResult: PropTypes.string,
+      moderationError: PropTypes.string,
+      isDeletedOnYoutube: PropTypes.bool,
     })
   ).isRequired,
-  onDeleteSingle: PropTypes.func.isRequired,
+  // Jumlah semua komentar yang cocok dengan filter, termasuk yang belum dimuat
+  totalCount: PropTypes.number,
+  onModerate: PropTypes.func.isRequired,
   isActionInProgress: PropTypes.bool.isRequired,
   isLoadingInitial: PropTypes.bool.isRequired,
+  hasMore: PropTypes.bool,
+  onLoadMore: PropTypes.func,
+  isLoadingMore: PropTypes.bool,
 };
 
 export default CommentList;
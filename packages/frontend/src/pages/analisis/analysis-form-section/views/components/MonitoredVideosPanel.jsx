@@ -0,0 +1,196 @@
+// src/features/video-analysis/views/components/MonitoredVideosPanel.jsx
+import React from "react";
+import { motion } from "framer-motion";
+import { Eye, Loader2, Pause, Play, Trash2 } from "lucide-react";
+import {
+  useMonitoredVideos,
+  MONITOR_INTERVAL_OPTIONS,
+} from "@/hooks/video-analysis/useMonitoredVideos";
+import { FormattedDate } from "../../../../../lib/utils/formatters";
+
+/**
+ * Panel untuk memantau video secara berkala. Setiap video yang dipantau di-scan ulang
+ * sesuai interval, dan hanya komentar baru sejak scan terakhir yang dianalisis.
+ * Balasan baru pada komentar lama tidak ikut re-scan, jadi batasan ini ditampilkan ke pengguna.
+ */
+const MonitoredVideosPanel = () => {
+  const {
+    monitors,
+    videoUrl,
+    setVideoUrl,
+    intervalMinutes,
+    setIntervalMinutes,
+    isLoading,
+    isSubmitting,
+    handleWatchVideo,
+    handleUpdateMonitor,
+    handleUnwatch,
+  } = useMonitoredVideos();
+
+  return (
+    <motion.section
+      id="monitored-videos"
+      whileInView={{ opacity: 1, y: 0 }}
+      viewport={{ once: true, amount: 0.2 }}
+      initial={{ opacity: 0, y: 20 }}
+      transition={{ delay: 0.1, duration: 0.5 }}
+      className="bg-white border border-gray-200 shadow-xl rounded-2xl p-6 md:p-8 w-full max-w-4xl mx-auto"
+    >
+      <h2 className="text-center text-xl md:text-2xl font-bold text-teal-700 mb-2">
+        Pantau Video
+      </h2>
+      <p className="text-center text-sm text-gray-600">
+        Komentar baru pada video yang dipantau akan dianalisis otomatis.
+      </p>
+      <p className="text-center text-xs text-gray-500 mb-6">
+        Balasan baru pada komentar yang sudah pernah di-scan tidak ikut
+        dianalisis; jalankan analisis ulang video untuk mengambilnya.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="text"
+          value={videoUrl}
+          onChange={(e) => setVideoUrl(e.target.value)}
+          placeholder="Tempelkan link video YouTube yang ingin dipantau"
+          aria-label="Link video yang dipantau"
+          className="flex-1 border border-gray-500 rounded-2xl px-4 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+          disabled={isSubmitting}
+        />
+        <select
+          value={intervalMinutes}
+          onChange={(e) => setIntervalMinutes(Number(e.target.value))}
+          aria-label="Interval re-scan"
+          className="border border-gray-500 rounded-2xl px-3 py-2 text-teal-700 font-semibold"
+          disabled={isSubmitting}
+        >
+          {MONITOR_INTERVAL_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleWatchVideo}
+          disabled={isSubmitting || !videoUrl.trim()}
+          className="inline-flex items-center justify-center px-4 py-2 bg-teal-600 text-white font-semibold rounded-xl shadow-md hover:bg-teal-700 disabled:cursor-not-allowed disabled:opacity-60 transition-all"
+        >
+          {isSubmitting ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            <Eye className="w-5 h-5" />
+          )}
+          <span className="ml-2">Pantau</span>
+        </button>
+      </div>
+
+      <div className="mt-6 space-y-3">
+        {isLoading && monitors.length === 0 ? (
+          <div className="flex justify-center py-6 text-gray-500">
+            <Loader2 className="animate-spin h-6 w-6 text-teal-600" />
+          </div>
+        ) : monitors.length === 0 ? (
+          <p className="text-center text-sm text-gray-500 py-4">
+            Belum ada video yang dipantau.
+          </p>
+        ) : (
+          monitors.map((monitor) => (
+            <div
+              key={monitor._id}
+              className={`p-4 rounded-lg border-l-4 ${
+                monitor.isActive
+                  ? "border-teal-500 bg-teal-50"
+                  : "border-gray-400 bg-gray-50"
+              } shadow-sm`}
+            >
+              <div className="flex justify-between items-start gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-800 truncate">
+                    {monitor.videoTitle || monitor.youtubeVideoId}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Scan terakhir:{" "}
+                    <FormattedDate isoDate={monitor.lastCheckedAt} /> ·
+                    Berikutnya:{" "}
+                    {monitor.isActive ? (
+                      <FormattedDate isoDate={monitor.nextCheckAt} />
+                    ) : (
+                      "dijeda"
+                    )}
+                  </p>
+                  {monitor.lastError && (
+                    <p className="text-xs text-red-600 mt-1">
+                      Error terakhir: {monitor.lastError}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <select
+                    value={monitor.intervalMinutes}
+                    onChange={(e) =>
+                      handleUpdateMonitor(monitor._id, {
+                        intervalMinutes: Number(e.target.value),
+                      })
+                    }
+                    aria-label="Ubah interval re-scan"
+                    className="text-xs border border-gray-300 rounded-lg px-2 py-1"
+                  >
+                    {/* Interval kustom dari API tetap ditampilkan walau tidak ada di daftar pilihan */}
+                    {!MONITOR_INTERVAL_OPTIONS.some(
+                      (o) => o.value === monitor.intervalMinutes
+                    ) && (
+                      <option value={monitor.intervalMinutes}>
+                        Setiap {monitor.intervalMinutes} menit
+                      </option>
+                    )}
+                    {MONITOR_INTERVAL_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      handleUpdateMonitor(monitor._id, {
+                        isActive: !monitor.isActive,
+                      })
+                    }
+                    aria-label={
+                      monitor.isActive
+                        ? "Jeda pemantauan"
+                        : "Lanjutkan pemantauan"
+                    }
+                    className="p-2 rounded-md text-teal-700 hover:bg-teal-100 transition-colors"
+                  >
+                    {monitor.isActive ? (
+                      <Pause className="h-4 w-4" />
+                    ) : (
+                      <Play className="h-4 w-4" />
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      handleUnwatch(
+                        monitor._id,
+                        monitor.videoTitle || monitor.youtubeVideoId
+                      )
+                    }
+                    aria-label="Berhenti memantau"
+                    className="p-2 rounded-md text-pink-600 hover:bg-pink-100 transition-colors"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </motion.section>
+  );
+};
+
+export default MonitoredVideosPanel;
@@ -0,0 +1,139 @@
+// src/features/video-analysis/views/components/PromotedDestinationsPanel.jsx
+import React from "react";
+import { motion } from "framer-motion";
+import { Link2, Loader2 } from "lucide-react";
+import { usePromotedDestinations } from "@/hooks/video-analysis/usePromotedDestinations";
+
+const TYPE_OPTIONS = [
+  { value: "", label: "Semua tujuan" },
+  { value: "DOMAIN", label: "Domain" },
+  { value: "PHONE", label: "Nomor telepon" },
+  { value: "HANDLE", label: "Handle" },
+];
+
+const TYPE_LABELS = {
+  DOMAIN: "Domain",
+  PHONE: "Telepon",
+  HANDLE: "Handle",
+};
+
+/**
+ * Panel laporan domain, nomor WhatsApp, dan handle yang paling sering dipromosikan di
+ * komentar channel, agar bisa dilaporkan ke platform terkait.
+ */
+const PromotedDestinationsPanel = () => {
+  const { type, setType, report, isLoading, fetchReport } =
+    usePromotedDestinations();
+
+  return (
+    <motion.section
+      id="promoted-destinations"
+      whileInView={{ opacity: 1, y: 0 }}
+      viewport={{ once: true, amount: 0.2 }}
+      initial={{ opacity: 0, y: 20 }}
+      transition={{ delay: 0.1, duration: 0.5 }}
+      className="bg-white border border-gray-200 shadow-xl rounded-2xl p-6 md:p-8 w-full max-w-4xl mx-auto"
+    >
+      <h2 className="text-center text-xl md:text-2xl font-bold text-teal-700 mb-2">
+        Tujuan Promosi Terbanyak
+      </h2>
+      <p className="text-center text-sm text-gray-600 mb-6">
+        Link, nomor WhatsApp, dan akun Telegram/Instagram yang paling sering
+        dipromosikan di komentar channel Anda.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-3 justify-end">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          aria-label="Tipe tujuan promosi"
+          className="border border-gray-500 rounded-2xl px-3 py-2 text-teal-700 font-semibold"
+          disabled={isLoading}
+        >
+          {TYPE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={fetchReport}
+          disabled={isLoading}
+          className="inline-flex items-center justify-center px-4 py-2 bg-teal-600 text-white font-semibold rounded-xl shadow-md hover:bg-teal-700 disabled:cursor-not-allowed disabled:opacity-60 transition-all"
+        >
+          {isLoading ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            <Link2 className="w-5 h-5" />
+          )}
+          <span className="ml-2">Tampilkan Laporan</span>
+        </button>
+      </div>
+
+      {report && (
+        <div className="mt-6 space-y-3">
+          <p className="text-sm text-teal-700 font-medium">
+            {report.destinations.length} tujuan dari {report.videosAnalyzed}{" "}
+            video yang dianalisis
+          </p>
+          {report.destinations.length > 0 && (
+            <div className="max-h-[50vh] overflow-y-auto rounded-xl border border-gray-200">
+              <table className="w-full text-sm">
+                <thead className="bg-sky-100 text-teal-800 sticky top-0">
+                  <tr>
+                    <th className="text-left px-3 py-2">Tujuan</th>
+                    <th className="text-left px-3 py-2">Tipe</th>
+                    <th className="text-right px-3 py-2">Judi</th>
+                    <th className="text-right px-3 py-2">Komentar</th>
+                    <th className="text-right px-3 py-2">Video</th>
+                    <th className="text-right px-3 py-2">Penulis</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.destinations.map((destination) => (
+                    <tr
+                      key={`${destination.type}-${destination.value}`}
+                      className="border-t border-gray-100 hover:bg-sky-50"
+                    >
+                      <td className="px-3 py-2 font-mono text-xs text-gray-800 break-all">
+                        {destination.value}
+                        {destination.isBlocked && (
+                          <span className="ml-2 font-sans text-[10px] px-1.5 py-0.5 rounded bg-pink-100 text-pink-700">
+                            Diblokir
+                          </span>
+                        )}
+                        {destination.isShortLink && (
+                          <span className="ml-2 font-sans text-[10px] px-1.5 py-0.5 rounded bg-amber-100 text-amber-700">
+                            Short link
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">
+                        {TYPE_LABELS[destination.type] || destination.type}
+                      </td>
+                      <td className="px-3 py-2 text-right font-semibold text-pink-600">
+                        {destination.judiCommentCount}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">
+                        {destination.commentCount}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">
+                        {destination.videoCount}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">
+                        {destination.authorCount}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </motion.section>
+  );
+};
+
+export default PromotedDestinationsPanel;
@@ -0,0 +1,84 @@
+// src/pages/analisis/analysis-form-section/views/components/ReclassificationPanel.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { Loader2, RefreshCcw } from "lucide-react";
+
+import { useReclassification } from "@/hooks/video-analysis/useReclassification";
+
+const JOB_STATUS_LABELS = {
+  QUEUED: "Menunggu antrean",
+  RUNNING: "Sedang berjalan",
+  COMPLETED: "Selesai",
+  FAILED: "Gagal",
+};
+
+/**
+ * Tombol klasifikasi ulang komentar analisis dengan model AI terbaru, beserta progres
+ * dan jumlah verdict yang berubah per versi model.
+ */
+const ReclassificationPanel = ({
+  analysisId,
+  isActionInProgress,
+  onFinished,
+}) => {
+  const { job, isJobActive, isSubmitting, startReclassification } =
+    useReclassification(analysisId, { onFinished });
+
+  return (
+    <div className="mt-4 bg-white rounded-xl p-4 shadow flex flex-wrap items-center gap-3">
+      <div className="flex-1 min-w-0 text-sm text-gray-700">
+        {job ? (
+          <>
+            <p className="font-semibold">
+              Klasifikasi ulang: {JOB_STATUS_LABELS[job.status] || job.status}
+            </p>
+            <p className="text-xs text-gray-500">
+              {job.processedCount}/{job.totalTargeted} diproses ·{" "}
+              {job.changedCount} berubah verdict · {job.failedCount} gagal
+            </p>
+            {job.versionSummary?.map((summary) => (
+              <p
+                key={`${summary.fromModelVersion}-${summary.toModelVersion}`}
+                className="text-xs text-gray-500"
+              >
+                {summary.fromModelVersion || "versi tidak diketahui"} →{" "}
+                {summary.toModelVersion}: {summary.changed} dari {summary.total}{" "}
+                komentar berubah verdict
+              </p>
+            ))}
+            {job.lastError && job.status === "FAILED" && (
+              <p className="text-xs text-red-600">{job.lastError}</p>
+            )}
+          </>
+        ) : (
+          <p>
+            Nilai ulang komentar tersimpan dengan model AI terbaru. Verdict lama
+            tetap tersimpan sebagai riwayat.
+          </p>
+        )}
+      </div>
+
+      <button
+        type="button"
+        onClick={startReclassification}
+        disabled={isActionInProgress || isSubmitting || isJobActive}
+        className="flex items-center px-4 py-2 rounded-md text-sm font-semibold text-teal-700 bg-teal-50 hover:bg-teal-100 disabled:opacity-50"
+      >
+        {isSubmitting || isJobActive ? (
+          <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+        ) : (
+          <RefreshCcw className="w-4 h-4 mr-1" />
+        )}
+        Klasifikasi Ulang
+      </button>
+    </div>
+  );
+};
+
+ReclassificationPanel.propTypes = {
+  analysisId: PropTypes.string.isRequired,
+  isActionInProgress: PropTypes.bool.isRequired,
+  onFinished: PropTypes.func,
+};
+
+export default ReclassificationPanel;
@@ -0,0 +1,204 @@
+// src/pages/profile/AuditLogSection.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { motion } from "framer-motion";
+import { History, Loader2, RefreshCw } from "lucide-react";
+
+import { useAuditLog } from "../../hooks/profile/useAuditLog";
+
+// Label aksi audit log yang lebih mudah dibaca
+const ACTION_LABELS = {
+  "comment.moderate": "Moderasi komentar",
+  "comment.bulkModerate": "Moderasi massal komentar",
+  "comment.delete": "Hapus komentar",
+  "comment.batchDelete": "Mulai hapus massal komentar judi",
+  "deletionJob.resume": "Lanjutkan hapus massal",
+  "deletionJob.batch": "Batch hapus massal dieksekusi",
+  "campaign.moderate": "Moderasi kampanye spam",
+  "author.ban": "Sembunyikan & blokir penulis",
+  "review.verdict": "Verdict tinjauan manual",
+  "review.clearVerdict": "Hapus verdict tinjauan",
+  "analysis.start": "Mulai analisis video",
+  "analysis.import": "Impor file komentar",
+  "analysis.reclassify": "Klasifikasi ulang komentar",
+  "analysis.delete": "Hapus analisis",
+  "analysis.clearHistory": "Hapus riwayat analisis lama",
+  "channelScan.start": "Mulai scan channel",
+  "monitor.watch": "Pantau video",
+  "monitor.update": "Ubah pemantauan video",
+  "monitor.unwatch": "Berhenti memantau video",
+  "youtube.connect": "Hubungkan YouTube",
+  "youtube.disconnect": "Putuskan YouTube",
+  "account.update": "Ubah profil",
+  "account.changePassword": "Ganti password",
+  "account.delete": "Nonaktifkan akun",
+  "account.moderationSettings": "Ubah ambang moderasi",
+};
+
+const RESULT_STYLES = {
+  SUCCESS: { text: "Berhasil", dot: "bg-emerald-500" },
+  PARTIAL: { text: "Sebagian", dot: "bg-amber-500" },
+  FAILED: { text: "Gagal", dot: "bg-red-500" },
+};
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("id-ID", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Ringkas detail aksi menjadi "kunci: nilai" satu baris
+const formatDetails = (details) =>
+  Object.entries(details || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(
+      ([key, value]) =>
+        `${key}: ${Array.isArray(value) ? value.join(", ") : String(value)}`
+    )
+    .join(" · ");
+
+const AuditLogSection = ({ variants }) => {
+  const {
+    entries,
+    filters,
+    isLoading,
+    error,
+    hasMore,
+    updateFilter,
+    loadMore,
+    refresh,
+  } = useAuditLog();
+
+  return (
+    <motion.section
+      variants={variants}
+      className="bg-white shadow-xl rounded-xl p-6 md:p-8"
+      aria-labelledby="audit-log-heading"
+    >
+      <div className="flex items-center justify-between mb-5">
+        <h2
+          id="audit-log-heading"
+          className="text-xl md:text-2xl font-semibold text-slate-700 flex items-center"
+        >
+          <History size={24} className="mr-3 text-cyan-600" />
+          Riwayat Aktivitas
+        </h2>
+        <button
+          type="button"
+          onClick={refresh}
+          disabled={isLoading}
+          className="flex items-center text-xs font-semibold text-cyan-700 hover:text-cyan-900 disabled:opacity-50"
+        >
+          <RefreshCw
+            size={14}
+            className={`mr-1 ${isLoading ? "animate-spin" : ""}`}
+          />
+          Muat Ulang
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-5 text-sm">
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter("action", e.target.value)}
+          className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700"
+          aria-label="Filter aksi"
+        >
+          <option value="">Semua aksi</option>
+          {Object.entries(ACTION_LABELS).map(([action, label]) => (
+            <option key={action} value={action}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.result}
+          onChange={(e) => updateFilter("result", e.target.value)}
+          className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700"
+          aria-label="Filter hasil"
+        >
+          <option value="">Semua hasil</option>
+          {Object.entries(RESULT_STYLES).map(([result, style]) => (
+            <option key={result} value={result}>
+              {style.text}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && entries.length === 0 ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : entries.length === 0 ? (
+        isLoading ? (
+          <div className="flex items-center text-sm text-slate-500">
+            <Loader2 size={18} className="animate-spin mr-2" />
+            Memuat riwayat aktivitas...
+          </div>
+        ) : (
+          <p className="text-sm text-slate-500">
+            Belum ada aktivitas yang tercatat.
+          </p>
+        )
+      ) : (
+        <>
+          <ol className="relative border-l border-slate-200 ml-2">
+            {entries.map((entry) => {
+              const resultStyle = RESULT_STYLES[entry.result];
+              const details = formatDetails(entry.details);
+              return (
+                <li key={entry._id} className="mb-5 ml-5">
+                  <span
+                    className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ${resultStyle.dot}`}
+                  />
+                  <p className="text-sm font-medium text-slate-700">
+                    {ACTION_LABELS[entry.action] || entry.action}
+                    <span className="ml-2 text-xs font-normal text-slate-500">
+                      {resultStyle.text}
+                    </span>
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    {formatDateTime(entry.createdAt)} ·{" "}
+                    {entry.actor?.type === "system"
+                      ? "Sistem (job latar belakang)"
+                      : entry.actor?.username || entry.actor?.email || "-"}
+                    {entry.request?.ip && ` · ${entry.request.ip}`}
+                  </p>
+                  {entry.target?.id && (
+                    <p className="text-xs text-slate-400 font-mono break-all">
+                      {entry.target.type}: {entry.target.id}
+                    </p>
+                  )}
+                  {details && (
+                    <p className="text-xs text-slate-600 break-words">
+                      {details}
+                    </p>
+                  )}
+                  {entry.error && (
+                    <p className="text-xs text-red-600">{entry.error}</p>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+          {hasMore && (
+            <button
+              type="button"
+              onClick={loadMore}
+              disabled={isLoading}
+              className="flex items-center text-sm font-semibold text-cyan-700 hover:text-cyan-900 disabled:opacity-50"
+            >
+              {isLoading && <Loader2 size={14} className="animate-spin mr-1" />}
+              Muat lebih banyak
+            </button>
+          )}
+        </>
+      )}
+    </motion.section>
+  );
+};
+
+AuditLogSection.propTypes = {
+  variants: PropTypes.object,
+};
+
+export default AuditLogSection;
@@ -0,0 +1,130 @@
+// src/pages/profile/ModerationSettingsSection.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { motion } from "framer-motion";
+import { Loader2, Save, SlidersHorizontal } from "lucide-react";
+
+import { useModerationSettings } from "../../hooks/profile/useModerationSettings";
+
+const THRESHOLD_FIELDS = [
+  {
+    name: "autoActionThreshold",
+    label: "Ambang aksi otomatis",
+    description:
+      "Komentar dengan keyakinan judi di atas nilai ini ditandai JUDI dan ikut dihapus massal.",
+  },
+  {
+    name: "reviewThreshold",
+    label: "Ambang perlu ditinjau",
+    description:
+      "Komentar di antara nilai ini dan ambang aksi otomatis ditandai Perlu Ditinjau dan tidak dihapus otomatis.",
+  },
+];
+
+const ModerationSettingsSection = ({ variants }) => {
+  const {
+    settings,
+    isLoading,
+    isSaving,
+    blockedDomainsText,
+    setBlockedDomainsText,
+    handleThresholdChange,
+    saveSettings,
+  } = useModerationSettings();
+
+  return (
+    <motion.section
+      variants={variants}
+      className="bg-white shadow-xl rounded-xl p-6 md:p-8"
+      aria-labelledby="moderation-settings-heading"
+    >
+      <h2
+        id="moderation-settings-heading"
+        className="text-xl md:text-2xl font-semibold text-slate-700 mb-5 flex items-center"
+      >
+        <SlidersHorizontal size={24} className="mr-3 text-cyan-600" />
+        Pengaturan Moderasi
+      </h2>
+
+      {isLoading || !settings ? (
+        <div className="flex items-center text-sm text-slate-500">
+          <Loader2 size={18} className="animate-spin mr-2" />
+          Memuat pengaturan...
+        </div>
+      ) : (
+        <div className="space-y-5">
+          {THRESHOLD_FIELDS.map(({ name, label, description }) => (
+            <div key={name}>
+              <div className="flex items-center justify-between mb-1">
+                <label
+                  htmlFor={name}
+                  className="text-sm font-medium text-slate-700"
+                >
+                  {label}
+                </label>
+                <span className="text-sm font-semibold text-cyan-700">
+                  {Math.round(settings[name] * 100)}%
+                </span>
+              </div>
+              <input
+                id={name}
+                type="range"
+                min="0.5"
+                max="1"
+                step="0.01"
+                value={settings[name]}
+                onChange={(e) => handleThresholdChange(name, e.target.value)}
+                disabled={isSaving}
+                className="w-full accent-cyan-600"
+              />
+              <p className="text-xs text-slate-500 mt-1">{description}</p>
+            </div>
+          ))}
+
+          <div>
+            <label
+              htmlFor="blockedDomains"
+              className="text-sm font-medium text-slate-700"
+            >
+              Domain yang diblokir
+            </label>
+            <textarea
+              id="blockedDomains"
+              rows={4}
+              value={blockedDomainsText}
+              onChange={(e) => setBlockedDomainsText(e.target.value)}
+              disabled={isSaving}
+              placeholder={"situs-judi.com\nslotgacor.xyz"}
+              className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-cyan-500"
+            />
+            <p className="text-xs text-slate-500 mt-1">
+              Satu domain per baris. Komentar yang mempromosikan domain ini
+              (termasuk subdomainnya) selalu ditandai JUDI.
+            </p>
+          </div>
+
+          <motion.button
+            onClick={saveSettings}
+            disabled={isSaving}
+            className="w-full md:w-auto bg-cyan-600 hover:bg-cyan-700 text-white font-semibold py-2.5 px-6 rounded-md shadow-md flex items-center justify-center text-sm disabled:opacity-60 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:ring-offset-2"
+            whileHover={{ scale: 1.03 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            {isSaving ? (
+              <Loader2 size={18} className="animate-spin mr-2" />
+            ) : (
+              <Save size={16} className="mr-2" />
+            )}
+            {isSaving ? "Menyimpan..." : "Simpan Pengaturan"}
+          </motion.button>
+        </div>
+      )}
+    </motion.section>
+  );
+};
+
+ModerationSettingsSection.propTypes = {
+  variants: PropTypes.object,
+};
+
+export default ModerationSettingsSection;
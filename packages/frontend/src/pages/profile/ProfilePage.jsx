@@ -20,6 +20,9 @@ import PropTypes from "prop-types";
 
 import { useProfilePresenter } from "../../hooks/profile/useProfilePresenter"; // Pastikan path ini benar
 import { useLocation } from "react-router-dom";
+import ModerationSettingsSection from "./ModerationSettingsSection";
+import QuotaUsageSection from "./QuotaUsageSection";
+import AuditLogSection from "./AuditLogSection";
 
 // Komponen InfoItem untuk menampilkan item informasi profil
 const InfoItem = ({
@@ -447,7 +450,16 @@ const UserProfilePage = () => {
           </div>
         </motion.section>
 
-        {/* BAGIAN 3: PENGATURAN AKUN & ZONA BERBAHAYA */}
+        {/* BAGIAN 3: AMBANG KEYAKINAN MODERASI */}
+        <ModerationSettingsSection variants={sectionItemVariants} />
+
+        {/* BAGIAN 4: PEMAKAIAN KUOTA YOUTUBE API */}
+        <QuotaUsageSection variants={sectionItemVariants} />
+
+        {/* BAGIAN 5: RIWAYAT AKTIVITAS (AUDIT LOG) */}
+        <AuditLogSection variants={sectionItemVariants} />
+
+        {/* BAGIAN 6: PENGATURAN AKUN & ZONA BERBAHAYA */}
         <motion.section
           variants={sectionItemVariants}
           className="bg-white shadow-xl rounded-xl p-6 md:p-8"
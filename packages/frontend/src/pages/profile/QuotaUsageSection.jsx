@@ -0,0 +1,170 @@
+// src/pages/profile/QuotaUsageSection.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { motion } from "framer-motion";
+import { Gauge, Loader2, RefreshCw } from "lucide-react";
+
+import { useQuotaUsage } from "../../hooks/profile/useQuotaUsage";
+
+// Label operasi YouTube Data API yang lebih mudah dibaca
+const OPERATION_LABELS = {
+  "videos.list": "Detail video",
+  "channels.list": "Info channel",
+  "playlistItems.list": "Daftar video channel",
+  "commentThreads.list": "Ambil komentar",
+  "commentThreads.update": "Ubah komentar",
+  "comments.list": "Ambil balasan / cek komentar",
+  "comments.delete": "Hapus komentar",
+  "comments.setModerationStatus": "Moderasi komentar",
+};
+
+const formatNumber = (value) => value.toLocaleString("id-ID");
+
+const QuotaUsageSection = ({ variants }) => {
+  const { quotaUsage, isLoading, error, refresh } = useQuotaUsage();
+
+  const usedPercent = quotaUsage
+    ? Math.min(
+        Math.round((quotaUsage.usedUnits / quotaUsage.dailyBudget) * 100),
+        100
+      )
+    : 0;
+  const maxHistoryUnits = quotaUsage
+    ? Math.max(...quotaUsage.history.map((h) => h.units), 1)
+    : 1;
+
+  return (
+    <motion.section
+      variants={variants}
+      className="bg-white shadow-xl rounded-xl p-6 md:p-8"
+      aria-labelledby="quota-usage-heading"
+    >
+      <div className="flex items-center justify-between mb-5">
+        <h2
+          id="quota-usage-heading"
+          className="text-xl md:text-2xl font-semibold text-slate-700 flex items-center"
+        >
+          <Gauge size={24} className="mr-3 text-cyan-600" />
+          Kuota YouTube API
+        </h2>
+        <button
+          type="button"
+          onClick={refresh}
+          disabled={isLoading}
+          className="flex items-center text-xs font-semibold text-cyan-700 hover:text-cyan-900 disabled:opacity-50"
+        >
+          <RefreshCw
+            size={14}
+            className={`mr-1 ${isLoading ? "animate-spin" : ""}`}
+          />
+          Muat Ulang
+        </button>
+      </div>
+
+      {isLoading && !quotaUsage ? (
+        <div className="flex items-center text-sm text-slate-500">
+          <Loader2 size={18} className="animate-spin mr-2" />
+          Memuat pemakaian kuota...
+        </div>
+      ) : error && !quotaUsage ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : (
+        <div className="space-y-6">
+          <div>
+            <div className="flex items-center justify-between mb-1 text-sm">
+              <span className="font-medium text-slate-700">
+                Terpakai hari ini ({quotaUsage.day})
+              </span>
+              <span className="font-semibold text-cyan-700">
+                {formatNumber(quotaUsage.usedUnits)} /{" "}
+                {formatNumber(quotaUsage.dailyBudget)} unit
+              </span>
+            </div>
+            <div className="w-full h-3 bg-slate-100 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full ${
+                  usedPercent >= 90 ? "bg-red-500" : "bg-cyan-600"
+                }`}
+                style={{ width: `${usedPercent}%` }}
+              />
+            </div>
+            <p className="text-xs text-slate-500 mt-1">
+              Sisa {formatNumber(quotaUsage.remainingUnits)} unit. Analisis dan
+              aksi massal ditolak jika perkiraan biayanya melebihi sisa ini.
+              Kuota di-reset tengah malam waktu Pasifik.
+            </p>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-slate-700 mb-2">
+              Rincian hari ini
+            </h3>
+            {quotaUsage.operations.length === 0 ? (
+              <p className="text-xs text-slate-500">
+                Belum ada panggilan YouTube API hari ini.
+              </p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-500">
+                    <th className="py-1 font-medium">Operasi</th>
+                    <th className="py-1 font-medium text-right">Panggilan</th>
+                    <th className="py-1 font-medium text-right">Unit</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {quotaUsage.operations.map((op) => (
+                    <tr key={op.operation}>
+                      <td className="py-1.5 text-slate-700">
+                        {OPERATION_LABELS[op.operation] || op.operation}
+                        <span className="ml-1 text-xs text-slate-400 font-mono">
+                          {op.operation}
+                        </span>
+                      </td>
+                      <td className="py-1.5 text-right text-slate-600">
+                        {formatNumber(op.calls)}
+                      </td>
+                      <td className="py-1.5 text-right font-semibold text-slate-700">
+                        {formatNumber(op.units)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-slate-700 mb-2">
+              7 hari terakhir
+            </h3>
+            <ul className="space-y-1">
+              {quotaUsage.history.map((h) => (
+                <li key={h.day} className="flex items-center text-xs">
+                  <span className="w-24 text-slate-500">{h.day}</span>
+                  <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden mx-2">
+                    <div
+                      className="h-full bg-cyan-500 rounded-full"
+                      style={{
+                        width: `${(h.units / maxHistoryUnits) * 100}%`,
+                      }}
+                    />
+                  </div>
+                  <span className="w-20 text-right text-slate-600">
+                    {formatNumber(h.units)} unit
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </motion.section>
+  );
+};
+
+QuotaUsageSection.propTypes = {
+  variants: PropTypes.object,
+};
+
+export default QuotaUsageSection;
@@ -0,0 +1,293 @@
+// src/pages/riwayat/AnalysisHistoryPage.jsx
+import React, { useState } from "react";
+import { Title } from "react-head";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import {
+  ChevronRight,
+  FileUp,
+  History,
+  Loader2,
+  RefreshCw,
+  Search,
+  Trash2,
+  Youtube,
+} from "lucide-react";
+
+import { useAnalysisHistory } from "@/hooks/video-analysis/useAnalysisHistory";
+import { FormattedDate } from "@/lib/utils/formatters";
+
+// Pilihan filter status; nilai dikirim ke backend sebagai daftar dipisah koma
+const STATUS_FILTERS = [
+  { value: "", label: "Semua status" },
+  { value: "PENDING,PROCESSING", label: "Sedang diproses" },
+  {
+    value:
+      "COMPLETED,COMPLETED_ALL_DELETIONS_SUCCESSFULLY,COMPLETED_DELETION_WITH_PARTIAL_ERRORS,DELETING_CLASSIFIED_COMMENTS",
+    label: "Selesai",
+  },
+  { value: "FAILED,FAILED_ALL_DELETIONS", label: "Gagal" },
+];
+
+const SOURCE_FILTERS = [
+  { value: "", label: "Semua sumber" },
+  { value: "youtube", label: "Video YouTube" },
+  { value: "import", label: "Impor file" },
+];
+
+// Pilihan umur untuk hapus riwayat lama (hari)
+const CLEAR_AGE_OPTIONS = [30, 90, 180, 365];
+
+const STATUS_BADGES = {
+  PENDING: { text: "Menunggu", className: "bg-slate-100 text-slate-700" },
+  PROCESSING: { text: "Diproses", className: "bg-sky-100 text-sky-800" },
+  FAILED: { text: "Gagal", className: "bg-red-100 text-red-700" },
+  FAILED_ALL_DELETIONS: {
+    text: "Penghapusan gagal",
+    className: "bg-red-100 text-red-700",
+  },
+};
+const DEFAULT_STATUS_BADGE = {
+  text: "Selesai",
+  className: "bg-emerald-100 text-emerald-800",
+};
+
+const AnalysisHistoryPage = () => {
+  const {
+    analyses,
+    filters,
+    isLoading,
+    error,
+    hasMore,
+    isDeleting,
+    updateFilter,
+    loadMore,
+    refresh,
+    deleteAnalysis,
+    clearOlderThan,
+  } = useAnalysisHistory();
+  // Pencarian diterapkan saat form dikirim, agar tidak memuat ulang tiap ketikan
+  const [search, setSearch] = useState("");
+  const [clearAge, setClearAge] = useState(CLEAR_AGE_OPTIONS[1]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter("q", search.trim());
+  };
+
+  return (
+    <>
+      <Title>Riwayat Analisis | Judi Guard</Title>
+
+      <div className="min-h-screen bg-[#d8f6ff] px-6 py-16 md:px-24">
+        <div className="max-w-4xl mx-auto">
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-teal-800 flex items-center">
+              <History className="w-7 h-7 mr-3" />
+              Riwayat Analisis
+            </h1>
+            <button
+              type="button"
+              onClick={refresh}
+              disabled={isLoading}
+              className="p-2 rounded-md text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+              aria-label="Muat ulang riwayat"
+            >
+              <RefreshCw
+                className={`w-5 h-5 ${isLoading ? "animate-spin" : ""}`}
+              />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-3 mb-6 text-sm">
+            <select
+              value={filters.status}
+              onChange={(e) => updateFilter("status", e.target.value)}
+              className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700 bg-white"
+              aria-label="Filter status"
+            >
+              {STATUS_FILTERS.map(({ value, label }) => (
+                <option key={label} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.source}
+              onChange={(e) => updateFilter("source", e.target.value)}
+              className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700 bg-white"
+              aria-label="Filter sumber"
+            >
+              {SOURCE_FILTERS.map(({ value, label }) => (
+                <option key={label} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <form onSubmit={handleSearch} className="flex flex-1 min-w-[200px]">
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                maxLength={100}
+                placeholder="Cari judul atau ID video"
+                aria-label="Cari judul atau ID video"
+                className="flex-1 border border-slate-300 rounded-l-md px-3 py-1.5 text-slate-700 focus:outline-none focus:ring-2 focus:ring-teal-500"
+              />
+              <button
+                type="submit"
+                className="px-3 rounded-r-md bg-teal-600 text-white hover:bg-teal-700"
+                aria-label="Cari"
+              >
+                <Search className="w-4 h-4" />
+              </button>
+            </form>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-6 text-sm text-slate-600">
+            <span>Hapus analisis yang lebih lama dari</span>
+            <select
+              value={clearAge}
+              onChange={(e) => setClearAge(Number(e.target.value))}
+              className="border border-slate-300 rounded-md px-2 py-1 text-slate-700 bg-white"
+              aria-label="Umur analisis yang dihapus"
+            >
+              {CLEAR_AGE_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days} hari
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => clearOlderThan(clearAge)}
+              disabled={isDeleting}
+              className="flex items-center px-3 py-1 rounded-md font-semibold text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Hapus Riwayat Lama
+            </button>
+          </div>
+
+          {error && analyses.length === 0 ? (
+            <div className="bg-white rounded-xl p-8 text-center text-red-600 shadow">
+              {error}
+            </div>
+          ) : analyses.length === 0 ? (
+            isLoading ? (
+              <div className="flex justify-center py-16">
+                <Loader2 className="w-8 h-8 animate-spin text-teal-600" />
+              </div>
+            ) : (
+              <div className="bg-white rounded-xl p-8 text-center text-slate-500 shadow">
+                Belum ada analisis yang cocok.{" "}
+                <Link to="/analisis" className="text-teal-700 underline">
+                  Mulai analisis baru
+                </Link>
+              </div>
+            )
+          ) : (
+            <div className="space-y-3">
+              {analyses.map((analysis) => {
+                const badge =
+                  STATUS_BADGES[analysis.status] || DEFAULT_STATUS_BADGE;
+                const counts = analysis.classificationCounts;
+                const SourceIcon =
+                  analysis.source === "import" ? FileUp : Youtube;
+                return (
+                  <motion.div
+                    key={analysis._id}
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="flex items-stretch gap-2"
+                  >
+                    <Link
+                      to={`/analisis/${analysis._id}`}
+                      className="flex flex-1 min-w-0 items-center gap-4 bg-white rounded-xl p-4 shadow-sm border border-slate-200 hover:border-teal-400 hover:shadow-md transition-all"
+                    >
+                      <SourceIcon
+                        className={`w-6 h-6 flex-shrink-0 ${
+                          analysis.source === "import"
+                            ? "text-slate-500"
+                            : "text-red-600"
+                        }`}
+                        aria-label={
+                          analysis.source === "import"
+                            ? "Impor file"
+                            : "Video YouTube"
+                        }
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center gap-2 mb-1">
+                          <p className="font-semibold text-slate-800 truncate">
+                            {analysis.videoTitle || analysis.youtubeVideoId}
+                          </p>
+                          <span
+                            className={`text-xs font-medium px-2 py-0.5 rounded whitespace-nowrap ${badge.className}`}
+                          >
+                            {badge.text}
+                          </span>
+                        </div>
+                        <p className="text-xs text-slate-500">
+                          <FormattedDate
+                            isoDate={analysis.requestedAt || analysis.createdAt}
+                          />{" "}
+                          · {analysis.totalCommentsAnalyzed || 0} komentar
+                          dianalisis
+                        </p>
+                        {counts && (
+                          <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                            <span className="px-2 py-0.5 rounded bg-pink-100 text-pink-800">
+                              Judi: {counts.JUDI}
+                            </span>
+                            <span className="px-2 py-0.5 rounded bg-amber-100 text-amber-800">
+                              Perlu Ditinjau: {counts.NEEDS_REVIEW}
+                            </span>
+                            <span className="px-2 py-0.5 rounded bg-blue-100 text-blue-800">
+                              Bersih: {counts.NON_JUDI}
+                            </span>
+                          </div>
+                        )}
+                      </div>
+                      <ChevronRight className="w-5 h-5 text-slate-400 flex-shrink-0" />
+                    </Link>
+                    {/* Analisis yang masih diproses worker belum bisa dihapus */}
+                    {!["PENDING", "PROCESSING"].includes(analysis.status) && (
+                      <button
+                        type="button"
+                        onClick={() => deleteAnalysis(analysis)}
+                        disabled={isDeleting}
+                        className="px-3 rounded-xl bg-white border border-slate-200 text-slate-400 hover:text-red-600 hover:border-red-300 disabled:opacity-50"
+                        aria-label="Hapus analisis"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    )}
+                  </motion.div>
+                );
+              })}
+
+              {hasMore && (
+                <div className="flex justify-center pt-2">
+                  <button
+                    type="button"
+                    onClick={loadMore}
+                    disabled={isLoading}
+                    className="flex items-center text-sm font-semibold text-teal-700 hover:text-teal-900 disabled:opacity-50"
+                  >
+                    {isLoading && (
+                      <Loader2 size={14} className="animate-spin mr-1" />
+                    )}
+                    Muat lebih banyak
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AnalysisHistoryPage;
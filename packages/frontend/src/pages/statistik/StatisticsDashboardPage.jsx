@@ -0,0 +1,394 @@
+// src/pages/statistik/StatisticsDashboardPage.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { Title } from "react-head";
+import { Loader2, RefreshCw, TrendingUp, Youtube } from "lucide-react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+
+import { useTimeSeriesStats } from "@/hooks/stats/useTimeSeriesStats";
+import {
+  PIE_CHART_COLORS,
+  CATEGORY_DISPLAY_NAMES,
+} from "@/pages/analisis/analysis-form-section/constants/chartConstants";
+
+const INTERVAL_OPTIONS = [
+  { value: "day", label: "Harian" },
+  { value: "week", label: "Mingguan" },
+];
+
+// Jumlah hari ke belakang yang bisa dipilih
+const RANGE_OPTIONS = [7, 30, 90, 180, 365];
+
+// Urutan tumpukan grafik: judi di bawah agar lonjakannya mudah terlihat
+const CLASSIFICATION_KEYS = ["JUDI", "NEEDS_REVIEW", "NON_JUDI"];
+
+const MODERATION_SERIES = [
+  { key: "rejected", label: "Disembunyikan", color: "#dd55ba" },
+  { key: "heldForReview", label: "Ditahan", color: "#f59e0b" },
+  { key: "delete", label: "Dihapus", color: "#737373" },
+  { key: "published", label: "Dipulihkan", color: "#10b981" },
+];
+
+const EVENT_STYLES = {
+  upload: { label: "Upload", color: "#0d9488" },
+  live: { label: "Live", color: "#dc2626" },
+};
+
+// Kunci periode "YYYY-MM-DD" (UTC) menjadi label singkat, mis. "09 Jun"
+const formatPeriod = (period) =>
+  new Date(`${period}T00:00:00.000Z`).toLocaleDateString("id-ID", {
+    day: "2-digit",
+    month: "short",
+    timeZone: "UTC",
+  });
+
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+const SummaryCard = ({ label, value, className }) => (
+  <div className={`rounded-xl p-4 shadow-sm ${className}`}>
+    <p className="text-xs font-medium">{label}</p>
+    <p className="text-2xl font-bold">{value.toLocaleString("id-ID")}</p>
+  </div>
+);
+
+SummaryCard.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  className: PropTypes.string,
+};
+
+const StatisticsDashboardPage = () => {
+  const {
+    stats,
+    filters,
+    isLoading,
+    error,
+    channelOptions,
+    videoOptions,
+    updateFilter,
+    refresh,
+  } = useTimeSeriesStats();
+
+  // Satu garis penanda per periode dan jenis, agar beberapa upload di hari yang sama
+  // tidak saling menumpuk
+  const eventMarkers = stats
+    ? [
+        ...new Map(
+          stats.events.map((event) => [`${event.type}|${event.period}`, event])
+        ).values(),
+      ]
+    : [];
+  const moderationTotal = stats
+    ? Object.values(stats.moderationTotals).reduce((sum, n) => sum + n, 0)
+    : 0;
+
+  return (
+    <>
+      <Title>Statistik Tren | Judi Guard</Title>
+
+      <div className="min-h-screen bg-[#d8f6ff] px-6 py-16 md:px-24">
+        <div className="max-w-5xl mx-auto">
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-teal-800 flex items-center">
+              <TrendingUp className="w-7 h-7 mr-3" />
+              Statistik Tren
+            </h1>
+            <button
+              type="button"
+              onClick={refresh}
+              disabled={isLoading}
+              className="p-2 rounded-md text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+              aria-label="Muat ulang statistik"
+            >
+              <RefreshCw
+                className={`w-5 h-5 ${isLoading ? "animate-spin" : ""}`}
+              />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-3 mb-6 text-sm">
+            <select
+              value={filters.interval}
+              onChange={(e) => updateFilter("interval", e.target.value)}
+              className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700 bg-white"
+              aria-label="Interval"
+            >
+              {INTERVAL_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.rangeDays}
+              onChange={(e) =>
+                updateFilter("rangeDays", Number(e.target.value))
+              }
+              className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700 bg-white"
+              aria-label="Rentang waktu"
+            >
+              {RANGE_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days} hari terakhir
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.youtubeChannelId}
+              onChange={(e) => updateFilter("youtubeChannelId", e.target.value)}
+              className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700 bg-white max-w-[220px]"
+              aria-label="Filter channel"
+            >
+              <option value="">Semua channel</option>
+              {channelOptions
+                .filter((channel) => channel.youtubeChannelId)
+                .map((channel) => (
+                  <option
+                    key={channel.youtubeChannelId}
+                    value={channel.youtubeChannelId}
+                  >
+                    {channel.youtubeChannelId} ({channel.videoCount} video)
+                  </option>
+                ))}
+            </select>
+            <select
+              value={filters.youtubeVideoId}
+              onChange={(e) => updateFilter("youtubeVideoId", e.target.value)}
+              className="border border-slate-300 rounded-md px-2 py-1.5 text-slate-700 bg-white max-w-[260px]"
+              aria-label="Filter video"
+            >
+              <option value="">Semua video</option>
+              {videoOptions.map((video) => (
+                <option key={video.youtubeVideoId} value={video.youtubeVideoId}>
+                  {video.videoTitle || video.youtubeVideoId}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {error && !stats ? (
+            <div className="bg-white rounded-xl p-8 text-center text-red-600 shadow">
+              {error}
+            </div>
+          ) : !stats ? (
+            <div className="flex justify-center py-16">
+              <Loader2 className="w-8 h-8 animate-spin text-teal-600" />
+            </div>
+          ) : (
+            <div className="space-y-6">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <SummaryCard
+                  label={CATEGORY_DISPLAY_NAMES.JUDI}
+                  value={stats.totals.JUDI}
+                  className="bg-pink-100 text-pink-800"
+                />
+                <SummaryCard
+                  label={CATEGORY_DISPLAY_NAMES.NEEDS_REVIEW}
+                  value={stats.totals.NEEDS_REVIEW}
+                  className="bg-amber-100 text-amber-800"
+                />
+                <SummaryCard
+                  label={CATEGORY_DISPLAY_NAMES.NON_JUDI}
+                  value={stats.totals.NON_JUDI}
+                  className="bg-blue-100 text-blue-800"
+                />
+                <SummaryCard
+                  label="Aksi Moderasi"
+                  value={moderationTotal}
+                  className="bg-white text-slate-700"
+                />
+              </div>
+
+              <section className="bg-white rounded-xl p-4 shadow-sm">
+                <h2 className="font-semibold text-slate-800 mb-1">
+                  Komentar per {filters.interval === "week" ? "Minggu" : "Hari"}
+                </h2>
+                <p className="text-xs text-slate-500 mb-4">
+                  Berdasarkan waktu komentar dipublikasikan. Garis vertikal
+                  menandai upload video dan awal siaran langsung.
+                </p>
+                <ResponsiveContainer width="100%" height={320}>
+                  <BarChart data={stats.series}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis
+                      dataKey="period"
+                      tickFormatter={formatPeriod}
+                      fontSize={12}
+                    />
+                    <YAxis allowDecimals={false} fontSize={12} />
+                    <Tooltip labelFormatter={formatPeriod} />
+                    <Legend />
+                    {CLASSIFICATION_KEYS.map((key) => (
+                      <Bar
+                        key={key}
+                        dataKey={key}
+                        name={CATEGORY_DISPLAY_NAMES[key]}
+                        stackId="comments"
+                        fill={PIE_CHART_COLORS[key]}
+                      />
+                    ))}
+                    {eventMarkers.map((event) => (
+                      <ReferenceLine
+                        key={`${event.type}|${event.period}`}
+                        x={event.period}
+                        stroke={EVENT_STYLES[event.type].color}
+                        strokeDasharray="4 2"
+                        label={{
+                          value: EVENT_STYLES[event.type].label,
+                          position: "top",
+                          fontSize: 10,
+                          fill: EVENT_STYLES[event.type].color,
+                        }}
+                      />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </section>
+
+              <section className="bg-white rounded-xl p-4 shadow-sm">
+                <h2 className="font-semibold text-slate-800 mb-1">
+                  Aksi Moderasi
+                </h2>
+                <p className="text-xs text-slate-500 mb-4">
+                  Aksi terakhir yang berhasil diterapkan ke setiap komentar.
+                </p>
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={stats.moderation}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis
+                      dataKey="period"
+                      tickFormatter={formatPeriod}
+                      fontSize={12}
+                    />
+                    <YAxis allowDecimals={false} fontSize={12} />
+                    <Tooltip labelFormatter={formatPeriod} />
+                    <Legend />
+                    {MODERATION_SERIES.map(({ key, label, color }) => (
+                      <Bar
+                        key={key}
+                        dataKey={key}
+                        name={label}
+                        stackId="moderation"
+                        fill={color}
+                      />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </section>
+
+              <section className="bg-white rounded-xl p-4 shadow-sm overflow-x-auto">
+                <h2 className="font-semibold text-slate-800 mb-4">
+                  Video dengan Komentar Judi Terbanyak
+                </h2>
+                {stats.videos.length === 0 ? (
+                  <p className="text-sm text-slate-500">
+                    Belum ada komentar pada rentang ini.
+                  </p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-slate-500 border-b">
+                        <th className="py-2 pr-2">Video</th>
+                        <th className="py-2 px-2 text-right">Judi</th>
+                        <th className="py-2 px-2 text-right">Ditinjau</th>
+                        <th className="py-2 px-2 text-right">Bersih</th>
+                        <th className="py-2 pl-2 text-right">% Judi</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats.videos.map((video) => (
+                        <tr
+                          key={video.youtubeVideoId}
+                          className="border-b last:border-0 text-slate-700"
+                        >
+                          <td className="py-2 pr-2 max-w-xs">
+                            <a
+                              href={`https://www.youtube.com/watch?v=${video.youtubeVideoId}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="flex items-center gap-2 hover:text-teal-700"
+                            >
+                              <Youtube className="w-4 h-4 flex-shrink-0 text-red-600" />
+                              <span className="truncate">
+                                {video.videoTitle || video.youtubeVideoId}
+                              </span>
+                            </a>
+                          </td>
+                          <td className="py-2 px-2 text-right">{video.JUDI}</td>
+                          <td className="py-2 px-2 text-right">
+                            {video.NEEDS_REVIEW}
+                          </td>
+                          <td className="py-2 px-2 text-right">
+                            {video.NON_JUDI}
+                          </td>
+                          <td className="py-2 pl-2 text-right">
+                            {formatPercent(video.judiRatio)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+
+              {stats.channels.length > 0 && (
+                <section className="bg-white rounded-xl p-4 shadow-sm overflow-x-auto">
+                  <h2 className="font-semibold text-slate-800 mb-4">
+                    Per Channel
+                  </h2>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-slate-500 border-b">
+                        <th className="py-2 pr-2">Channel</th>
+                        <th className="py-2 px-2 text-right">Video</th>
+                        <th className="py-2 px-2 text-right">Judi</th>
+                        <th className="py-2 px-2 text-right">Ditinjau</th>
+                        <th className="py-2 pl-2 text-right">Bersih</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats.channels.map((channel) => (
+                        <tr
+                          key={channel.youtubeChannelId || "tanpa-channel"}
+                          className="border-b last:border-0 text-slate-700"
+                        >
+                          <td className="py-2 pr-2 font-mono text-xs">
+                            {channel.youtubeChannelId || "Impor file"}
+                          </td>
+                          <td className="py-2 px-2 text-right">
+                            {channel.videoCount}
+                          </td>
+                          <td className="py-2 px-2 text-right">
+                            {channel.JUDI}
+                          </td>
+                          <td className="py-2 px-2 text-right">
+                            {channel.NEEDS_REVIEW}
+                          </td>
+                          <td className="py-2 pl-2 text-right">
+                            {channel.NON_JUDI}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </section>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default StatisticsDashboardPage;
@@ -0,0 +1,102 @@
+// src/pages/tinjauan/CampaignsPanel.jsx
+import React from "react";
+import { EyeOff, Layers, Loader2, RefreshCw } from "lucide-react";
+
+import { useSpamCampaigns } from "@/hooks/campaign/useSpamCampaigns";
+import { FormattedDate } from "@/lib/utils/formatters";
+
+const CampaignsPanel = () => {
+  const {
+    campaigns,
+    isLoading,
+    isRebuilding,
+    moderatingId,
+    handleRebuild,
+    handleHideAll,
+  } = useSpamCampaigns();
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow mb-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-lg font-semibold text-teal-800 flex items-center">
+          <Layers className="w-5 h-5 mr-2" />
+          Kampanye Spam
+        </h2>
+        <button
+          type="button"
+          onClick={handleRebuild}
+          disabled={isRebuilding}
+          className="flex items-center px-3 py-1.5 rounded-md text-xs font-semibold text-teal-700 bg-teal-50 hover:bg-teal-100 disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`w-4 h-4 mr-1 ${isRebuilding ? "animate-spin" : ""}`}
+          />
+          Kelompokkan Ulang
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        Komentar judi atau perlu ditinjau yang hampir identik di banyak video
+        dikelompokkan menjadi satu kampanye. Sembunyikan seluruh anggotanya
+        sekaligus.
+      </p>
+
+      {isLoading && campaigns.length === 0 ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 animate-spin text-teal-600" />
+        </div>
+      ) : campaigns.length === 0 ? (
+        <p className="text-sm text-slate-500 text-center py-4">
+          Belum ada kampanye spam. Klik &quot;Kelompokkan Ulang&quot; setelah
+          menganalisis beberapa video.
+        </p>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {campaigns.map((campaign) => {
+            const isModerating = moderatingId === campaign._id;
+            return (
+              <li
+                key={campaign._id}
+                className="flex flex-wrap items-center gap-3 py-3"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-800 line-clamp-2 break-words">
+                    {campaign.sampleText}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {campaign.size} komentar ({campaign.judiCount} judi) ·{" "}
+                    {campaign.videoCount} video · {campaign.authorCount} penulis
+                    · <FormattedDate isoDate={campaign.firstSeenAt} /> –{" "}
+                    <FormattedDate isoDate={campaign.lastSeenAt} />
+                  </p>
+                  {campaign.moderationStatus === "rejected" && (
+                    <p className="text-xs text-pink-700">Sudah disembunyikan</p>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleHideAll(campaign)}
+                  disabled={isModerating || campaign.judiCount === 0}
+                  title={
+                    campaign.judiCount === 0
+                      ? "Tinjau komentar kampanye ini satu per satu terlebih dahulu"
+                      : undefined
+                  }
+                  className="flex items-center px-3 py-1.5 rounded-md text-xs font-semibold bg-pink-600 text-white hover:bg-pink-700 disabled:opacity-50"
+                >
+                  {isModerating ? (
+                    <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                  ) : (
+                    <EyeOff className="w-4 h-4 mr-1" />
+                  )}
+                  Sembunyikan Semua
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CampaignsPanel;
@@ -0,0 +1,110 @@
+// src/pages/tinjauan/DatasetExportPanel.jsx
+import React from "react";
+import { Download, Loader2 } from "lucide-react";
+
+import { useDatasetExport } from "@/hooks/review/useDatasetExport";
+
+const inputClasses =
+  "w-full rounded-md border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500";
+
+const DatasetExportPanel = () => {
+  const { filters, isExporting, handleFilterChange, handleExport } =
+    useDatasetExport();
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow mb-6">
+      <h2 className="text-lg font-semibold text-teal-800 mb-1">
+        Ekspor Dataset Latih
+      </h2>
+      <p className="text-xs text-slate-500 mb-4">
+        Komentar yang sudah ditinjau diunduh dalam format{" "}
+        <code>{"{text, label}"}</code> (label 1 = judi, 0 = bukan judi) untuk
+        melatih ulang model.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <label className="text-xs text-slate-600">
+          Format
+          <select
+            name="format"
+            value={filters.format}
+            onChange={handleFilterChange}
+            className={inputClasses}
+          >
+            <option value="jsonl">JSONL</option>
+            <option value="csv">CSV</option>
+          </select>
+        </label>
+        <label className="text-xs text-slate-600">
+          Ditinjau sejak
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+            className={inputClasses}
+          />
+        </label>
+        <label className="text-xs text-slate-600">
+          Ditinjau hingga
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+            className={inputClasses}
+          />
+        </label>
+        <label className="text-xs text-slate-600">
+          Versi model AI
+          <input
+            type="text"
+            name="aiModelVersion"
+            value={filters.aiModelVersion}
+            onChange={handleFilterChange}
+            placeholder="Semua versi"
+            className={inputClasses}
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap gap-4 text-sm text-slate-700">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              name="disagreementOnly"
+              checked={filters.disagreementOnly}
+              onChange={handleFilterChange}
+            />
+            Hanya yang dikoreksi dari verdict AI
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              name="dedupe"
+              checked={filters.dedupe}
+              onChange={handleFilterChange}
+            />
+            Buang teks duplikat
+          </label>
+        </div>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={isExporting}
+          className="flex items-center bg-teal-700 text-white px-4 py-2 rounded-lg hover:bg-teal-800 text-sm font-semibold shadow-md disabled:opacity-60"
+        >
+          {isExporting ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Download className="w-4 h-4 mr-2" />
+          )}
+          Unduh Dataset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetExportPanel;
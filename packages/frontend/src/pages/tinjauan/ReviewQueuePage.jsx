@@ -0,0 +1,223 @@
+// src/pages/tinjauan/ReviewQueuePage.jsx
+import React from "react";
+import PropTypes from "prop-types";
+import { Title } from "react-head";
+import { motion } from "framer-motion";
+import {
+  ClipboardCheck,
+  Loader2,
+  RefreshCw,
+  ShieldAlert,
+  ShieldCheck,
+  Undo2,
+} from "lucide-react";
+
+import { useReviewQueue } from "@/hooks/review/useReviewQueue";
+import { FormattedDate } from "@/lib/utils/formatters";
+import DatasetExportPanel from "./DatasetExportPanel";
+import TopOffendersPanel from "./TopOffendersPanel";
+import CampaignsPanel from "./CampaignsPanel";
+import { CATEGORY_DISPLAY_NAMES } from "@/pages/analisis/analysis-form-section/constants/chartConstants";
+
+const TABS = [
+  { value: "pending", label: "Menunggu Tinjauan" },
+  { value: "reviewed", label: "Sudah Ditinjau" },
+];
+
+const VERDICT_BADGE_CLASSES = {
+  JUDI: "bg-pink-100 text-pink-800",
+  NON_JUDI: "bg-blue-100 text-blue-800",
+  NEEDS_REVIEW: "bg-amber-100 text-amber-800",
+};
+
+const VerdictBadge = ({ label, classification }) => (
+  <span
+    className={`text-xs font-medium px-2 py-1 rounded ${
+      VERDICT_BADGE_CLASSES[classification] || "bg-gray-100 text-gray-700"
+    }`}
+  >
+    {label}: {CATEGORY_DISPLAY_NAMES[classification] || classification}
+  </span>
+);
+
+VerdictBadge.propTypes = {
+  label: PropTypes.string.isRequired,
+  classification: PropTypes.string.isRequired,
+};
+
+const ReviewQueuePage = () => {
+  const {
+    status,
+    setStatus,
+    comments,
+    pendingCount,
+    isLoading,
+    submittingId,
+    fetchQueue,
+    handleVerdict,
+    handleClearVerdict,
+  } = useReviewQueue();
+
+  return (
+    <>
+      <Title>Tinjauan | Judi Guard</Title>
+
+      <div className="min-h-screen bg-[#d8f6ff] px-6 py-16 md:px-24">
+        <div className="max-w-4xl mx-auto">
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-teal-800 flex items-center">
+              <ClipboardCheck className="w-7 h-7 mr-3" />
+              Antrean Tinjauan
+            </h1>
+            <button
+              type="button"
+              onClick={fetchQueue}
+              disabled={isLoading}
+              className="p-2 rounded-md text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+              aria-label="Muat ulang antrean"
+            >
+              <RefreshCw
+                className={`w-5 h-5 ${isLoading ? "animate-spin" : ""}`}
+              />
+            </button>
+          </div>
+
+          <p className="text-sm text-slate-600 mb-4">
+            Komentar dengan keyakinan AI di pita tinjauan menunggu keputusan
+            Anda. Verdict Anda menggantikan verdict AI pada ringkasan dan
+            penghapusan massal, sementara verdict AI aslinya tetap tersimpan.
+          </p>
+
+          <DatasetExportPanel />
+          <TopOffendersPanel />
+          <CampaignsPanel />
+
+          <div className="flex gap-2 mb-6">
+            {TABS.map((tab) => (
+              <button
+                key={tab.value}
+                type="button"
+                onClick={() => setStatus(tab.value)}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                  status === tab.value
+                    ? "bg-teal-700 text-white shadow-md"
+                    : "bg-white text-teal-700 hover:bg-teal-50"
+                }`}
+              >
+                {tab.label}
+                {tab.value === "pending" && ` (${pendingCount})`}
+              </button>
+            ))}
+          </div>
+
+          {isLoading && comments.length === 0 ? (
+            <div className="flex justify-center py-16">
+              <Loader2 className="w-8 h-8 animate-spin text-teal-600" />
+            </div>
+          ) : comments.length === 0 ? (
+            <div className="bg-white rounded-xl p-8 text-center text-slate-500 shadow">
+              {status === "pending"
+                ? "Tidak ada komentar yang menunggu tinjauan."
+                : "Belum ada komentar yang ditinjau."}
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {comments.map((comment) => {
+                const isSubmitting = submittingId === comment._id;
+                const aiVerdict =
+                  comment.aiRawClassification || comment.classification;
+                return (
+                  <motion.div
+                    key={comment._id}
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="bg-white rounded-xl p-4 shadow-sm border border-slate-200"
+                  >
+                    <div className="flex items-center gap-2 mb-1 text-xs">
+                      <span className="font-medium text-gray-600">
+                        {comment.commentAuthorDisplayName || "Anonim"}
+                      </span>
+                      <span className="text-gray-400">
+                        <FormattedDate isoDate={comment.commentPublishedAt} />
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-800 break-words mb-3">
+                      {comment.commentTextDisplay}
+                    </p>
+
+                    <div className="flex flex-wrap items-center gap-2 mb-3">
+                      <VerdictBadge label="AI" classification={aiVerdict} />
+                      {comment.aiConfidenceScore != null && (
+                        <span className="text-xs text-gray-500">
+                          Keyakinan{" "}
+                          {Math.round(comment.aiConfidenceScore * 100)}%
+                        </span>
+                      )}
+                      {comment.matchedRuleIds?.length > 0 && (
+                        <span className="text-xs text-gray-500">
+                          Aturan: {comment.matchedRuleIds.join(", ")}
+                        </span>
+                      )}
+                      {comment.humanClassification && (
+                        <>
+                          <VerdictBadge
+                            label="Moderator"
+                            classification={comment.humanClassification}
+                          />
+                          <span className="text-xs text-gray-500">
+                            oleh{" "}
+                            {comment.reviewedBy?.username ||
+                              comment.reviewedBy?.email ||
+                              "Anda"}{" "}
+                            · <FormattedDate isoDate={comment.reviewedAt} />
+                          </span>
+                        </>
+                      )}
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        type="button"
+                        onClick={() => handleVerdict(comment._id, "JUDI")}
+                        disabled={isSubmitting}
+                        className="flex items-center px-3 py-1.5 rounded-md text-xs font-semibold bg-pink-600 text-white hover:bg-pink-700 disabled:opacity-50"
+                      >
+                        <ShieldAlert className="w-4 h-4 mr-1" />
+                        Judi
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleVerdict(comment._id, "NON_JUDI")}
+                        disabled={isSubmitting}
+                        className="flex items-center px-3 py-1.5 rounded-md text-xs font-semibold bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        <ShieldCheck className="w-4 h-4 mr-1" />
+                        Bukan Judi
+                      </button>
+                      {comment.humanClassification && (
+                        <button
+                          type="button"
+                          onClick={() => handleClearVerdict(comment._id)}
+                          disabled={isSubmitting}
+                          className="flex items-center px-3 py-1.5 rounded-md text-xs font-semibold text-slate-600 hover:bg-slate-100 disabled:opacity-50"
+                        >
+                          <Undo2 className="w-4 h-4 mr-1" />
+                          Batalkan Verdict
+                        </button>
+                      )}
+                      {isSubmitting && (
+                        <Loader2 className="w-4 h-4 animate-spin text-teal-600 self-center" />
+                      )}
+                    </div>
+                  </motion.div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ReviewQueuePage;
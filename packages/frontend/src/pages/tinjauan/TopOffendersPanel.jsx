@@ -0,0 +1,106 @@
+// src/pages/tinjauan/TopOffendersPanel.jsx
+import React from "react";
+import { Ban, Loader2, RefreshCw, UserX } from "lucide-react";
+
+import { useTopOffenders } from "@/hooks/author/useTopOffenders";
+import { FormattedDate } from "@/lib/utils/formatters";
+
+const TopOffendersPanel = () => {
+  const { offenders, isLoading, banningId, fetchOffenders, handleBan } =
+    useTopOffenders();
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow mb-6">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-lg font-semibold text-teal-800 flex items-center">
+          <UserX className="w-5 h-5 mr-2" />
+          Pelanggar Berulang
+        </h2>
+        <button
+          type="button"
+          onClick={fetchOffenders}
+          disabled={isLoading}
+          className="p-1.5 rounded-md text-teal-700 hover:bg-teal-100 disabled:opacity-50"
+          aria-label="Muat ulang daftar pelanggar"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+      <p className="text-xs text-slate-500 mb-4">
+        Penulis dengan komentar judi terbanyak di seluruh analisis Anda.
+        Sembunyikan semua komentarnya dan blokir dari channel dalam satu
+        langkah.
+      </p>
+
+      {isLoading && offenders.length === 0 ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 animate-spin text-teal-600" />
+        </div>
+      ) : offenders.length === 0 ? (
+        <p className="text-sm text-slate-500 text-center py-4">
+          Belum ada penulis dengan komentar judi berulang.
+        </p>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {offenders.map((offender) => {
+            const isBanning = banningId === offender.authorChannelId;
+            const allHidden = offender.hiddenComments >= offender.totalComments;
+            return (
+              <li
+                key={offender.authorChannelId}
+                className="flex flex-wrap items-center gap-3 py-3"
+              >
+                {offender.authorProfileImageUrl && (
+                  <img
+                    src={offender.authorProfileImageUrl}
+                    alt=""
+                    className="w-9 h-9 rounded-full"
+                  />
+                )}
+                <div className="flex-1 min-w-0">
+                  <a
+                    href={`https://www.youtube.com/channel/${offender.authorChannelId}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm font-medium text-gray-800 hover:underline break-all"
+                  >
+                    {offender.authorDisplayName || offender.authorChannelId}
+                  </a>
+                  <p className="text-xs text-gray-500">
+                    {offender.judiComments} judi dari {offender.totalComments}{" "}
+                    komentar · {offender.videoCount} video · terakhir{" "}
+                    <FormattedDate isoDate={offender.lastSeenAt} />
+                  </p>
+                  {(offender.hiddenComments > 0 ||
+                    offender.isChannelBanned) && (
+                    <p className="text-xs text-pink-700">
+                      {offender.hiddenComments} komentar disembunyikan
+                      {offender.isChannelBanned && " · Diblokir dari channel"}
+                    </p>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleBan(offender)}
+                  disabled={
+                    isBanning || (allHidden && offender.isChannelBanned)
+                  }
+                  className="flex items-center px-3 py-1.5 rounded-md text-xs font-semibold bg-pink-600 text-white hover:bg-pink-700 disabled:opacity-50"
+                >
+                  {isBanning ? (
+                    <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                  ) : (
+                    <Ban className="w-4 h-4 mr-1" />
+                  )}
+                  Sembunyikan & Blokir
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TopOffendersPanel;
@@ -10,6 +10,13 @@ import PageLoader from "@/components/PageLoader";
 const HomePage = lazy(() => import("@/pages/home/HomePage"));
 const AboutUs = lazy(() => import("@/pages/about-us/AboutUs"));
 const AnalysisPage = lazy(() => import("@/pages/analisis/AnalysisPage"));
+const ReviewQueuePage = lazy(() => import("@/pages/tinjauan/ReviewQueuePage"));
+const AnalysisHistoryPage = lazy(
+  () => import("@/pages/riwayat/AnalysisHistoryPage")
+);
+const StatisticsDashboardPage = lazy(
+  () => import("@/pages/statistik/StatisticsDashboardPage")
+);
 const ProfilePage = lazy(() => import("@/pages/profile/ProfilePage"));
 const EditProfilePage = lazy(() => import("@/pages/profile/EditProfilePage"));
 const LoginPage = lazy(() => import("@/pages/auth/Login"));
@@ -33,6 +40,10 @@ const AppRouter = () => {
           <Route index element={<HomePage />} />
           <Route path="about-us" element={<AboutUs />} />
           <Route path="analisis" element={<AnalysisPage />} />
+          <Route path="analisis/:analysisId" element={<AnalysisPage />} />
+          <Route path="tinjauan" element={<ReviewQueuePage />} />
+          <Route path="riwayat" element={<AnalysisHistoryPage />} />
+          <Route path="statistik" element={<StatisticsDashboardPage />} />
           <Route path="profile" element={<ProfilePage />} />
           <Route path="profile/edit" element={<EditProfilePage />} />
 
@@ -48,6 +48,54 @@ def predict_for_api():
     # Kembalikan hasil dalam format JSON
     return jsonify(prediction_result)
 
+# Batas jumlah teks per request batch agar memori server model tetap aman
+MAX_BATCH_SIZE = 128
+
+@app.route('/api/predict/batch', methods=['POST'])
+def predict_batch_for_api():
+    """Endpoint batch: menerima {"texts": [...]} dan mengembalikan {"results": [...]} dengan urutan yang sama."""
+    json_data = request.get_json()
+    if not json_data or not isinstance(json_data.get('texts'), list):
+        return jsonify({"error": "Input JSON harus berisi key 'texts' berupa list"}), 400
+
+    texts = json_data['texts']
+    if len(texts) > MAX_BATCH_SIZE:
+        return jsonify({"error": f"Maksimal {MAX_BATCH_SIZE} teks per request"}), 413
+
+    # Teks yang tidak valid diberi error per item, sisanya diprediksi dalam satu batch
+    results = [None] * len(texts)
+    valid_indexes = []
+    for i, t in enumerate(texts):
+        if isinstance(t, str) and t.strip():
+            valid_indexes.append(i)
+        else:
+            results[i] = {"error": "Teks kosong atau bukan string"}
+
+    if valid_indexes:
+        predictions = get_predictions([texts[i] for i in valid_indexes])
+        for i, prediction in zip(valid_indexes, predictions):
+            results[i] = prediction
+
+    return jsonify({"results": results})
+
+def get_predictions(texts: list) -> list:
+    """Versi batch dari get_prediction: satu kali tokenisasi dan forward pass untuk banyak teks."""
+    inputs = tokenizer(texts, return_tensors="tf", truncation=True, padding='max_length', max_length=128)
+
+    outputs = model(inputs)
+    probs = tf.nn.softmax(outputs.logits, axis=1)
+    pred_indexes = tf.argmax(probs, axis=1).numpy()
+    confidences = tf.reduce_max(probs, axis=1).numpy()
+
+    label_map = {0: "NON_JUDI", 1: "JUDI"}
+    return [
+        {
+            "classification": label_map.get(int(pred_index), "Tidak Dikenal"),
+            "confidenceScore": round(float(confidence), 4)
+        }
+        for pred_index, confidence in zip(pred_indexes, confidences)
+    ]
+
 def get_prediction(text: str) -> dict:
     """Fungsi helper untuk melakukan tokenisasi dan prediksi."""
     # Tokenisasi